@@ -0,0 +1,55 @@
+/**
+ * Data Collections
+ * Describes every collection the models persist and how it is scoped
+ */
+
+// perUser: stored separately for every user (scope = userId)
+// scopeField: stored in one shared collection, scoped by this record field
+const COLLECTIONS = {
+  meta: { file: 'meta.json', key: 'id', perUser: false },
+  users: { file: 'users.json', key: 'id', perUser: false },
+  folders: { file: 'folders.json', key: 'id', perUser: false, scopeField: 'userId' },
+  files: { file: 'files.json', key: 'id', perUser: true },
+  billing: { file: 'billing.json', key: 'id', perUser: true },
+  sharedFiles: { file: 'sharedFiles.json', key: 'id', perUser: true },
+  uploadSessions: { file: 'uploadSessions.json', key: 'id', perUser: true },
+  trash: { file: 'trash.json', key: 'id', perUser: true },
+  contentObjects: { file: 'contentObjects.json', key: 'id', perUser: true }
+};
+
+// Look up a collection definition
+const getCollection = (name) => {
+  const collection = COLLECTIONS[name];
+  if (!collection) {
+    throw new Error(`Unknown collection: ${name}`);
+  }
+  return collection;
+};
+
+// Collections stored once per user
+const getPerUserCollections = () => {
+  return Object.keys(COLLECTIONS).filter(name => COLLECTIONS[name].perUser);
+};
+
+// Collections whose records are scoped to a user (per-user or by scopeField)
+const getUserScopedCollections = () => {
+  return Object.keys(COLLECTIONS).filter(name =>
+    COLLECTIONS[name].perUser || COLLECTIONS[name].scopeField
+  );
+};
+
+// Check a record against a simple equality query ({ field: value })
+// Missing fields and null compare equal, matching the SQLite adapter
+const matchesQuery = (record, query = {}) => {
+  return Object.entries(query).every(([field, value]) =>
+    (record[field] ?? null) === (value ?? null)
+  );
+};
+
+module.exports = {
+  COLLECTIONS,
+  getCollection,
+  getPerUserCollections,
+  getUserScopedCollections,
+  matchesQuery
+};
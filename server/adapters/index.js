@@ -0,0 +1,66 @@
+/**
+ * Storage Adapters
+ * Selects the metadata store used by the models (see DATA_STORE in config)
+ *
+ * Every adapter exposes the same interface:
+ *   list(collection, scope)                     - all records in a scope
+ *   find(collection, scope, query)              - records matching { field: value }
+ *   findOne(collection, scope, query)           - first match or null
+ *   findById(collection, scope, id)             - record by key or null
+ *   insert(collection, scope, record, options)  - add a record ({ prepend })
+ *   update(collection, scope, id, record)       - replace a record (null if missing)
+ *   remove(collection, scope, id)               - delete a record
+ *   removeMany(collection, scope, ids)          - delete records, returns count
+ *   replaceAll(collection, scope, records)      - overwrite a whole scope
+ *   listScopes()                                - user ids with stored data
+ *   initialize() / initializeScope(userId) / removeScope(userId) / close()
+ *
+ * Scope is the userId for per-user collections and null for shared ones.
+ */
+
+const config = require('../config/environment');
+const { createJsonAdapter } = require('./jsonAdapter');
+
+let activeAdapter = null;
+
+// Create an adapter by type
+const createAdapter = (type = config.DATA_STORE, options = {}) => {
+  switch (type) {
+    case 'json':
+      return createJsonAdapter({ dataDir: options.dataDir || config.DATA_DIR });
+    case 'sqlite': {
+      // Loaded on demand so the JSON store works without the native module
+      const { createSqliteAdapter } = require('./sqliteAdapter');
+      return createSqliteAdapter({ filename: options.filename || config.SQLITE_PATH });
+    }
+    default:
+      throw new Error(`Unknown data store: ${type}`);
+  }
+};
+
+// Get the adapter configured for this process
+const getAdapter = () => {
+  if (!activeAdapter) {
+    activeAdapter = createAdapter(config.DATA_STORE);
+  }
+  return activeAdapter;
+};
+
+// Swap the active adapter (used by scripts and tests)
+const setAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+// Every user id with data in a store, including data left behind by
+// users no longer listed in the users collection
+const listUserIds = async (adapter) => {
+  const users = await adapter.list('users', null);
+  return [...new Set([...users.map(u => u.id), ...(await adapter.listScopes())])];
+};
+
+module.exports = {
+  createAdapter,
+  getAdapter,
+  setAdapter,
+  listUserIds
+};
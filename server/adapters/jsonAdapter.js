@@ -0,0 +1,220 @@
+/**
+ * JSON File Adapter
+ * Stores each collection as a JSON file under the data directory
+ *
+ * Layout:
+ *   users.json, folders.json            - shared collections
+ *   <userId>/files.json, billing.json,  - per-user collections
+ *   <userId>/sharedFiles.json,
+ *   <userId>/uploadSessions.json,
+ *   <userId>/trash.json,
+ *   <userId>/contentObjects.json
+ *
+ * Files are replaced atomically (temp file + rename) and every mutation is a
+ * locked read-modify-write of its file, so concurrent writers never lose
+ * each other's changes or leave a truncated file behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  getCollection,
+  getPerUserCollections,
+  getUserScopedCollections,
+  matchesQuery
+} = require('./collections');
+const { withLock } = require('../utils/lock');
+const { writeFileAtomic } = require('../utils/fileSystem');
+
+const createJsonAdapter = ({ dataDir }) => {
+  // Resolve the JSON file backing a collection
+  const getFilePath = (collection, scope) => {
+    const { file, perUser } = getCollection(collection);
+    if (perUser) {
+      if (!scope) {
+        throw new Error(`Collection ${collection} requires a userId`);
+      }
+      return path.join(dataDir, scope, file);
+    }
+    return path.join(dataDir, file);
+  };
+
+  // Read the whole JSON file (missing file = empty collection)
+  const readRaw = async (collection, scope) => {
+    try {
+      const data = await fs.readFile(getFilePath(collection, scope), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  // Write the whole JSON file
+  const writeRaw = async (collection, scope, records) => {
+    const filePath = getFilePath(collection, scope);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, JSON.stringify(records, null, 2));
+  };
+
+  // Serialize mutations of the file backing a collection
+  const withFileLock = (collection, scope, fn) => {
+    return withLock(`json:${getFilePath(collection, scope)}`, fn);
+  };
+
+  // Read the records visible to a scope
+  const readScope = async (collection, scope) => {
+    const records = await readRaw(collection, scope);
+    const { scopeField } = getCollection(collection);
+    return scopeField ? records.filter(r => r[scopeField] === scope) : records;
+  };
+
+  // Replace the records visible to a scope, keeping other scopes untouched
+  const writeScope = async (collection, scope, records) => {
+    const { scopeField } = getCollection(collection);
+    if (!scopeField) {
+      await writeRaw(collection, scope, records);
+      return;
+    }
+
+    const allRecords = await readRaw(collection, scope);
+    const otherRecords = allRecords.filter(r => r[scopeField] !== scope);
+    await writeRaw(collection, scope, [...otherRecords, ...records]);
+  };
+
+  const list = async (collection, scope) => readScope(collection, scope);
+
+  const find = async (collection, scope, query) => {
+    const records = await readScope(collection, scope);
+    return records.filter(r => matchesQuery(r, query));
+  };
+
+  const findOne = async (collection, scope, query) => {
+    const records = await readScope(collection, scope);
+    return records.find(r => matchesQuery(r, query)) || null;
+  };
+
+  const findById = async (collection, scope, id) => {
+    const { key } = getCollection(collection);
+    return findOne(collection, scope, { [key]: id });
+  };
+
+  const insert = async (collection, scope, record, { prepend = false } = {}) => {
+    return withFileLock(collection, scope, async () => {
+      const records = await readScope(collection, scope);
+      if (prepend) {
+        records.unshift(record);
+      } else {
+        records.push(record);
+      }
+      await writeScope(collection, scope, records);
+      return record;
+    });
+  };
+
+  const update = async (collection, scope, id, record) => {
+    const { key } = getCollection(collection);
+    return withFileLock(collection, scope, async () => {
+      const records = await readScope(collection, scope);
+      const index = records.findIndex(r => r[key] === id);
+
+      if (index === -1) {
+        return null;
+      }
+
+      records[index] = record;
+      await writeScope(collection, scope, records);
+      return record;
+    });
+  };
+
+  const remove = async (collection, scope, id) => {
+    const removedCount = await removeMany(collection, scope, [id]);
+    return removedCount > 0;
+  };
+
+  const removeMany = async (collection, scope, ids) => {
+    const { key } = getCollection(collection);
+    return withFileLock(collection, scope, async () => {
+      const records = await readScope(collection, scope);
+      const remaining = records.filter(r => !ids.includes(r[key]));
+
+      if (remaining.length !== records.length) {
+        await writeScope(collection, scope, remaining);
+      }
+      return records.length - remaining.length;
+    });
+  };
+
+  const replaceAll = async (collection, scope, records) => {
+    await withFileLock(collection, scope, () => writeScope(collection, scope, records));
+  };
+
+  // User ids that have per-user data
+  const listScopes = async () => {
+    try {
+      const entries = await fs.readdir(dataDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  };
+
+  const initialize = async () => {
+    await fs.mkdir(dataDir, { recursive: true });
+  };
+
+  // Create the user directory and empty per-user collection files
+  const initializeScope = async (scope) => {
+    await fs.mkdir(path.join(dataDir, scope), { recursive: true });
+
+    for (const collection of getPerUserCollections()) {
+      const filePath = getFilePath(collection, scope);
+      try {
+        await fs.access(filePath);
+      } catch {
+        await writeFileAtomic(filePath, JSON.stringify([], null, 2));
+      }
+    }
+  };
+
+  // Remove everything stored for a user
+  const removeScope = async (scope) => {
+    await fs.rm(path.join(dataDir, scope), { recursive: true, force: true });
+
+    for (const collection of getUserScopedCollections()) {
+      if (getCollection(collection).scopeField) {
+        await replaceAll(collection, scope, []);
+      }
+    }
+  };
+
+  const close = async () => {};
+
+  return {
+    type: 'json',
+    list,
+    find,
+    findOne,
+    findById,
+    insert,
+    update,
+    remove,
+    removeMany,
+    replaceAll,
+    listScopes,
+    initialize,
+    initializeScope,
+    removeScope,
+    close
+  };
+};
+
+module.exports = {
+  createJsonAdapter
+};
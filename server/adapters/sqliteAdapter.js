@@ -0,0 +1,225 @@
+/**
+ * SQLite Adapter
+ * Stores every collection in a single embedded SQLite database
+ *
+ * Each record is one row keyed by (collection, scope, id) with the record
+ * itself kept as JSON, so lookups and updates touch a single row instead
+ * of rewriting the whole collection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getCollection, getPerUserCollections } = require('./collections');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    id TEXT NOT NULL,
+    position REAL NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, scope, id)
+  );
+  CREATE INDEX IF NOT EXISTS records_by_position ON records (collection, scope, position);
+`;
+
+// Shared collections (users) live under the empty scope
+const toScope = (scope) => scope || '';
+
+// Convert a JS value into something SQLite can compare with json_extract()
+const toSqlValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') {
+    throw new Error('Only scalar values are supported in queries');
+  }
+  return value;
+};
+
+// Build "json_extract(...) IS ?" clauses for an equality query
+const buildQuery = (query = {}) => {
+  const clauses = [];
+  const params = [];
+
+  Object.entries(query).forEach(([field, value]) => {
+    if (!/^[A-Za-z0-9_]+$/.test(field)) {
+      throw new Error(`Invalid query field: ${field}`);
+    }
+    clauses.push(`json_extract(data, '$.${field}') IS ?`);
+    params.push(toSqlValue(value));
+  });
+
+  return {
+    where: clauses.length ? ` AND ${clauses.join(' AND ')}` : '',
+    params
+  };
+};
+
+const createSqliteAdapter = ({ filename }) => {
+  let db = null;
+
+  // Open the database lazily so requiring the adapter has no side effects
+  const getDb = () => {
+    if (!db) {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+      db = new Database(filename);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+    }
+    return db;
+  };
+
+  const getKey = (collection, record) => {
+    const { key } = getCollection(collection);
+    const id = record[key];
+    if (id === undefined || id === null) {
+      throw new Error(`Record in ${collection} is missing its ${key}`);
+    }
+    return String(id);
+  };
+
+  const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+  const list = async (collection, scope) => {
+    getCollection(collection);
+    const rows = getDb()
+      .prepare('SELECT data FROM records WHERE collection = ? AND scope = ? ORDER BY position')
+      .all(collection, toScope(scope));
+    return parseRows(rows);
+  };
+
+  const find = async (collection, scope, query) => {
+    getCollection(collection);
+    const { where, params } = buildQuery(query);
+    const rows = getDb()
+      .prepare(`SELECT data FROM records WHERE collection = ? AND scope = ?${where} ORDER BY position`)
+      .all(collection, toScope(scope), ...params);
+    return parseRows(rows);
+  };
+
+  const findOne = async (collection, scope, query) => {
+    getCollection(collection);
+    const { where, params } = buildQuery(query);
+    const row = getDb()
+      .prepare(`SELECT data FROM records WHERE collection = ? AND scope = ?${where} ORDER BY position LIMIT 1`)
+      .get(collection, toScope(scope), ...params);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const findById = async (collection, scope, id) => {
+    getCollection(collection);
+    const row = getDb()
+      .prepare('SELECT data FROM records WHERE collection = ? AND scope = ? AND id = ?')
+      .get(collection, toScope(scope), String(id));
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const insert = async (collection, scope, record, { prepend = false } = {}) => {
+    const database = getDb();
+    const boundary = database
+      .prepare(`SELECT ${prepend ? 'MIN' : 'MAX'}(position) AS position FROM records WHERE collection = ? AND scope = ?`)
+      .get(collection, toScope(scope));
+    const current = boundary && boundary.position !== null ? boundary.position : 0;
+    const position = prepend ? current - 1 : current + 1;
+
+    database
+      .prepare('INSERT INTO records (collection, scope, id, position, data) VALUES (?, ?, ?, ?, ?)')
+      .run(collection, toScope(scope), getKey(collection, record), position, JSON.stringify(record));
+    return record;
+  };
+
+  const update = async (collection, scope, id, record) => {
+    getCollection(collection);
+    const result = getDb()
+      .prepare('UPDATE records SET data = ? WHERE collection = ? AND scope = ? AND id = ?')
+      .run(JSON.stringify(record), collection, toScope(scope), String(id));
+    return result.changes > 0 ? record : null;
+  };
+
+  const remove = async (collection, scope, id) => {
+    const removedCount = await removeMany(collection, scope, [id]);
+    return removedCount > 0;
+  };
+
+  const removeMany = async (collection, scope, ids) => {
+    getCollection(collection);
+    const database = getDb();
+    const statement = database.prepare('DELETE FROM records WHERE collection = ? AND scope = ? AND id = ?');
+    const removeAll = database.transaction((recordIds) => {
+      let removed = 0;
+      for (const id of recordIds) {
+        removed += statement.run(collection, toScope(scope), String(id)).changes;
+      }
+      return removed;
+    });
+    return removeAll(ids);
+  };
+
+  const replaceAll = async (collection, scope, records) => {
+    getCollection(collection);
+    const database = getDb();
+    const clear = database.prepare('DELETE FROM records WHERE collection = ? AND scope = ?');
+    const insertRow = database.prepare('INSERT INTO records (collection, scope, id, position, data) VALUES (?, ?, ?, ?, ?)');
+
+    database.transaction(() => {
+      clear.run(collection, toScope(scope));
+      records.forEach((record, index) => {
+        insertRow.run(collection, toScope(scope), getKey(collection, record), index, JSON.stringify(record));
+      });
+    })();
+  };
+
+  // User ids that have per-user data
+  const listScopes = async () => {
+    const collections = getPerUserCollections();
+    const rows = getDb()
+      .prepare(`SELECT DISTINCT scope FROM records WHERE collection IN (${collections.map(() => '?').join(', ')})`)
+      .all(...collections);
+    return rows.map(row => row.scope);
+  };
+
+  const initialize = async () => {
+    getDb();
+  };
+
+  // Nothing to create up front - rows appear as records are written
+  const initializeScope = async () => {};
+
+  // Remove everything stored for a user (per-user and scoped collections)
+  const removeScope = async (scope) => {
+    if (!scope) return;
+    getDb()
+      .prepare("DELETE FROM records WHERE scope = ? AND collection != 'users'")
+      .run(toScope(scope));
+  };
+
+  const close = async () => {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  };
+
+  return {
+    type: 'sqlite',
+    list,
+    find,
+    findOne,
+    findById,
+    insert,
+    update,
+    remove,
+    removeMany,
+    replaceAll,
+    listScopes,
+    initialize,
+    initializeScope,
+    removeScope,
+    close
+  };
+};
+
+module.exports = {
+  createSqliteAdapter
+};
@@ -8,8 +8,19 @@
 const express = require('express');
 const config = require('./config/environment');
 const { initializeDataDirectory } = require('./config/database');
-const { setupHelmet, setupCORS, setupRateLimit } = require('./middleware/security');
+const {
+  setupHelmet,
+  setupCORS,
+  setupRateLimit,
+  setupUploadChunkRateLimit,
+  setupStreamRateLimit
+} = require('./middleware/security');
 const { testAWSConnection } = require('./services/awsService');
+const { assertSchemaCurrent } = require('./services/migrationService');
+const { startUploadSessionCleanup } = require('./services/uploadSessionService');
+const { startTrashPurge } = require('./services/trashService');
+const { startScanRetries } = require('./services/scanService');
+const { resumePendingPreviews } = require('./services/previewService');
 
 // Import routes
 console.log('📦 Loading routes...');
@@ -17,6 +28,8 @@ const authRoutes = require('./routes/auth');
 console.log('✅ Auth routes loaded');
 const filesRoutes = require('./routes/files');
 console.log('✅ Files routes loaded');
+const uploadRoutes = require('./routes/uploads');
+console.log('✅ Upload session routes loaded');
 const sharedFilesRoutes = require('./routes/sharedFiles');
 console.log('✅ Shared files routes loaded');
 const storageRoutes = require('./routes/storage');
@@ -27,6 +40,12 @@ const versionRoutes = require('./routes/versions');
 console.log('✅ Version routes loaded');
 const folderRoutes = require('./routes/folders');
 console.log('✅ Folder routes loaded');
+const adminRoutes = require('./routes/admin');
+console.log('✅ Admin routes loaded');
+const trashRoutes = require('./routes/trash');
+console.log('✅ Trash routes loaded');
+const tagRoutes = require('./routes/tags');
+console.log('✅ Tag routes loaded');
 
 const app = express();
 
@@ -36,6 +55,10 @@ const initializeApp = async () => {
     // Initialize data directory
     await initializeDataDirectory();
     
+    // Refuse to start on a store with pending schema migrations
+    const schema = await assertSchemaCurrent();
+    console.log(`🗂️  Schema version ${schema.currentVersion}`);
+    
     // Test AWS connection
     await testAWSConnection();
     
@@ -56,10 +79,15 @@ app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting for API routes
 app.use('/api/', setupRateLimit());
+app.use('/api/', setupUploadChunkRateLimit());
+app.use('/api/', setupStreamRateLimit());
+
+// Stream URLs carry a download token; keep it out of the logs
+const redactUrl = (url) => url.replace(/([?&]token=)[^&]*/g, '$1[redacted]');
 
 // Request logging middleware
 app.use('/api', (req, res, next) => {
-  console.log(`🌐 ${req.method} ${req.originalUrl} - ${new Date().toISOString()}`);
+  console.log(`🌐 ${req.method} ${redactUrl(req.originalUrl)} - ${new Date().toISOString()}`);
   if (req.body && Object.keys(req.body).length > 0) {
     console.log(`📝 Body:`, JSON.stringify(req.body, null, 2));
   }
@@ -82,6 +110,8 @@ app.use('/api/auth', authRoutes);
 console.log('✅ /api/auth registered');
 app.use('/api/files', filesRoutes);
 console.log('✅ /api/files registered');
+app.use('/api/uploads', uploadRoutes);
+console.log('✅ /api/uploads registered');
 app.use('/api/shared-files', sharedFilesRoutes);
 console.log('✅ /api/shared-files registered');
 app.use('/api/storage', storageRoutes);
@@ -92,6 +122,12 @@ app.use('/api/versions', versionRoutes);
 console.log('✅ /api/versions registered');
 app.use('/api/folders', folderRoutes);
 console.log('✅ /api/folders registered');
+app.use('/api/admin', adminRoutes);
+console.log('✅ /api/admin registered');
+app.use('/api/trash', trashRoutes);
+console.log('✅ /api/trash registered');
+app.use('/api/tags', tagRoutes);
+console.log('✅ /api/tags registered');
 
 // 404 handler
 app.use('/api/*', (req, res) => {
@@ -111,6 +147,20 @@ app.use((err, req, res, next) => {
 const startServer = async () => {
   await initializeApp();
   
+  // Abort resumable uploads that were abandoned
+  startUploadSessionCleanup();
+  
+  // Purge trashed items past their retention period
+  startTrashPurge();
+  
+  // Retry malware scans that could not run after upload
+  startScanRetries();
+  
+  // Previews queued before a restart were lost with the process
+  resumePendingPreviews().catch(error => {
+    console.error('Resuming previews failed:', error);
+  });
+  
   app.listen(config.PORT, () => {
     console.log(`🌟 SkyCrate server running on port ${config.PORT}`);
     console.log(`📍 Environment: ${config.NODE_ENV}`);
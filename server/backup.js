@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Backup Script: Back up and restore the metadata store
+ *
+ * Backups are timestamped, checksummed archives written to BACKUP_DIR and
+ * can be taken while the server is running. Restores validate the whole
+ * archive before anything is written, and save a pre-restore backup first.
+ *
+ * Usage: node backup.js create [--dir <path>]
+ *        node backup.js verify <archive>
+ *        node backup.js restore <archive> [--user <userId>] [--dry-run]
+ */
+
+const config = require('./config/environment');
+const { getAdapter } = require('./adapters');
+const { createBackup, readBackup, restoreBackup } = require('./services/backupService');
+
+const parseArgs = (argv) => {
+  const options = { command: 'create', archive: null, userId: null, dir: config.BACKUP_DIR, dryRun: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--user') {
+      options.userId = argv[++i];
+    } else if (argv[i] === '--dir') {
+      options.dir = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  [options.command = 'create', options.archive = null] = positional;
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (['verify', 'restore'].includes(options.command) && !options.archive) {
+    console.error(`❌ Usage: node backup.js ${options.command} <archive>`);
+    process.exit(1);
+  }
+
+  const adapter = getAdapter();
+
+  try {
+    await adapter.initialize();
+
+    switch (options.command) {
+      case 'create': {
+        console.log(`🚀 Backing up ${config.DATA_STORE} store...`);
+        const backup = await createBackup(adapter, { dir: options.dir });
+        console.log(`\n🎉 Backup completed: ${backup.path}`);
+        console.log(`👥 Users: ${backup.users}, records: ${backup.records}`);
+        console.log(`🔒 Checksum: ${backup.checksum}`);
+        break;
+      }
+      case 'verify': {
+        const archive = await readBackup(options.archive);
+        console.log(`✅ Backup is valid (taken ${archive.createdAt}, schema version ${archive.schemaVersion})`);
+        break;
+      }
+      case 'restore': {
+        const target = options.userId ? `user ${options.userId}` : 'the whole store';
+        console.log(`🚀 Restoring ${target} from ${options.archive}${options.dryRun ? ' (dry run)' : ''}...`);
+
+        const result = await restoreBackup(adapter, options.archive, options);
+        result.restored
+          .filter(entry => entry.count > 0)
+          .forEach(entry => console.log(`  - ${entry.collection}${entry.scope ? ` (${entry.scope})` : ''}: ${entry.count} records`));
+        if (result.removedUsers.length > 0) {
+          console.log(`🗑️  Users not in the backup removed: ${result.removedUsers.join(', ')}`);
+        }
+
+        console.log(`\n🎉 Restore ${options.dryRun ? 'preview' : 'completed'}!`);
+        if (result.safetyBackup) {
+          console.log(`💾 Previous data saved to ${result.safetyBackup}`);
+        }
+        break;
+      }
+      default:
+        console.error(`❌ Unknown command: ${options.command} (expected create, verify or restore)`);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${options.command} failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await adapter.close();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
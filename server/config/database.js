@@ -4,16 +4,17 @@
  */
 
 const path = require('path');
-const fs = require('fs').promises;
+const config = require('./environment');
+const { getAdapter } = require('../adapters');
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const DATA_DIR = config.DATA_DIR;
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
 
-// Ensure data directory exists
+// Ensure the configured data store is ready
 const initializeDataDirectory = async () => {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    console.log('📁 Data directory initialized');
+    await getAdapter().initialize();
+    console.log(`📁 Data store initialized (${getAdapter().type})`);
   } catch (error) {
     console.error('Failed to initialize data directory:', error);
     throw error;
@@ -22,43 +23,23 @@ const initializeDataDirectory = async () => {
 
 // Initialize user-specific storage
 const initializeUserStorage = async (userId) => {
-  const userDir = path.join(DATA_DIR, userId);
-  const userFilesFile = path.join(userDir, 'files.json');
-  const userBillingFile = path.join(userDir, 'billing.json');
-  const userSharedFilesFile = path.join(userDir, 'sharedFiles.json');
-  
   try {
-    await fs.mkdir(userDir, { recursive: true });
-
-    // Initialize user files
-    try {
-      await fs.access(userFilesFile);
-    } catch {
-      await fs.writeFile(userFilesFile, JSON.stringify([], null, 2));
-    }
-
-    // Initialize user billing
-    try {
-      await fs.access(userBillingFile);
-    } catch {
-      await fs.writeFile(userBillingFile, JSON.stringify([], null, 2));
-    }
-
-    // Initialize user shared files
-    try {
-      await fs.access(userSharedFilesFile);
-    } catch {
-      await fs.writeFile(userSharedFilesFile, JSON.stringify([], null, 2));
-    }
+    await getAdapter().initializeScope(userId);
   } catch (error) {
     console.error(`Error initializing storage for user ${userId}:`, error);
     throw error;
   }
 };
 
+// Remove all data stored for a user
+const removeUserStorage = async (userId) => {
+  await getAdapter().removeScope(userId);
+};
+
 module.exports = {
   DATA_DIR,
   USERS_FILE,
   initializeDataDirectory,
-  initializeUserStorage
-};
\ No newline at end of file
+  initializeUserStorage,
+  removeUserStorage
+};
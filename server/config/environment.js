@@ -3,8 +3,11 @@
  * Centralizes all environment variable handling and validation
  */
 
+const path = require('path');
 require('dotenv').config();
 
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
 // Environment variables with defaults
 const config = {
   // Server Configuration
@@ -12,6 +15,7 @@ const config = {
   PORT: process.env.PORT || 5000,
   JWT_SECRET: process.env.JWT_SECRET,
   CLIENT_ORIGIN: process.env.CLIENT_ORIGIN,
+  CLIENT_ORIGINS: (process.env.CLIENT_ORIGIN || '').split(',').map(o => o.trim()).filter(Boolean),
   BASE_URL: process.env.BASE_URL,
 
   // AWS Configuration
@@ -22,8 +26,49 @@ const config = {
   // Development Mode
   DEV_MODE: process.env.DEV_MODE === 'true',
 
-  // File Upload Settings
-  MAX_FILE_SIZE_BYTES: parseInt(process.env.MAX_FILE_SIZE_BYTES || `${25 * 1024 * 1024}`, 10),
+  // File Upload Settings (uploads stream to S3 as multipart uploads)
+  MAX_FILE_SIZE_BYTES: parseInt(process.env.MAX_FILE_SIZE_BYTES || `${5 * 1024 * 1024 * 1024}`, 10),
+  UPLOAD_PART_SIZE_BYTES: parseInt(process.env.UPLOAD_PART_SIZE_BYTES || `${8 * 1024 * 1024}`, 10),
+  UPLOAD_CONCURRENCY: parseInt(process.env.UPLOAD_CONCURRENCY || '4', 10),
+
+  // Accepted upload types per user tier (JSON, see contentTypeService)
+  UPLOAD_TYPE_POLICY: process.env.UPLOAD_TYPE_POLICY || '',
+  DEFAULT_USER_TIER: process.env.DEFAULT_USER_TIER || 'free',
+
+  // Storage quotas per user tier (JSON, see quotaService)
+  STORAGE_QUOTA_POLICY: process.env.STORAGE_QUOTA_POLICY || '',
+
+  // Malware scanning of uploads (none, clamav or stub, see server/scanners)
+  MALWARE_SCANNER: process.env.MALWARE_SCANNER || 'none',
+  CLAMAV_HOST: process.env.CLAMAV_HOST || '127.0.0.1',
+  CLAMAV_PORT: parseInt(process.env.CLAMAV_PORT || '3310', 10),
+  CLAMAV_SOCKET: process.env.CLAMAV_SOCKET || '',
+  CLAMAV_TIMEOUT_MS: parseInt(process.env.CLAMAV_TIMEOUT_MS || '60000', 10),
+  SCAN_RETRY_INTERVAL_MINUTES: parseFloat(process.env.SCAN_RETRY_INTERVAL_MINUTES || '5'),
+
+  // Thumbnails and previews of images and PDFs (PDFs need poppler's pdftoppm)
+  PREVIEWS_ENABLED: process.env.PREVIEWS_ENABLED !== 'false',
+  PREVIEW_MAX_SOURCE_BYTES: parseInt(process.env.PREVIEW_MAX_SOURCE_BYTES || `${50 * 1024 * 1024}`, 10),
+  PDFTOPPM_PATH: process.env.PDFTOPPM_PATH || 'pdftoppm',
+
+  // Uploaded ZIP archives extracted into folders (limits apply per archive)
+  EXTRACT_MAX_ENTRIES: parseInt(process.env.EXTRACT_MAX_ENTRIES || '10000', 10),
+  EXTRACT_MAX_TOTAL_BYTES: parseInt(process.env.EXTRACT_MAX_TOTAL_BYTES || `${10 * 1024 * 1024 * 1024}`, 10),
+
+  // Resumable upload sessions (chunks are UPLOAD_PART_SIZE_BYTES each)
+  UPLOAD_SESSION_TTL_HOURS: parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS || '24'),
+  UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES: parseFloat(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES || '60'),
+
+  // Trash (deleted items are purged from S3 after the retention period)
+  TRASH_RETENTION_DAYS: parseFloat(process.env.TRASH_RETENTION_DAYS || '30'),
+  TRASH_PURGE_INTERVAL_MINUTES: parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60'),
+
+  // Deduplication (identical content is stored once, under its SHA-256)
+  DEDUPLICATION_ENABLED: process.env.DEDUPLICATION_ENABLED === 'true',
+
+  // Direct browser-to-S3 uploads (presigned PUT, proxy upload stays as fallback)
+  DIRECT_UPLOADS_ENABLED: process.env.DIRECT_UPLOADS_ENABLED !== 'false',
+  DIRECT_UPLOAD_URL_TTL_SECONDS: parseInt(process.env.DIRECT_UPLOAD_URL_TTL_SECONDS || '900', 10),
 
   // Storage Class Configuration
   SHOW_STORAGE_CLASS_OPTIONS: process.env.SHOW_STORAGE_CLASS_OPTIONS === 'true',
@@ -41,6 +86,17 @@ const config = {
 
   // Paths
   LOCAL_STORAGE_PATH: process.env.LOCAL_STORAGE_PATH || './storage',
+  DATA_DIR,
+
+  // Metadata Store ('json' or 'sqlite')
+  DATA_STORE: process.env.DATA_STORE || 'json',
+  SQLITE_PATH: process.env.SQLITE_PATH || path.join(DATA_DIR, 'skycrate.sqlite'),
+
+  // Backups (kept outside DATA_DIR so they are never read as user data)
+  BACKUP_DIR: process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups'),
+
+  // Admin access (comma-separated account emails)
+  ADMIN_EMAILS: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean),
 
   // Unicorn Studio
   REACT_APP_UNICORN_PROJECT_ID: process.env.REACT_APP_UNICORN_PROJECT_ID
@@ -58,6 +114,19 @@ const validateConfig = () => {
     errors.push('AWS credentials are required when DEV_MODE is false');
   }
 
+  // S3 rejects multipart parts (other than the last) below 5 MB
+  if (!(config.UPLOAD_PART_SIZE_BYTES >= 5 * 1024 * 1024)) {
+    errors.push('UPLOAD_PART_SIZE_BYTES must be at least 5242880 (5 MB)');
+  }
+
+  if (!(config.UPLOAD_CONCURRENCY >= 1)) {
+    errors.push('UPLOAD_CONCURRENCY must be at least 1');
+  }
+
+  if (!['json', 'sqlite'].includes(config.DATA_STORE)) {
+    errors.push(`DATA_STORE must be 'json' or 'sqlite' (got '${config.DATA_STORE}')`);
+  }
+
   if (errors.length > 0) {
     console.error('FATAL: Configuration errors:');
     errors.forEach(error => console.error(`  - ${error}`));
@@ -75,6 +144,7 @@ if (config.NODE_ENV === 'development') {
   console.log(`  - Port: ${config.PORT}`);
   console.log(`  - AWS Region: ${config.AWS_REGION}`);
   console.log(`  - Dev Mode: ${config.DEV_MODE}`);
+  console.log(`  - Data Store: ${config.DATA_STORE}`);
   console.log(`  - Site Margin: ${config.SITE_MARGIN}%`);
 }
 
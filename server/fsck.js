@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Consistency Check Script: Reconcile file records with S3 buckets
+ *
+ * Reports missing objects, orphaned objects, size mismatches and
+ * storage-class drift. Nothing is changed unless a repair flag is given.
+ *
+ * Usage: node fsck.js [--user <userId>] [--adopt-orphans] [--mark-broken] [--json]
+ */
+
+const { getAdapter } = require('./adapters');
+const { checkUserById, checkAllUsers } = require('./services/consistencyService');
+
+const parseArgs = (argv) => {
+  const options = { userId: null, adoptOrphans: false, markBroken: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--user') {
+      options.userId = argv[++i];
+    } else if (argv[i] === '--adopt-orphans') {
+      options.adoptOrphans = true;
+    } else if (argv[i] === '--mark-broken') {
+      options.markBroken = true;
+    } else if (argv[i] === '--json') {
+      options.json = true;
+    }
+  }
+
+  return options;
+};
+
+const printResult = (result) => {
+  if (result.error) {
+    console.log(`\n❌ ${result.userId} (${result.bucket}): ${result.error}`);
+    return;
+  }
+
+  const status = result.issues.length === 0 ? '✅' : '⚠️ ';
+  console.log(`\n${status} ${result.userId} (${result.bucket}): ${result.versionsChecked} versions, ${result.objectsChecked} objects`);
+
+  result.issues.forEach(issue => {
+    const detail = issue.expected !== undefined ? ` (expected ${issue.expected}, found ${issue.actual})` : '';
+    console.log(`  - ${issue.type}: ${issue.s3Key}${detail}`);
+  });
+  result.repairs.adopted.forEach(a => console.log(`  🔧 adopted ${a.s3Key} as Recovered/${a.originalName}`));
+  result.repairs.markedBroken.forEach(m => console.log(`  🔧 marked version ${m.versionId} of file ${m.fileId} broken (${m.issue})`));
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const adapter = getAdapter();
+
+  try {
+    const results = options.userId
+      ? [await checkUserById(options.userId, options)]
+      : await checkAllUsers(options);
+
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      results.forEach(printResult);
+      const issueCount = results.reduce((sum, r) => sum + (r.issues ? r.issues.length : 0), 0);
+      console.log(`\n📊 ${results.length} users checked, ${issueCount} issues found`);
+    }
+
+    if (results.some(r => r.error || r.issues.length > 0)) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Consistency check failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await adapter.close();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Data Import Script: Copy the JSON data directory into another data store
+ *
+ * Reads users.json, folders.json and every per-user collection from the
+ * JSON store and writes them into the target adapter (SQLite by default).
+ * Existing records in the target are replaced scope by scope, so the
+ * import can safely be re-run.
+ *
+ * Usage: node import-data.js [--to sqlite] [--dry-run]
+ */
+
+const config = require('./config/environment');
+const { createAdapter, listUserIds } = require('./adapters');
+const { getPerUserCollections } = require('./adapters/collections');
+
+const parseArgs = (argv) => {
+  const options = { to: 'sqlite', dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to') {
+      options.to = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+
+  return options;
+};
+
+// Copy every collection from source to target, returns record counts
+const importData = async (source, target, { dryRun = false } = {}) => {
+  const counts = {};
+  const copy = async (collection, scope) => {
+    const records = await source.list(collection, scope);
+    counts[collection] = (counts[collection] || 0) + records.length;
+    if (!dryRun && records.length > 0) {
+      await target.replaceAll(collection, scope, records);
+    }
+  };
+
+  if (!dryRun) {
+    await target.initialize();
+  }
+
+  await copy('meta', null);
+  await copy('users', null);
+
+  const userIds = await listUserIds(source);
+
+  for (const userId of userIds) {
+    await copy('folders', userId);
+    for (const collection of getPerUserCollections()) {
+      await copy(collection, userId);
+    }
+  }
+
+  return { users: userIds.length, counts };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.to === 'json') {
+    console.error('❌ Target store must differ from the JSON source');
+    process.exit(1);
+  }
+
+  console.log(`🚀 Importing ${config.DATA_DIR} into ${options.to}${options.dryRun ? ' (dry run)' : ''}...`);
+
+  const source = createAdapter('json');
+  const target = createAdapter(options.to);
+
+  try {
+    const result = await importData(source, target, options);
+
+    console.log(`\n🎉 Import ${options.dryRun ? 'preview' : 'completed'}!`);
+    console.log(`👥 Users processed: ${result.users}`);
+    Object.entries(result.counts).forEach(([collection, count]) => {
+      console.log(`  - ${collection}: ${count} records`);
+    });
+
+    if (!options.dryRun) {
+      console.log(`\n✅ Set DATA_STORE=${options.to} in your .env and restart the server.`);
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error);
+    process.exit(1);
+  } finally {
+    await target.close();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { importData };
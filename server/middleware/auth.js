@@ -5,7 +5,7 @@
 
 const jwt = require('jsonwebtoken');
 const config = require('../config/environment');
-const { readUsers } = require('../models/User');
+const { findUserById } = require('../models/User');
 
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
@@ -18,8 +18,7 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, config.JWT_SECRET);
-    const users = await readUsers();
-    const user = users.find(u => u.id === decoded.userId);
+    const user = await findUserById(decoded.userId);
 
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
@@ -45,8 +44,7 @@ const optionalAuth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, config.JWT_SECRET);
-    const users = await readUsers();
-    const user = users.find(u => u.id === decoded.userId);
+    const user = await findUserById(decoded.userId);
     req.user = user || null;
   } catch (error) {
     req.user = null;
@@ -55,7 +53,16 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Admin-only middleware (use after authenticateToken)
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !config.ADMIN_EMAILS.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
\ No newline at end of file
@@ -10,10 +10,7 @@ const config = require('../config/environment');
 
 // CORS Configuration
 const setupCORS = () => {
-  const parsedOrigins = (config.CLIENT_ORIGIN || '')
-    .split(',')
-    .map(o => o.trim())
-    .filter(Boolean);
+  const parsedOrigins = config.CLIENT_ORIGINS;
   
   const devFallbackOrigins = ['http://localhost:3000', 'http://127.0.0.1:3000'];
   const allowedOrigins = parsedOrigins.length
@@ -29,15 +26,25 @@ const setupCORS = () => {
       }
       return callback(new Error('Not allowed by CORS'));
     },
-    credentials: true
+    credentials: true,
+    // Lets the web client check downloaded bytes against their checksum
+    exposedHeaders: ['Repr-Digest']
   });
 };
 
+// Upload session chunks, counted by setupUploadChunkRateLimit instead
+const isUploadChunk = (req) => req.method === 'PUT' && req.path.startsWith('/uploads/');
+
+// Media streams, counted by setupStreamRateLimit instead
+const isStreamDownload = (req) => req.method === 'GET' && req.query.mode === 'stream' && req.path.endsWith('/download');
+
 // Rate Limiting Configuration
 const setupRateLimit = () => {
   return rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 200, // Limit each IP to 200 requests per windowMs
+    // A single large upload or video would otherwise use up the whole window
+    skip: (req) => isUploadChunk(req) || isStreamDownload(req),
     standardHeaders: true,
     legacyHeaders: false,
     message: {
@@ -46,6 +53,38 @@ const setupRateLimit = () => {
   });
 };
 
+// Rate Limiting for upload session chunks: enough for a few large uploads
+// at once, still a limit for requests that never authenticate
+const setupUploadChunkRateLimit = () => {
+  return rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 2000, // 16 GB of 8 MB chunks per IP per windowMs
+    skip: (req) => !isUploadChunk(req),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      error: 'Too many upload chunks from this IP, please try again later.'
+    }
+  });
+};
+
+// Rate Limiting for media streams: seeking sends a request per jump, so
+// only failed token checks count (guessing download tokens)
+const setupStreamRateLimit = () => {
+  return rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 50, // Limit each IP to 50 rejected stream requests per windowMs
+    skip: (req) => !isStreamDownload(req),
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401 && res.statusCode !== 403,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      error: 'Too many failed download attempts from this IP, please try again later.'
+    }
+  });
+};
+
 // Security Headers
 const setupHelmet = () => {
   return helmet({
@@ -64,5 +103,7 @@ const setupHelmet = () => {
 module.exports = {
   setupCORS,
   setupRateLimit,
+  setupUploadChunkRateLimit,
+  setupStreamRateLimit,
   setupHelmet
 };
\ No newline at end of file
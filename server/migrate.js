@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Migration Script: Apply or roll back data store schema migrations
+ *
+ * Runs the numbered migrations in server/migrations against the
+ * configured data store (DATA_STORE) and records the schema version.
+ *
+ * Usage: node migrate.js [status]
+ *        node migrate.js up [--to <version>] [--dry-run]
+ *        node migrate.js down [--to <version>] [--dry-run]
+ */
+
+const config = require('./config/environment');
+const { getAdapter } = require('./adapters');
+const { getMigrationStatus, migrateUp, migrateDown } = require('./services/migrationService');
+
+const parseArgs = (argv) => {
+  const options = { command: 'status', to: undefined, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to') {
+      options.to = Number(argv[++i]);
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      options.command = argv[i];
+    }
+  }
+
+  return options;
+};
+
+const printStatus = (status) => {
+  console.log(`📊 Schema version: ${status.currentVersion} (latest ${status.latestVersion})`);
+  status.applied.forEach(m => console.log(`  ✅ ${m.version} ${m.name}`));
+  status.pending.forEach(m => console.log(`  ⏳ ${m.version} ${m.name}`));
+  if (status.pending.length === 0) {
+    console.log('✅ No pending migrations');
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.to !== undefined && !Number.isInteger(options.to)) {
+    console.error('❌ --to must be a migration version number');
+    process.exit(1);
+  }
+
+  const adapter = getAdapter();
+
+  try {
+    await adapter.initialize();
+
+    switch (options.command) {
+      case 'status':
+        printStatus(await getMigrationStatus(adapter));
+        break;
+      case 'up':
+      case 'down': {
+        const run = options.command === 'up' ? migrateUp : migrateDown;
+        console.log(`🚀 Migrating ${config.DATA_STORE} store ${options.command}${options.dryRun ? ' (dry run)' : ''}...`);
+
+        const result = await run(adapter, options);
+        if (result.migrations.length === 0) {
+          console.log('ℹ️  Nothing to migrate');
+        } else {
+          console.log(`\n🎉 Migration ${options.dryRun ? 'preview' : 'completed'}: version ${result.from} → ${result.to}`);
+        }
+        break;
+      }
+      default:
+        console.error(`❌ Unknown command: ${options.command} (expected status, up or down)`);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await adapter.close();
+  }
+};
+
+if (require.main === module) {
+  main();
+}
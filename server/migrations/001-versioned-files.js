@@ -0,0 +1,91 @@
+/**
+ * Migration 001: Versioned Files
+ * Converts legacy file records (without version structure) to the
+ * versioned format, with the existing object as version 1
+ */
+
+const { randomUUID } = require('crypto');
+
+const MIGRATED_COMMENT = 'Initial version (migrated from legacy)';
+
+const isVersioned = (file) => Boolean(file.versions && file.currentVersion);
+
+// Wrap a legacy record's single object in a version list
+const toVersionedFile = (userId, file) => ({
+  ...file,
+  currentVersion: 1,
+  versions: [{
+    versionId: randomUUID(),
+    versionNumber: 1,
+    s3Key: file.s3Key,
+    fileSize: file.fileSize,
+    storageClass: file.storageClass || 'STANDARD',
+    uploadDate: file.uploadDate,
+    uploadedBy: userId,
+    comment: MIGRATED_COMMENT,
+    isActive: true,
+    checksum: null,
+    metadata: {}
+  }],
+  totalVersions: 1,
+  versioningEnabled: true
+});
+
+// Strip the version structure again, keeping the active version's object
+const toLegacyFile = (file) => {
+  const { currentVersion, versions, totalVersions, versioningEnabled, ...legacyFile } = file;
+  const activeVersion = versions.find(v => v.isActive) || versions[0];
+
+  return {
+    ...legacyFile,
+    s3Key: activeVersion.s3Key,
+    fileSize: activeVersion.fileSize,
+    storageClass: activeVersion.storageClass
+  };
+};
+
+const up = async ({ adapter, userIds, replaceAll, log }) => {
+  for (const userId of userIds) {
+    const files = await adapter.list('files', userId);
+    const legacyCount = files.filter(file => !isVersioned(file)).length;
+    if (legacyCount === 0) continue;
+
+    await replaceAll('files', userId, files.map(file =>
+      isVersioned(file) ? file : toVersionedFile(userId, file)
+    ));
+    log(`Converted ${legacyCount} legacy files for user ${userId}`);
+  }
+};
+
+// Only single-version files can go back to the legacy format without
+// losing history, so refuse when any file has more than one version
+const down = async ({ adapter, userIds, replaceAll, log }) => {
+  const blocked = [];
+  for (const userId of userIds) {
+    const files = await adapter.list('files', userId);
+    files
+      .filter(file => isVersioned(file) && file.versions.length > 1)
+      .forEach(file => blocked.push(`${userId}/${file.originalName}`));
+  }
+
+  if (blocked.length > 0) {
+    throw new Error(`Cannot roll back: ${blocked.length} files have more than one version (${blocked.slice(0, 5).join(', ')})`);
+  }
+
+  for (const userId of userIds) {
+    const files = await adapter.list('files', userId);
+    const versionedCount = files.filter(isVersioned).length;
+    if (versionedCount === 0) continue;
+
+    await replaceAll('files', userId, files.map(file =>
+      isVersioned(file) ? toLegacyFile(file) : file
+    ));
+    log(`Reverted ${versionedCount} files to the legacy format for user ${userId}`);
+  }
+};
+
+module.exports = {
+  name: 'versioned-files',
+  up,
+  down
+};
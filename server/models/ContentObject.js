@@ -0,0 +1,71 @@
+/**
+ * Content Object Model
+ * Handles deduplicated objects: one record per distinct content (keyed by
+ * its SHA-256) with the number of versions that reference it
+ */
+
+const { getAdapter } = require('../adapters');
+const { lockedByUser } = require('../utils/lock');
+
+const COLLECTION = 'contentObjects';
+
+// Read user content objects
+const readContentObjects = async (userId) => {
+  return getAdapter().list(COLLECTION, userId);
+};
+
+// Find content object by SHA-256
+const findContentObject = async (userId, sha256) => {
+  return getAdapter().findById(COLLECTION, userId, sha256);
+};
+
+// Add a reference to a content object, creating it with one reference
+// when it is new
+const addContentReference = async (userId, sha256, { s3Key, size, storageClass, etag = null }) => {
+  const adapter = getAdapter();
+  const existing = await adapter.findById(COLLECTION, userId, sha256);
+
+  if (existing) {
+    const updated = { ...existing, refCount: existing.refCount + 1 };
+    await adapter.update(COLLECTION, userId, sha256, updated);
+    return updated;
+  }
+
+  const contentObject = {
+    id: sha256,
+    s3Key,
+    size,
+    storageClass,
+    etag,
+    refCount: 1,
+    createdAt: new Date().toISOString()
+  };
+  await adapter.insert(COLLECTION, userId, contentObject);
+  return contentObject;
+};
+
+// Drop a reference; the record goes away with its last reference.
+// Returns the object with its remaining refCount, or null if unknown.
+const releaseContentReference = async (userId, sha256) => {
+  const adapter = getAdapter();
+  const existing = await adapter.findById(COLLECTION, userId, sha256);
+
+  if (!existing) {
+    return null;
+  }
+
+  const updated = { ...existing, refCount: existing.refCount - 1 };
+  if (updated.refCount <= 0) {
+    await adapter.remove(COLLECTION, userId, sha256);
+  } else {
+    await adapter.update(COLLECTION, userId, sha256, updated);
+  }
+  return updated;
+};
+
+module.exports = {
+  readContentObjects,
+  findContentObject,
+  addContentReference: lockedByUser(addContentReference),
+  releaseContentReference: lockedByUser(releaseContentReference)
+};
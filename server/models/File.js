@@ -3,10 +3,11 @@
  * Handles file data operations including version management
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
-const { DATA_DIR } = require('../config/database');
+const { getAdapter } = require('../adapters');
+const { lockedByUser } = require('../utils/lock');
+
+const COLLECTION = 'files';
 
 // Read user files
 const readFiles = async (userId) => {
@@ -15,49 +16,51 @@ const readFiles = async (userId) => {
     return [];
   }
   
-  const userFilesFile = path.join(DATA_DIR, userId, 'files.json');
-  try {
-    const data = await fs.readFile(userFilesFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+  return getAdapter().list(COLLECTION, userId);
 };
 
 // Write user files
 const writeFiles = async (userId, files) => {
-  const userFilesFile = path.join(DATA_DIR, userId, 'files.json');
-  await fs.writeFile(userFilesFile, JSON.stringify(files, null, 2));
+  await getAdapter().replaceAll(COLLECTION, userId, files);
 };
 
 // Find file by ID
 const findFileById = async (userId, fileId) => {
-  const files = await readFiles(userId);
-  return files.find(f => f.id === fileId);
+  return getAdapter().findById(COLLECTION, userId, fileId);
+};
+
+// Find files matching simple field equality (e.g. { parentFolderId })
+const findFiles = async (userId, query) => {
+  return getAdapter().find(COLLECTION, userId, query);
+};
+
+// Save a modified file record
+const saveFile = async (userId, file) => {
+  const saved = await getAdapter().update(COLLECTION, userId, file.id, file);
+  if (!saved) {
+    throw new Error('File not found');
+  }
+  return file;
 };
 
 // Add file with versioning support
 const addFile = async (userId, fileData) => {
-  const files = await readFiles(userId);
-  
   // Check if file with same name already exists
-  const existingFile = files.find(f => f.originalName === fileData.originalName && f.parentFolderId === fileData.parentFolderId);
+  const existingFile = await getAdapter().findOne(COLLECTION, userId, {
+    originalName: fileData.originalName,
+    parentFolderId: fileData.parentFolderId
+  });
   
   if (existingFile) {
-    // Check if existing file has version structure
-    if (!existingFile.versions || !existingFile.currentVersion) {
-      // Convert legacy file to versioned file
-      const legacyFileConverted = await convertLegacyFileToVersioned(userId, existingFile);
-      // Now create new version
-      return await createNewVersion(userId, legacyFileConverted.id, fileData);
-    } else {
-      // Create new version of existing versioned file
-      return await createNewVersion(userId, existingFile.id, fileData);
-    }
+    // Create new version of existing file
+    return await createNewVersion(userId, existingFile.id, fileData);
   } else {
-    // Create new file with initial version
+    // Create new file with initial version. Metadata given with the upload
+    // belongs to the version; the file's own metadata starts out empty.
+    const { metadata: versionMetadata, ...fileFields } = fileData;
     const newFile = {
-      ...fileData,
+      ...fileFields,
+      metadata: {},
       currentVersion: 1,
       versions: [{
         versionId: randomUUID(),
@@ -70,63 +73,31 @@ const addFile = async (userId, fileData) => {
         comment: fileData.comment || 'Initial version',
         isActive: true,
         checksum: fileData.checksum || null,
-        metadata: {}
+        etag: fileData.etag || null,
+        s3Checksum: fileData.s3Checksum || null,
+        detectedType: fileData.detectedType || null,
+        scanStatus: fileData.scanStatus || null,
+        previewStatus: fileData.previewStatus || null,
+        previews: null,
+        metadata: versionMetadata || {}
       }],
       totalVersions: 1,
       versioningEnabled: true
     };
     
-    files.unshift(newFile);
-    await writeFiles(userId, files);
+    await getAdapter().insert(COLLECTION, userId, newFile, { prepend: true });
     return newFile;
   }
 };
 
-// Convert legacy file (without version structure) to versioned file
-const convertLegacyFileToVersioned = async (userId, legacyFile) => {
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === legacyFile.id);
-  
-  if (fileIndex === -1) {
-    throw new Error('Legacy file not found');
-  }
-  
-  // Convert legacy file to versioned structure
-  const versionedFile = {
-    ...legacyFile,
-    currentVersion: 1,
-    versions: [{
-      versionId: randomUUID(),
-      versionNumber: 1,
-      s3Key: legacyFile.s3Key,
-      fileSize: legacyFile.fileSize,
-      storageClass: legacyFile.storageClass,
-      uploadDate: legacyFile.uploadDate,
-      uploadedBy: userId,
-      comment: 'Initial version (converted from legacy)',
-      isActive: true,
-      checksum: null,
-      metadata: {}
-    }],
-    totalVersions: 1,
-    versioningEnabled: true
-  };
-  
-  files[fileIndex] = versionedFile;
-  await writeFiles(userId, files);
-  return versionedFile;
-};
-
 // Create new version of existing file
 const createNewVersion = async (userId, fileId, versionData) => {
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === fileId);
+  const file = await findFileById(userId, fileId);
   
-  if (fileIndex === -1) {
+  if (!file) {
     throw new Error('File not found');
   }
-  
-  const file = files[fileIndex];
+
   const newVersionNumber = file.currentVersion + 1;
   
   // Mark all existing versions as inactive
@@ -144,6 +115,12 @@ const createNewVersion = async (userId, fileId, versionData) => {
     comment: versionData.comment || `Version ${newVersionNumber}`,
     isActive: true,
     checksum: versionData.checksum || null,
+    etag: versionData.etag || null,
+    s3Checksum: versionData.s3Checksum || null,
+    detectedType: versionData.detectedType || null,
+    scanStatus: versionData.scanStatus || null,
+    previewStatus: versionData.previewStatus || null,
+    previews: null,
     metadata: versionData.metadata || {}
   };
   
@@ -158,42 +135,39 @@ const createNewVersion = async (userId, fileId, versionData) => {
   file.uploadDate = versionData.uploadDate;
   file.s3Key = versionData.s3Key;
   file.url = versionData.url;
+  file.checksum = newVersion.checksum;
+  file.detectedType = newVersion.detectedType;
+  file.scanStatus = newVersion.scanStatus;
+  file.previewStatus = newVersion.previewStatus;
   
-  files[fileIndex] = file;
-  await writeFiles(userId, files);
+  await saveFile(userId, file);
   return file;
 };
 
 // Update file
 const updateFile = async (userId, fileId, updateData) => {
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === fileId);
+  const file = await findFileById(userId, fileId);
   
-  if (fileIndex === -1) {
+  if (!file) {
     throw new Error('File not found');
   }
   
-  files[fileIndex] = { ...files[fileIndex], ...updateData };
-  await writeFiles(userId, files);
-  return files[fileIndex];
+  return saveFile(userId, { ...file, ...updateData });
 };
 
 // Delete file
 const deleteFile = async (userId, fileId) => {
-  const files = await readFiles(userId);
-  const updatedFiles = files.filter(f => f.id !== fileId);
-  await writeFiles(userId, updatedFiles);
+  await getAdapter().remove(COLLECTION, userId, fileId);
   return true;
 };
 
 // Delete multiple files
 const deleteMultipleFiles = async (userId, fileIds) => {
-  const files = await readFiles(userId);
   const results = [];
   
   for (const fileId of fileIds) {
     try {
-      const fileExists = files.some(f => f.id === fileId);
+      const fileExists = !!(await findFileById(userId, fileId));
       if (fileExists) {
         results.push({ id: fileId, success: true });
       } else {
@@ -206,8 +180,7 @@ const deleteMultipleFiles = async (userId, fileIds) => {
   
   // Remove all successful files
   const successfulIds = results.filter(r => r.success).map(r => r.id);
-  const updatedFiles = files.filter(f => !successfulIds.includes(f.id));
-  await writeFiles(userId, updatedFiles);
+  await getAdapter().removeMany(COLLECTION, userId, successfulIds);
   
   return results;
 };
@@ -224,20 +197,19 @@ const getVersionHistory = async (userId, fileId) => {
     originalName: file.originalName,
     currentVersion: file.currentVersion,
     totalVersions: file.totalVersions,
+    metadata: file.metadata || {},
     versions: file.versions.sort((a, b) => b.versionNumber - a.versionNumber) // Latest first
   };
 };
 
 // Restore a specific version
 const restoreVersion = async (userId, fileId, versionId) => {
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === fileId);
+  const file = await findFileById(userId, fileId);
   
-  if (fileIndex === -1) {
+  if (!file) {
     throw new Error('File not found');
   }
-  
-  const file = files[fileIndex];
+
   const versionToRestore = file.versions.find(v => v.versionId === versionId);
   
   if (!versionToRestore) {
@@ -254,23 +226,24 @@ const restoreVersion = async (userId, fileId, versionId) => {
   file.fileSize = versionToRestore.fileSize;
   file.storageClass = versionToRestore.storageClass;
   file.s3Key = versionToRestore.s3Key;
+  file.checksum = versionToRestore.checksum || null;
+  file.detectedType = versionToRestore.detectedType || null;
+  file.scanStatus = versionToRestore.scanStatus || null;
+  file.previewStatus = versionToRestore.previewStatus || null;
   file.currentVersion = versionToRestore.versionNumber;
   
-  files[fileIndex] = file;
-  await writeFiles(userId, files);
+  await saveFile(userId, file);
   return file;
 };
 
 // Delete a specific version
 const deleteVersion = async (userId, fileId, versionId) => {
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === fileId);
+  const file = await findFileById(userId, fileId);
   
-  if (fileIndex === -1) {
+  if (!file) {
     throw new Error('File not found');
   }
-  
-  const file = files[fileIndex];
+
   const versionIndex = file.versions.findIndex(v => v.versionId === versionId);
   
   if (versionIndex === -1) {
@@ -292,8 +265,7 @@ const deleteVersion = async (userId, fileId, versionId) => {
   file.versions.splice(versionIndex, 1);
   file.totalVersions = file.versions.length;
   
-  files[fileIndex] = file;
-  await writeFiles(userId, files);
+  await saveFile(userId, file);
   
   return {
     deletedVersion: versionToDelete,
@@ -322,42 +294,240 @@ const getVersionById = async (userId, fileId, versionId) => {
 
 // Update version metadata (comment, etc.)
 const updateVersionMetadata = async (userId, fileId, versionId, metadata) => {
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === fileId);
+  const file = await findFileById(userId, fileId);
   
-  if (fileIndex === -1) {
+  if (!file) {
     throw new Error('File not found');
   }
-  
-  const file = files[fileIndex];
+
   const version = file.versions.find(v => v.versionId === versionId);
   
   if (!version) {
     throw new Error('Version not found');
   }
   
-  // Update version metadata
+  // Update version metadata (merged; a null value removes the key)
   if (metadata.comment !== undefined) version.comment = metadata.comment;
-  if (metadata.metadata !== undefined) version.metadata = { ...version.metadata, ...metadata.metadata };
+  if (metadata.metadata !== undefined) {
+    version.metadata = Object.fromEntries(
+      Object.entries({ ...version.metadata, ...metadata.metadata }).filter(([, value]) => value !== null)
+    );
+  }
+  
+  await saveFile(userId, file);
+  return version;
+};
+
+// Record integrity problems found by the consistency checker
+// issues maps versionId -> issue type, or null once a version is healthy
+const setVersionIntegrity = async (userId, fileId, issues) => {
+  const file = await findFileById(userId, fileId);
+  
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  const checkedAt = new Date().toISOString();
+  file.versions.forEach(version => {
+    if (!(version.versionId in issues)) return;
+    if (issues[version.versionId]) {
+      version.integrity = { status: 'broken', issue: issues[version.versionId], detectedAt: checkedAt };
+    } else {
+      delete version.integrity;
+    }
+  });
+  
+  file.integrityStatus = file.versions.some(v => v.integrity) ? 'broken' : 'ok';
+  
+  await saveFile(userId, file);
+  return file;
+};
+
+// Record the result of a malware scan on versions of a file. scan is
+// { status, scanner, signature, s3Key? }; s3Key moves the versions to a
+// new object (quarantine). The file's scanStatus follows its active version.
+const setVersionScan = async (userId, fileId, versionIds, scan) => {
+  const file = await findFileById(userId, fileId);
+  
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  const scannedAt = new Date().toISOString();
+  file.versions.forEach(version => {
+    if (!versionIds.includes(version.versionId)) return;
+    version.scanStatus = scan.status;
+    version.scanResult = { scanner: scan.scanner, signature: scan.signature || null, scannedAt };
+    if (scan.s3Key) {
+      version.s3Key = scan.s3Key;
+      if (version.isActive) file.s3Key = scan.s3Key;
+    }
+  });
+  
+  const active = file.versions.find(v => v.isActive);
+  file.scanStatus = active ? active.scanStatus || null : file.scanStatus;
+  
+  await saveFile(userId, file);
+  return file;
+};
+
+// Record the previews generated for a version. result is { status,
+// previews? } with previews mapping each size to its object key. The
+// file's previewStatus follows its active version.
+const setVersionPreviews = async (userId, fileId, versionId, result) => {
+  const file = await findFileById(userId, fileId);
+  
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  const version = file.versions.find(v => v.versionId === versionId);
+  
+  if (!version) {
+    throw new Error('Version not found');
+  }
+  
+  version.previewStatus = result.status;
+  version.previews = result.previews || null;
+  if (version.isActive) {
+    file.previewStatus = version.previewStatus;
+  }
+  
+  await saveFile(userId, file);
+  return version;
+};
+
+// Record the SHA-256 of a version's content once it is known (uploads
+// hashed after they were recorded). The file's checksum follows its
+// active version.
+const setVersionChecksum = async (userId, fileId, versionId, checksum) => {
+  const file = await findFileById(userId, fileId);
+  
+  if (!file) {
+    throw new Error('File not found');
+  }
   
-  files[fileIndex] = file;
-  await writeFiles(userId, files);
+  const version = file.versions.find(v => v.versionId === versionId);
+  
+  if (!version) {
+    throw new Error('Version not found');
+  }
+  
+  version.checksum = checksum;
+  if (version.isActive) {
+    file.checksum = checksum;
+  }
+  
+  await saveFile(userId, file);
   return version;
 };
 
+// Give a file a new name and/or folder. keyMap maps old version s3Keys to
+// the copies made at the new location; versions not in it (added while
+// the objects were copied) keep their key. With merge, a file of the same
+// name in the target folder absorbs this file's versions, otherwise a
+// name conflict is an error. Returns { file, mergedInto }.
+const relocateFile = async (userId, fileId, { originalName, parentFolderId, keyMap, merge = false }) => {
+  const adapter = getAdapter();
+  const file = await findFileById(userId, fileId);
+  
+  if (!file) {
+    throw new Error('File not found');
+  }
+  
+  const remap = (key) => keyMap[key] || key;
+  const sameName = await adapter.find(COLLECTION, userId, { originalName, parentFolderId });
+  const existing = sameName.find(f => f.id !== fileId);
+  
+  if (existing && !merge) {
+    throw new Error('A file with this name already exists in the target folder');
+  }
+  
+  if (!existing) {
+    const moved = {
+      ...file,
+      originalName,
+      parentFolderId,
+      s3Key: remap(file.s3Key),
+      versions: file.versions.map(v => ({ ...v, s3Key: remap(v.s3Key) }))
+    };
+    if (moved.s3Key !== file.s3Key) {
+      moved.fileName = moved.s3Key.split('/').pop();
+    }
+    await saveFile(userId, moved);
+    return { file: moved, mergedInto: null };
+  }
+  
+  // Merge: append the moved versions after the existing ones, keeping
+  // the moved file's active version active
+  const activeVersionId = (file.versions.find(v => v.isActive) || file.versions[file.versions.length - 1]).versionId;
+  let versionNumber = Math.max(0, ...existing.versions.map(v => v.versionNumber));
+  const movedVersions = [...file.versions]
+    .sort((a, b) => a.versionNumber - b.versionNumber)
+    .map(v => ({ ...v, s3Key: remap(v.s3Key), versionNumber: ++versionNumber }));
+  
+  existing.versions.forEach(v => v.isActive = false);
+  existing.versions.push(...movedVersions);
+  
+  const active = movedVersions.find(v => v.versionId === activeVersionId);
+  active.isActive = true;
+  existing.totalVersions = existing.versions.length;
+  existing.currentVersion = active.versionNumber;
+  existing.fileSize = active.fileSize;
+  existing.storageClass = active.storageClass;
+  existing.uploadDate = active.uploadDate;
+  existing.fileType = file.fileType;
+  existing.s3Key = active.s3Key;
+  existing.checksum = active.checksum || null;
+  existing.detectedType = active.detectedType || null;
+  existing.scanStatus = active.scanStatus || null;
+  existing.previewStatus = active.previewStatus || null;
+  existing.fileName = active.s3Key.split('/').pop();
+  
+  await saveFile(userId, existing);
+  await adapter.remove(COLLECTION, userId, fileId);
+  return { file: existing, mergedInto: existing.id };
+};
+
+// Add a complete file record (e.g. a copy) as a file of its own; unlike
+// addFile a file of the same name in the folder is an error, not a
+// reason to add a version
+const insertFile = async (userId, file) => {
+  const existing = await getAdapter().findOne(COLLECTION, userId, {
+    originalName: file.originalName,
+    parentFolderId: file.parentFolderId
+  });
+  
+  if (existing) {
+    throw new Error('A file with this name already exists in the target folder');
+  }
+  
+  await getAdapter().insert(COLLECTION, userId, file, { prepend: true });
+  return file;
+};
+
+// Read-modify-write operations hold the user's lock so concurrent
+// requests (e.g. parallel uploads) cannot overwrite each other
 module.exports = {
   readFiles,
   writeFiles,
   findFileById,
-  addFile,
-  updateFile,
+  findFiles,
+  saveFile,
+  addFile: lockedByUser(addFile),
+  insertFile: lockedByUser(insertFile),
+  updateFile: lockedByUser(updateFile),
   deleteFile,
-  deleteMultipleFiles,
-  convertLegacyFileToVersioned,
-  createNewVersion,
+  deleteMultipleFiles: lockedByUser(deleteMultipleFiles),
+  createNewVersion: lockedByUser(createNewVersion),
   getVersionHistory,
-  restoreVersion,
-  deleteVersion,
+  restoreVersion: lockedByUser(restoreVersion),
+  deleteVersion: lockedByUser(deleteVersion),
   getVersionById,
-  updateVersionMetadata
+  updateVersionMetadata: lockedByUser(updateVersionMetadata),
+  setVersionIntegrity: lockedByUser(setVersionIntegrity),
+  setVersionScan: lockedByUser(setVersionScan),
+  setVersionPreviews: lockedByUser(setVersionPreviews),
+  setVersionChecksum: lockedByUser(setVersionChecksum),
+  relocateFile: lockedByUser(relocateFile)
 };
\ No newline at end of file
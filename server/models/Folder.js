@@ -3,51 +3,26 @@
  * Handles folder data operations
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const { randomUUID } = require('crypto');
+const { getAdapter } = require('../adapters');
+const { lockedByUser } = require('../utils/lock');
 
-const DATA_DIR = path.join(__dirname, '../data');
-const FOLDERS_FILE = path.join(DATA_DIR, 'folders.json');
+const COLLECTION = 'folders';
 
-// Initialize folders file if it doesn't exist
-const initializeFoldersFile = async () => {
-  try {
-    // Ensure data directory exists
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    
-    // Check if folders file exists
-    await fs.access(FOLDERS_FILE);
-  } catch (error) {
-    // Create folders file if it doesn't exist
-    await fs.writeFile(FOLDERS_FILE, JSON.stringify([], null, 2));
-    console.log('📁 Folders file initialized');
-  }
-};
-
-// Read folders from file
+// Read folders for a user
 const readFolders = async (userId) => {
-  await initializeFoldersFile();
-  const data = await fs.readFile(FOLDERS_FILE, 'utf8');
-  const allFolders = JSON.parse(data);
-  return allFolders.filter(folder => folder.userId === userId);
-};
-
-// Write folders to file
-const writeFolders = async (allFolders) => {
-  await fs.writeFile(FOLDERS_FILE, JSON.stringify(allFolders, null, 2));
+  return getAdapter().list(COLLECTION, userId);
 };
 
 // Add new folder
 const addFolder = async (userId, folderData) => {
-  const allFolders = JSON.parse(await fs.readFile(FOLDERS_FILE, 'utf8'));
+  const adapter = getAdapter();
   
   // Check if folder with same name already exists in the same parent
-  const existingFolder = allFolders.find(f => 
-    f.userId === userId && 
-    f.name === folderData.name && 
-    f.parentFolderId === folderData.parentFolderId
-  );
+  const existingFolder = await adapter.findOne(COLLECTION, userId, {
+    name: folderData.name,
+    parentFolderId: folderData.parentFolderId || null
+  });
   
   if (existingFolder) {
     throw new Error('A folder with this name already exists in this location');
@@ -62,77 +37,89 @@ const addFolder = async (userId, folderData) => {
     isFolder: true
   };
   
-  allFolders.push(newFolder);
-  await writeFolders(allFolders);
+  await adapter.insert(COLLECTION, userId, newFolder);
   
   return newFolder;
 };
 
 // Find folder by ID
 const findFolderById = async (userId, folderId) => {
-  const folders = await readFolders(userId);
-  return folders.find(folder => folder.id === folderId);
+  return getAdapter().findById(COLLECTION, userId, folderId);
 };
 
 // Delete folder
 const deleteFolder = async (userId, folderId) => {
-  const allFolders = JSON.parse(await fs.readFile(FOLDERS_FILE, 'utf8'));
+  const adapter = getAdapter();
   
   // Find the folder to delete
-  const folderIndex = allFolders.findIndex(f => f.id === folderId && f.userId === userId);
-  if (folderIndex === -1) {
+  const folder = await adapter.findById(COLLECTION, userId, folderId);
+  if (!folder) {
     throw new Error('Folder not found');
   }
   
   // Check if folder has subfolders or files
-  const hasSubfolders = allFolders.some(f => f.parentFolderId === folderId && f.userId === userId);
+  const hasSubfolders = await adapter.findOne(COLLECTION, userId, { parentFolderId: folderId });
   if (hasSubfolders) {
     throw new Error('Cannot delete folder that contains subfolders. Please delete subfolders first.');
   }
   
-  // Check if folder has files (this would need to be checked against files.json)
-  const { readFiles } = require('./File');
-  const files = await readFiles(userId);
-  const hasFiles = files.some(f => f.parentFolderId === folderId);
-  if (hasFiles) {
+  // Check if folder has files
+  const { findFiles } = require('./File');
+  const folderFiles = await findFiles(userId, { parentFolderId: folderId });
+  if (folderFiles.length > 0) {
     throw new Error('Cannot delete folder that contains files. Please move or delete files first.');
   }
   
   // Remove the folder
-  allFolders.splice(folderIndex, 1);
-  await writeFolders(allFolders);
+  await adapter.remove(COLLECTION, userId, folderId);
   
   return true;
 };
 
 // Update folder
 const updateFolder = async (userId, folderId, updates) => {
-  const allFolders = JSON.parse(await fs.readFile(FOLDERS_FILE, 'utf8'));
+  const adapter = getAdapter();
   
-  const folderIndex = allFolders.findIndex(f => f.id === folderId && f.userId === userId);
-  if (folderIndex === -1) {
+  const folder = await adapter.findById(COLLECTION, userId, folderId);
+  if (!folder) {
     throw new Error('Folder not found');
   }
   
   // Check for name conflicts if name is being updated
   if (updates.name) {
-    const existingFolder = allFolders.find(f => 
-      f.userId === userId && 
-      f.name === updates.name && 
-      f.parentFolderId === allFolders[folderIndex].parentFolderId &&
-      f.id !== folderId
-    );
+    const sameNameFolders = await adapter.find(COLLECTION, userId, {
+      name: updates.name,
+      parentFolderId: folder.parentFolderId
+    });
     
-    if (existingFolder) {
+    if (sameNameFolders.some(f => f.id !== folderId)) {
       throw new Error('A folder with this name already exists in this location');
     }
   }
   
   // Update the folder
-  allFolders[folderIndex] = { ...allFolders[folderIndex], ...updates };
-  await writeFolders(allFolders);
+  const updatedFolder = { ...folder, ...updates };
+  await adapter.update(COLLECTION, userId, folderId, updatedFolder);
+  
+  return updatedFolder;
+};
+
+// Put back a complete folder record (e.g. one restored from the trash)
+// under its original id
+const insertFolder = async (userId, folder) => {
+  const adapter = getAdapter();
+  
+  const existingFolder = await adapter.findOne(COLLECTION, userId, {
+    name: folder.name,
+    parentFolderId: folder.parentFolderId || null
+  });
+  
+  if (existingFolder) {
+    throw new Error('A folder with this name already exists in this location');
+  }
   
-  return allFolders[folderIndex];
+  await adapter.insert(COLLECTION, userId, folder);
+  return folder;
 };
 
 // Get folder path (for breadcrumbs)
@@ -156,9 +143,10 @@ const getFolderPath = async (userId, folderId) => {
 
 module.exports = {
   readFolders,
-  addFolder,
+  addFolder: lockedByUser(addFolder),
   findFolderById,
-  deleteFolder,
-  updateFolder,
+  deleteFolder: lockedByUser(deleteFolder),
+  updateFolder: lockedByUser(updateFolder),
+  insertFolder: lockedByUser(insertFolder),
   getFolderPath
 };
\ No newline at end of file
@@ -3,9 +3,10 @@
  * Handles shared file data operations
  */
 
-const fs = require('fs').promises;
-const path = require('path');
-const { DATA_DIR } = require('../config/database');
+const { getAdapter } = require('../adapters');
+const { lockedByUser } = require('../utils/lock');
+
+const COLLECTION = 'sharedFiles';
 
 // Read user shared files
 const readSharedFiles = async (userId) => {
@@ -13,58 +14,50 @@ const readSharedFiles = async (userId) => {
     console.error('readSharedFiles called without userId');
     return [];
   }
-  
-  const userSharedFilesFile = path.join(DATA_DIR, userId, 'sharedFiles.json');
-  try {
-    const data = await fs.readFile(userSharedFilesFile, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
+
+  return getAdapter().list(COLLECTION, userId);
 };
 
 // Write user shared files
 const writeSharedFiles = async (userId, sharedFiles) => {
-  const userSharedFilesFile = path.join(DATA_DIR, userId, 'sharedFiles.json');
-  await fs.writeFile(userSharedFilesFile, JSON.stringify(sharedFiles, null, 2));
+  await getAdapter().replaceAll(COLLECTION, userId, sharedFiles);
 };
 
 // Add shared file
 const addSharedFile = async (userId, sharedFileData) => {
-  const sharedFiles = await readSharedFiles(userId);
-  
+  const adapter = getAdapter();
+
   // Check if file is already shared, update if so
-  const existingIndex = sharedFiles.findIndex(sf => sf.fileId === sharedFileData.fileId);
-  if (existingIndex >= 0) {
+  const existing = await adapter.findOne(COLLECTION, userId, { fileId: sharedFileData.fileId });
+  if (existing) {
     // Update existing share with new token and expiry
-    sharedFiles[existingIndex] = { ...sharedFiles[existingIndex], ...sharedFileData };
+    await adapter.update(COLLECTION, userId, existing.id, { ...existing, ...sharedFileData, id: existing.id });
   } else {
-    sharedFiles.unshift(sharedFileData); // Add to beginning
+    await adapter.insert(COLLECTION, userId, sharedFileData, { prepend: true }); // Add to beginning
   }
-  
-  await writeSharedFiles(userId, sharedFiles);
+
   return sharedFileData;
 };
 
 // Update shared file
 const updateSharedFile = async (userId, fileId, updateData) => {
-  const sharedFiles = await readSharedFiles(userId);
-  const sharedFileIndex = sharedFiles.findIndex(sf => sf.fileId === fileId);
-  
-  if (sharedFileIndex === -1) {
+  const adapter = getAdapter();
+  const sharedFile = await adapter.findOne(COLLECTION, userId, { fileId });
+
+  if (!sharedFile) {
     throw new Error('Shared file not found');
   }
-  
-  sharedFiles[sharedFileIndex] = { ...sharedFiles[sharedFileIndex], ...updateData };
-  await writeSharedFiles(userId, sharedFiles);
-  return sharedFiles[sharedFileIndex];
+
+  const updatedSharedFile = { ...sharedFile, ...updateData };
+  await adapter.update(COLLECTION, userId, sharedFile.id, updatedSharedFile);
+  return updatedSharedFile;
 };
 
 // Remove shared file
 const removeSharedFile = async (userId, fileId) => {
-  const sharedFiles = await readSharedFiles(userId);
-  const updatedSharedFiles = sharedFiles.filter(sf => sf.fileId !== fileId);
-  await writeSharedFiles(userId, updatedSharedFiles);
+  const adapter = getAdapter();
+  const sharedFiles = await adapter.find(COLLECTION, userId, { fileId });
+  await adapter.removeMany(COLLECTION, userId, sharedFiles.map(sf => sf.id));
   return true;
 };
 
@@ -73,20 +66,19 @@ const cleanExpiredSharedFiles = async (userId) => {
   const sharedFiles = await readSharedFiles(userId);
   const now = Date.now();
   const expired = sharedFiles.filter(sf => sf.expiryTimestamp && now > sf.expiryTimestamp);
-  
+
   if (expired.length > 0) {
-    const updatedSharedFiles = sharedFiles.filter(sf => !expired.some(e => e.id === sf.id));
-    await writeSharedFiles(userId, updatedSharedFiles);
+    await getAdapter().removeMany(COLLECTION, userId, expired.map(sf => sf.id));
   }
-  
+
   return expired.length;
 };
 
 module.exports = {
   readSharedFiles,
   writeSharedFiles,
-  addSharedFile,
-  updateSharedFile,
-  removeSharedFile,
-  cleanExpiredSharedFiles
-};
\ No newline at end of file
+  addSharedFile: lockedByUser(addSharedFile),
+  updateSharedFile: lockedByUser(updateSharedFile),
+  removeSharedFile: lockedByUser(removeSharedFile),
+  cleanExpiredSharedFiles: lockedByUser(cleanExpiredSharedFiles)
+};
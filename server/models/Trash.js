@@ -0,0 +1,78 @@
+/**
+ * Trash Model
+ * Handles deleted files and folders kept until they are restored or purged
+ */
+
+const { getAdapter } = require('../adapters');
+
+const COLLECTION = 'trash';
+
+// Read user trash entries
+const readTrash = async (userId) => {
+  return getAdapter().list(COLLECTION, userId);
+};
+
+// File records held in the trash: trashed files and the files inside
+// trashed folders
+const readTrashedFiles = async (userId) => {
+  const entries = await readTrash(userId);
+  return entries.flatMap(entry => entry.itemType === 'file' ? [entry.item] : (entry.contents?.files || []));
+};
+
+// Replace trashed file records (see readTrashedFiles): fn gets each one
+// and returns its replacement, or null to keep it as it is
+const updateTrashedFiles = async (userId, fn) => {
+  for (const entry of await readTrash(userId)) {
+    if (entry.itemType === 'file') {
+      const item = fn(entry.item);
+      if (item) {
+        await updateTrashItem(userId, entry.id, { ...entry, item });
+      }
+      continue;
+    }
+    const files = entry.contents?.files || [];
+    const replaced = files.map(file => fn(file));
+    if (replaced.some(Boolean)) {
+      const contents = { ...entry.contents, files: files.map((file, i) => replaced[i] || file) };
+      await updateTrashItem(userId, entry.id, { ...entry, contents });
+    }
+  }
+};
+
+// Add trash entry
+const addTrashItem = async (userId, entry) => {
+  await getAdapter().insert(COLLECTION, userId, entry, { prepend: true });
+  return entry;
+};
+
+// Find trash entry by ID
+const findTrashItem = async (userId, trashId) => {
+  return getAdapter().findById(COLLECTION, userId, trashId);
+};
+
+// Find the trash entry holding an item (file or folder id)
+const findTrashItemByItemId = async (userId, itemId) => {
+  return getAdapter().findOne(COLLECTION, userId, { itemId });
+};
+
+// Replace trash entry
+const updateTrashItem = async (userId, trashId, entry) => {
+  await getAdapter().update(COLLECTION, userId, trashId, entry);
+  return entry;
+};
+
+// Remove trash entry
+const removeTrashItem = async (userId, trashId) => {
+  await getAdapter().remove(COLLECTION, userId, trashId);
+};
+
+module.exports = {
+  readTrash,
+  readTrashedFiles,
+  updateTrashedFiles,
+  addTrashItem,
+  findTrashItem,
+  findTrashItemByItemId,
+  updateTrashItem,
+  removeTrashItem
+};
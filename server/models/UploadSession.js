@@ -0,0 +1,52 @@
+/**
+ * Upload Session Model
+ * Handles resumable upload session data operations
+ */
+
+const { getAdapter } = require('../adapters');
+const { lockedByUser } = require('../utils/lock');
+
+const COLLECTION = 'uploadSessions';
+
+// Read user upload sessions
+const readUploadSessions = async (userId) => {
+  return getAdapter().list(COLLECTION, userId);
+};
+
+// Add upload session
+const addUploadSession = async (userId, sessionData) => {
+  await getAdapter().insert(COLLECTION, userId, sessionData);
+  return sessionData;
+};
+
+// Find upload session by ID
+const findUploadSession = async (userId, sessionId) => {
+  return getAdapter().findById(COLLECTION, userId, sessionId);
+};
+
+// Update upload session
+const updateUploadSession = async (userId, sessionId, updates) => {
+  const adapter = getAdapter();
+  const session = await adapter.findById(COLLECTION, userId, sessionId);
+
+  if (!session) {
+    throw new Error('Upload session not found');
+  }
+
+  const updatedSession = { ...session, ...updates, updatedAt: new Date().toISOString() };
+  await adapter.update(COLLECTION, userId, sessionId, updatedSession);
+  return updatedSession;
+};
+
+// Remove upload session
+const removeUploadSession = async (userId, sessionId) => {
+  await getAdapter().remove(COLLECTION, userId, sessionId);
+};
+
+module.exports = {
+  readUploadSessions,
+  addUploadSession,
+  findUploadSession,
+  updateUploadSession: lockedByUser(updateUploadSession),
+  removeUploadSession
+};
@@ -3,64 +3,53 @@
  * Handles user data operations
  */
 
-const fs = require('fs').promises;
-const { USERS_FILE } = require('../config/database');
+const { getAdapter } = require('../adapters');
+const { lockedByUser } = require('../utils/lock');
+
+const COLLECTION = 'users';
 
 // Read all users
 const readUsers = async () => {
-  try {
-    const data = await fs.readFile(USERS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // Return empty array if file doesn't exist
-    return [];
-  }
+  return getAdapter().list(COLLECTION, null);
 };
 
 // Write users to file
 const writeUsers = async (users) => {
-  await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+  await getAdapter().replaceAll(COLLECTION, null, users);
 };
 
 // Find user by ID
 const findUserById = async (userId) => {
-  const users = await readUsers();
-  return users.find(u => u.id === userId);
+  return getAdapter().findById(COLLECTION, null, userId);
 };
 
 // Find user by email
 const findUserByEmail = async (email) => {
-  const users = await readUsers();
-  return users.find(u => u.email === email);
+  return getAdapter().findOne(COLLECTION, null, { email });
 };
 
 // Create new user
 const createUser = async (userData) => {
-  const users = await readUsers();
-  users.push(userData);
-  await writeUsers(users);
+  await getAdapter().insert(COLLECTION, null, userData);
   return userData;
 };
 
 // Update user
 const updateUser = async (userId, updateData) => {
-  const users = await readUsers();
-  const userIndex = users.findIndex(u => u.id === userId);
-  
-  if (userIndex === -1) {
+  const user = await findUserById(userId);
+
+  if (!user) {
     throw new Error('User not found');
   }
-  
-  users[userIndex] = { ...users[userIndex], ...updateData };
-  await writeUsers(users);
-  return users[userIndex];
+
+  const updatedUser = { ...user, ...updateData };
+  await getAdapter().update(COLLECTION, null, userId, updatedUser);
+  return updatedUser;
 };
 
 // Delete user
 const deleteUser = async (userId) => {
-  const users = await readUsers();
-  const updatedUsers = users.filter(u => u.id !== userId);
-  await writeUsers(updatedUsers);
+  await getAdapter().remove(COLLECTION, null, userId);
   return true;
 };
 
@@ -70,6 +59,6 @@ module.exports = {
   findUserById,
   findUserByEmail,
   createUser,
-  updateUser,
+  updateUser: lockedByUser(updateUser),
   deleteUser
-};
\ No newline at end of file
+};
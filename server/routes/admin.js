@@ -0,0 +1,120 @@
+/**
+ * Admin Routes
+ * Maintenance endpoints restricted to ADMIN_EMAILS accounts
+ */
+
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { checkUserById, checkAllUsers } = require('../services/consistencyService');
+const { getTiers } = require('../services/contentTypeService');
+const { isValidLimit, getQuotaStatus } = require('../services/quotaService');
+const { findUserById, updateUser } = require('../models/User');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// Repair options from the request body (both opt-in)
+const getRepairOptions = (body = {}) => ({
+  adoptOrphans: body.adoptOrphans === true,
+  markBroken: body.markBroken === true
+});
+
+// Check every user's records against their bucket (report only)
+router.get('/fsck', async (req, res) => {
+  try {
+    const results = await checkAllUsers();
+    res.json({ results });
+  } catch (error) {
+    console.error('Consistency check error:', error);
+    res.status(500).json({ error: 'Failed to run consistency check' });
+  }
+});
+
+// Check one user's records against their bucket (report only)
+router.get('/fsck/:userId', async (req, res) => {
+  try {
+    const result = await checkUserById(req.params.userId);
+    res.json(result);
+  } catch (error) {
+    console.error('Consistency check error:', error);
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to run consistency check' });
+  }
+});
+
+// Check one user and apply the requested repairs
+router.post('/fsck/:userId/repair', async (req, res) => {
+  try {
+    const options = getRepairOptions(req.body);
+    if (!options.adoptOrphans && !options.markBroken) {
+      return res.status(400).json({ error: 'Choose at least one repair: adoptOrphans or markBroken' });
+    }
+
+    const result = await checkUserById(req.params.userId, options);
+    console.log(`🔧 Consistency repair for user ${req.params.userId} by ${req.user.email}: ${result.repairs.adopted.length} adopted, ${result.repairs.markedBroken.length} marked broken`);
+    res.json(result);
+  } catch (error) {
+    console.error('Consistency repair error:', error);
+    if (error.message === 'User not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to run consistency repair' });
+  }
+});
+
+// Set a user's tier, which decides the file types they may upload
+router.put('/users/:userId/tier', async (req, res) => {
+  try {
+    const { tier } = req.body;
+    if (!getTiers().includes(tier)) {
+      return res.status(400).json({ error: `Unknown tier, expected one of: ${getTiers().join(', ')}` });
+    }
+    if (!(await findUserById(req.params.userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await updateUser(req.params.userId, { tier });
+    console.log(`🎚️ Tier of user ${user.id} set to ${tier} by ${req.user.email}`);
+    res.json({ userId: user.id, tier: user.tier });
+  } catch (error) {
+    console.error('Set tier error:', error);
+    res.status(500).json({ error: 'Failed to set tier' });
+  }
+});
+
+// Override a user's storage quota: bytes and/or files, each a
+// non-negative integer or null for unlimited; quota: null goes back to
+// the tier's limits
+router.put('/users/:userId/quota', async (req, res) => {
+  try {
+    let quota = null;
+    if (req.body.quota !== null) {
+      const { bytes, files } = req.body;
+      if (bytes === undefined && files === undefined) {
+        return res.status(400).json({ error: 'Set bytes and/or files, or quota: null for the tier default' });
+      }
+      if ((bytes !== undefined && !isValidLimit(bytes)) || (files !== undefined && !isValidLimit(files))) {
+        return res.status(400).json({ error: 'Quota limits must be non-negative integers or null' });
+      }
+      quota = {
+        ...(bytes !== undefined ? { bytes } : {}),
+        ...(files !== undefined ? { files } : {})
+      };
+    }
+    if (!(await findUserById(req.params.userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await updateUser(req.params.userId, { quota });
+    console.log(`📏 Storage quota of user ${user.id} set to ${JSON.stringify(quota)} by ${req.user.email}`);
+    res.json({ userId: user.id, ...(await getQuotaStatus(user)) });
+  } catch (error) {
+    console.error('Set quota error:', error);
+    res.status(500).json({ error: 'Failed to set quota' });
+  }
+});
+
+module.exports = router;
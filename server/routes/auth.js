@@ -7,11 +7,9 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { randomUUID } = require('crypto');
-const fs = require('fs').promises;
-const path = require('path');
 
 const config = require('../config/environment');
-const { initializeUserStorage, DATA_DIR } = require('../config/database');
+const { initializeUserStorage, removeUserStorage } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { createUser, findUserByEmail, deleteUser } = require('../models/User');
 const { createUserBucket, deleteS3BucketCompletely } = require('../services/awsService');
@@ -132,18 +130,17 @@ router.delete('/account', authenticateToken, async (req, res) => {
     const bucketName = req.user.awsBucketName;
     console.log(`⚠️  Deleting account for user: ${userId} (bucket: ${bucketName})`);
 
-    // 1. Delete entire user directory
+    // 1. Delete all user data (files, folders, billing, shares)
     try {
-      const userDir = path.join(DATA_DIR, userId);
-      await fs.rm(userDir, { recursive: true, force: true });
-      console.log(`🗑️  Deleted user directory: ${userDir}`);
+      await removeUserStorage(userId);
+      console.log(`🗑️  Deleted user data for: ${userId}`);
     } catch (dirError) {
-      console.log(`No user directory to delete for ${userId} or error:`, dirError.message);
+      console.log(`No user data to delete for ${userId} or error:`, dirError.message);
     }
 
-    // 2. Remove user from users.json
+    // 2. Remove user record
     await deleteUser(userId);
-    console.log(`🗑️  Deleted user from users.json: ${userId}`);
+    console.log(`🗑️  Deleted user record: ${userId}`);
 
     // 3. Delete S3 bucket
     if (!config.DEV_MODE) {
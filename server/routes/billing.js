@@ -69,6 +69,9 @@ router.get('/usage', authenticateToken, async (req, res) => {
     const requestCosts = billingData
       .filter(activity => activity.type.startsWith('request_'))
       .reduce((sum, activity) => sum + (activity.cost || 0), 0);
+    const transferActivities = billingData.filter(activity => activity.type === 'transfer_out');
+    const transferBytes = transferActivities.reduce((sum, activity) => sum + (activity.details?.bytes || 0), 0);
+    const transferCost = transferActivities.reduce((sum, activity) => sum + (activity.cost || 0), 0);
     
     // Transform to match frontend expectations
     const transformedUsage = {
@@ -90,10 +93,10 @@ router.get('/usage', authenticateToken, async (req, res) => {
       },
       transfer: {
         out: {
-          amount: 0,
-          cost: 0
+          amount: transferBytes,
+          cost: transferCost
         },
-        totalCost: 0
+        totalCost: transferCost
       },
       retrieval: {
         flexible_archive: {
@@ -5,62 +5,167 @@
 
 const express = require('express');
 const multer = require('multer');
-const { randomUUID } = require('crypto');
+const { pipeline } = require('stream');
 
 const config = require('../config/environment');
 const { authenticateToken } = require('../middleware/auth');
-const { readFiles, addFile, updateFile, deleteFile, deleteMultipleFiles, findFileById } = require('../models/File');
-const { uploadFileToS3, deleteFileFromS3, checkBucketExists } = require('../services/awsService');
-const { getStorageClassRecommendation, getOptimalStorageClass, getAvailableStorageClasses } = require('../services/storageService');
-const { trackBillingActivity, calculateStorageCost, calculateRequestCost } = require('../services/billingService');
+const { readFiles, updateFile, findFileById } = require('../models/File');
+const { findUserById, updateUser } = require('../models/User');
+const { deleteFileFromS3, getFileMetadata, getObjectStream } = require('../services/awsService');
+const { getStorageClassRecommendation, getAvailableStorageClasses } = require('../services/storageService');
+const { trackBillingActivity, trackDownloadActivity } = require('../services/billingService');
+const {
+  getDownloadableFile,
+  buildContentDisposition,
+  getContentChecksum,
+  buildReprDigest,
+  verifyDownloadToken,
+  getDownloadLinks,
+  parseRange
+} = require('../services/downloadService');
+const {
+  BUCKET_NOT_FOUND,
+  DIRECT_UPLOADS_UNAVAILABLE,
+  planUpload,
+  recordUpload,
+  createDirectUpload,
+  completeDirectUpload,
+  formatUploadResponse
+} = require('../services/uploadService');
+const { moveFile, copyFile } = require('../services/fileService');
+const { trashFile } = require('../services/trashService');
+const { searchFiles } = require('../services/searchService');
+const { listFolder } = require('../services/listingService');
+const { parseUploadMetadata, updateFileMetadata } = require('../services/metadataService');
+const { SNIFF_BYTES, checkUploadContent } = require('../services/contentTypeService');
+const { assertDownloadable } = require('../services/scanService');
+const { PREVIEW_CONTENT_TYPE, getPreview } = require('../services/previewService');
+const { resolveArchiveSelection, streamArchive } = require('../services/archiveService');
+const { NOT_A_ZIP, isZipArchive, extractArchive } = require('../services/extractService');
+const { assertQuotaAvailable, isQuotaError } = require('../services/quotaService');
+const {
+  CONFLICT_POLICIES,
+  DEFAULT_CONFLICT_POLICY,
+  INVALID_CONFLICT_POLICY,
+  isConflictError,
+  parseConflictPolicy,
+  resolveConflictPolicy,
+  assertNoConflict
+} = require('../services/conflictService');
+const { createS3Storage } = require('../utils/s3Storage');
 
 const router = express.Router();
 
-// Multer configuration for file uploads
-const allowedExact = new Set([
-  'application/pdf',
-  'application/msword',
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-  'application/vnd.ms-excel',
-  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-  'application/zip',
-  'application/x-rar-compressed'
-]);
-
-const isAllowedMime = (mime) => {
-  return mime.startsWith('image/') ||
-    mime.startsWith('video/') ||
-    mime.startsWith('audio/') ||
-    allowedExact.has(mime);
+// Whether the client asked for the uploaded ZIP to be unpacked
+const isExtractRequest = (req) => req.body.extract === 'true';
+
+// Decide where the file goes before it starts streaming, once its leading
+// bytes confirm the declared type. Clients send parentFolderId,
+// storageClass, metadata (JSON), conflictPolicy and extract before the
+// file part; the request size stands in for the file size, which is not
+// known yet. An archive to extract is only kept until it is unpacked, so
+// it stays in STANDARD whatever storageClass the extracted files get, and
+// its quota check waits until its contents are known. Its files go into a
+// new folder, so no conflict policy applies.
+const resolveUploadTarget = async (req, file, head) => {
+  const metadata = parseUploadMetadata(req.body.metadata);
+  const { fileType, detectedType } = checkUploadContent(req.user, file.mimetype, head);
+  const fileSize = parseInt(req.headers['content-length'] || '0', 10);
+  const parentFolderId = req.body.parentFolderId || null;
+  let conflictPolicy = null;
+  if (isExtractRequest(req)) {
+    if (!isZipArchive({ fileType, detectedType })) {
+      throw new Error(NOT_A_ZIP);
+    }
+  } else {
+    conflictPolicy = await resolveConflictPolicy(req.user, parentFolderId, req.body.conflictPolicy);
+    await assertNoConflict(req.user, { originalName: file.originalname, parentFolderId }, conflictPolicy);
+    await assertQuotaAvailable(req.user, { bytes: fileSize, files: 1 });
+  }
+  const target = await planUpload(req.user, {
+    originalName: file.originalname,
+    fileType,
+    fileSize,
+    parentFolderId,
+    storageClass: isExtractRequest(req) ? 'STANDARD' : req.body.storageClass
+  });
+  return { ...target, metadata, contentType: fileType, detectedType, conflictPolicy };
 };
 
+// Multer configuration for file uploads; the type is checked in
+// resolveUploadTarget, where the content can be sniffed
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: config.MAX_FILE_SIZE_BYTES },
-  fileFilter: (req, file, cb) => {
-    if (isAllowedMime(file.mimetype)) {
-      return cb(null, true);
-    }
-    return cb(new Error('Unsupported file type'));
-  }
+  storage: createS3Storage({ getTarget: resolveUploadTarget, headBytes: SNIFF_BYTES }),
+  limits: { fileSize: config.MAX_FILE_SIZE_BYTES }
 });
 
-// Helper function to build folder path
-const buildFolderPath = async (userId, parentFolderId) => {
-  if (!parentFolderId) return '';
+// Stream the uploaded file to S3, answering upload errors directly
+const receiveUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    console.error('Upload error:', error);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `File is too large. Maximum size is ${(config.MAX_FILE_SIZE_BYTES / 1024 / 1024).toFixed(0)} MB.`
+      });
+    }
+    if (error.message === 'Unsupported file type' ||
+      error.message === 'File content does not match its declared type' ||
+      error.message === NOT_A_ZIP ||
+      error.message === INVALID_CONFLICT_POLICY ||
+      error.message.startsWith('Invalid metadata')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (isConflictError(error)) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    if (error.message === BUCKET_NOT_FOUND) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Upload failed. Please try again.' });
+  });
+};
 
+// Answer a paginated listing request, or 304 when the client's copy is current
+const sendListingPage = async (req, res) => {
   try {
-    const { getFolderPath } = require('../models/Folder');
-    const folderPath = await getFolderPath(userId, parentFolderId);
-    return folderPath.map(folder => folder.name).join('/') + '/';
+    const { etag, body } = await listFolder(req.user.id, req.query);
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, no-cache');
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.json(body);
   } catch (error) {
-    console.error('Error building folder path:', error);
-    return '';
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Change token expired') {
+      return res.status(410).json({ error: 'Change token expired, list the folder again' });
+    }
+    console.error('Get files error:', error);
+    res.status(500).json({ error: 'Failed to fetch files' });
   }
 };
 
-// Get user files and folders
+// Get user files and folders. With limit, cursor, sort, order, since or
+// tag the listing is paginated (see listingService) and answers 304 to a
+// matching If-None-Match; otherwise the whole folder is returned as an array.
 router.get('/', authenticateToken, async (req, res) => {
+  const { limit, cursor, sort, order, since, tag } = req.query;
+  if (limit !== undefined || cursor || sort || order || since || tag) {
+    return sendListingPage(req, res);
+  }
+
   try {
     const { folderId } = req.query;
     const files = await readFiles(req.user.id);
@@ -91,154 +196,440 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Upload file
-router.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
+// Search files in every folder: q (substring or glob), type, minSize,
+// maxSize, uploadedAfter, uploadedBefore, storageClass, starred, shared,
+// tag, meta[key], folderId (that folder and its subfolders), sort, order,
+// limit, cursor
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    res.json(await searchFiles(req.user.id, req.query));
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Search files error:', error);
+    res.status(500).json({ error: 'Failed to search files' });
+  }
+});
+
+// Unpack an uploaded ZIP into a new folder and report what was created,
+// skipped or failed
+const sendExtractResult = async (req, res) => {
+  try {
+    const { folder, created, skipped, failed } = await extractArchive(req.user, {
+      s3Key: req.file.key,
+      archiveName: req.file.originalname,
+      archiveSize: req.file.size,
+      parentFolderId: req.body.parentFolderId || null,
+      storageClass: req.body.storageClass,
+      versionComment: req.body.versionComment,
+      metadata: req.file.metadata
+    });
+    res.json({
+      message: `Extracted ${created.files.length} file(s) into ${folder.name}` +
+        (failed.length > 0 ? `, ${failed.length} failed` : ''),
+      folder,
+      created,
+      skipped,
+      failed
+    });
+  } catch (error) {
+    if (error.message === 'Invalid ZIP archive') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.startsWith('Archive has more than') || error.message.startsWith('Archive is too large') ||
+      isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    if (error.message === 'Folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Extract archive error:', error);
+    res.status(500).json({ error: 'Failed to extract archive' });
+  }
+};
+
+// Upload file; with extract=true a ZIP is unpacked into a new folder
+// instead of being stored as a file. conflictPolicy (version, rename,
+// reject or skip-if-identical) decides what happens when the name is
+// taken, see conflictService.
+router.post('/upload', authenticateToken, receiveUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
+    if (isExtractRequest(req)) {
+      return sendExtractResult(req, res);
+    }
 
-    const { originalname, buffer, mimetype, size } = req.file;
-    const { parentFolderId = null, storageClass, versionComment } = req.body;
+    const { originalname, size, key, fileName, storageClass, contentType, detectedType, sha256, etag, checksumSHA256, metadata, conflictPolicy } = req.file;
+    const { parentFolderId = null, versionComment } = req.body;
 
-    // Check if user's bucket exists
-    const bucketExists = await checkBucketExists(req.user.awsBucketName);
-    if (!bucketExists && !config.DEV_MODE) {
-      return res.status(404).json({
-        error: 'Your storage bucket was not found. Please contact support.'
+    const result = await recordUpload(req.user, {
+      originalName: originalname,
+      fileName,
+      fileType: contentType,
+      fileSize: size,
+      s3Key: key,
+      storageClass,
+      parentFolderId,
+      versionComment,
+      sha256,
+      etag,
+      s3Checksum: checksumSHA256,
+      metadata,
+      detectedType,
+      conflictPolicy
+    });
+
+    res.json(formatUploadResponse(result));
+
+  } catch (error) {
+    console.error('Upload error:', error);
+    // The object is already in S3; don't leave it without a record
+    if (req.file) {
+      await deleteFileFromS3(req.user.awsBucketName, req.file.key).catch(() => {});
+    }
+    if (isConflictError(error)) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Upload failed. Please try again.' });
+  }
+});
+
+// Get a presigned URL to upload straight to S3 (browser -> bucket)
+router.post('/direct-uploads', authenticateToken, async (req, res) => {
+  try {
+    const { fileName, fileSize, fileType, parentFolderId, storageClass, versionComment, sha256, metadata, conflictPolicy } = req.body;
+    const directUpload = await createDirectUpload(req.user, {
+      fileName,
+      fileSize: Number(fileSize),
+      fileType,
+      parentFolderId: parentFolderId || null,
+      storageClass,
+      versionComment,
+      sha256,
+      metadata,
+      conflictPolicy
+    });
+    res.status(201).json(directUpload);
+  } catch (error) {
+    if (error.message === DIRECT_UPLOADS_UNAVAILABLE) {
+      // Clients fall back to POST /upload
+      return res.status(501).json({ error: error.message, fallback: '/api/files/upload' });
+    }
+    if (error.message === 'File is too large') {
+      return res.status(413).json({
+        error: `File is too large. Maximum size is ${(config.MAX_FILE_SIZE_BYTES / 1024 / 1024).toFixed(0)} MB.`
       });
     }
+    if (isConflictError(error)) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    if (error.message === BUCKET_NOT_FOUND) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'File name is required' ||
+        error.message === 'File size must be a positive number of bytes' ||
+        error.message === 'Unsupported file type' ||
+        error.message === 'Invalid SHA-256 checksum' ||
+        error.message === INVALID_CONFLICT_POLICY ||
+        error.message.startsWith('Invalid metadata')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Direct upload error:', error);
+    res.status(500).json({ error: 'Failed to prepare upload' });
+  }
+});
 
-    // Check if file with same name already exists (for versioning)
-    const existingFiles = await readFiles(req.user.id);
-    const existingFile = existingFiles.find(f =>
-      f.originalName === originalname &&
-      f.parentFolderId === parentFolderId
-    );
+// Record a direct upload once the browser has finished sending it to S3
+router.post('/direct-uploads/complete', authenticateToken, async (req, res) => {
+  try {
+    const { uploadToken } = req.body;
+    if (!uploadToken) {
+      return res.status(400).json({ error: 'uploadToken is required' });
+    }
 
-    let fileName, s3Key, versionNumber = 1;
+    const result = await completeDirectUpload(req.user, uploadToken);
+    res.json(formatUploadResponse(result));
+  } catch (error) {
+    if (error.message === 'Invalid upload token') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Uploaded object not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Upload already completed' || isConflictError(error)) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    if (error.message === 'Uploaded object does not match the announced size' ||
+        error.message === 'Uploaded object does not match the announced checksum' ||
+        error.message === 'File content does not match its declared type' ||
+        error.message === 'Unsupported file type') {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error('Direct upload completion error:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
 
-    if (existingFile) {
-      // Creating new version of existing file
-      versionNumber = existingFile.currentVersion + 1;
-      fileName = `${Date.now()}-${originalname}`;
+// Get the user's default conflict policy for uploads (folders can
+// override it, see PUT /api/folders/:folderId/conflict-policy)
+router.get('/conflict-policy', authenticateToken, (req, res) => {
+  res.json({
+    conflictPolicy: req.user.conflictPolicy || DEFAULT_CONFLICT_POLICY,
+    policies: CONFLICT_POLICIES
+  });
+});
 
-      // Build S3 key with version suffix
-      const folderPath = await buildFolderPath(req.user.id, parentFolderId);
-      s3Key = `uploads/${folderPath}${originalname.replace(/\.[^/.]+$/, '')}-v${versionNumber}${originalname.match(/\.[^/.]+$/)?.[0] || ''}`;
-    } else {
-      // Creating new file
-      fileName = `${Date.now()}-${originalname}`;
-      const folderPath = await buildFolderPath(req.user.id, parentFolderId);
-      s3Key = `uploads/${folderPath}${fileName}`;
-    }
-
-    console.log(`📤 Starting file upload for user ${req.user.id}:`);
-    console.log(`  - File: ${originalname}`);
-    console.log(`  - Size: ${(size / 1024 / 1024).toFixed(2)} MB`);
-    console.log(`  - Type: ${mimetype}`);
-
-    // Determine storage class to use
-    let selectedStorageClass;
-    if (storageClass && ['STANDARD', 'STANDARD_IA', 'ONEZONE_IA', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE'].includes(storageClass)) {
-      selectedStorageClass = storageClass;
-      console.log(`  - Storage class: ${selectedStorageClass} (user selected)`);
-    } else if (config.SHOW_STORAGE_CLASS_OPTIONS) {
-      selectedStorageClass = config.DEFAULT_STORAGE_CLASS;
-      console.log(`  - Storage class: ${selectedStorageClass} (default)`);
-    } else {
-      selectedStorageClass = getOptimalStorageClass(mimetype, size, originalname);
-      console.log(`  - Storage class: ${selectedStorageClass} (auto-optimized)`);
+// Set the user's default conflict policy; null goes back to 'version'
+router.put('/conflict-policy', authenticateToken, async (req, res) => {
+  try {
+    const conflictPolicy = parseConflictPolicy(req.body.conflictPolicy);
+    await updateUser(req.user.id, { conflictPolicy });
+    console.log(`⚖️ Default conflict policy of user ${req.user.id} set to ${conflictPolicy || DEFAULT_CONFLICT_POLICY}`);
+    res.json({
+      conflictPolicy: conflictPolicy || DEFAULT_CONFLICT_POLICY,
+      policies: CONFLICT_POLICIES
+    });
+  } catch (error) {
+    if (error.message === INVALID_CONFLICT_POLICY) {
+      return res.status(400).json({ error: error.message });
     }
+    console.error('Update conflict policy error:', error);
+    res.status(500).json({ error: 'Failed to update conflict policy' });
+  }
+});
 
-    const estimatedMonthlyCost = calculateStorageCost(size, selectedStorageClass);
-    console.log(`  - Estimated monthly cost: $${estimatedMonthlyCost.toFixed(4)}`);
+// Stream downloads may authenticate with the download token from their
+// URL instead of an Authorization header (media elements can't send one)
+const authenticateDownload = async (req, res, next) => {
+  if (req.query.mode !== 'stream' || !req.query.token) {
+    return authenticateToken(req, res, next);
+  }
 
-    // Track upload request billing
-    console.log(`💰 Tracking billing activity...`);
-    await trackBillingActivity(req.user.id, 'request_upload', {
-      fileName: originalname,
-      fileSize: size,
-      storageClass: selectedStorageClass,
-      cost: calculateRequestCost('upload'),
-      isNewVersion: !!existingFile
+  try {
+    const userId = verifyDownloadToken(req.query.token, req.params.fileId);
+    const user = await findUserById(userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid download token' });
+  }
+};
+
+// Whether an If-None-Match header matches the object's ETag
+const etagMatches = (header, etag) => {
+  return header.split(',').some(tag => {
+    const value = tag.trim().replace(/^W\//, '');
+    return value === '*' || value === etag;
+  });
+};
+
+// Download a file: ?mode=url (default) returns fresh links,
+// ?mode=stream sends the bytes with Range/ETag support
+router.get('/:fileId/download', authenticateDownload, async (req, res) => {
+  try {
+    const { mode = 'url', disposition = 'attachment' } = req.query;
+    if (!['url', 'stream'].includes(mode)) {
+      return res.status(400).json({ error: "mode must be 'url' or 'stream'" });
+    }
+    if (!['attachment', 'inline'].includes(disposition)) {
+      return res.status(400).json({ error: "disposition must be 'attachment' or 'inline'" });
+    }
+
+    const file = await getDownloadableFile(req.user.id, req.params.fileId);
+
+    if (mode === 'url') {
+      const baseUrl = config.BASE_URL || `${req.protocol}://${req.get('host')}`;
+      return res.json(await getDownloadLinks(req.user, file, { baseUrl, disposition }));
+    }
+
+    const metadata = await getFileMetadata(req.user.awsBucketName, file.s3Key);
+    const size = metadata.ContentLength;
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'ETag': metadata.ETag,
+      'Last-Modified': new Date(metadata.LastModified).toUTCString(),
+      'Content-Type': file.fileType || metadata.ContentType || 'application/octet-stream',
+      'Content-Disposition': buildContentDisposition(disposition, file.originalName),
+      'Cache-Control': 'private, no-cache',
+      // Let the web client embed media served from the API origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
     });
 
-    // Upload to S3
-    console.log(`☁️  Uploading to S3:`);
-    console.log(`  - Bucket: ${req.user.awsBucketName}`);
-    console.log(`  - Key: ${s3Key}`);
-    console.log(`  - Storage Class: ${selectedStorageClass}`);
+    // Digest of the whole file, also on partial responses
+    const sha256 = getContentChecksum(file);
+    if (sha256) {
+      res.set('Repr-Digest', buildReprDigest(sha256));
+    }
 
-    const signedUrl = await uploadFileToS3(req.user.awsBucketName, s3Key, buffer, selectedStorageClass);
-    console.log(`✅ File uploaded successfully to S3`);
+    if (req.headers['if-none-match'] && etagMatches(req.headers['if-none-match'], metadata.ETag)) {
+      return res.status(304).end();
+    }
 
-    // Create file record with version support
-    const fileData = {
-      id: existingFile ? existingFile.id : randomUUID(),
-      userId: req.user.id,
-      originalName: originalname,
-      fileName: fileName,
-      fileType: mimetype,
-      fileSize: size,
-      s3Key: s3Key,
-      url: signedUrl,
-      storageClass: selectedStorageClass,
-      estimatedMonthlyCost: estimatedMonthlyCost,
-      uploadDate: new Date().toISOString(),
-      parentFolderId: parentFolderId,
-      isStarred: existingFile ? existingFile.isStarred : false,
-      comment: versionComment || (existingFile ? `Version ${versionNumber}` : 'Initial version'),
-      checksum: null // Could be calculated from buffer if needed
-    };
-
-    console.log(`💾 Saving file record to database...`);
-    const savedFile = await addFile(req.user.id, fileData);
-    console.log(`✅ File record saved successfully with ID: ${savedFile.id}`);
+    // A stale If-Range means the client's partial copy is outdated
+    const ifRange = req.headers['if-range'];
+    const range = ifRange && ifRange !== metadata.ETag ? null : parseRange(req.headers.range, size);
+    if (range && range.unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
 
-    res.json({
-      message: existingFile ?
-        `New version (v${savedFile.currentVersion}) created successfully` :
-        'File uploaded successfully',
-      file: savedFile,
-      isNewVersion: !!existingFile,
-      versionInfo: existingFile ? {
-        currentVersion: savedFile.currentVersion,
-        totalVersions: savedFile.totalVersions,
-        previousVersion: versionNumber - 1
-      } : null
+    res.status(range ? 206 : 200);
+    res.set('Content-Length', range ? range.end - range.start + 1 : size);
+    if (range) {
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const object = await getObjectStream(req.user.awsBucketName, file.s3Key, {
+      range: range ? `bytes=${range.start}-${range.end}` : undefined
     });
 
+    let bytesSent = 0;
+    object.Body.on('data', chunk => { bytesSent += chunk.length; });
+    pipeline(object.Body, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Download stream error:', error);
+      }
+      // Bill what actually went out, even if the client stopped early
+      trackDownloadActivity(req.user.id, {
+        fileId: file.id,
+        fileName: file.originalName,
+        bytes: bytesSent,
+        mode: 'stream'
+      }).catch(billingError => console.error('Download billing error:', billingError));
+    });
   } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Upload failed. Please try again.' });
+    if (res.headersSent) {
+      console.error('Download error:', error);
+      return res.destroy(error);
+    }
+    if (error.message === 'File not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'File is quarantined') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ error: 'File content is missing from storage' });
+    }
+    if (error.name === 'InvalidObjectState') {
+      return res.status(409).json({ error: 'File is archived and must be restored before it can be downloaded' });
+    }
+    console.error('Download error:', error);
+    res.status(500).json({ error: 'Download failed' });
   }
 });
 
-// Delete file
-router.delete('/:fileId', authenticateToken, async (req, res) => {
+// Preview image of a file's active version, or of ?versionId=
+// (?size=thumbnail|medium). Previews of a version never change, so
+// clients may cache them.
+router.get('/:fileId/preview', authenticateToken, async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const file = await findFileById(req.user.id, fileId);
+    const { size = 'thumbnail', versionId } = req.query;
+    const { version, key } = await getPreview(req.user.id, req.params.fileId, { size, versionId });
+    assertDownloadable(version);
 
-    if (!file) {
-      return res.status(404).json({ error: 'File not found' });
+    if (!key) {
+      return res.status(404).json({ error: 'Preview not available', previewStatus: version.previewStatus || null });
     }
 
-    // Delete from S3
-    await deleteFileFromS3(req.user.awsBucketName, file.s3Key);
+    const etag = `"${version.versionId}-${size}"`;
+    res.set({
+      'ETag': etag,
+      'Content-Type': PREVIEW_CONTENT_TYPE,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    if (req.headers['if-none-match'] && etagMatches(req.headers['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
 
-    // Delete from database
-    await deleteFile(req.user.id, fileId);
+    const object = await getObjectStream(req.user.awsBucketName, key);
+    pipeline(object.Body, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Preview stream error:', error);
+      }
+    });
+  } catch (error) {
+    if (error.message.startsWith('size must be')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'File not found' || error.message === 'Version not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'File is quarantined') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ error: 'Preview not available' });
+    }
+    console.error('Preview error:', error);
+    res.status(500).json({ error: 'Failed to load preview' });
+  }
+});
 
-    res.json({ message: 'File deleted successfully' });
+// Download files and folders as one ZIP ({ fileIds, folderIds }), streamed
+// while it is built. Files that can't be read are listed in a manifest.
+router.post('/archive', authenticateToken, async (req, res) => {
+  let selection;
+  try {
+    selection = await resolveArchiveSelection(req.user.id, req.body || {});
   } catch (error) {
-    console.error('Delete file error:', error);
-    res.status(500).json({ error: 'Failed to delete file' });
+    if (error.message === 'File not found' || error.message === 'Folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Select') || error.message.includes('must be') || error.message.startsWith('At most')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Archive error:', error);
+    return res.status(500).json({ error: 'Failed to prepare the archive' });
   }
+
+  console.log(`🗜️ Streaming ${selection.name} for user ${req.user.id} (${selection.files.length} files)`);
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': buildContentDisposition('attachment', selection.name),
+    'Cache-Control': 'no-store'
+  });
+
+  const { archive, done } = streamArchive(req.user, selection);
+  done.catch(() => {});
+  pipeline(archive, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Archive stream error:', error);
+    }
+    // Bill what actually went out, even if the client stopped early
+    trackDownloadActivity(req.user.id, {
+      fileId: null,
+      fileName: selection.name,
+      bytes: archive.pointer(),
+      mode: 'archive'
+    }).catch(billingError => console.error('Download billing error:', billingError));
+  });
 });
 
-// Bulk delete files
+// Bulk move files to the trash (registered before /:fileId so "bulk"
+// isn't taken for a file id)
 router.delete('/bulk', authenticateToken, async (req, res) => {
   try {
     const { fileIds } = req.body;
@@ -253,31 +644,20 @@ router.delete('/bulk', authenticateToken, async (req, res) => {
 
     for (const fileId of fileIds) {
       try {
-        const file = await findFileById(req.user.id, fileId);
-
-        if (!file) {
-          results.push({ fileId, success: false, error: 'File not found' });
-          failureCount++;
-          continue;
-        }
-
-        // Delete from S3
-        await deleteFileFromS3(req.user.awsBucketName, file.s3Key);
-
-        // Delete from database
-        await deleteFile(req.user.id, fileId);
-
-        results.push({ fileId, success: true });
+        const trashItem = await trashFile(req.user, fileId);
+        results.push({ fileId, success: true, trashId: trashItem.id });
         successCount++;
       } catch (error) {
-        console.error(`Error deleting file ${fileId}:`, error);
+        if (error.message !== 'File not found') {
+          console.error(`Error deleting file ${fileId}:`, error);
+        }
         results.push({ fileId, success: false, error: error.message });
         failureCount++;
       }
     }
 
     res.json({
-      message: `Bulk delete completed: ${successCount} successful, ${failureCount} failed`,
+      message: `Bulk delete completed: ${successCount} moved to trash, ${failureCount} failed`,
       successCount,
       failureCount,
       results
@@ -288,6 +668,108 @@ router.delete('/bulk', authenticateToken, async (req, res) => {
   }
 });
 
+// Delete file (moves it to the trash)
+router.delete('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const trashItem = await trashFile(req.user, req.params.fileId);
+
+    res.json({
+      message: 'File moved to trash',
+      trashItem: { id: trashItem.id, purgeAt: trashItem.purgeAt }
+    });
+  } catch (error) {
+    if (error.message === 'File not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Delete file error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// Rename and/or move a file: { name?, parentFolderId?, onConflict? }
+// parentFolderId null moves it to the root; onConflict 'merge' adds its
+// versions to a file of the same name in the target folder
+router.patch('/:fileId', authenticateToken, async (req, res) => {
+  try {
+    const { name, parentFolderId, onConflict } = req.body;
+    if (name === undefined && parentFolderId === undefined) {
+      return res.status(400).json({ error: 'Provide a new name and/or parentFolderId' });
+    }
+
+    const result = await moveFile(req.user, req.params.fileId, {
+      name,
+      parentFolderId: parentFolderId === undefined ? undefined : (parentFolderId || null),
+      onConflict
+    });
+
+    res.json({
+      message: result.mergedInto ? 'File merged into existing file' : 'File updated successfully',
+      file: result.file,
+      mergedInto: result.mergedInto
+    });
+  } catch (error) {
+    if (error.message === 'File not found' || error.message === 'Target folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'A file with this name already exists in the target folder') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.name === 'InvalidObjectState') {
+      return res.status(409).json({ error: 'Archived versions must be restored before the file can be moved' });
+    }
+    if (error.message.startsWith('File name') || error.message.startsWith('onConflict')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Move file error:', error);
+    res.status(500).json({ error: 'Failed to move file' });
+  }
+});
+
+// Copy a file to a new file: { name?, parentFolderId?, versions?, storageClass? }
+// versions 'active' (default) or 'all'; without a name the copy keeps the
+// original name where that is free, else gets a "(copy)" name
+router.post('/:fileId/copy', authenticateToken, async (req, res) => {
+  try {
+    const { name, parentFolderId, versions, storageClass } = req.body;
+
+    const file = await copyFile(req.user, req.params.fileId, {
+      name,
+      parentFolderId: parentFolderId === undefined ? undefined : (parentFolderId || null),
+      versions,
+      storageClass
+    });
+
+    res.status(201).json({
+      message: 'File copied successfully',
+      file
+    });
+  } catch (error) {
+    if (error.message === 'File not found' || error.message === 'Target folder not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'A file with this name already exists in the target folder') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.name === 'InvalidObjectState') {
+      return res.status(409).json({ error: 'Archived versions must be restored before the file can be copied' });
+    }
+    if (error.message === 'File is quarantined') {
+      return res.status(403).json({ error: error.message });
+    }
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    if (error.message.startsWith('File name') || error.message.startsWith('versions') || error.message === 'Invalid storage class') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+      return res.status(404).json({ error: 'File content is missing from storage' });
+    }
+    console.error('Copy file error:', error);
+    res.status(500).json({ error: 'Failed to copy file' });
+  }
+});
+
 // Toggle star file
 router.patch('/:fileId/star', authenticateToken, async (req, res) => {
   try {
@@ -310,6 +792,47 @@ router.patch('/:fileId/star', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a file's metadata and that of each version
+router.get('/:fileId/metadata', authenticateToken, async (req, res) => {
+  try {
+    const file = await findFileById(req.user.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({
+      fileId: file.id,
+      metadata: file.metadata || {},
+      versions: (file.versions || []).map(v => ({
+        versionId: v.versionId,
+        versionNumber: v.versionNumber,
+        metadata: v.metadata || {}
+      }))
+    });
+  } catch (error) {
+    console.error('Get metadata error:', error);
+    res.status(500).json({ error: 'Failed to fetch metadata' });
+  }
+});
+
+// Set or remove keys of a file's metadata: { metadata: { key: value | null } }
+router.patch('/:fileId/metadata', authenticateToken, async (req, res) => {
+  try {
+    const metadata = await updateFileMetadata(req.user.id, req.params.fileId, req.body.metadata);
+
+    res.json({ message: 'Metadata updated successfully', metadata });
+  } catch (error) {
+    if (error.message === 'File not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid metadata')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update metadata error:', error);
+    res.status(500).json({ error: 'Failed to update metadata' });
+  }
+});
+
 // Get Storage Class Recommendations
 router.post('/storage/recommendations', authenticateToken, (req, res) => {
   try {
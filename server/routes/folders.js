@@ -9,10 +9,11 @@ const {
   readFolders, 
   addFolder, 
   findFolderById, 
-  deleteFolder, 
   updateFolder, 
   getFolderPath 
 } = require('../models/Folder');
+const { trashFolder } = require('../services/trashService');
+const { INVALID_CONFLICT_POLICY, parseConflictPolicy } = require('../services/conflictService');
 
 const router = express.Router();
 
@@ -159,7 +160,35 @@ router.put('/:folderId', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete folder
+// Set the conflict policy for uploads into this folder and its subfolders
+// (overrides the user's default); null removes the override
+router.put('/:folderId/conflict-policy', authenticateToken, async (req, res) => {
+  try {
+    const { folderId } = req.params;
+    const conflictPolicy = parseConflictPolicy(req.body.conflictPolicy);
+
+    const folder = await findFolderById(req.user.id, folderId);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const updatedFolder = await updateFolder(req.user.id, folderId, { conflictPolicy });
+    console.log(`⚖️ Conflict policy of folder ${folder.name} set to ${conflictPolicy || 'inherited'}`);
+
+    res.json({
+      message: 'Conflict policy updated',
+      folder: updatedFolder
+    });
+  } catch (error) {
+    if (error.message === INVALID_CONFLICT_POLICY) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update folder conflict policy error:', error);
+    res.status(500).json({ error: 'Failed to update conflict policy' });
+  }
+});
+
+// Delete folder (moves it to the trash)
 router.delete('/:folderId', authenticateToken, async (req, res) => {
   try {
     const { folderId } = req.params;
@@ -171,22 +200,19 @@ router.delete('/:folderId', authenticateToken, async (req, res) => {
     
     console.log(`🗑️ Deleting folder: ${folder.name}`);
     
-    await deleteFolder(req.user.id, folderId);
+    const trashItem = await trashFolder(req.user, folderId);
     
-    console.log(`✅ Folder deleted successfully`);
+    console.log(`✅ Folder moved to trash`);
     
     res.json({ 
-      message: 'Folder deleted successfully',
-      deletedFolder: folder
+      message: 'Folder moved to trash',
+      deletedFolder: folder,
+      trashItem: { id: trashItem.id, purgeAt: trashItem.purgeAt }
     });
     
   } catch (error) {
     console.error('Delete folder error:', error);
-    if (error.message.includes('contains')) {
-      res.status(400).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: 'Failed to delete folder' });
-    }
+    res.status(500).json({ error: 'Failed to delete folder' });
   }
 });
 
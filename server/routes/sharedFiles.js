@@ -15,6 +15,7 @@ const {
   cleanExpiredSharedFiles 
 } = require('../models/SharedFile');
 const { generatePresignedShareUrl } = require('../services/awsService');
+const { assertShareable } = require('../services/scanService');
 
 const router = express.Router();
 
@@ -117,6 +118,14 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
     
+    // Only files that passed the malware scan (or were never scanned)
+    try {
+      assertShareable(file);
+    } catch (error) {
+      const status = error.message === 'File is quarantined' ? 403 : 409;
+      return res.status(status).json({ error: error.message, scanStatus: file.scanStatus });
+    }
+    
     // Use expiry seconds or default to 1 hour
     const urlExpirySeconds = expirySeconds || 3600;
     
@@ -7,6 +7,8 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const { readFiles } = require('../models/File');
 const { getStorageStats, getCostAnalysis } = require('../services/storageService');
+const { getDeduplicationStats } = require('../services/dedupeService');
+const { getQuotaStatus } = require('../services/quotaService');
 
 const router = express.Router();
 
@@ -16,13 +18,26 @@ router.get('/stats', authenticateToken, async (req, res) => {
     const files = await readFiles(req.user.id);
     const stats = getStorageStats(files);
     
-    res.json(stats);
+    res.json({
+      ...stats,
+      deduplication: await getDeduplicationStats(req.user.id)
+    });
   } catch (error) {
     console.error('Get storage stats error:', error);
     res.status(500).json({ error: 'Failed to get storage statistics' });
   }
 });
 
+// Get the user's quota, usage and what is left (null limits are unlimited)
+router.get('/quota', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getQuotaStatus(req.user));
+  } catch (error) {
+    console.error('Get storage quota error:', error);
+    res.status(500).json({ error: 'Failed to get storage quota' });
+  }
+});
+
 // Get cost analysis
 router.get('/cost-analysis', authenticateToken, async (req, res) => {
   try {
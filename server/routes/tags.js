@@ -0,0 +1,45 @@
+/**
+ * Tag Routes
+ * Free-form tags on files and folders
+ *
+ *   GET   /api/tags   list tags in use with their file and folder counts
+ *   PATCH /api/tags   add and/or remove tags on several files and folders
+ */
+
+const express = require('express');
+
+const { authenticateToken } = require('../middleware/auth');
+const { listTags, updateTags } = require('../services/tagService');
+
+const router = express.Router();
+
+// List tags in use
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({ tags: await listTags(req.user.id) });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+// Add and remove tags: { fileIds, folderIds, add, remove }
+router.patch('/', authenticateToken, async (req, res) => {
+  try {
+    const { fileIds, folderIds, add, remove } = req.body;
+    const result = await updateTags(req.user, { fileIds, folderIds, add, remove });
+
+    res.json({
+      message: `Tags updated: ${result.successCount} items updated, ${result.failureCount} failed`,
+      ...result
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update tags error:', error);
+    res.status(500).json({ error: 'Failed to update tags' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * Trash Routes
+ * Deleted files and folders waiting to be restored or purged
+ *
+ *   GET    /api/trash                    list trashed items
+ *   POST   /api/trash/:trashId/restore   put an item back where it was
+ *   DELETE /api/trash/:trashId           delete one item permanently
+ *   DELETE /api/trash                    empty the trash
+ */
+
+const express = require('express');
+
+const config = require('../config/environment');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  listTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyTrash
+} = require('../services/trashService');
+const { isQuotaError } = require('../services/quotaService');
+
+const router = express.Router();
+
+// List trashed items
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const items = await listTrash(req.user.id);
+
+    res.json({
+      items,
+      totalSize: items.reduce((sum, item) => sum + (item.size || 0), 0),
+      retentionDays: config.TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore a trashed item
+router.post('/:trashId/restore', authenticateToken, async (req, res) => {
+  try {
+    const result = await restoreTrashItem(req.user, req.params.trashId);
+
+    res.json({
+      message: `${result.itemType === 'file' ? 'File' : 'Folder'} restored successfully`,
+      ...result
+    });
+  } catch (error) {
+    if (error.message === 'Trash item not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
+    console.error('Restore trash item error:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
+});
+
+// Permanently delete one trashed item
+router.delete('/:trashId', authenticateToken, async (req, res) => {
+  try {
+    const entry = await deleteTrashItem(req.user, req.params.trashId);
+
+    res.json({
+      message: 'Item permanently deleted',
+      deletedItem: { id: entry.id, itemType: entry.itemType, name: entry.name }
+    });
+  } catch (error) {
+    if (error.message === 'Trash item not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Delete trash item error:', error);
+    res.status(500).json({ error: 'Failed to delete item' });
+  }
+});
+
+// Empty the trash
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const { purged, failed } = await emptyTrash(req.user);
+
+    res.json({
+      message: `Trash emptied: ${purged} deleted, ${failed} failed`,
+      purged,
+      failed
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Upload Session Routes
+ * Resumable chunked uploads for large files
+ *
+ *   POST   /api/uploads                       start a session
+ *   GET    /api/uploads/:sessionId            current offset (to resume)
+ *   PUT    /api/uploads/:sessionId?offset=N   send the chunk starting at N
+ *   POST   /api/uploads/:sessionId/complete   assemble and record the file
+ *   DELETE /api/uploads/:sessionId            cancel
+ */
+
+const express = require('express');
+
+const config = require('../config/environment');
+const { authenticateToken } = require('../middleware/auth');
+const { BUCKET_NOT_FOUND, formatUploadResponse } = require('../services/uploadService');
+const { isQuotaError } = require('../services/quotaService');
+const { INVALID_CONFLICT_POLICY, isConflictError } = require('../services/conflictService');
+const {
+  createUploadSession,
+  getUploadSession,
+  putUploadChunk,
+  completeUploadSession,
+  abortUploadSession
+} = require('../services/uploadSessionService');
+
+const router = express.Router();
+
+// Chunks are raw bytes whatever the content type; the parser limit only
+// guards memory, the service checks the exact chunk length
+const parseChunk = (req, res, next) => {
+  express.raw({ type: () => true, limit: config.UPLOAD_PART_SIZE_BYTES })(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Chunk is too large' });
+    }
+    next(error);
+  });
+};
+
+// Map upload session errors to responses
+const sendSessionError = async (req, res, error) => {
+  if (error.message === 'Upload session not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'Offset mismatch') {
+    // Tell the client where to resume
+    const session = await getUploadSession(req.user.id, req.params.sessionId).catch(() => null);
+    return res.status(409).json({ error: error.message, offset: session ? session.offset : null });
+  }
+  if (error.message === 'Upload is incomplete' || error.message === 'Upload is already complete' ||
+      isConflictError(error)) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.message === 'File is too large') {
+    return res.status(413).json({
+      error: `File is too large. Maximum size is ${(config.MAX_FILE_SIZE_BYTES / 1024 / 1024).toFixed(0)} MB.`
+    });
+  }
+  if (isQuotaError(error)) {
+    return res.status(413).json({ error: error.message });
+  }
+  if (error.message === BUCKET_NOT_FOUND) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message === 'File name is required' ||
+      error.message === 'File size must be a positive number of bytes' ||
+      error.message === 'Unsupported file type' ||
+      error.message === 'File content does not match its declared type' ||
+      error.message === INVALID_CONFLICT_POLICY ||
+      error.message.startsWith('Invalid metadata') ||
+      error.message.startsWith('Chunk must be')) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  console.error('Upload session error:', error);
+  res.status(500).json({ error: 'Upload failed. Please try again.' });
+};
+
+// Start an upload session
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { fileName, fileSize, fileType, parentFolderId, storageClass, versionComment, metadata, conflictPolicy } = req.body;
+    const session = await createUploadSession(req.user, {
+      fileName,
+      fileSize: Number(fileSize),
+      fileType,
+      parentFolderId: parentFolderId || null,
+      storageClass,
+      versionComment,
+      metadata,
+      conflictPolicy
+    });
+    res.status(201).json(session);
+  } catch (error) {
+    await sendSessionError(req, res, error);
+  }
+});
+
+// Get session progress
+router.get('/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getUploadSession(req.user.id, req.params.sessionId));
+  } catch (error) {
+    await sendSessionError(req, res, error);
+  }
+});
+
+// Upload one chunk
+router.put('/:sessionId', authenticateToken, parseChunk, async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'A non-negative offset query parameter is required' });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    res.json(await putUploadChunk(req.user, req.params.sessionId, offset, body));
+  } catch (error) {
+    await sendSessionError(req, res, error);
+  }
+});
+
+// Finish the upload and record the file
+router.post('/:sessionId/complete', authenticateToken, async (req, res) => {
+  try {
+    const result = await completeUploadSession(req.user, req.params.sessionId);
+    res.json(formatUploadResponse(result));
+  } catch (error) {
+    await sendSessionError(req, res, error);
+  }
+});
+
+// Cancel an upload session
+router.delete('/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await abortUploadSession(req.user.id, req.params.sessionId);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    await sendSessionError(req, res, error);
+  }
+});
+
+module.exports = router;
@@ -9,19 +9,23 @@ const { randomUUID } = require('crypto');
 const { authenticateToken } = require('../middleware/auth');
 const { 
   getVersionHistory, 
-  restoreVersion, 
   deleteVersion, 
-  getVersionById,
-  updateVersionMetadata 
+  getVersionById
 } = require('../models/File');
 const { 
   getVersionHistoryWithCosts,
+  restoreVersionWithinQuota,
   optimizeVersionStorage,
   cleanupOldVersions,
   getVersionStatistics 
 } = require('../services/versionService');
-const { uploadFileToS3, deleteFileFromS3 } = require('../services/awsService');
+const { uploadFileToS3 } = require('../services/awsService');
+const { releaseObject } = require('../services/dedupeService');
+const { updateVersionDetails } = require('../services/metadataService');
 const { trackBillingActivity } = require('../services/billingService');
+const { isQuotaError } = require('../services/quotaService');
+const { assertDownloadable } = require('../services/scanService');
+const { deletePreviews } = require('../services/previewService');
 
 const router = express.Router();
 
@@ -56,11 +60,11 @@ router.get('/:fileId/versions/:versionId', authenticateToken, async (req, res) =
   }
 });
 
-// Restore a specific version
+// Restore a specific version; it has to fit the quota like an upload of it
 router.put('/:fileId/versions/:versionId/restore', authenticateToken, async (req, res) => {
   try {
     const { fileId, versionId } = req.params;
-    const restoredFile = await restoreVersion(req.user.id, fileId, versionId);
+    const restoredFile = await restoreVersionWithinQuota(req.user, fileId, versionId);
     
     // Track billing activity
     await trackBillingActivity(req.user.id, 'version_restore', {
@@ -75,6 +79,9 @@ router.put('/:fileId/versions/:versionId/restore', authenticateToken, async (req
     });
   } catch (error) {
     console.error('Restore version error:', error);
+    if (isQuotaError(error)) {
+      return res.status(413).json({ error: error.message });
+    }
     res.status(400).json({ error: error.message });
   }
 });
@@ -85,13 +92,14 @@ router.delete('/:fileId/versions/:versionId', authenticateToken, async (req, res
     const { fileId, versionId } = req.params;
     const result = await deleteVersion(req.user.id, fileId, versionId);
     
-    // Delete from S3
+    // Delete from S3 (shared content only with its last reference)
     try {
-      await deleteFileFromS3(req.user.awsBucketName, result.deletedVersion.s3Key);
+      await releaseObject(req.user, result.deletedVersion.s3Key);
     } catch (s3Error) {
       console.warn('Failed to delete version from S3:', s3Error);
       // Continue anyway - the database record is deleted
     }
+    await deletePreviews(req.user, result.deletedVersion);
     
     // Track billing activity
     await trackBillingActivity(req.user.id, 'version_delete', {
@@ -112,13 +120,13 @@ router.delete('/:fileId/versions/:versionId', authenticateToken, async (req, res
   }
 });
 
-// Update version metadata (comment, etc.)
+// Update a version's comment and/or metadata: { comment, metadata: { key: value | null } }
 router.patch('/:fileId/versions/:versionId', authenticateToken, async (req, res) => {
   try {
     const { fileId, versionId } = req.params;
     const { comment, metadata } = req.body;
     
-    const updatedVersion = await updateVersionMetadata(req.user.id, fileId, versionId, {
+    const updatedVersion = await updateVersionDetails(req.user.id, fileId, versionId, {
       comment,
       metadata
     });
@@ -128,6 +136,9 @@ router.patch('/:fileId/versions/:versionId', authenticateToken, async (req, res)
       version: updatedVersion
     });
   } catch (error) {
+    if (error.message === 'File not found' || error.message === 'Version not found') {
+      return res.status(404).json({ error: error.message });
+    }
     console.error('Update version metadata error:', error);
     res.status(400).json({ error: error.message });
   }
@@ -212,6 +223,7 @@ router.get('/:fileId/versions/:versionId/download', authenticateToken, async (re
   try {
     const { fileId, versionId } = req.params;
     const version = await getVersionById(req.user.id, fileId, versionId);
+    assertDownloadable(version);
     
     // Generate pre-signed URL for download
     const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
@@ -244,6 +256,9 @@ router.get('/:fileId/versions/:versionId/download', authenticateToken, async (re
     });
   } catch (error) {
     console.error('Download version error:', error);
+    if (error.message === 'File is quarantined') {
+      return res.status(403).json({ error: error.message });
+    }
     res.status(400).json({ error: error.message });
   }
 });
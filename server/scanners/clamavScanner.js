@@ -0,0 +1,88 @@
+/**
+ * ClamAV Scanner
+ * Streams content to a clamd daemon with the INSTREAM command
+ *
+ * The content goes over the socket in chunks, each prefixed with its
+ * length (4 bytes, big-endian), and a zero-length chunk ends it. clamd
+ * answers "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR".
+ * Streams larger than clamd's StreamMaxLength are refused by the daemon
+ * and reported as errors, so the file stays pending.
+ */
+
+const net = require('net');
+
+// clamd reads at most this much per chunk by default
+const MAX_CHUNK_BYTES = 64 * 1024;
+
+// Parse clamd's reply to INSTREAM
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+  if (/^stream: OK$/.test(text)) {
+    return { infected: false, signature: null };
+  }
+  const found = /^stream: (.+) FOUND$/.exec(text);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+  throw new Error(`ClamAV scan failed: ${text || 'no reply'}`);
+};
+
+const createClamavScanner = ({ host, port, socketPath = null, timeoutMs = 60000 }) => {
+  const connect = () => socketPath ? net.createConnection({ path: socketPath }) : net.createConnection({ host, port });
+
+  const scanStream = (stream) => new Promise((resolve, reject) => {
+    const socket = connect();
+    const replies = [];
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (error) {
+        stream.destroy();
+        return reject(error);
+      }
+      resolve(result);
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error('ClamAV scan timed out')));
+    socket.on('error', error => finish(new Error(`ClamAV unavailable: ${error.message}`)));
+    socket.on('data', chunk => replies.push(chunk));
+    socket.on('end', () => {
+      try {
+        finish(null, parseReply(Buffer.concat(replies).toString('utf8')));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+        for await (const data of stream) {
+          for (let offset = 0; offset < data.length; offset += MAX_CHUNK_BYTES) {
+            const chunk = data.subarray(offset, offset + MAX_CHUNK_BYTES);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!socket.write(Buffer.concat([length, chunk]))) {
+              await new Promise(resume => socket.once('drain', resume));
+            }
+            // clamd may answer early (e.g. size limit reached)
+            if (settled) return;
+          }
+        }
+        socket.end(Buffer.alloc(4));
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+
+  return { name: 'clamav', scanStream };
+};
+
+module.exports = {
+  createClamavScanner,
+  parseReply
+};
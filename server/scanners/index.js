@@ -0,0 +1,57 @@
+/**
+ * Malware Scanners
+ * Selects the scanner uploaded files are checked with (see MALWARE_SCANNER
+ * in config)
+ *
+ * Every scanner exposes the same interface:
+ *   name                - shown in logs and stored with scan results
+ *   scanStream(stream)  - resolves { infected, signature } for the bytes
+ *                         read from stream (signature null when clean)
+ *
+ * With MALWARE_SCANNER=none no scanner is active and uploads are not
+ * scanned.
+ */
+
+const config = require('../config/environment');
+const { createClamavScanner } = require('./clamavScanner');
+const { createStubScanner } = require('./stubScanner');
+
+let activeScanner;
+
+// Create a scanner by type, null for 'none'
+const createScanner = (type = config.MALWARE_SCANNER, options = {}) => {
+  switch (type) {
+    case 'none':
+      return null;
+    case 'clamav':
+      return createClamavScanner({
+        host: options.host || config.CLAMAV_HOST,
+        port: options.port || config.CLAMAV_PORT,
+        socketPath: options.socketPath || config.CLAMAV_SOCKET || null,
+        timeoutMs: options.timeoutMs || config.CLAMAV_TIMEOUT_MS
+      });
+    case 'stub':
+      return createStubScanner(options);
+    default:
+      throw new Error(`Unknown malware scanner: ${type}`);
+  }
+};
+
+// Get the scanner configured for this process (null when scanning is off)
+const getScanner = () => {
+  if (activeScanner === undefined) {
+    activeScanner = createScanner(config.MALWARE_SCANNER);
+  }
+  return activeScanner;
+};
+
+// Swap the active scanner (used by tests)
+const setScanner = (scanner) => {
+  activeScanner = scanner;
+};
+
+module.exports = {
+  createScanner,
+  getScanner,
+  setScanner
+};
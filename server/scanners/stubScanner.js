@@ -0,0 +1,34 @@
+/**
+ * Stub Scanner
+ * Stand-in for a real scanner in development and tests: content holding
+ * one of the given markers counts as infected, by default the EICAR test
+ * string every antivirus product detects
+ */
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const createStubScanner = ({ signatures = { 'Eicar-Test-Signature': EICAR } } = {}) => {
+  const markers = Object.entries(signatures).map(([name, marker]) => [name, Buffer.from(marker)]);
+  const overlap = Math.max(0, ...markers.map(([, marker]) => marker.length)) - 1;
+
+  const scanStream = async (stream) => {
+    // Keep the tail of the previous chunk so markers split across chunks match
+    let tail = Buffer.alloc(0);
+    for await (const chunk of stream) {
+      const window = Buffer.concat([tail, chunk]);
+      const found = markers.find(([, marker]) => window.includes(marker));
+      if (found) {
+        return { infected: true, signature: found[0] };
+      }
+      tail = window.subarray(Math.max(0, window.length - overlap));
+    }
+    return { infected: false, signature: null };
+  };
+
+  return { name: 'stub', scanStream };
+};
+
+module.exports = {
+  EICAR,
+  createStubScanner
+};
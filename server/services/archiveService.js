@@ -0,0 +1,204 @@
+/**
+ * Archive Service
+ * ZIP downloads of several files and whole folders, streamed as they are
+ * built
+ *
+ * Entries keep the folder hierarchy from the root (see getFolderPath).
+ * Objects are read from S3 one at a time and written straight into the
+ * response, so neither the archive nor a whole file is ever held in
+ * memory. Files that can't be read right now (archived in Glacier or Deep
+ * Archive and not restored, quarantined, or missing from storage) are
+ * left out and listed in a manifest at the end of the archive instead of
+ * failing the download.
+ */
+
+const { once } = require('events');
+const archiver = require('archiver');
+const { readFiles } = require('../models/File');
+const { readFolders, getFolderPath } = require('../models/Folder');
+const { getObjectStream, getFileMetadata } = require('./awsService');
+const { UNREADABLE_CLASSES } = require('./scanService');
+
+const MANIFEST_NAME = 'skycrate-manifest.json';
+const MAX_SELECTION = 1000;
+const COMPRESSION_LEVEL = 6;
+
+// Content that is already compressed is stored as is
+const STORED_TYPE_PREFIXES = ['image/', 'video/', 'audio/', 'application/zip', 'application/x-rar', 'application/vnd.rar',
+  'application/x-7z', 'application/gzip', 'application/pdf'];
+
+// Read errors that leave a file out of the archive instead of failing it
+const SKIPPED_READ_ERRORS = {
+  NoSuchKey: 'missing',
+  NotFound: 'missing',
+  InvalidObjectState: 'archived'
+};
+
+const isStoredType = (fileType) => STORED_TYPE_PREFIXES.some(prefix => (fileType || '').startsWith(prefix));
+
+const checkIdList = (ids, field) => {
+  if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+    throw new Error(`${field} must be an array of ids`);
+  }
+};
+
+// Turn selected file and folder ids into what goes into the archive:
+// { name, files: [{ file, path }], directories: [path] }. Folders bring
+// every file and subfolder below them; a file selected twice (directly
+// and through its folder) is added once.
+const resolveArchiveSelection = async (userId, { fileIds = [], folderIds = [] } = {}) => {
+  checkIdList(fileIds, 'fileIds');
+  checkIdList(folderIds, 'folderIds');
+  if (fileIds.length === 0 && folderIds.length === 0) {
+    throw new Error('Select at least one file or folder');
+  }
+  if (fileIds.length + folderIds.length > MAX_SELECTION) {
+    throw new Error(`At most ${MAX_SELECTION} files and folders can be downloaded at once`);
+  }
+
+  const [files, folders] = await Promise.all([readFiles(userId), readFolders(userId)]);
+
+  // Paths of folders from the root, looked up once per folder
+  const folderPaths = new Map();
+  const pathOf = async (folderId) => {
+    if (!folderId) return '';
+    if (!folderPaths.has(folderId)) {
+      folderPaths.set(folderId, (await getFolderPath(userId, folderId)).map(folder => folder.name).join('/'));
+    }
+    return folderPaths.get(folderId);
+  };
+  const joinPath = (folderPath, name) => (folderPath ? `${folderPath}/${name}` : name);
+
+  const selected = new Map();
+  const directories = new Set();
+  const addFile = async (file) => {
+    if (!selected.has(file.id)) {
+      selected.set(file.id, { file, path: joinPath(await pathOf(file.parentFolderId), file.originalName) });
+    }
+  };
+
+  for (const fileId of fileIds) {
+    const file = files.find(f => f.id === fileId);
+    if (!file) {
+      throw new Error('File not found');
+    }
+    await addFile(file);
+  }
+
+  for (const folderId of folderIds) {
+    if (!folders.some(f => f.id === folderId)) {
+      throw new Error('Folder not found');
+    }
+    // The folder and everything below it
+    const pending = [folderId];
+    while (pending.length > 0) {
+      const currentId = pending.shift();
+      directories.add(await pathOf(currentId));
+      folders.filter(f => f.parentFolderId === currentId).forEach(f => pending.push(f.id));
+      for (const file of files.filter(f => f.parentFolderId === currentId)) {
+        await addFile(file);
+      }
+    }
+  }
+
+  const name = fileIds.length === 0 && folderIds.length === 1 ?
+    folders.find(f => f.id === folderIds[0]).name :
+    `skycrate-${new Date().toISOString().slice(0, 10)}`;
+
+  return {
+    name: `${name}.zip`,
+    files: [...selected.values()].sort((a, b) => a.path.localeCompare(b.path)),
+    directories: [...directories].sort()
+  };
+};
+
+// Why a file can't go into the archive right now, null when it can
+const getUnavailableReason = async (user, file) => {
+  const active = (file.versions || []).find(v => v.isActive) || file;
+  if (active.scanStatus === 'infected') {
+    return 'quarantined';
+  }
+  if (!UNREADABLE_CLASSES.includes(file.storageClass)) {
+    return null;
+  }
+
+  // Archived objects can be read while a finished restore is available
+  try {
+    const head = await getFileMetadata(user.awsBucketName, file.s3Key);
+    return (head.Restore || '').includes('ongoing-request="false"') ? null : 'archived';
+  } catch (error) {
+    if (SKIPPED_READ_ERRORS[error.name]) {
+      return SKIPPED_READ_ERRORS[error.name];
+    }
+    throw error;
+  }
+};
+
+// Write the selection into the archive, one object at a time, then
+// finalize it. Returns { included, skipped }.
+const fillArchive = async (user, { files, directories }, archive) => {
+  // A closed archive (e.g. the client went away) stops the download
+  const closed = new AbortController();
+  let current = null;
+  archive.on('close', () => closed.abort());
+  closed.signal.addEventListener('abort', () => current && current.destroy());
+
+  const appendEntry = async (source, data) => {
+    archive.append(source, data);
+    await once(archive, 'entry', { signal: closed.signal });
+  };
+
+  for (const directory of directories) {
+    await appendEntry(null, { name: `${directory}/`, type: 'directory' });
+  }
+
+  const skipped = [];
+  let included = 0;
+  for (const { file, path } of files) {
+    const reason = await getUnavailableReason(user, file);
+    if (reason) {
+      skipped.push({ path, reason, storageClass: file.storageClass });
+      continue;
+    }
+
+    try {
+      ({ Body: current } = await getObjectStream(user.awsBucketName, file.s3Key));
+    } catch (error) {
+      if (!SKIPPED_READ_ERRORS[error.name]) {
+        throw error;
+      }
+      skipped.push({ path, reason: SKIPPED_READ_ERRORS[error.name], storageClass: file.storageClass });
+      continue;
+    }
+    await appendEntry(current, { name: path, date: new Date(file.uploadDate), store: isStoredType(file.fileType) });
+    current = null;
+    included++;
+  }
+
+  if (skipped.length > 0) {
+    console.log(`⚠️ Left ${skipped.length} unreadable file(s) out of the archive, see ${MANIFEST_NAME}`);
+    const manifest = { createdAt: new Date().toISOString(), included, skipped };
+    await appendEntry(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+  }
+
+  await archive.finalize();
+  return { included, skipped };
+};
+
+// Start streaming a ZIP of the selection; returns { archive, done }, where
+// archive is the stream to send and done resolves { included, skipped }
+// once everything is written. Failures destroy the archive stream.
+const streamArchive = (user, selection) => {
+  const archive = archiver('zip', { zlib: { level: COMPRESSION_LEVEL } });
+  const done = fillArchive(user, selection, archive).catch(error => {
+    archive.destroy(error);
+    throw error;
+  });
+  return { archive, done };
+};
+
+module.exports = {
+  MANIFEST_NAME,
+  resolveArchiveSelection,
+  streamArchive
+};
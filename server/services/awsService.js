@@ -10,9 +10,11 @@ const {
   PutPublicAccessBlockCommand, 
   PutBucketEncryptionCommand, 
   PutBucketOwnershipControlsCommand, 
+  PutBucketCorsCommand,
   ListBucketsCommand, 
   PutObjectCommand, 
   DeleteObjectCommand, 
+  CopyObjectCommand,
   GetObjectCommand,
   HeadObjectCommand,
   ListObjectsV2Command, 
@@ -20,10 +22,17 @@ const {
   DeleteBucketCommand,
   ListObjectVersionsCommand,
   AbortMultipartUploadCommand,
-  ListMultipartUploadsCommand
+  ListMultipartUploadsCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  PutObjectTaggingCommand,
+  GetObjectTaggingCommand
 } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { createHash } = require('crypto');
 const config = require('../config/environment');
+const { createLocalS3Client } = require('./localS3');
 
 // Initialize S3 client
 const s3Client = config.DEV_MODE ? null : new S3Client({
@@ -34,6 +43,23 @@ const s3Client = config.DEV_MODE ? null : new S3Client({
   region: config.AWS_REGION
 });
 
+// Client for presigned browser uploads: no SDK checksum of the (empty)
+// request body gets baked into the URL
+const presignClient = config.DEV_MODE ? null : new S3Client({
+  credentials: {
+    accessKeyId: config.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.AWS_SECRET_ACCESS_KEY,
+  },
+  region: config.AWS_REGION,
+  requestChecksumCalculation: 'WHEN_REQUIRED'
+});
+
+// DEV_MODE stores uploaded objects on local disk instead of S3
+const localS3Client = config.DEV_MODE ? createLocalS3Client({ rootDir: config.LOCAL_STORAGE_PATH }) : null;
+
+// Client for object uploads and deletes (local stand-in in DEV_MODE)
+const getObjectClient = () => (config.DEV_MODE ? localS3Client : s3Client);
+
 // Test AWS connection on startup
 const testAWSConnection = async () => {
   if (config.DEV_MODE || !s3Client) {
@@ -112,6 +138,10 @@ const createUserBucket = async (bucketName) => {
     await s3Client.send(ownershipCommand);
     console.log('✅ Ownership controls set');
 
+    console.log('Step 5: Setting CORS rules...');
+    await configureBucketCors(bucketName);
+    console.log('✅ CORS rules set');
+
     console.log(`🎉 S3 bucket fully configured: ${bucketName}`);
     return bucketName;
   } catch (error) {
@@ -124,6 +154,27 @@ const createUserBucket = async (bucketName) => {
   }
 };
 
+// Let the web client upload straight to the bucket with presigned URLs.
+// Buckets created before direct uploads get this on their first one.
+const configureBucketCors = async (bucketName) => {
+  if (config.DEV_MODE) {
+    return;
+  }
+
+  await s3Client.send(new PutBucketCorsCommand({
+    Bucket: bucketName,
+    CORSConfiguration: {
+      CORSRules: [{
+        AllowedOrigins: config.CLIENT_ORIGINS.length ? config.CLIENT_ORIGINS : ['*'],
+        AllowedMethods: ['GET', 'HEAD', 'PUT'],
+        AllowedHeaders: ['*'],
+        ExposeHeaders: ['ETag', 'x-amz-checksum-sha256'],
+        MaxAgeSeconds: 3000
+      }]
+    }
+  }));
+};
+
 // Comprehensive S3 bucket deletion
 const deleteS3BucketCompletely = async (bucketName) => {
   if (config.DEV_MODE) {
@@ -335,11 +386,208 @@ const uploadFileToS3 = async (bucketName, key, buffer, storageClass = 'STANDARD'
   return signedUrl;
 };
 
+// SHA-256 of a buffer in the base64 form S3 checksums use
+const sha256Base64 = (data) => createHash('sha256').update(data).digest('base64');
+
+// Convert a hex SHA-256 (as stored on versions) to S3's base64 form
+const sha256HexToBase64 = (hex) => Buffer.from(hex, 'hex').toString('base64');
+
+// Hex SHA-256 of a whole object from its ChecksumSHA256; null when it has
+// none or only the composite checksum of a multipart upload ("...-3")
+const fullObjectSha256 = (checksum) => {
+  if (!checksum || checksum.includes('-')) return null;
+  return Buffer.from(checksum, 'base64').toString('hex');
+};
+
+// Start a multipart upload, returns its upload id. Parts carry SHA-256
+// checksums that S3 verifies, and the object gets a composite checksum.
+const createMultipartUpload = async (bucketName, key, { storageClass = 'STANDARD', contentType, metadata } = {}) => {
+  const result = await getObjectClient().send(new CreateMultipartUploadCommand({
+    Bucket: bucketName,
+    Key: key,
+    StorageClass: storageClass,
+    ServerSideEncryption: 'AES256',
+    ContentType: contentType,
+    Metadata: metadata,
+    ChecksumAlgorithm: 'SHA256'
+  }));
+  return result.UploadId;
+};
+
+// Upload one part of a multipart upload with its SHA-256, returns the
+// { PartNumber, ETag, ChecksumSHA256 } entry completeMultipartUpload needs
+const uploadPart = async (bucketName, key, uploadId, partNumber, body) => {
+  const checksum = sha256Base64(body);
+  const result = await getObjectClient().send(new UploadPartCommand({
+    Bucket: bucketName,
+    Key: key,
+    UploadId: uploadId,
+    PartNumber: partNumber,
+    Body: body,
+    ChecksumAlgorithm: 'SHA256',
+    ChecksumSHA256: checksum
+  }));
+  return { PartNumber: partNumber, ETag: result.ETag, ChecksumSHA256: result.ChecksumSHA256 || checksum };
+};
+
+// Assemble uploaded parts ([{ PartNumber, ETag, ChecksumSHA256 }]) into
+// the object, returns { etag, checksumSHA256 } (the composite checksum)
+const completeMultipartUpload = async (bucketName, key, uploadId, parts) => {
+  const result = await getObjectClient().send(new CompleteMultipartUploadCommand({
+    Bucket: bucketName,
+    Key: key,
+    UploadId: uploadId,
+    MultipartUpload: { Parts: parts }
+  }));
+  return { etag: result.ETag, checksumSHA256: result.ChecksumSHA256 || null };
+};
+
+// Discard a multipart upload and the parts stored for it
+const abortMultipartUpload = async (bucketName, key, uploadId) => {
+  await getObjectClient().send(new AbortMultipartUploadCommand({
+    Bucket: bucketName,
+    Key: key,
+    UploadId: uploadId
+  }));
+};
+
+// Stream an upload to S3 without buffering the whole file
+// Data is cut into parts of partSize and up to `concurrency` parts are in
+// flight at once, so memory stays around partSize * (concurrency + 1)
+// whatever the file size. Streams smaller than one part go up as a single
+// PutObject. Any failure (or an aborted signal) aborts the multipart upload
+// so no orphaned parts are left behind. The SHA-256 of the whole stream is
+// computed on the way through; S3 verifies every part (or the single
+// object) against its own SHA-256.
+const uploadStreamToS3 = async (bucketName, key, stream, {
+  storageClass = 'STANDARD',
+  contentType,
+  metadata,
+  partSize = config.UPLOAD_PART_SIZE_BYTES,
+  concurrency = config.UPLOAD_CONCURRENCY,
+  signal
+} = {}) => {
+  let uploadId = null;
+  let failure = null;
+  let size = 0;
+  let chunks = [];
+  let buffered = 0;
+  const parts = [];
+  const inFlight = new Set();
+  const hash = createHash('sha256');
+
+  const throwIfFailed = () => {
+    if (failure) throw failure;
+    if (signal && signal.aborted) throw new Error('Upload aborted');
+  };
+
+  const sendPart = async (body) => {
+    if (!uploadId) {
+      uploadId = await createMultipartUpload(bucketName, key, { storageClass, contentType, metadata });
+    }
+
+    // Wait for a free slot before starting another part
+    while (inFlight.size >= concurrency) {
+      await Promise.race(inFlight);
+    }
+    throwIfFailed();
+
+    const part = { PartNumber: parts.length + 1 };
+    parts.push(part);
+
+    const request = uploadPart(bucketName, key, uploadId, part.PartNumber, body)
+      .then(uploaded => { Object.assign(part, uploaded); })
+      .catch(error => { failure = failure || error; })
+      .finally(() => inFlight.delete(request));
+    inFlight.add(request);
+  };
+
+  // Stop reading as soon as the caller aborts; the source may never end.
+  // Destroyed without an error so the stream's owner sees no error event.
+  const onAbort = () => stream.destroy();
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      hash.update(chunk);
+      buffered += chunk.length;
+      size += chunk.length;
+
+      while (buffered >= partSize) {
+        const data = Buffer.concat(chunks);
+        const rest = data.subarray(partSize);
+        chunks = rest.length > 0 ? [rest] : [];
+        buffered = rest.length;
+        await sendPart(data.subarray(0, partSize));
+      }
+      throwIfFailed();
+    }
+
+    const sha256 = hash.digest('hex');
+
+    if (!uploadId) {
+      throwIfFailed();
+      const checksumSHA256 = sha256HexToBase64(sha256);
+      const result = await getObjectClient().send(new PutObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        Body: Buffer.concat(chunks),
+        StorageClass: storageClass,
+        ServerSideEncryption: 'AES256',
+        ContentType: contentType,
+        Metadata: metadata,
+        ChecksumAlgorithm: 'SHA256',
+        ChecksumSHA256: checksumSHA256
+      }));
+      return { size, etag: result.ETag, checksumSHA256, sha256, parts: 1 };
+    }
+
+    if (buffered > 0) {
+      await sendPart(Buffer.concat(chunks));
+    }
+    await Promise.all(inFlight);
+    throwIfFailed();
+
+    const { etag, checksumSHA256 } = await completeMultipartUpload(bucketName, key, uploadId, parts);
+    return { size, etag, checksumSHA256, sha256, parts: parts.length };
+  } catch (error) {
+    if (uploadId) {
+      await Promise.allSettled(inFlight);
+      try {
+        await abortMultipartUpload(bucketName, key, uploadId);
+        console.log(`🧹 Aborted multipart upload for ${key}`);
+      } catch (abortError) {
+        console.warn(`⚠️ Failed to abort multipart upload for ${key}:`, abortError.message);
+      }
+    }
+    throw error;
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+};
+
+// Store a small generated object (e.g. a preview) in one request
+const putObject = async (bucketName, key, body, { contentType, storageClass = 'STANDARD' } = {}) => {
+  const result = await getObjectClient().send(new PutObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    Body: body,
+    StorageClass: storageClass,
+    ServerSideEncryption: 'AES256',
+    ContentType: contentType
+  }));
+  return result.ETag;
+};
+
 // Delete file from S3
 const deleteFileFromS3 = async (bucketName, key) => {
   if (config.DEV_MODE) {
-    console.log(`DEV_MODE: Simulating S3 delete for ${key}`);
-    return;
+    console.log(`DEV_MODE: Deleting ${key} from local storage`);
   }
 
   const deleteParams = {
@@ -348,7 +596,37 @@ const deleteFileFromS3 = async (bucketName, key) => {
   };
 
   const command = new DeleteObjectCommand(deleteParams);
-  await s3Client.send(command);
+  await getObjectClient().send(command);
+};
+
+// Copy an object within a bucket. S3 resets the storage class on copy, so
+// it is passed explicitly. Single-request copies go up to 5 GB, which is
+// also the largest upload we accept.
+const copyObject = async (bucketName, sourceKey, destinationKey, { storageClass = 'STANDARD' } = {}) => {
+  const result = await getObjectClient().send(new CopyObjectCommand({
+    Bucket: bucketName,
+    Key: destinationKey,
+    CopySource: `${bucketName}/${encodeURIComponent(sourceKey)}`,
+    StorageClass: storageClass,
+    MetadataDirective: 'COPY'
+  }));
+  return result.CopyObjectResult?.ETag;
+};
+
+// Replace the tag set of an object; tags is { key: value }. S3 allows at
+// most 10 tags per object.
+const putObjectTags = async (bucketName, key, tags) => {
+  await getObjectClient().send(new PutObjectTaggingCommand({
+    Bucket: bucketName,
+    Key: key,
+    Tagging: { TagSet: Object.entries(tags).map(([Key, Value]) => ({ Key, Value })) }
+  }));
+};
+
+// Tags of an object as { key: value }
+const getObjectTags = async (bucketName, key) => {
+  const result = await getObjectClient().send(new GetObjectTaggingCommand({ Bucket: bucketName, Key: key }));
+  return Object.fromEntries((result.TagSet || []).map(tag => [tag.Key, tag.Value]));
 };
 
 // Check if bucket exists
@@ -395,23 +673,119 @@ const generatePresignedShareUrl = async (bucketName, key, expiresInSeconds = 360
   }
 };
 
-// Get file metadata from S3
-const getFileMetadata = async (bucketName, key) => {
+// Generate a presigned GET that downloads under the file's own name
+// (disposition: 'attachment' to save, 'inline' to open in the browser)
+const generatePresignedDownloadUrl = async (bucketName, key, {
+  contentDisposition,
+  expiresInSeconds = 3600
+} = {}) => {
   if (config.DEV_MODE) {
-    return {
-      ContentLength: 1024,
-      ContentType: 'application/octet-stream',
-      LastModified: new Date()
-    };
+    throw new Error('DEV_MODE: presigned downloads are not available without S3');
+  }
+
+  // ChecksumMode makes S3 send x-amz-checksum-sha256 with the object
+  const getCommand = new GetObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    ResponseContentDisposition: contentDisposition,
+    ChecksumMode: 'ENABLED'
+  });
+
+  return getSignedUrl(s3Client, getCommand, { expiresIn: expiresInSeconds });
+};
+
+// Open an object (or one byte range of it, e.g. 'bytes=0-1023') for
+// streaming; Body is a readable stream
+const getObjectStream = async (bucketName, key, { range } = {}) => {
+  return getObjectClient().send(new GetObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    Range: range
+  }));
+};
+
+// The first `length` bytes of an object (all of it when shorter)
+const readObjectHead = async (bucketName, key, length) => {
+  const { Body } = await getObjectStream(bucketName, key, { range: `bytes=0-${length - 1}` });
+  const chunks = [];
+  for await (const chunk of Body) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).subarray(0, length);
+};
+
+// SHA-256 (hex) of an object's content, read back from storage; for
+// uploads whose bytes never passed through this server. Reads the whole
+// object, so it is only used in the background or when a conflict policy
+// has to compare content.
+const hashObject = async (bucketName, key) => {
+  const { Body } = await getObjectStream(bucketName, key);
+  const hash = createHash('sha256');
+  for await (const chunk of Body) {
+    hash.update(chunk);
   }
+  return hash.digest('hex');
+};
+
+// Whether browsers can upload straight to the bucket (not in DEV_MODE,
+// where objects live on the server's disk)
+const supportsPresignedUploads = () => !config.DEV_MODE;
+
+// Generate a presigned PUT for uploading one object from the browser.
+// Returns the URL and the headers the browser must send with it; type,
+// length and encryption are signed, so S3 refuses any other upload. With
+// sha256 (hex) the checksum is signed too and S3 rejects other content.
+const generatePresignedUploadUrl = async (bucketName, key, {
+  contentType,
+  contentLength,
+  storageClass = 'STANDARD',
+  sha256,
+  metadata,
+  expiresInSeconds = 900
+} = {}) => {
+  if (!supportsPresignedUploads()) {
+    throw new Error('DEV_MODE: presigned uploads are not available without S3');
+  }
+
+  const checksumSHA256 = sha256 ? sha256HexToBase64(sha256) : undefined;
+  const putCommand = new PutObjectCommand({
+    Bucket: bucketName,
+    Key: key,
+    ContentType: contentType,
+    ContentLength: contentLength,
+    StorageClass: storageClass,
+    ServerSideEncryption: 'AES256',
+    ChecksumSHA256: checksumSHA256,
+    // Hoisted into the signed query string, so the browser sends nothing extra
+    Metadata: metadata
+  });
+
+  const url = await getSignedUrl(presignClient, putCommand, {
+    expiresIn: expiresInSeconds,
+    signableHeaders: new Set(['content-type']),
+    unhoistableHeaders: new Set(checksumSHA256 ? ['x-amz-checksum-sha256'] : [])
+  });
+  console.log(`✅ Generated presigned upload URL for ${key}, expires in ${expiresInSeconds}s`);
+  return {
+    url,
+    headers: {
+      'Content-Type': contentType,
+      'x-amz-server-side-encryption': 'AES256',
+      ...(checksumSHA256 ? { 'x-amz-checksum-sha256': checksumSHA256 } : {})
+    }
+  };
+};
 
+// Get file metadata from S3 (including ChecksumSHA256 when it has one)
+const getFileMetadata = async (bucketName, key) => {
   try {
     const headCommand = new HeadObjectCommand({
       Bucket: bucketName,
-      Key: key
+      Key: key,
+      ChecksumMode: 'ENABLED'
     });
 
-    const metadata = await s3Client.send(headCommand);
+    const metadata = await getObjectClient().send(headCommand);
     return metadata;
   } catch (error) {
     console.error('❌ Error getting file metadata:', error);
@@ -419,14 +793,65 @@ const getFileMetadata = async (bucketName, key) => {
   }
 };
 
+// List every object in a bucket, optionally under a prefix
+const listBucketObjects = async (bucketName, prefix) => {
+  if (config.DEV_MODE) {
+    throw new Error('DEV_MODE: bucket listing is not available without S3');
+  }
+
+  const objects = [];
+  let continuationToken;
+
+  do {
+    const page = await s3Client.send(new ListObjectsV2Command({
+      Bucket: bucketName,
+      Prefix: prefix,
+      MaxKeys: 1000,
+      ContinuationToken: continuationToken
+    }));
+
+    (page.Contents || []).forEach(obj => {
+      objects.push({
+        key: obj.Key,
+        size: obj.Size,
+        storageClass: obj.StorageClass || 'STANDARD',
+        lastModified: obj.LastModified,
+        etag: obj.ETag
+      });
+    });
+
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+};
+
 module.exports = {
   s3Client,
   testAWSConnection,
   createUserBucket,
+  configureBucketCors,
   deleteS3BucketCompletely,
   uploadFileToS3,
+  uploadStreamToS3,
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  putObject,
   deleteFileFromS3,
+  copyObject,
+  putObjectTags,
+  getObjectTags,
   checkBucketExists,
   generatePresignedShareUrl,
-  getFileMetadata
+  generatePresignedDownloadUrl,
+  getObjectStream,
+  fullObjectSha256,
+  hashObject,
+  readObjectHead,
+  supportsPresignedUploads,
+  generatePresignedUploadUrl,
+  getFileMetadata,
+  listBucketObjects
 };
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Backup Service
+ * Checksummed snapshots of the metadata store and validated restores
+ *
+ * A backup is a gzipped JSON archive with one entry per collection and
+ * scope. Every entry carries a SHA-256 checksum of its records and the
+ * archive carries a checksum over all entries. Backups only read, and
+ * each JSON file is replaced atomically by the adapter, so a backup can
+ * run next to a live server without taking any locks.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createHash } = require('crypto');
+const config = require('../config/environment');
+const { getAdapter, listUserIds } = require('../adapters');
+const { COLLECTIONS, getPerUserCollections } = require('../adapters/collections');
+const { getMigrationStatus } = require('./migrationService');
+const { writeFileAtomic } = require('../utils/fileSystem');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_FORMAT = 'skycrate-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// Required record fields per collection ('?' marks optional fields)
+const RECORD_SCHEMAS = {
+  meta: { id: 'string' },
+  users: { id: 'string', email: 'string', tier: 'string?', quota: 'object?', conflictPolicy: 'string?' },
+  folders: { id: 'string', userId: 'string', name: 'string', tags: 'array?', conflictPolicy: 'string?' },
+  files: { id: 'string', originalName: 'string', s3Key: 'string', fileSize: 'number', versions: 'array?', tags: 'array?', scanStatus: 'string?', previewStatus: 'string?' },
+  billing: { id: 'string', type: 'string', timestamp: 'string' },
+  sharedFiles: { id: 'string', fileId: 'string' },
+  uploadSessions: { id: 'string', uploadId: 'string', s3Key: 'string', offset: 'number' },
+  trash: { id: 'string', itemType: 'string', itemId: 'string', deletedAt: 'string', item: 'object' },
+  contentObjects: { id: 'string', s3Key: 'string', size: 'number', refCount: 'number' }
+};
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+const checksumRecords = (records) => sha256(JSON.stringify(records));
+
+const checksumEntries = (entries) => {
+  return sha256(entries.map(e => `${e.collection}:${e.scope ?? ''}:${e.checksum}`).join('\n'));
+};
+
+// Collections of one user, in restore order
+const getUserCollections = () => ['folders', ...getPerUserCollections()];
+
+// Snapshot one collection scope into an archive entry
+const createEntry = async (adapter, collection, scope) => {
+  const records = await adapter.list(collection, scope);
+  return { collection, scope, count: records.length, checksum: checksumRecords(records), records };
+};
+
+// Write a backup archive of the whole store, returns its path and summary
+const createBackup = async (adapter = getAdapter(), { dir = config.BACKUP_DIR, label } = {}) => {
+  const entries = [
+    await createEntry(adapter, 'meta', null),
+    await createEntry(adapter, 'users', null)
+  ];
+
+  const userIds = await listUserIds(adapter);
+  for (const userId of userIds) {
+    for (const collection of getUserCollections()) {
+      entries.push(await createEntry(adapter, collection, userId));
+    }
+  }
+
+  const createdAt = new Date().toISOString();
+  const archive = {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    createdAt,
+    dataStore: adapter.type,
+    schemaVersion: (await getMigrationStatus(adapter)).currentVersion,
+    checksum: checksumEntries(entries),
+    entries
+  };
+
+  const fileName = `skycrate-backup-${createdAt.replace(/[:.]/g, '-')}${label ? `-${label}` : ''}.json.gz`;
+  const filePath = path.join(dir, fileName);
+
+  await fs.mkdir(dir, { recursive: true });
+  await writeFileAtomic(filePath, await gzip(JSON.stringify(archive)));
+
+  return {
+    path: filePath,
+    createdAt,
+    checksum: archive.checksum,
+    users: userIds.length,
+    records: entries.reduce((sum, e) => sum + e.count, 0)
+  };
+};
+
+// Check one record against its collection schema
+const validateRecord = (collection, record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record is not an object'];
+  }
+
+  return Object.entries(RECORD_SCHEMAS[collection]).flatMap(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = record[field];
+
+    if (value === undefined || value === null) {
+      return optional ? [] : [`missing ${field}`];
+    }
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    return actualType === type ? [] : [`${field} must be ${type}`];
+  });
+};
+
+// Validate an archive's structure, checksums and records; returns problems
+const validateArchive = (archive) => {
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    return ['not a SkyCrate backup archive'];
+  }
+  if (archive.formatVersion !== BACKUP_FORMAT_VERSION) {
+    return [`unsupported backup format version ${archive.formatVersion}`];
+  }
+  if (!Array.isArray(archive.entries)) {
+    return ['archive has no entries'];
+  }
+
+  const problems = [];
+  const seenScopes = new Set();
+
+  archive.entries.forEach(entry => {
+    const label = `${entry.collection}${entry.scope ? `/${entry.scope}` : ''}`;
+
+    if (!COLLECTIONS[entry.collection]) {
+      problems.push(`${label}: unknown collection`);
+      return;
+    }
+    if (!Array.isArray(entry.records)) {
+      problems.push(`${label}: records must be an array`);
+      return;
+    }
+    if (seenScopes.has(label)) {
+      problems.push(`${label}: duplicate entry`);
+    }
+    seenScopes.add(label);
+
+    if (checksumRecords(entry.records) !== entry.checksum) {
+      problems.push(`${label}: checksum mismatch`);
+    }
+
+    const isUserScoped = getUserCollections().includes(entry.collection);
+    if (isUserScoped !== Boolean(entry.scope)) {
+      problems.push(`${label}: ${isUserScoped ? 'missing' : 'unexpected'} user scope`);
+    }
+
+    const ids = new Set();
+    entry.records.forEach((record, index) => {
+      validateRecord(entry.collection, record).forEach(problem => {
+        problems.push(`${label}[${index}]: ${problem}`);
+      });
+      if (record && ids.has(record.id)) {
+        problems.push(`${label}[${index}]: duplicate id ${record.id}`);
+      }
+      if (record) {
+        ids.add(record.id);
+      }
+      if (isUserScoped && record?.userId !== undefined && record.userId !== entry.scope) {
+        problems.push(`${label}[${index}]: belongs to user ${record.userId}`);
+      }
+    });
+  });
+
+  if (checksumEntries(archive.entries) !== archive.checksum) {
+    problems.push('archive checksum mismatch');
+  }
+
+  return problems;
+};
+
+// Read and fully validate a backup archive
+const readBackup = async (filePath) => {
+  let archive;
+  try {
+    archive = JSON.parse((await gunzip(await fs.readFile(filePath))).toString('utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Backup not found: ${filePath}`);
+    }
+    throw new Error(`Backup is unreadable: ${error.message}`);
+  }
+
+  const problems = validateArchive(archive);
+  if (problems.length > 0) {
+    throw new Error(`Backup validation failed:\n  - ${problems.join('\n  - ')}`);
+  }
+  return archive;
+};
+
+// Restore a whole store, or one user's data, from a validated archive
+// Unless dryRun is set, a safety backup of the current store is written
+// first so the restore itself can be undone
+const restoreBackup = async (adapter = getAdapter(), filePath, { userId, dryRun = false, dir = config.BACKUP_DIR } = {}) => {
+  const archive = await readBackup(filePath);
+  const currentSchemaVersion = (await getMigrationStatus(adapter)).currentVersion;
+
+  let entries;
+  let removedUsers = [];
+  let userRecord = null;
+
+  if (userId) {
+    // Mixing one user's data into a store at another schema version
+    // would leave that user's records half migrated
+    if (archive.schemaVersion !== currentSchemaVersion) {
+      throw new Error(`Backup schema version ${archive.schemaVersion} does not match the store (${currentSchemaVersion})`);
+    }
+
+    const usersEntry = archive.entries.find(e => e.collection === 'users');
+    userRecord = usersEntry.records.find(u => u.id === userId) || null;
+    const userEntries = archive.entries.filter(e => e.scope === userId);
+    if (!userRecord && userEntries.length === 0) {
+      throw new Error(`User ${userId} not found in backup`);
+    }
+
+    // Collections missing from the archive were empty when it was taken
+    entries = getUserCollections().map(collection =>
+      userEntries.find(e => e.collection === collection) ||
+        { collection, scope: userId, count: 0, records: [] }
+    );
+  } else {
+    const archivedUsers = new Set(archive.entries.filter(e => e.scope).map(e => e.scope));
+    archive.entries.find(e => e.collection === 'users').records.forEach(u => archivedUsers.add(u.id));
+    removedUsers = (await listUserIds(adapter)).filter(id => !archivedUsers.has(id));
+    entries = archive.entries;
+  }
+
+  const summary = {
+    archive: filePath,
+    createdAt: archive.createdAt,
+    userId: userId || null,
+    restored: entries.map(({ collection, scope, records }) => ({ collection, scope, count: records.length })),
+    removedUsers,
+    safetyBackup: null
+  };
+
+  if (dryRun) {
+    return summary;
+  }
+
+  summary.safetyBackup = (await createBackup(adapter, { dir, label: 'pre-restore' })).path;
+
+  if (userId) {
+    await adapter.initializeScope(userId);
+    if (userRecord) {
+      const existing = await adapter.findById('users', null, userId);
+      if (existing) {
+        await adapter.update('users', null, userId, userRecord);
+      } else {
+        await adapter.insert('users', null, userRecord);
+      }
+    }
+  } else {
+    for (const removedUserId of removedUsers) {
+      await adapter.removeScope(removedUserId);
+    }
+  }
+
+  for (const { collection, scope, records } of entries) {
+    if (scope) {
+      await adapter.initializeScope(scope);
+    }
+    await adapter.replaceAll(collection, scope, records);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  createBackup,
+  readBackup,
+  validateArchive,
+  restoreBackup
+};
@@ -12,7 +12,7 @@ const trackBillingActivity = async (userId, activityType, details) => {
     const activity = {
       id: randomUUID(),
       userId: userId,
-      type: activityType, // 'storage', 'request_upload', 'request_download', 'transfer_out', 'retrieval'
+      type: activityType, // 'storage', 'request_upload', 'request_download', 'request_copy', 'transfer_out', 'retrieval'
       timestamp: new Date().toISOString(),
       details: details,
       cost: details.cost || 0
@@ -48,7 +48,8 @@ const calculateStorageCost = (fileSize, storageClass) => {
 const calculateRequestCost = (requestType, requestCount = 1) => {
   const pricing = {
     'upload': 0.05 * 1.3, // per 1000 requests
-    'download': 0.004 * 1.3 // per 1000 requests
+    'download': 0.004 * 1.3, // per 1000 requests
+    'copy': 0.05 * 1.3 // per 1000 requests, priced like uploads
   };
 
   const pricePerThousand = pricing[requestType] || 0;
@@ -66,6 +67,37 @@ const calculateTransferCost = (transferSizeGB, freeAllowanceUsed = 0) => {
   return billableTransfer * pricePerGB;
 };
 
+// Bytes already transferred out this calendar month
+const getMonthlyTransferBytes = async (userId) => {
+  const { readBilling } = require('../models/Billing');
+  const billingData = await readBilling(userId);
+  const currentMonth = new Date().toISOString().slice(0, 7);
+
+  return billingData
+    .filter(activity => activity.type === 'transfer_out' && activity.timestamp.startsWith(currentMonth))
+    .reduce((sum, activity) => sum + (activity.details?.bytes || 0), 0);
+};
+
+// Track a download: one request plus the bytes sent, priced against what
+// is left of this month's free transfer allowance
+const trackDownloadActivity = async (userId, { fileId, fileName, bytes, mode }) => {
+  const GB = 1024 * 1024 * 1024;
+  const transferredGB = (await getMonthlyTransferBytes(userId)) / GB;
+
+  await trackBillingActivity(userId, 'request_download', {
+    fileId,
+    fileName,
+    mode,
+    cost: calculateRequestCost('download')
+  });
+  await trackBillingActivity(userId, 'transfer_out', {
+    fileId,
+    fileName,
+    bytes,
+    cost: calculateTransferCost(bytes / GB, transferredGB)
+  });
+};
+
 // Get billing details for a user
 const getBillingDetails = async (userId) => {
   try {
@@ -156,10 +188,15 @@ const getBillingHistory = async (userId) => {
 const getCurrentUsage = async (userId) => {
   try {
     const { readFiles } = require('../models/File');
-    const files = await readFiles(userId);
+    const { readTrashedFiles } = require('../models/Trash');
+    const liveFiles = await readFiles(userId);
+
+    // Trashed files keep their S3 objects until purged, so they still count
+    const trashedFiles = await readTrashedFiles(userId);
+    const files = [...liveFiles, ...trashedFiles];
 
     const totalStorage = files.reduce((sum, file) => sum + (file.fileSize || 0), 0);
-    const totalFiles = files.length;
+    const totalFiles = liveFiles.length;
     const estimatedMonthlyCost = files.reduce((sum, file) => sum + (file.estimatedMonthlyCost || 0), 0);
 
     // Storage class breakdown
@@ -204,6 +241,10 @@ const getCurrentUsage = async (userId) => {
       totalFiles,
       estimatedMonthlyCost,
       storageClassUsage,
+      trash: {
+        fileCount: trashedFiles.length,
+        totalSize: trashedFiles.reduce((sum, file) => sum + (file.fileSize || 0), 0)
+      },
       lastUpdated: new Date().toISOString(),
       pricing: pricingStructure,
       // Add frontend-compatible structure
@@ -224,6 +265,8 @@ module.exports = {
   calculateStorageCost,
   calculateRequestCost,
   calculateTransferCost,
+  getMonthlyTransferBytes,
+  trackDownloadActivity,
   getBillingDetails,
   getBillingHistory,
   getCurrentUsage
@@ -0,0 +1,95 @@
+/**
+ * Conflict Service
+ * What an upload does when its folder already has a file of that name
+ *
+ *   version            becomes a new version of that file (content identical
+ *                      to its active version is not added again)
+ *   rename             is kept as a separate file, "report (1).pdf"
+ *   reject             is refused
+ *   skip-if-identical  is skipped when identical to the file's active
+ *                      version, otherwise refused as a conflict; content
+ *                      without a known SHA-256 is hashed to compare it
+ *
+ * The policy an upload asks for wins; otherwise the nearest folder with a
+ * conflictPolicy (the upload's folder or one of its parents), then the
+ * user's conflictPolicy, then 'version'.
+ */
+
+const { findFiles } = require('../models/File');
+const { getFolderPath } = require('../models/Folder');
+
+const CONFLICT_POLICIES = ['version', 'rename', 'reject', 'skip-if-identical'];
+const DEFAULT_CONFLICT_POLICY = 'version';
+const FILE_EXISTS = 'A file with this name already exists in this location';
+const FILE_DIFFERS = 'A file with this name and different content already exists in this location';
+const INVALID_CONFLICT_POLICY = `Invalid conflict policy, use one of: ${CONFLICT_POLICIES.join(', ')}`;
+
+const isConflictPolicy = (policy) => CONFLICT_POLICIES.includes(policy);
+
+// Whether an upload was refused because its name is taken
+const isConflictError = (error) => error.message === FILE_EXISTS || error.message === FILE_DIFFERS;
+
+// Check a policy sent by a client; empty values mean "not set"
+const parseConflictPolicy = (policy) => {
+  if (policy === undefined || policy === null || policy === '') {
+    return null;
+  }
+  if (!isConflictPolicy(policy)) {
+    throw new Error(INVALID_CONFLICT_POLICY);
+  }
+  return policy;
+};
+
+// The policy for an upload into a folder
+const resolveConflictPolicy = async (user, parentFolderId, requested) => {
+  const policy = parseConflictPolicy(requested);
+  if (policy) {
+    return policy;
+  }
+
+  const folders = await getFolderPath(user.id, parentFolderId);
+  const folder = [...folders].reverse().find(f => isConflictPolicy(f.conflictPolicy));
+  if (folder) {
+    return folder.conflictPolicy;
+  }
+  return isConflictPolicy(user.conflictPolicy) ? user.conflictPolicy : DEFAULT_CONFLICT_POLICY;
+};
+
+// Refuse an upload up front when its policy is 'reject' and the name is
+// taken, so no bytes are sent for nothing. recordUpload checks again.
+const assertNoConflict = async (user, { originalName, parentFolderId = null }, policy) => {
+  if (policy !== 'reject') {
+    return;
+  }
+  const [existingFile] = await findFiles(user.id, { originalName, parentFolderId });
+  if (existingFile) {
+    throw new Error(FILE_EXISTS);
+  }
+};
+
+// The first of "name (1).ext", "name (2).ext", ... not used in the folder
+const findFreeName = async (userId, parentFolderId, originalName) => {
+  const taken = new Set((await findFiles(userId, { parentFolderId })).map(file => file.originalName));
+  const dot = originalName.lastIndexOf('.');
+  const base = dot > 0 ? originalName.slice(0, dot) : originalName;
+  const extension = dot > 0 ? originalName.slice(dot) : '';
+
+  let counter = 1;
+  while (taken.has(`${base} (${counter})${extension}`)) {
+    counter++;
+  }
+  return `${base} (${counter})${extension}`;
+};
+
+module.exports = {
+  CONFLICT_POLICIES,
+  DEFAULT_CONFLICT_POLICY,
+  FILE_EXISTS,
+  FILE_DIFFERS,
+  INVALID_CONFLICT_POLICY,
+  isConflictError,
+  parseConflictPolicy,
+  resolveConflictPolicy,
+  assertNoConflict,
+  findFreeName
+};
@@ -0,0 +1,246 @@
+/**
+ * Consistency Service
+ * Reconciles file records with the objects in each user's S3 bucket
+ *
+ * Reports four kinds of issues:
+ *   missing_object      - a version's s3Key has no object in the bucket
+ *   orphaned_object     - an object in the bucket no version (live or trashed) refers to
+ *   size_mismatch       - object size differs from the version's fileSize
+ *   storage_class_drift - object storage class differs from the record
+ *
+ * Repairs are opt-in: orphans can be adopted into a "Recovered" folder and
+ * versions with missing or mismatched objects can be marked broken.
+ */
+
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { readFiles, addFile, setVersionIntegrity } = require('../models/File');
+const { readTrashedFiles } = require('../models/Trash');
+const { readFolders, addFolder } = require('../models/Folder');
+const { readUsers, findUserById } = require('../models/User');
+const { listBucketObjects, getFileMetadata } = require('./awsService');
+const { calculateStorageCost } = require('./billingService');
+const { getPreviewKeys } = require('./previewService');
+
+const RECOVERED_FOLDER_NAME = 'Recovered';
+
+const ISSUE_TYPES = {
+  MISSING_OBJECT: 'missing_object',
+  ORPHANED_OBJECT: 'orphaned_object',
+  SIZE_MISMATCH: 'size_mismatch',
+  STORAGE_CLASS_DRIFT: 'storage_class_drift'
+};
+
+// Issues that make a version unusable and can be marked broken
+const BREAKING_ISSUES = [ISSUE_TYPES.MISSING_OBJECT, ISSUE_TYPES.SIZE_MISMATCH];
+
+// HeadObject a key, null when the object does not exist
+const headObject = async (bucketName, key) => {
+  try {
+    const metadata = await getFileMetadata(bucketName, key);
+    return {
+      key,
+      size: metadata.ContentLength,
+      storageClass: metadata.StorageClass || 'STANDARD',
+      contentType: metadata.ContentType
+    };
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Compare one version with the object stored for it
+const checkVersion = (file, version, object) => {
+  const base = { fileId: file.id, fileName: file.originalName, versionId: version.versionId, s3Key: version.s3Key };
+
+  if (!object) {
+    return [{ ...base, type: ISSUE_TYPES.MISSING_OBJECT }];
+  }
+
+  const issues = [];
+  if (object.size !== version.fileSize) {
+    issues.push({ ...base, type: ISSUE_TYPES.SIZE_MISMATCH, expected: version.fileSize, actual: object.size });
+  }
+
+  const expectedClass = version.storageClass || file.storageClass || 'STANDARD';
+  if (object.storageClass !== expectedClass) {
+    issues.push({ ...base, type: ISSUE_TYPES.STORAGE_CLASS_DRIFT, expected: expectedClass, actual: object.storageClass });
+  }
+  return issues;
+};
+
+// Name for an adopted object: the key's file name without the upload
+// timestamp prefix, made unique within the Recovered folder
+const getRecoveredName = (key, takenNames) => {
+  const baseName = path.basename(key).replace(/^\d{13}-/, '');
+  const ext = path.extname(baseName);
+  const stem = baseName.slice(0, baseName.length - ext.length);
+
+  let name = baseName;
+  for (let n = 2; takenNames.has(name); n++) {
+    name = `${stem} (${n})${ext}`;
+  }
+  takenNames.add(name);
+  return name;
+};
+
+// Create (or reuse) the root "Recovered" folder
+const getRecoveredFolder = async (userId) => {
+  const folders = await readFolders(userId);
+  const existing = folders.find(f => f.name === RECOVERED_FOLDER_NAME && !f.parentFolderId);
+  return existing || addFolder(userId, { name: RECOVERED_FOLDER_NAME, parentFolderId: null });
+};
+
+// Turn orphaned objects into file records in the Recovered folder
+const adoptOrphans = async (user, orphans) => {
+  if (orphans.length === 0) return [];
+
+  const folder = await getRecoveredFolder(user.id);
+  const files = await readFiles(user.id);
+  const takenNames = new Set(files.filter(f => f.parentFolderId === folder.id).map(f => f.originalName));
+  const adopted = [];
+
+  for (const orphan of orphans) {
+    const head = await headObject(user.awsBucketName, orphan.s3Key);
+    if (!head) continue; // Deleted since the listing
+
+    const originalName = getRecoveredName(orphan.s3Key, takenNames);
+    const file = await addFile(user.id, {
+      id: randomUUID(),
+      userId: user.id,
+      originalName,
+      fileName: path.basename(orphan.s3Key),
+      fileType: head.contentType || 'application/octet-stream',
+      fileSize: head.size,
+      s3Key: orphan.s3Key,
+      url: null,
+      storageClass: head.storageClass,
+      estimatedMonthlyCost: calculateStorageCost(head.size, head.storageClass),
+      uploadDate: (orphan.lastModified ? new Date(orphan.lastModified) : new Date()).toISOString(),
+      parentFolderId: folder.id,
+      isStarred: false,
+      comment: 'Recovered by consistency check'
+    });
+    adopted.push({ s3Key: orphan.s3Key, fileId: file.id, originalName });
+  }
+
+  return adopted;
+};
+
+// Mark versions with breaking issues, and clear marks that no longer apply
+const markBrokenVersions = async (userId, files, issues) => {
+  const marked = [];
+
+  for (const file of files) {
+    const updates = {};
+    file.versions.forEach(version => {
+      const issue = issues.find(i => i.versionId === version.versionId && BREAKING_ISSUES.includes(i.type));
+      if (issue) {
+        updates[version.versionId] = issue.type;
+      } else if (version.integrity) {
+        updates[version.versionId] = null;
+      }
+    });
+
+    if (Object.keys(updates).length > 0) {
+      await setVersionIntegrity(userId, file.id, updates);
+      Object.entries(updates)
+        .filter(([, issue]) => issue)
+        .forEach(([versionId, issue]) => marked.push({ fileId: file.id, versionId, issue }));
+    }
+  }
+
+  return marked;
+};
+
+// Check one user's records against their bucket, optionally repairing
+const checkUser = async (user, { adoptOrphans: adopt = false, markBroken = false } = {}) => {
+  const files = await readFiles(user.id);
+  const objects = await listBucketObjects(user.awsBucketName);
+  const objectsByKey = new Map(objects.map(obj => [obj.key, obj]));
+  const referencedKeys = new Set();
+  const issues = [];
+  let versionsChecked = 0;
+
+  for (const file of files) {
+    for (const version of file.versions || []) {
+      versionsChecked++;
+      referencedKeys.add(version.s3Key);
+      getPreviewKeys(version).forEach(key => referencedKeys.add(key));
+
+      // Confirm with HeadObject before reporting an object as missing
+      const object = objectsByKey.get(version.s3Key) || await headObject(user.awsBucketName, version.s3Key);
+      issues.push(...checkVersion(file, version, object));
+    }
+  }
+
+  // Objects of trashed files are kept until the trash is purged
+  (await readTrashedFiles(user.id))
+    .forEach(file => (file.versions || []).forEach(version => {
+      referencedKeys.add(version.s3Key);
+      getPreviewKeys(version).forEach(key => referencedKeys.add(key));
+    }));
+
+  const orphans = objects
+    .filter(obj => !referencedKeys.has(obj.key))
+    .map(obj => ({ type: ISSUE_TYPES.ORPHANED_OBJECT, s3Key: obj.key, size: obj.size, storageClass: obj.storageClass, lastModified: obj.lastModified }));
+  issues.push(...orphans);
+
+  const repairs = {
+    adopted: adopt ? await adoptOrphans(user, orphans) : [],
+    markedBroken: markBroken ? await markBrokenVersions(user.id, files, issues) : []
+  };
+
+  const summary = {};
+  issues.forEach(issue => {
+    summary[issue.type] = (summary[issue.type] || 0) + 1;
+  });
+
+  return {
+    userId: user.id,
+    bucket: user.awsBucketName,
+    checkedAt: new Date().toISOString(),
+    filesChecked: files.length,
+    versionsChecked,
+    objectsChecked: objects.length,
+    summary,
+    issues,
+    repairs
+  };
+};
+
+// Check a user by id
+const checkUserById = async (userId, options) => {
+  const user = await findUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return checkUser(user, options);
+};
+
+// Check every user; one user's failure does not stop the others
+const checkAllUsers = async (options) => {
+  const users = await readUsers();
+  const results = [];
+
+  for (const user of users) {
+    try {
+      results.push(await checkUser(user, options));
+    } catch (error) {
+      console.error(`❌ Consistency check failed for user ${user.id}:`, error.message);
+      results.push({ userId: user.id, bucket: user.awsBucketName, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  ISSUE_TYPES,
+  checkUser,
+  checkUserById,
+  checkAllUsers
+};
@@ -0,0 +1,284 @@
+/**
+ * Content Type Service
+ * Detects a file's real type from its leading bytes and decides which
+ * types a user may upload
+ *
+ * The type a client declares is kept when the content agrees with it (or
+ * is a format without a signature, such as plain text); content of a
+ * recognised format that contradicts it is rejected, and so is content
+ * without a signature declared as a type that always has one (an
+ * "image/png" that isn't a PNG). The detected type is stored on the
+ * record as detectedType.
+ *
+ * Which types are accepted depends on the user's tier (user.tier, or
+ * DEFAULT_USER_TIER): each tier has `allow` and `deny` lists of MIME types
+ * or `type/*` patterns, where deny wins. UPLOAD_TYPE_POLICY (JSON, e.g.
+ * {"free": {"allow": ["image/*"], "deny": []}}) replaces or adds tiers.
+ */
+
+const config = require('../config/environment');
+
+// Enough leading bytes for every signature below
+const SNIFF_BYTES = 4096;
+
+// Declared types that say nothing about the content
+const GENERIC_TYPES = new Set(['', 'application/octet-stream', 'binary/octet-stream']);
+
+// Detected type -> other declared types the same bytes can be
+const COMPATIBLE_TYPES = {
+  'image/jpeg': ['image/jpg', 'image/pjpeg'],
+  'application/zip': [
+    'application/x-zip-compressed',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.presentation',
+    'application/epub+zip',
+    'application/java-archive'
+  ],
+  'application/x-cfb': [
+    'application/msword',
+    'application/vnd.ms-excel',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.ms-outlook',
+    'application/x-msi'
+  ],
+  'application/vnd.rar': ['application/x-rar-compressed', 'application/x-rar'],
+  'application/gzip': ['application/x-gzip'],
+  'audio/mpeg': ['audio/mp3'],
+  'audio/wav': ['audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  'audio/ogg': ['video/ogg', 'application/ogg', 'audio/opus'],
+  'audio/flac': ['audio/x-flac'],
+  'video/mp4': ['video/quicktime', 'video/x-m4v', 'video/3gpp', 'video/3gpp2', 'audio/mp4', 'audio/x-m4a'],
+  'video/webm': ['video/x-matroska', 'audio/webm', 'audio/x-matroska'],
+  'video/x-msvideo': ['video/avi'],
+  'application/x-msdownload': ['application/x-dosexec', 'application/vnd.microsoft.portable-executable'],
+  'text/x-shellscript': ['application/x-sh', 'text/x-python', 'text/x-perl', 'application/x-python']
+};
+
+// Types nobody may upload, whatever they are declared as
+const EXECUTABLE_TYPES = [
+  'application/x-executable',
+  'application/x-msdownload',
+  'application/x-dosexec',
+  'application/vnd.microsoft.portable-executable',
+  'application/x-mach-binary',
+  'application/x-msi',
+  'application/x-sh',
+  'text/x-shellscript'
+];
+
+const FREE_TYPES = [
+  'image/*',
+  'video/*',
+  'audio/*',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/zip',
+  'application/x-rar-compressed'
+];
+
+const DEFAULT_UPLOAD_POLICY = {
+  free: { allow: FREE_TYPES, deny: EXECUTABLE_TYPES },
+  pro: {
+    allow: [
+      ...FREE_TYPES,
+      'text/*',
+      'application/json',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.*',
+      'application/vnd.rar',
+      'application/x-7z-compressed',
+      'application/gzip',
+      'application/x-bzip2',
+      'application/x-tar'
+    ],
+    deny: EXECUTABLE_TYPES
+  }
+};
+
+const startsWith = (head, bytes, offset = 0) => {
+  if (head.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => head[offset + i] === byte);
+};
+
+const ascii = (text) => [...text].map(c => c.charCodeAt(0));
+
+const FTYP_TYPES = ['image/heic', 'image/heif', 'image/avif', 'video/mp4'];
+
+// Type of an ISO base media file (MP4, QuickTime, HEIF) from its brand
+const detectFtyp = (head) => {
+  const brand = head.toString('latin1', 8, 12);
+  if (['heic', 'heix', 'heim', 'heis'].includes(brand)) return 'image/heic';
+  if (brand === 'mif1' || brand === 'msf1') return 'image/heif';
+  if (brand === 'avif' || brand === 'avis') return 'image/avif';
+  return 'video/mp4';
+};
+
+// PE files start with an MZ stub whose header points at "PE\0\0"; a
+// pointer beyond the sniffed bytes still counts as an executable
+const isPortableExecutable = (head) => {
+  if (!startsWith(head, ascii('MZ')) || head.length < 64) return false;
+  const offset = head.readUInt32LE(0x3c);
+  return offset + 4 > head.length || startsWith(head, [0x50, 0x45, 0x00, 0x00], offset);
+};
+
+// Signature checks in order; the first match wins
+const SIGNATURES = [
+  [head => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), 'image/png'],
+  [head => startsWith(head, [0xff, 0xd8, 0xff]), 'image/jpeg'],
+  [head => startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a')), 'image/gif'],
+  [head => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8), 'image/webp'],
+  [head => startsWith(head, ascii('BM')) && startsWith(head, [0, 0, 0, 0], 6), 'image/bmp'],
+  [head => startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a]), 'image/tiff'],
+  [head => startsWith(head, ascii('ftyp'), 4), detectFtyp],
+  [head => startsWith(head, ascii('%PDF-')), 'application/pdf'],
+  [head => startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06]), 'application/zip'],
+  [head => startsWith(head, ascii('Rar!')) && startsWith(head, [0x1a, 0x07], 4), 'application/vnd.rar'],
+  [head => startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), 'application/x-7z-compressed'],
+  [head => startsWith(head, [0x1f, 0x8b]), 'application/gzip'],
+  [head => startsWith(head, ascii('BZh')) && startsWith(head, [0x31, 0x41, 0x59, 0x26, 0x53, 0x59], 4), 'application/x-bzip2'],
+  [head => startsWith(head, ascii('ustar'), 257), 'application/x-tar'],
+  [head => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), 'application/x-cfb'],
+  [head => startsWith(head, ascii('ID3')) || startsWith(head, [0xff, 0xfb]) || startsWith(head, [0xff, 0xf3]), 'audio/mpeg'],
+  [head => startsWith(head, ascii('OggS')), 'audio/ogg'],
+  [head => startsWith(head, ascii('fLaC')), 'audio/flac'],
+  [head => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WAVE'), 8), 'audio/wav'],
+  [head => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('AVI '), 8), 'video/x-msvideo'],
+  [head => startsWith(head, [0x1a, 0x45, 0xdf, 0xa3]), 'video/webm'],
+  [head => startsWith(head, [0x7f, 0x45, 0x4c, 0x46]), 'application/x-executable'],
+  [isPortableExecutable, 'application/x-msdownload'],
+  [head => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe]]
+    .some(magic => startsWith(head, magic)), 'application/x-mach-binary'],
+  [head => startsWith(head, ascii('#!')), 'text/x-shellscript']
+];
+
+// Declared types that may still lack a signature above: scripts need no
+// shebang, older QuickTime files start with other atoms, MP3 frame
+// headers vary and pre-POSIX tar archives have no magic
+const SIGNATURE_OPTIONAL_TYPES = [
+  'text/x-shellscript',
+  ...COMPATIBLE_TYPES['text/x-shellscript'],
+  'video/quicktime',
+  'audio/mpeg',
+  'audio/mp3',
+  'application/x-tar'
+];
+
+// Declared types whose content has to be recognised by a signature
+const SIGNED_TYPES = new Set(
+  [...SIGNATURES.map(([, type]) => type).filter(type => typeof type === 'string'), ...FTYP_TYPES]
+    .flatMap(type => [type, ...(COMPATIBLE_TYPES[type] || [])])
+    .filter(type => !SIGNATURE_OPTIONAL_TYPES.includes(type))
+);
+
+// The type a file's leading bytes identify, or null for formats without
+// a signature (text, CSV, ...)
+const detectContentType = (head) => {
+  for (const [matches, type] of SIGNATURES) {
+    if (matches(head)) {
+      return typeof type === 'function' ? type(head) : type;
+    }
+  }
+  return null;
+};
+
+// Check the declared type against the content. Returns { fileType,
+// detectedType }: the declared type when the content agrees, the detected
+// one when the client declared nothing specific.
+const resolveContentType = (declaredType, head) => {
+  const declared = (declaredType || '').toLowerCase();
+  const detectedType = detectContentType(head);
+
+  if (!detectedType) {
+    if (SIGNED_TYPES.has(declared)) {
+      console.log(`🚫 Content without a signature declared as ${declared}`);
+      throw new Error('File content does not match its declared type');
+    }
+    return { fileType: declared || 'application/octet-stream', detectedType: null };
+  }
+  if (declared === detectedType || (COMPATIBLE_TYPES[detectedType] || []).includes(declared)) {
+    return { fileType: declared, detectedType };
+  }
+  if (GENERIC_TYPES.has(declared)) {
+    return { fileType: detectedType, detectedType };
+  }
+
+  console.log(`🚫 Content of type ${detectedType} declared as ${declared}`);
+  throw new Error('File content does not match its declared type');
+};
+
+let uploadPolicy = null;
+
+// Built-in tiers with UPLOAD_TYPE_POLICY applied, read once
+const getUploadPolicy = () => {
+  if (!uploadPolicy) {
+    let overrides = {};
+    if (config.UPLOAD_TYPE_POLICY) {
+      try {
+        overrides = JSON.parse(config.UPLOAD_TYPE_POLICY);
+      } catch (error) {
+        throw new Error('UPLOAD_TYPE_POLICY is not valid JSON');
+      }
+    }
+    uploadPolicy = { ...DEFAULT_UPLOAD_POLICY, ...overrides };
+  }
+  return uploadPolicy;
+};
+
+const getTiers = () => Object.keys(getUploadPolicy());
+
+// The allow/deny lists that apply to a user
+const getPolicyForUser = (user) => {
+  const policy = getUploadPolicy();
+  return policy[user && user.tier] || policy[config.DEFAULT_USER_TIER] || { allow: [], deny: [] };
+};
+
+const matchesType = (patterns = [], type) => {
+  return patterns.some(pattern => pattern.endsWith('/*') ?
+    type.startsWith(pattern.slice(0, -1)) :
+    type === pattern);
+};
+
+// Whether the user's tier accepts a file stored as fileType whose content
+// was detected as detectedType (deny rules apply to both)
+const isAllowedType = (user, fileType, detectedType = null) => {
+  const { allow, deny } = getPolicyForUser(user);
+  const type = (fileType || '').toLowerCase();
+  if (matchesType(deny, type) || (detectedType && matchesType(deny, detectedType))) {
+    return false;
+  }
+  return matchesType(allow, type);
+};
+
+// Whether an upload announced as declaredType may start; generic types
+// are decided once the content is sniffed
+const canAnnounceType = (user, declaredType) => {
+  return GENERIC_TYPES.has((declaredType || '').toLowerCase()) || isAllowedType(user, declaredType);
+};
+
+// Sniff, check against the declared type and the user's policy; returns
+// { fileType, detectedType } to store
+const checkUploadContent = (user, declaredType, head) => {
+  const result = resolveContentType(declaredType, head);
+  if (!isAllowedType(user, result.fileType, result.detectedType)) {
+    throw new Error('Unsupported file type');
+  }
+  return result;
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  detectContentType,
+  resolveContentType,
+  getTiers,
+  isAllowedType,
+  canAnnounceType,
+  checkUploadContent
+};
@@ -0,0 +1,147 @@
+/**
+ * Deduplication Service
+ * Content-addressed storage for identical uploads (DEDUPLICATION_ENABLED)
+ *
+ * A deduplicated version's s3Key is content/sha256/<hex>; every version
+ * pointing at it (live or in the trash) holds one reference on its content
+ * object record. The object is deleted from S3 only when the last
+ * reference is released. Versions under other keys own their object.
+ */
+
+const config = require('../config/environment');
+const {
+  readContentObjects,
+  findContentObject,
+  addContentReference,
+  releaseContentReference
+} = require('../models/ContentObject');
+const { readFiles } = require('../models/File');
+const { readTrashedFiles } = require('../models/Trash');
+const { copyObject, deleteFileFromS3 } = require('./awsService');
+const { calculateStorageCost } = require('./billingService');
+const { withLock } = require('../utils/lock');
+
+const CONTENT_KEY_PREFIX = 'content/sha256/';
+
+// A single CopyObject request copies at most 5 GB
+const MAX_COPY_BYTES = 5 * 1024 * 1024 * 1024;
+
+// Changes to one content object (its references and its S3 object) happen
+// one at a time, so an upload never re-adds an object being deleted
+const withContentLock = (userId, sha256, fn) => withLock(`content:${userId}:${sha256}`, fn);
+
+const contentKeyFor = (sha256) => `${CONTENT_KEY_PREFIX}${sha256}`;
+
+const isContentKey = (key) => typeof key === 'string' && key.startsWith(CONTENT_KEY_PREFIX);
+
+const sha256FromKey = (key) => key.slice(CONTENT_KEY_PREFIX.length);
+
+// Move a freshly uploaded object to its content-addressed key, or drop it
+// when that content is already stored in the same storage class. Returns
+// the { s3Key, storageClass, etag } the version should use, or null to
+// keep the object where it is (content stored in another class keeps its
+// own object, so the upload gets the class it asked for).
+const storeDeduplicated = async (user, { sha256, s3Key, fileSize, storageClass }) => {
+  if (!config.DEDUPLICATION_ENABLED || !sha256 || fileSize > MAX_COPY_BYTES) {
+    return null;
+  }
+
+  return withContentLock(user.id, sha256, async () => {
+    const existing = await findContentObject(user.id, sha256);
+    if (existing && existing.storageClass !== storageClass) {
+      console.log(`📦 Not deduplicating ${s3Key}: content is stored as ${existing.storageClass}, upload asked for ${storageClass}`);
+      return null;
+    }
+    if (existing) {
+      await addContentReference(user.id, sha256, existing);
+      await deleteFileFromS3(user.awsBucketName, s3Key).catch(error => {
+        console.error(`⚠️ Could not remove duplicate object ${s3Key}:`, error.message);
+      });
+      console.log(`♻️ Deduplicated ${s3Key} -> ${existing.s3Key} (${existing.refCount + 1} references)`);
+      return { s3Key: existing.s3Key, storageClass: existing.storageClass, etag: existing.etag || null };
+    }
+
+    const contentKey = contentKeyFor(sha256);
+    const etag = await copyObject(user.awsBucketName, s3Key, contentKey, { storageClass });
+    await addContentReference(user.id, sha256, { s3Key: contentKey, size: fileSize, storageClass, etag });
+    await deleteFileFromS3(user.awsBucketName, s3Key).catch(error => {
+      console.error(`⚠️ Could not remove uploaded object ${s3Key}:`, error.message);
+    });
+    console.log(`📦 Stored ${s3Key} as content object ${contentKey}`);
+    return { s3Key: contentKey, storageClass, etag: etag || null };
+  });
+};
+
+// Add a reference to a content-addressed key (e.g. for a copied version)
+const addReference = async (user, s3Key) => {
+  const sha256 = sha256FromKey(s3Key);
+  return withContentLock(user.id, sha256, async () => {
+    const existing = await findContentObject(user.id, sha256);
+    if (!existing) {
+      throw new Error(`Content object ${sha256} not found`);
+    }
+    return addContentReference(user.id, sha256, existing);
+  });
+};
+
+// Let go of a version's object: content-addressed objects are deleted
+// with their last reference, any other object right away. Returns whether
+// the S3 object was deleted.
+const releaseObject = async (user, s3Key) => {
+  if (!isContentKey(s3Key)) {
+    await deleteFileFromS3(user.awsBucketName, s3Key);
+    return true;
+  }
+
+  const sha256 = sha256FromKey(s3Key);
+  return withContentLock(user.id, sha256, async () => {
+    const released = await releaseContentReference(user.id, sha256);
+    if (released && released.refCount > 0) {
+      return false;
+    }
+    await deleteFileFromS3(user.awsBucketName, s3Key);
+    console.log(`🗑️ Deleted content object ${s3Key} (last reference released)`);
+    return true;
+  });
+};
+
+// Logical bytes (every version of every file, trashed ones included)
+// against the physical bytes S3 stores for them, and what the difference
+// saves per month
+const getDeduplicationStats = async (userId) => {
+  const files = [
+    ...(await readFiles(userId)),
+    ...(await readTrashedFiles(userId))
+  ];
+  const logicalBytes = files.reduce((sum, file) => {
+    return sum + (file.versions || []).reduce((total, version) => total + (version.fileSize || 0), 0);
+  }, 0);
+
+  // Each content object is stored once however many versions use it
+  const contentObjects = await readContentObjects(userId);
+  let savedBytes = 0;
+  let savedMonthlyCost = 0;
+  for (const object of contentObjects) {
+    const extraReferences = Math.max(0, object.refCount - 1);
+    savedBytes += object.size * extraReferences;
+    savedMonthlyCost += calculateStorageCost(object.size, object.storageClass) * extraReferences;
+  }
+
+  return {
+    enabled: config.DEDUPLICATION_ENABLED,
+    contentObjects: contentObjects.length,
+    logicalBytes,
+    physicalBytes: logicalBytes - savedBytes,
+    savedBytes,
+    savedMonthlyCost
+  };
+};
+
+module.exports = {
+  CONTENT_KEY_PREFIX,
+  isContentKey,
+  storeDeduplicated,
+  addReference,
+  releaseObject,
+  getDeduplicationStats
+};
@@ -0,0 +1,153 @@
+/**
+ * Download Service
+ * Fresh download links, byte ranges and billing for file downloads
+ *
+ * Files download either through a presigned S3 URL (url mode) or through
+ * the server (stream mode), which supports Range requests so browsers can
+ * seek in audio and video. Stream URLs carry a short-lived download token
+ * because media elements can't send an Authorization header.
+ *
+ * Files uploaded with a checksum carry the SHA-256 of their content, so
+ * clients can verify what they downloaded: links include it, streams send
+ * it as a Repr-Digest header and S3 sends x-amz-checksum-sha256.
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const { findFileById } = require('../models/File');
+const { generatePresignedDownloadUrl } = require('./awsService');
+const { trackDownloadActivity } = require('./billingService');
+const { assertDownloadable } = require('./scanService');
+
+const DOWNLOAD_PURPOSE = 'file-download';
+const DOWNLOAD_URL_TTL_SECONDS = 3600;
+
+// Find a file the user can download (not quarantined)
+const getDownloadableFile = async (userId, fileId) => {
+  const file = await findFileById(userId, fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+  assertDownloadable(file);
+  return file;
+};
+
+// Content-Disposition value for a file name (RFC 6266, with an ASCII
+// fallback for old clients)
+const buildContentDisposition = (type, fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Token that lets a stream URL fetch one file without an Authorization
+// header. Deliberately no userId claim, so it never passes as a login.
+const createDownloadToken = (userId, fileId) => {
+  return jwt.sign({ purpose: DOWNLOAD_PURPOSE, owner: userId, fileId }, config.JWT_SECRET, {
+    expiresIn: DOWNLOAD_URL_TTL_SECONDS
+  });
+};
+
+// User id a download token was issued to, for this file only
+const verifyDownloadToken = (token, fileId) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, config.JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid download token');
+  }
+  if (claims.purpose !== DOWNLOAD_PURPOSE || claims.fileId !== fileId) {
+    throw new Error('Invalid download token');
+  }
+  return claims.owner;
+};
+
+// SHA-256 (hex) of the file's active content, null for files stored
+// before checksums were recorded
+const getContentChecksum = (file) => {
+  const active = (file.versions || []).find(v => v.isActive);
+  return (active && active.checksum) || file.checksum || null;
+};
+
+// Repr-Digest header value (RFC 9530) for a hex SHA-256
+const buildReprDigest = (sha256) => `sha-256=:${Buffer.from(sha256, 'hex').toString('base64')}:`;
+
+// Fresh links for a file: downloadUrl saves it, streamUrl goes through the
+// server with Range support. In DEV_MODE both go through the server.
+const getDownloadLinks = async (user, file, { baseUrl, disposition = 'attachment' }) => {
+  const token = createDownloadToken(user.id, file.id);
+  const streamUrl = `${baseUrl}/api/files/${encodeURIComponent(file.id)}/download?mode=stream&disposition=inline&token=${token}`;
+
+  let downloadUrl;
+  if (config.DEV_MODE) {
+    downloadUrl = streamUrl.replace('disposition=inline', `disposition=${disposition}`);
+  } else {
+    downloadUrl = await generatePresignedDownloadUrl(user.awsBucketName, file.s3Key, {
+      contentDisposition: buildContentDisposition(disposition, file.originalName),
+      expiresInSeconds: DOWNLOAD_URL_TTL_SECONDS
+    });
+
+    // S3 serves this one without us seeing it, so bill the whole file now
+    await trackDownloadActivity(user.id, {
+      fileId: file.id,
+      fileName: file.originalName,
+      bytes: file.fileSize,
+      mode: 'url'
+    });
+  }
+
+  return {
+    downloadUrl,
+    streamUrl,
+    fileName: file.originalName,
+    fileSize: file.fileSize,
+    contentType: file.fileType,
+    sha256: getContentChecksum(file),
+    expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000).toISOString()
+  };
+};
+
+// Parse a Range header against the object size. Returns null to send the
+// whole object, { start, end } for one satisfiable range, or
+// { unsatisfiable: true }. Multiple ranges are answered with the whole
+// object, which RFC 9110 allows.
+const parseRange = (header, size) => {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = parseInt(match[2], 10);
+    if (suffixLength === 0) {
+      return { unsatisfiable: true };
+    }
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+};
+
+module.exports = {
+  getDownloadableFile,
+  buildContentDisposition,
+  getContentChecksum,
+  buildReprDigest,
+  verifyDownloadToken,
+  getDownloadLinks,
+  parseRange
+};
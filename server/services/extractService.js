@@ -0,0 +1,360 @@
+/**
+ * Extract Service
+ * Uploaded ZIP archives unpacked into a new folder tree
+ *
+ * The archive is uploaded like any other file, then read back from S3 with
+ * ranged GETs (the central directory, then one entry at a time) and
+ * removed once it is unpacked. Everything lands in a new folder named
+ * after the archive; each file goes through the normal upload steps
+ * (content type check, storage class selection, billing, scanning and
+ * previews). Entries that would escape that folder (absolute paths, ".."),
+ * symlinks, encrypted or oddly compressed entries and files the user may
+ * not upload are skipped and listed in the result instead of failing the
+ * whole archive. Entries that fail to extract (e.g. S3 errors) are listed
+ * as failed; what was extracted before them stays and is reported.
+ * EXTRACT_MAX_ENTRIES, EXTRACT_MAX_TOTAL_BYTES (uncompressed) and the
+ * user's storage quota are checked before anything is created.
+ */
+
+const path = require('path');
+const { PassThrough } = require('stream');
+const yauzl = require('yauzl');
+const mime = require('mime-types');
+const config = require('../config/environment');
+const { readFolders, addFolder, findFolderById } = require('../models/Folder');
+const { getObjectStream, uploadStreamToS3, deleteFileFromS3 } = require('./awsService');
+const { planUpload, recordUpload } = require('./uploadService');
+const { SNIFF_BYTES, checkUploadContent } = require('./contentTypeService');
+const { assertQuotaAvailable, isQuotaError } = require('./quotaService');
+const { peekStream } = require('../utils/s3Storage');
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed'];
+const NOT_A_ZIP = 'Only ZIP archives can be extracted';
+
+// Reads of the archive's metadata are served from one ranged GET of this size
+const READ_WINDOW_BYTES = 256 * 1024;
+
+// Stored and deflated entries; anything else can't be read
+const SUPPORTED_COMPRESSION = [0, 8];
+
+const SYMLINK_MODE = 0o120000;
+const FILE_TYPE_MASK = 0o170000;
+
+// Entries archivers add that are no use on their own
+const SYSTEM_ENTRIES = ['__MACOSX', '.DS_Store', 'Thumbs.db'];
+
+// Characters folder names may contain (see the folders route)
+const INVALID_FOLDER_CHARS = /[^a-zA-Z0-9\s\-_.()]/g;
+
+// Whether content checked by contentTypeService is a ZIP archive
+const isZipArchive = ({ fileType, detectedType }) => {
+  return detectedType === 'application/zip' && ZIP_TYPES.includes(fileType);
+};
+
+// A yauzl reader over an S3 object. Small reads (the end of central
+// directory record, central directory entries, local headers) come from a
+// cached window; entry data is streamed straight from S3.
+const createObjectReader = (bucketName, key, size) => {
+  const reader = new yauzl.RandomAccessReader();
+  let window = { start: 0, data: Buffer.alloc(0) };
+
+  const fetchRange = async (start, end) => {
+    const { Body } = await getObjectStream(bucketName, key, { range: `bytes=${start}-${end - 1}` });
+    return Body;
+  };
+
+  reader._readStreamForRange = (start, end) => {
+    const out = new PassThrough();
+    const fail = (error) => out.destroy(error);
+
+    if (start >= window.start && end <= window.start + window.data.length) {
+      out.end(window.data.subarray(start - window.start, end - window.start));
+    } else if (end - start > READ_WINDOW_BYTES) {
+      fetchRange(start, end).then(body => {
+        body.on('error', fail);
+        body.pipe(out);
+      }, fail);
+    } else {
+      const windowEnd = Math.min(size, start + READ_WINDOW_BYTES);
+      fetchRange(start, windowEnd)
+        .then(async body => {
+          const chunks = [];
+          for await (const chunk of body) {
+            chunks.push(chunk);
+          }
+          window = { start, data: Buffer.concat(chunks) };
+          out.end(window.data.subarray(0, end - start));
+        })
+        .catch(fail);
+    }
+    return out;
+  };
+
+  return reader;
+};
+
+// The next entry of a lazily read archive, null after the last one
+const nextEntry = (zipfile) => new Promise((resolve, reject) => {
+  const onEntry = (entry) => finish(null, entry);
+  const onEnd = () => finish(null, null);
+  const finish = (error, entry) => {
+    zipfile.off('entry', onEntry);
+    zipfile.off('end', onEnd);
+    zipfile.off('error', finish);
+    error ? reject(error) : resolve(entry);
+  };
+  zipfile.on('entry', onEntry);
+  zipfile.on('end', onEnd);
+  zipfile.on('error', finish);
+  zipfile.readEntry();
+});
+
+// Split an entry name into its path segments, null when it would escape
+// the extraction folder
+const splitEntryPath = (name) => {
+  if (name.includes('\0') || name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    return null;
+  }
+  const segments = name.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.includes('..')) {
+    return null;
+  }
+  return segments;
+};
+
+const toFolderName = (name) => name.replace(INVALID_FOLDER_CHARS, '_').trim() || '_';
+
+// Why an entry is left out, null when it can be extracted
+const getSkipReason = (entry, segments, isDirectory) => {
+  if (!segments || (segments.length === 0 && !isDirectory)) return 'unsafe path';
+  if (segments.some(segment => SYSTEM_ENTRIES.includes(segment))) return 'system file';
+  if (isDirectory) return null;
+  if (((entry.externalFileAttributes >>> 16) & FILE_TYPE_MASK) === SYMLINK_MODE) return 'symlink';
+  if (entry.isEncrypted()) return 'encrypted';
+  if (!SUPPORTED_COMPRESSION.includes(entry.compressionMethod)) return 'unsupported compression';
+  if (entry.uncompressedSize > config.MAX_FILE_SIZE_BYTES) return 'too large';
+  return null;
+};
+
+// Read the central directory into
+// [{ entry, name, segments, isDirectory, reason }]
+const readEntries = async (zipfile) => {
+  const entries = [];
+  let entry;
+  while ((entry = await nextEntry(zipfile))) {
+    // Backslashes (written by older Windows archivers) become slashes
+    const name = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileName, entry.extraFields, false);
+    const segments = splitEntryPath(name);
+    const isDirectory = name.endsWith('/');
+    entries.push({ entry, name, segments, isDirectory, reason: getSkipReason(entry, segments, isDirectory) });
+  }
+  return entries;
+};
+
+// The archive's name without .zip, unused among the folders of its parent
+const chooseFolderName = async (userId, archiveName, parentFolderId) => {
+  const base = toFolderName(path.basename(archiveName, path.extname(archiveName)));
+  const taken = new Set((await readFolders(userId))
+    .filter(folder => folder.parentFolderId === parentFolderId)
+    .map(folder => folder.name));
+
+  let name = base;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${base} (${n})`;
+  }
+  return name;
+};
+
+// Store one archive entry as a file in folderId. Returns
+// { result } or { reason } when the entry is skipped.
+const extractEntry = async (user, zipfile, { entry, segments }, { folderId, storageClass, versionComment, metadata }) => {
+  const originalName = segments[segments.length - 1];
+  let source;
+  try {
+    source = await zipfile.openReadStreamPromise(entry);
+  } catch (error) {
+    return { reason: 'unreadable' };
+  }
+  let readError = null;
+  source.on('error', error => { readError = error; });
+
+  let content;
+  let body;
+  try {
+    const peeked = await peekStream(source, SNIFF_BYTES);
+    body = peeked.body;
+    content = checkUploadContent(user, mime.lookup(originalName) || 'application/octet-stream', peeked.head);
+  } catch (error) {
+    source.destroy();
+    if (readError) return { reason: 'unreadable' };
+    if (error.message === 'Unsupported file type') return { reason: 'unsupported type' };
+    if (error.message === 'File content does not match its declared type') return { reason: 'type mismatch' };
+    throw error;
+  }
+
+  const target = await planUpload(user, {
+    originalName,
+    fileType: content.fileType,
+    fileSize: entry.uncompressedSize,
+    parentFolderId: folderId,
+    storageClass
+  });
+
+  let stored;
+  try {
+    stored = await uploadStreamToS3(target.bucketName, target.key, body, {
+      storageClass: target.storageClass,
+      contentType: content.fileType,
+      metadata
+    });
+  } catch (error) {
+    if (readError) return { reason: 'unreadable' };
+    throw error;
+  }
+
+  try {
+    const result = await recordUpload(user, {
+      originalName,
+      fileName: target.fileName,
+      fileType: content.fileType,
+      fileSize: stored.size,
+      s3Key: target.key,
+      storageClass: target.storageClass,
+      parentFolderId: folderId,
+      versionComment,
+      sha256: stored.sha256,
+      etag: stored.etag,
+      s3Checksum: stored.checksumSHA256,
+      metadata,
+      detectedType: content.detectedType
+    });
+    return result.unchanged ? { reason: 'duplicate' } : { result };
+  } catch (error) {
+    await deleteFileFromS3(target.bucketName, target.key).catch(() => {});
+    // Something else used up the space since the archive was checked
+    if (isQuotaError(error)) return { reason: 'quota exceeded' };
+    throw error;
+  }
+};
+
+// Unpack an uploaded ZIP (already stored at s3Key) into a new folder in
+// parentFolderId and delete the archive object. storageClass,
+// versionComment and metadata apply to every extracted file. Returns
+// { folder, created: { folders, files }, skipped, failed } with paths
+// relative to the new folder.
+const extractArchive = async (user, {
+  s3Key,
+  archiveName,
+  archiveSize,
+  parentFolderId = null,
+  storageClass,
+  versionComment,
+  metadata = {}
+}) => {
+  try {
+    if (parentFolderId && !(await findFolderById(user.id, parentFolderId))) {
+      throw new Error('Folder not found');
+    }
+
+    let zipfile;
+    try {
+      const reader = createObjectReader(user.awsBucketName, s3Key, archiveSize);
+      zipfile = await yauzl.fromRandomAccessReaderPromise(reader, archiveSize, { decodeStrings: false, autoClose: false });
+    } catch (error) {
+      throw new Error('Invalid ZIP archive');
+    }
+
+    try {
+      if (zipfile.entryCount > config.EXTRACT_MAX_ENTRIES) {
+        throw new Error(`Archive has more than ${config.EXTRACT_MAX_ENTRIES} entries`);
+      }
+      let entries;
+      try {
+        entries = await readEntries(zipfile);
+      } catch (error) {
+        throw new Error('Invalid ZIP archive');
+      }
+      const extractable = entries.filter(item => !item.isDirectory && !item.reason);
+      const totalBytes = extractable.reduce((sum, item) => sum + item.entry.uncompressedSize, 0);
+      if (totalBytes > config.EXTRACT_MAX_TOTAL_BYTES) {
+        throw new Error(`Archive is too large to extract (more than ${config.EXTRACT_MAX_TOTAL_BYTES} bytes uncompressed)`);
+      }
+      await assertQuotaAvailable(user, { bytes: totalBytes, files: extractable.length });
+
+      console.log(`📦 Extracting ${archiveName} for user ${user.id} (${entries.length} entries)`);
+      const folder = await addFolder(user.id, {
+        name: await chooseFolderName(user.id, archiveName, parentFolderId),
+        parentFolderId
+      });
+
+      const created = { folders: [], files: [] };
+      const skipped = [];
+      const failed = [];
+
+      // Folders by path below the new folder, created on first use
+      const folderIds = new Map([['', folder.id]]);
+      const ensureFolder = async (segments) => {
+        let folderPath = '';
+        for (const segment of segments) {
+          const parentId = folderIds.get(folderPath);
+          const name = toFolderName(segment);
+          folderPath = folderPath ? `${folderPath}/${name}` : name;
+          if (!folderIds.has(folderPath)) {
+            const subfolder = await addFolder(user.id, { name, parentFolderId: parentId });
+            folderIds.set(folderPath, subfolder.id);
+            created.folders.push({ id: subfolder.id, path: folderPath });
+          }
+        }
+        return { folderId: folderIds.get(folderPath), folderPath };
+      };
+
+      for (const item of entries) {
+        if (item.reason) {
+          skipped.push({ path: item.name, reason: item.reason });
+          continue;
+        }
+        let extracted;
+        try {
+          if (item.isDirectory) {
+            await ensureFolder(item.segments);
+            continue;
+          }
+          const { folderId, folderPath } = await ensureFolder(item.segments.slice(0, -1));
+          extracted = { folderPath, ...await extractEntry(user, zipfile, item, { folderId, storageClass, versionComment, metadata }) };
+        } catch (error) {
+          console.error(`❌ Failed to extract ${item.name}:`, error.message);
+          failed.push({ path: item.name, error: 'Failed to extract' });
+          continue;
+        }
+
+        const { folderPath, result, reason } = extracted;
+        if (reason) {
+          skipped.push({ path: item.name, reason });
+          continue;
+        }
+        created.files.push({
+          id: result.savedFile.id,
+          path: folderPath ? `${folderPath}/${result.savedFile.originalName}` : result.savedFile.originalName,
+          fileSize: result.savedFile.fileSize,
+          storageClass: result.savedFile.storageClass,
+          isNewVersion: !!result.existingFile
+        });
+      }
+
+      console.log(`✅ Extracted ${created.files.length} file(s) into ${folder.name}, skipped ${skipped.length}, failed ${failed.length}`);
+      return { folder, created, skipped, failed };
+    } finally {
+      zipfile.close();
+    }
+  } finally {
+    await deleteFileFromS3(user.awsBucketName, s3Key).catch(error => {
+      console.error(`⚠️ Could not delete extracted archive ${s3Key}:`, error.message);
+    });
+  }
+};
+
+module.exports = {
+  NOT_A_ZIP,
+  isZipArchive,
+  extractArchive
+};
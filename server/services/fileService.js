@@ -0,0 +1,314 @@
+/**
+ * File Service
+ * Operations on stored files that touch both records and S3 objects
+ */
+
+const { randomUUID } = require('crypto');
+const { findFileById, findFiles, insertFile, relocateFile } = require('../models/File');
+const { findFolderById } = require('../models/Folder');
+const { copyObject, deleteFileFromS3, generatePresignedShareUrl } = require('./awsService');
+const { buildObjectKey, STORAGE_CLASSES } = require('./uploadService');
+const { isContentKey, addReference, releaseObject } = require('./dedupeService');
+const { trackBillingActivity, calculateStorageCost, calculateRequestCost } = require('./billingService');
+const { isQuarantineKey } = require('./scanService');
+const { initialPreviewStatus, queuePreviews } = require('./previewService');
+const { assertQuotaAvailable } = require('./quotaService');
+const { mirrorFileTags } = require('./tagService');
+const { withLock, withUserLock } = require('../utils/lock');
+
+const CONFLICT_POLICIES = ['reject', 'merge'];
+const COPY_VERSION_MODES = ['active', 'all'];
+
+// Check a user-supplied file name
+const validateFileName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error('File name is required');
+  }
+  if (name.includes('/') || name.includes('\\') || name === '.' || name === '..') {
+    throw new Error('File name cannot contain slashes');
+  }
+  if (name.length > 255) {
+    throw new Error('File name is too long');
+  }
+  return name.trim();
+};
+
+// Copy every version's object to a key for the new name/folder, returns
+// { oldKey: newKey }. Copies made before a failure are removed again.
+// Deduplicated and quarantined objects don't depend on the folder and stay
+// where they are.
+const copyVersionObjects = async (user, file, { originalName, parentFolderId }) => {
+  const keyMap = {};
+
+  try {
+    for (const version of file.versions.filter(v => !isContentKey(v.s3Key) && !isQuarantineKey(v.s3Key))) {
+      const { key } = await buildObjectKey(user.id, parentFolderId, originalName);
+      await copyObject(user.awsBucketName, version.s3Key, key, { storageClass: version.storageClass });
+      keyMap[version.s3Key] = key;
+    }
+  } catch (error) {
+    await Promise.all(Object.values(keyMap).map(key =>
+      deleteFileFromS3(user.awsBucketName, key).catch(() => {})
+    ));
+    throw error;
+  }
+
+  return keyMap;
+};
+
+// Move a file; the caller holds the file's move lock
+const moveFileLocked = async (user, fileId, { name, parentFolderId, onConflict }) => {
+  const file = await findFileById(user.id, fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  const originalName = name === undefined ? file.originalName : validateFileName(name);
+  const targetFolderId = parentFolderId === undefined ? file.parentFolderId : parentFolderId;
+
+  if (targetFolderId && !(await findFolderById(user.id, targetFolderId))) {
+    throw new Error('Target folder not found');
+  }
+  if (originalName === file.originalName && (targetFolderId || null) === (file.parentFolderId || null)) {
+    return { file, mergedInto: null };
+  }
+
+  // Fail before copying anything when the move is bound to be rejected
+  // (relocateFile checks again under the lock)
+  if (onConflict === 'reject') {
+    const sameName = await findFiles(user.id, { originalName, parentFolderId: targetFolderId || null });
+    if (sameName.some(f => f.id !== file.id)) {
+      throw new Error('A file with this name already exists in the target folder');
+    }
+  }
+
+  console.log(`📁 Moving file ${file.id} for user ${user.id}:`);
+  console.log(`  - From: ${file.parentFolderId || 'root'}/${file.originalName}`);
+  console.log(`  - To: ${targetFolderId || 'root'}/${originalName}`);
+
+  const keyMap = await copyVersionObjects(user, file, { originalName, parentFolderId: targetFolderId || null });
+
+  let result;
+  try {
+    result = await relocateFile(user.id, file.id, {
+      originalName,
+      parentFolderId: targetFolderId || null,
+      keyMap,
+      merge: onConflict === 'merge'
+    });
+  } catch (error) {
+    await Promise.all(Object.values(keyMap).map(key =>
+      deleteFileFromS3(user.awsBucketName, key).catch(() => {})
+    ));
+    throw error;
+  }
+
+  // The record points at the copies now; old objects are only clutter,
+  // so failing to remove one doesn't fail the move
+  for (const oldKey of Object.keys(keyMap)) {
+    await deleteFileFromS3(user.awsBucketName, oldKey).catch(error => {
+      console.error(`⚠️ Could not remove old object ${oldKey}:`, error.message);
+    });
+  }
+
+  console.log(`✅ File moved${result.mergedInto ? ` (merged into ${result.mergedInto})` : ''}`);
+  return result;
+};
+
+// Rename a file and/or move it to another folder (parentFolderId null is
+// the root). Its objects are copied to keys under the new folder path and
+// the old ones removed. onConflict: 'reject' (default) fails when the
+// target folder has a file of that name, 'merge' adds this file's
+// versions to it. Returns { file, mergedInto }.
+const moveFile = async (user, fileId, { name, parentFolderId, onConflict = 'reject' }) => {
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  // One move of a file at a time, so a second move copies from the keys
+  // the first one left behind
+  return withLock(`move:${user.id}:${fileId}`, () => moveFileLocked(user, fileId, { name, parentFolderId, onConflict }));
+};
+
+// "report (copy).pdf", "report (copy 2).pdf", ...
+const copyName = (originalName, attempt) => {
+  const dot = originalName.lastIndexOf('.');
+  const base = dot > 0 ? originalName.slice(0, dot) : originalName;
+  const extension = dot > 0 ? originalName.slice(dot) : '';
+  return `${base} (copy${attempt > 1 ? ` ${attempt}` : ''})${extension}`;
+};
+
+// The name a copy gets in its folder: the requested one, else the
+// original name if it is free there, else the first free "(copy N)" name
+const chooseCopyName = async (userId, file, { name, parentFolderId }) => {
+  if (name !== undefined) {
+    return validateFileName(name);
+  }
+
+  const taken = new Set((await findFiles(userId, { parentFolderId })).map(f => f.originalName));
+  if (!taken.has(file.originalName)) {
+    return file.originalName;
+  }
+
+  let attempt = 1;
+  while (taken.has(copyName(file.originalName, attempt))) {
+    attempt++;
+  }
+  return copyName(file.originalName, attempt);
+};
+
+// Copy a file to a new file record with its own objects. versions:
+// 'active' (default) copies only the active version, 'all' the whole
+// history. storageClass applies to every copied object, otherwise each
+// keeps its class. The copy goes to parentFolderId (the source's folder
+// when undefined, null is the root) under name, or a free "(copy)" name.
+// Deduplicated versions are shared with the copy (one more reference)
+// unless they have to change storage class. The copy keeps the file's tags
+// (mirrored to its objects) and metadata.
+const copyFile = async (user, fileId, { name, parentFolderId, versions = 'active', storageClass } = {}) => {
+  if (!COPY_VERSION_MODES.includes(versions)) {
+    throw new Error(`versions must be one of: ${COPY_VERSION_MODES.join(', ')}`);
+  }
+  if (storageClass !== undefined && !STORAGE_CLASSES.includes(storageClass)) {
+    throw new Error('Invalid storage class');
+  }
+
+  const file = await findFileById(user.id, fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  const targetFolderId = (parentFolderId === undefined ? file.parentFolderId : parentFolderId) || null;
+  if (targetFolderId && !(await findFolderById(user.id, targetFolderId))) {
+    throw new Error('Target folder not found');
+  }
+
+  const originalName = await chooseCopyName(user.id, file, { name, parentFolderId: targetFolderId });
+  const activeVersion = file.versions.find(v => v.isActive) || file.versions[file.versions.length - 1];
+  const sourceVersions = versions === 'all'
+    ? [...file.versions].sort((a, b) => a.versionNumber - b.versionNumber)
+    : [activeVersion];
+  if (sourceVersions.some(v => v.scanStatus === 'infected')) {
+    throw new Error('File is quarantined');
+  }
+  // Checked up front so nothing is copied for nothing, and again with the
+  // insert under the user's lock so parallel copies and uploads can't
+  // both take the last of the quota
+  const needed = {
+    bytes: sourceVersions.reduce((sum, v) => sum + (v.fileSize || 0), 0),
+    files: sourceVersions.length
+  };
+  await assertQuotaAvailable(user, needed);
+
+  console.log(`📄 Copying file ${file.id} for user ${user.id}:`);
+  console.log(`  - From: ${file.parentFolderId || 'root'}/${file.originalName}`);
+  console.log(`  - To: ${targetFolderId || 'root'}/${originalName}`);
+  console.log(`  - Versions: ${sourceVersions.length}${storageClass ? `, storage class ${storageClass}` : ''}`);
+
+  const copiedKeys = [];
+  const referencedKeys = [];
+  const cleanup = () => Promise.all([
+    ...copiedKeys.map(key => deleteFileFromS3(user.awsBucketName, key).catch(() => {})),
+    ...referencedKeys.map(key => releaseObject(user, key).catch(() => {}))
+  ]);
+
+  let copy;
+  try {
+    const copiedVersions = [];
+    for (const version of sourceVersions) {
+      const versionClass = storageClass || version.storageClass;
+      let key = version.s3Key;
+      if (isContentKey(version.s3Key) && versionClass === version.storageClass) {
+        await addReference(user, version.s3Key);
+        referencedKeys.push(key);
+      } else {
+        ({ key } = await buildObjectKey(user.id, targetFolderId, originalName));
+        await copyObject(user.awsBucketName, version.s3Key, key, { storageClass: versionClass });
+        copiedKeys.push(key);
+      }
+      copiedVersions.push({
+        ...version,
+        versionId: randomUUID(),
+        versionNumber: versions === 'all' ? version.versionNumber : 1,
+        s3Key: key,
+        storageClass: versionClass,
+        uploadedBy: user.id,
+        isActive: version.versionId === activeVersion.versionId,
+        copiedFrom: { fileId: file.id, versionId: version.versionId },
+        // Previews belong to the source version, the copy gets its own
+        previewStatus: initialPreviewStatus(version.detectedType || file.fileType),
+        previews: null
+      });
+    }
+
+    const active = copiedVersions.find(v => v.isActive);
+    copy = {
+      id: randomUUID(),
+      userId: user.id,
+      originalName,
+      fileName: isContentKey(active.s3Key) ? file.fileName : active.s3Key.split('/').pop(),
+      fileType: file.fileType,
+      fileSize: active.fileSize,
+      s3Key: active.s3Key,
+      url: await generatePresignedShareUrl(user.awsBucketName, active.s3Key, 3600),
+      storageClass: active.storageClass,
+      estimatedMonthlyCost: calculateStorageCost(active.fileSize, active.storageClass),
+      uploadDate: new Date().toISOString(),
+      parentFolderId: targetFolderId,
+      isStarred: false,
+      tags: file.tags || [],
+      metadata: { ...file.metadata },
+      scanStatus: active.scanStatus || null,
+      previewStatus: active.previewStatus,
+      currentVersion: active.versionNumber,
+      versions: copiedVersions,
+      totalVersions: copiedVersions.length,
+      versioningEnabled: true
+    };
+
+    await withUserLock(user.id, async () => {
+      await assertQuotaAvailable(user, needed);
+      await insertFile(user.id, copy);
+    });
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+
+  // Every copy is a PUT-class request, and the new objects are billed as
+  // added storage from now on; shared (deduplicated) versions add neither
+  const copiedVersions = copy.versions.filter(v => copiedKeys.includes(v.s3Key));
+  const addedBytes = copiedVersions.reduce((sum, v) => sum + (v.fileSize || 0), 0);
+  if (copiedKeys.length > 0) {
+    await trackBillingActivity(user.id, 'request_copy', {
+      fileName: file.originalName,
+      sourceFileId: file.id,
+      fileId: copy.id,
+      requestCount: copiedKeys.length,
+      cost: calculateRequestCost('copy', copiedKeys.length)
+    });
+    await trackBillingActivity(user.id, 'storage', {
+      fileName: copy.originalName,
+      fileId: copy.id,
+      bytes: addedBytes,
+      storageClass: copy.storageClass,
+      cost: copiedVersions.reduce((sum, v) => sum + calculateStorageCost(v.fileSize || 0, v.storageClass), 0)
+    });
+  }
+
+  if (copy.tags.length > 0) {
+    await mirrorFileTags(user, copy.id);
+  }
+
+  console.log(`✅ File copied to ${copy.id} (${(addedBytes / 1024 / 1024).toFixed(2)} MB added)`);
+  copy.versions.forEach(version => queuePreviews(user, copy.id, version.versionId));
+  return copy;
+};
+
+module.exports = {
+  CONFLICT_POLICIES,
+  COPY_VERSION_MODES,
+  validateFileName,
+  moveFile,
+  copyFile
+};
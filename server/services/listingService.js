@@ -0,0 +1,207 @@
+/**
+ * Listing Service
+ * Paginated folder listings with ETags and "changes since" tokens
+ *
+ * A listing is ordered folders first, then by the sort key with the name
+ * and item id as tie-breakers, and paged with an opaque cursor holding the last item's
+ * position. Its ETag is a digest of every item in the folder, and its change
+ * token names that state: listing with `since` returns only the items added,
+ * changed or removed since then.
+ */
+
+const { createHash } = require('crypto');
+const { readFiles } = require('../models/File');
+const { readFolders } = require('../models/Folder');
+const { parseTagFilter, hasAllTags } = require('./tagService');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Listing states kept for change tokens, per user; the oldest is dropped
+// beyond this, and a token for a dropped state asks the client to list
+// again. Users who haven't listed for the longest are forgotten beyond
+// MAX_SNAPSHOT_USERS, so one busy user can't push out everyone else's.
+const MAX_SNAPSHOTS_PER_USER = 50;
+const MAX_SNAPSHOT_USERS = 1000;
+
+// Sort keys and how to read them from a folder or a file
+const SORT_FIELDS = {
+  name: (item) => (item.isFolder ? item.name : item.originalName).toLowerCase(),
+  size: (item) => item.fileSize || 0,
+  uploadDate: (item) => (item.isFolder ? item.createdDate : item.uploadDate) || '',
+  type: (item) => item.fileType || ''
+};
+
+// Fingerprints of every item per listing state: userId -> Map of
+// `${folderId}:${digest}` -> fingerprints
+const snapshots = new Map();
+
+const snapshotKey = (folderId, digest) => `${folderId || ''}:${digest}`;
+
+const fingerprint = (item) => createHash('sha1').update(JSON.stringify(item)).digest('base64url');
+
+// Digest of a whole folder, independent of the order items are stored in
+const digestListing = (fingerprints) => {
+  const hash = createHash('sha1');
+  [...fingerprints.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .forEach(([id, print]) => hash.update(`${id}:${print};`));
+  return hash.digest('base64url');
+};
+
+// Remember a listing state, most recently used last
+const rememberSnapshot = (userId, key, fingerprints) => {
+  const userSnapshots = snapshots.get(userId) || new Map();
+  snapshots.delete(userId);
+  snapshots.set(userId, userSnapshots);
+  while (snapshots.size > MAX_SNAPSHOT_USERS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+
+  userSnapshots.delete(key);
+  userSnapshots.set(key, fingerprints);
+  while (userSnapshots.size > MAX_SNAPSHOTS_PER_USER) {
+    userSnapshots.delete(userSnapshots.keys().next().value);
+  }
+};
+
+const findSnapshot = (userId, key) => {
+  const userSnapshots = snapshots.get(userId);
+  return userSnapshots ? userSnapshots.get(key) : undefined;
+};
+
+const encodeToken = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeToken = (token, isValid, message) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (isValid(decoded)) {
+      return decoded;
+    }
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new Error(message);
+};
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Validate query parameters into listing options
+const parseListingParams = (params = {}) => {
+  const sort = params.sort || 'name';
+  if (!SORT_FIELDS[sort]) {
+    throw new Error(`Invalid sort field, use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const order = params.order || (sort === 'name' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error("Invalid order, use 'asc' or 'desc'");
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit, must be 1-${MAX_LIMIT}`);
+  }
+
+  const folderId = params.folderId || null;
+  const cursor = params.cursor
+    ? decodeToken(params.cursor, c => c.sort === sort && c.order === order && typeof c.id === 'string', 'Invalid cursor')
+    : undefined;
+  const since = params.since
+    ? decodeToken(params.since, t => (t.folderId || null) === folderId && typeof t.digest === 'string', 'Invalid change token')
+    : undefined;
+
+  return { folderId, sort, order, limit, cursor, since, tags: parseTagFilter(params.tag) };
+};
+
+// Current items of a folder (with all of tags, when given) with their
+// fingerprints and the listing digest
+const readListing = async (userId, folderId, tags) => {
+  const [files, folders] = await Promise.all([readFiles(userId), readFolders(userId)]);
+  if (folderId && !folders.some(f => f.id === folderId)) {
+    throw new Error('Folder not found');
+  }
+  const items = [
+    ...folders.filter(f => (f.parentFolderId || null) === folderId),
+    ...files.filter(f => (f.parentFolderId || null) === folderId)
+  ].filter(item => !tags || hasAllTags(item, tags));
+  const fingerprints = new Map(items.map(item => [item.id, fingerprint(item)]));
+  return { items, fingerprints, digest: digestListing(fingerprints) };
+};
+
+// ETag of a listing request: the folder state plus the page asked for
+const listingETag = (digest, options) => {
+  const page = [options.sort, options.order, options.limit, options.cursor, options.since, options.tags];
+  return `"${createHash('sha1').update(`${digest}:${JSON.stringify(page)}`).digest('base64url')}"`;
+};
+
+// One page of a folder: { items, nextCursor, total }
+const pageListing = (items, options) => {
+  const readSortValue = SORT_FIELDS[options.sort];
+  const direction = options.order === 'asc' ? 1 : -1;
+  const position = (item) => ({
+    rank: item.isFolder ? 0 : 1,
+    value: readSortValue(item),
+    name: SORT_FIELDS.name(item),
+    id: item.id
+  });
+  const compare = (a, b) => compareValues(a.rank, b.rank) ||
+    direction * compareValues(a.value, b.value) ||
+    compareValues(a.name, b.name) ||
+    compareValues(a.id, b.id);
+
+  const sorted = items
+    .map(item => ({ item, position: position(item) }))
+    .sort((a, b) => compare(a.position, b.position));
+
+  const start = options.cursor
+    ? sorted.findIndex(entry => compare(entry.position, options.cursor) > 0)
+    : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + options.limit);
+  const hasMore = start !== -1 && start + options.limit < sorted.length;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(entry => entry.item),
+    nextCursor: hasMore ? encodeToken({ sort: options.sort, order: options.order, ...last.position }) : null,
+    total: sorted.length
+  };
+};
+
+// What changed in a folder since a change token's state: { changed, removed }
+const diffListing = (userId, listing, options) => {
+  if (options.since.digest === listing.digest) {
+    return { changed: [], removed: [] };
+  }
+  const previous = findSnapshot(userId, snapshotKey(options.folderId, options.since.digest));
+  if (!previous) {
+    throw new Error('Change token expired');
+  }
+  return {
+    changed: listing.items.filter(item => previous.get(item.id) !== listing.fingerprints.get(item.id)),
+    removed: [...previous.keys()].filter(id => !listing.fingerprints.has(id))
+  };
+};
+
+// List a folder of a user. params are the raw query parameters (see
+// parseListingParams). Returns { etag, body } where body is a page, or the
+// changes when `since` is given.
+const listFolder = async (userId, params) => {
+  const options = parseListingParams(params);
+  const listing = await readListing(userId, options.folderId, options.tags);
+  rememberSnapshot(userId, snapshotKey(options.folderId, listing.digest), listing.fingerprints);
+  const changeToken = encodeToken({ folderId: options.folderId, digest: listing.digest });
+
+  const body = options.since
+    ? diffListing(userId, listing, options)
+    : pageListing(listing.items, options);
+
+  return {
+    etag: listingETag(listing.digest, options),
+    body: { ...body, changeToken }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  listFolder
+};
@@ -0,0 +1,259 @@
+/**
+ * Local S3 Stand-in
+ * A minimal S3 client for DEV_MODE that keeps objects on local disk
+ *
+ * Implements send() for the object and multipart upload commands the
+ * upload path uses, so DEV_MODE streams through the same code as S3.
+ *
+ * Layout under rootDir:
+ *   objects/<bucket>/<key>          - object data
+ *   metadata/<bucket>/<key>.json    - content type, storage class, ETag,
+ *                                     SHA-256 checksum, user metadata,
+ *                                     tag set
+ *   multipart/<uploadId>/<part>     - parts of in-progress uploads
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const { createHash, randomUUID } = require('crypto');
+const { writeFileAtomic } = require('../utils/fileSystem');
+
+const md5 = (data) => createHash('md5').update(data).digest('hex');
+
+// The Tagging parameter of PUT and copy is a query string ("a=1&b=2")
+const parseTagging = (tagging) => {
+  return [...new URLSearchParams(tagging || '').entries()].map(([Key, Value]) => ({ Key, Value }));
+};
+const sha256Base64 = (data) => createHash('sha256').update(data).digest('base64');
+
+// Reject a body whose SHA-256 differs from the one sent with it, like S3
+const verifyChecksum = (body, checksum) => {
+  if (checksum && sha256Base64(body) !== checksum) {
+    throw Object.assign(
+      new Error('The SHA256 you specified did not match the calculated checksum.'),
+      { name: 'BadDigest', $metadata: { httpStatusCode: 400 } }
+    );
+  }
+};
+
+const createLocalS3Client = ({ rootDir }) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a path under one of the stand-in directories, refusing keys
+  // that would escape it (e.g. "../")
+  const resolveUnder = (area, bucket, key = '') => {
+    const base = path.join(root, area, bucket);
+    const resolved = path.resolve(base, key);
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return resolved;
+  };
+
+  const objectPath = (bucket, key) => resolveUnder('objects', bucket, key);
+  const metadataPath = (bucket, key) => `${resolveUnder('metadata', bucket, key)}.json`;
+  const uploadDir = (uploadId) => resolveUnder('multipart', uploadId);
+
+  const writeMetadata = async (input, etag, size) => {
+    const filePath = metadataPath(input.Bucket, input.Key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, JSON.stringify({
+      ContentType: input.ContentType || 'application/octet-stream',
+      StorageClass: input.StorageClass || 'STANDARD',
+      ETag: etag,
+      ChecksumSHA256: input.ChecksumSHA256,
+      Metadata: input.Metadata || {},
+      TagSet: input.TagSet || parseTagging(input.Tagging),
+      ContentLength: size,
+      LastModified: new Date().toISOString()
+    }, null, 2));
+  };
+
+  const putObject = async (input) => {
+    const body = Buffer.isBuffer(input.Body) ? input.Body : Buffer.from(input.Body || '');
+    const filePath = objectPath(input.Bucket, input.Key);
+    const etag = `"${md5(body)}"`;
+    verifyChecksum(body, input.ChecksumSHA256);
+
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, body);
+    await writeMetadata(input, etag, body.length);
+    return { ETag: etag, ChecksumSHA256: input.ChecksumSHA256 };
+  };
+
+  const createMultipartUpload = async (input) => {
+    const uploadId = randomUUID();
+    await fsp.mkdir(uploadDir(uploadId), { recursive: true });
+    await fsp.writeFile(path.join(uploadDir(uploadId), 'upload.json'), JSON.stringify(input));
+    return { Bucket: input.Bucket, Key: input.Key, UploadId: uploadId };
+  };
+
+  const uploadPart = async ({ UploadId, PartNumber, Body, ChecksumSHA256 }) => {
+    const dir = uploadDir(UploadId);
+    try {
+      await fsp.access(dir);
+    } catch {
+      throw Object.assign(new Error('The specified upload does not exist'), { name: 'NoSuchUpload' });
+    }
+
+    verifyChecksum(Body, ChecksumSHA256);
+    await fsp.writeFile(path.join(dir, `${PartNumber}`), Body);
+    return { ETag: `"${md5(Body)}"`, ChecksumSHA256 };
+  };
+
+  const completeMultipartUpload = async ({ Bucket, Key, UploadId, MultipartUpload }) => {
+    const dir = uploadDir(UploadId);
+    const input = JSON.parse(await fsp.readFile(path.join(dir, 'upload.json'), 'utf8'));
+    const parts = [...MultipartUpload.Parts].sort((a, b) => a.PartNumber - b.PartNumber);
+    const filePath = objectPath(Bucket, Key);
+    const tempPath = `${filePath}.${UploadId}.tmp`;
+
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    const out = await fsp.open(tempPath, 'w');
+    let size = 0;
+    try {
+      for (const part of parts) {
+        for await (const chunk of fs.createReadStream(path.join(dir, `${part.PartNumber}`))) {
+          await out.write(chunk);
+          size += chunk.length;
+        }
+      }
+      await out.close();
+      await fsp.rename(tempPath, filePath);
+    } catch (error) {
+      await out.close().catch(() => {});
+      await fsp.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    // Same shape as S3 multipart ETags: md5 of the part md5s plus part count
+    const partHashes = Buffer.from(parts.map(p => p.ETag.replace(/"/g, '')).join(''), 'hex');
+    const etag = `"${md5(partHashes)}-${parts.length}"`;
+
+    // Composite checksum, also like S3: SHA-256 of the part SHA-256s
+    let checksum;
+    if (input.ChecksumAlgorithm === 'SHA256') {
+      const partChecksums = Buffer.concat(parts.map(p => Buffer.from(p.ChecksumSHA256 || '', 'base64')));
+      checksum = `${sha256Base64(partChecksums)}-${parts.length}`;
+    }
+
+    await writeMetadata({ ...input, Bucket, Key, ChecksumSHA256: checksum }, etag, size);
+    await fsp.rm(dir, { recursive: true, force: true });
+    return { Bucket, Key, ETag: etag, ChecksumSHA256: checksum };
+  };
+
+  const abortMultipartUpload = async ({ UploadId }) => {
+    await fsp.rm(uploadDir(UploadId), { recursive: true, force: true });
+    return {};
+  };
+
+  const headObject = async ({ Bucket, Key }) => {
+    try {
+      const metadata = JSON.parse(await fsp.readFile(metadataPath(Bucket, Key), 'utf8'));
+      return { ...metadata, LastModified: new Date(metadata.LastModified) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw Object.assign(new Error('Not Found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+      }
+      throw error;
+    }
+  };
+
+  // Supports single "bytes=start-end" ranges, which is all the download
+  // route asks for
+  const getObject = async ({ Bucket, Key, Range }) => {
+    const metadata = await headObject({ Bucket, Key }).catch(error => {
+      if (error.name === 'NotFound') {
+        throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey', $metadata: { httpStatusCode: 404 } });
+      }
+      throw error;
+    });
+
+    let start = 0;
+    let end = metadata.ContentLength - 1;
+    const match = Range && /^bytes=(\d+)-(\d*)$/.exec(Range);
+    if (match) {
+      start = parseInt(match[1], 10);
+      end = match[2] ? Math.min(parseInt(match[2], 10), end) : end;
+    }
+
+    return {
+      ...metadata,
+      Body: fs.createReadStream(objectPath(Bucket, Key), { start, end }),
+      ContentLength: end - start + 1,
+      ContentRange: match ? `bytes ${start}-${end}/${metadata.ContentLength}` : undefined,
+      AcceptRanges: 'bytes'
+    };
+  };
+
+  const copyObject = async (input) => {
+    // CopySource is "<bucket>/<url-encoded key>"
+    const [sourceBucket, ...keyParts] = input.CopySource.split('/');
+    const sourceKey = decodeURIComponent(keyParts.join('/'));
+    const metadata = await headObject({ Bucket: sourceBucket, Key: sourceKey });
+    const filePath = objectPath(input.Bucket, input.Key);
+
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.copyFile(objectPath(sourceBucket, sourceKey), filePath);
+    await writeMetadata({
+      ...input,
+      ContentType: metadata.ContentType,
+      StorageClass: input.StorageClass || 'STANDARD',
+      ChecksumSHA256: metadata.ChecksumSHA256,
+      Metadata: input.MetadataDirective === 'REPLACE' ? input.Metadata : metadata.Metadata,
+      // Tags come along unless the copy replaces them, like S3
+      TagSet: input.TaggingDirective === 'REPLACE' ? parseTagging(input.Tagging) : metadata.TagSet
+    }, metadata.ETag, metadata.ContentLength);
+    return { CopyObjectResult: { ETag: metadata.ETag } };
+  };
+
+  const putObjectTagging = async ({ Bucket, Key, Tagging }) => {
+    const metadata = await headObject({ Bucket, Key });
+    await writeFileAtomic(metadataPath(Bucket, Key), JSON.stringify({
+      ...metadata,
+      TagSet: Tagging.TagSet
+    }, null, 2));
+    return {};
+  };
+
+  const getObjectTagging = async ({ Bucket, Key }) => {
+    const metadata = await headObject({ Bucket, Key });
+    return { TagSet: metadata.TagSet || [] };
+  };
+
+  const deleteObject = async ({ Bucket, Key }) => {
+    await fsp.rm(objectPath(Bucket, Key), { force: true });
+    await fsp.rm(metadataPath(Bucket, Key), { force: true });
+    return {};
+  };
+
+  const handlers = {
+    PutObjectCommand: putObject,
+    HeadObjectCommand: headObject,
+    GetObjectCommand: getObject,
+    CopyObjectCommand: copyObject,
+    CreateMultipartUploadCommand: createMultipartUpload,
+    UploadPartCommand: uploadPart,
+    CompleteMultipartUploadCommand: completeMultipartUpload,
+    AbortMultipartUploadCommand: abortMultipartUpload,
+    DeleteObjectCommand: deleteObject,
+    PutObjectTaggingCommand: putObjectTagging,
+    GetObjectTaggingCommand: getObjectTagging
+  };
+
+  // Dispatch an AWS SDK command to its local implementation
+  const send = async (command) => {
+    const handler = handlers[command.constructor.name];
+    if (!handler) {
+      throw new Error(`Local S3 stand-in does not support ${command.constructor.name}`);
+    }
+    return handler(command.input);
+  };
+
+  return { send, rootDir: root };
+};
+
+module.exports = {
+  createLocalS3Client
+};
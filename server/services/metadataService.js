@@ -0,0 +1,152 @@
+/**
+ * Metadata Service
+ * User-defined key/value metadata on files and on individual versions
+ *
+ * Metadata sent with an upload goes on the new version and is written to
+ * the S3 object as x-amz-meta-* headers, so it follows the rules S3 sets
+ * for those: lowercase keys, ASCII values, 2 KB per object. File metadata
+ * and later edits are kept in the file record only.
+ */
+
+const { findFileById, updateFile, getVersionById, updateVersionMetadata } = require('../models/File');
+const { withUserLock } = require('../utils/lock');
+
+// S3 limits user-defined metadata to 2 KB (keys plus values) per object
+const MAX_METADATA_BYTES = 2048;
+const MAX_KEY_LENGTH = 64;
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+const VALUE_PATTERN = /^[\x20-\x7e]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const metadataSize = (metadata) => {
+  return Object.entries(metadata).reduce((sum, [key, value]) => sum + Buffer.byteLength(key) + Buffer.byteLength(value), 0);
+};
+
+// Lowercase the keys and check keys, values and total size. Returns the
+// normalized metadata.
+const validateMetadata = (metadata) => {
+  if (!isPlainObject(metadata)) {
+    throw new Error('Invalid metadata, expected an object of key/value strings');
+  }
+
+  const normalized = {};
+  for (const [rawKey, value] of Object.entries(metadata)) {
+    const key = rawKey.toLowerCase();
+    if (key.length > MAX_KEY_LENGTH || !KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid metadata key "${rawKey}": use letters, digits, '.', '_' and '-' (up to ${MAX_KEY_LENGTH})`);
+    }
+    if (typeof value !== 'string' || !VALUE_PATTERN.test(value)) {
+      throw new Error(`Invalid metadata value for "${rawKey}": must be a string of printable ASCII characters`);
+    }
+    if (Object.hasOwn(normalized, key)) {
+      throw new Error(`Invalid metadata key "${rawKey}": given more than once`);
+    }
+    normalized[key] = value;
+  }
+
+  if (metadataSize(normalized) > MAX_METADATA_BYTES) {
+    throw new Error(`Invalid metadata, keys and values may total at most ${MAX_METADATA_BYTES} bytes`);
+  }
+  return normalized;
+};
+
+// Metadata sent with an upload: an object, or JSON text from a form field
+const parseUploadMetadata = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Invalid metadata, expected a JSON object');
+    }
+  }
+  return validateMetadata(value);
+};
+
+// Apply changes to metadata: a string sets a key, null removes it
+const mergeMetadata = (current = {}, changes) => {
+  if (!isPlainObject(changes)) {
+    throw new Error('Invalid metadata, expected an object of key/value strings');
+  }
+  const merged = { ...current };
+  const updates = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[key.toLowerCase()];
+    } else {
+      updates[key] = value;
+    }
+  }
+  return validateMetadata({ ...merged, ...validateMetadata(updates) });
+};
+
+// Set or remove keys of a file's metadata, returns the new metadata
+const updateFileMetadata = async (userId, fileId, changes) => {
+  return withUserLock(userId, async () => {
+    const file = await findFileById(userId, fileId);
+    if (!file) {
+      throw new Error('File not found');
+    }
+    const metadata = mergeMetadata(file.metadata, changes);
+    await updateFile(userId, fileId, { metadata });
+    return metadata;
+  });
+};
+
+// Set or remove keys of a version's metadata and/or change its comment,
+// returns the updated version
+const updateVersionDetails = async (userId, fileId, versionId, { comment, metadata: changes }) => {
+  return withUserLock(userId, async () => {
+    const version = await getVersionById(userId, fileId, versionId);
+    let metadata;
+    if (changes !== undefined) {
+      // Validate the merged result, then hand the model the keys to set
+      // and the removed ones as null
+      const merged = mergeMetadata(version.metadata, changes);
+      const removed = Object.keys(version.metadata || {}).filter(key => !Object.hasOwn(merged, key));
+      metadata = { ...merged, ...Object.fromEntries(removed.map(key => [key, null])) };
+    }
+    return updateVersionMetadata(userId, fileId, versionId, { comment, metadata });
+  });
+};
+
+// Search filter from a `meta[key]=value` query parameter; a value of '*'
+// only asks for the key to be present
+const parseMetadataFilter = (value) => {
+  if (value === undefined) return undefined;
+  if (!isPlainObject(value)) {
+    throw new Error('Invalid metadata filter, use meta[key]=value');
+  }
+  return Object.entries(value).map(([key, expected]) => {
+    if (!KEY_PATTERN.test(key.toLowerCase()) || typeof expected !== 'string') {
+      throw new Error('Invalid metadata filter, use meta[key]=value');
+    }
+    return { key: key.toLowerCase(), expected: expected.toLowerCase() };
+  });
+};
+
+// Whether the file's metadata, or that of one of its versions, matches
+// every condition (values compare case-insensitively). Only own string
+// values count, so keys like "constructor" don't find Object.prototype.
+const matchesMetadata = (file, conditions) => {
+  const sources = [file.metadata || {}, ...(file.versions || []).map(v => v.metadata || {})];
+  return conditions.every(({ key, expected }) => sources.some(metadata => {
+    const value = Object.hasOwn(metadata, key) ? metadata[key] : undefined;
+    return typeof value === 'string' && (expected === '*' || value.toLowerCase() === expected);
+  }));
+};
+
+module.exports = {
+  MAX_METADATA_BYTES,
+  validateMetadata,
+  parseUploadMetadata,
+  mergeMetadata,
+  updateFileMetadata,
+  updateVersionDetails,
+  parseMetadataFilter,
+  matchesMetadata
+};
@@ -0,0 +1,187 @@
+/**
+ * Migration Service
+ * Applies and rolls back numbered schema migrations (server/migrations)
+ *
+ * Each migration module is named NNN-description.js and exports
+ * { name, up(context), down(context) }. The schema version of a data
+ * store is recorded in the meta collection, so every store (JSON or
+ * SQLite) knows which migrations it has been through.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAdapter, listUserIds } = require('../adapters');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const META_COLLECTION = 'meta';
+const SCHEMA_RECORD_ID = 'schema';
+const MIGRATION_FILE_PATTERN = /^(\d+)-(.+)\.js$/;
+
+// Load every migration, ordered by version number
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .map(fileName => ({ fileName, match: fileName.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ fileName, match }) => {
+      const migration = require(path.join(dir, fileName));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${fileName} must export up and down functions`);
+      }
+      return { version: Number(match[1]), name: migration.name || match[2], up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Duplicate migration version: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const latestVersion = (migrations) => {
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+};
+
+// Read the recorded schema version; a store without any data starts at
+// the latest version since there is nothing to migrate
+const getSchemaVersion = async (adapter, migrations) => {
+  const record = await adapter.findById(META_COLLECTION, null, SCHEMA_RECORD_ID);
+  if (record) {
+    return { version: record.version, recorded: true, history: record.history || [] };
+  }
+
+  const isEmpty = (await listUserIds(adapter)).length === 0;
+  return { version: isEmpty ? latestVersion(migrations) : 0, recorded: false, history: [] };
+};
+
+// Record a new schema version with an entry in its history
+const setSchemaVersion = async (adapter, version, entry = null) => {
+  const current = await adapter.findById(META_COLLECTION, null, SCHEMA_RECORD_ID);
+  const record = {
+    id: SCHEMA_RECORD_ID,
+    version,
+    updatedAt: new Date().toISOString(),
+    history: [...(current?.history || []), ...(entry ? [entry] : [])]
+  };
+
+  if (current) {
+    await adapter.update(META_COLLECTION, null, SCHEMA_RECORD_ID, record);
+  } else {
+    await adapter.insert(META_COLLECTION, null, record);
+  }
+  return record;
+};
+
+// Current version plus applied and pending migrations
+const getMigrationStatus = async (adapter = getAdapter(), migrations = loadMigrations()) => {
+  const { version, recorded, history } = await getSchemaVersion(adapter, migrations);
+
+  return {
+    currentVersion: version,
+    latestVersion: latestVersion(migrations),
+    recorded,
+    history,
+    applied: migrations.filter(m => m.version <= version),
+    pending: migrations.filter(m => m.version > version)
+  };
+};
+
+// Context handed to a migration; writes are skipped in dry-run mode
+const createContext = async (adapter, { dryRun, log }) => ({
+  adapter,
+  dryRun,
+  userIds: await listUserIds(adapter),
+  replaceAll: async (collection, scope, records) => {
+    if (!dryRun) {
+      await adapter.replaceAll(collection, scope, records);
+    }
+  },
+  log: (message) => log(`${dryRun ? '[dry run] ' : ''}${message}`)
+});
+
+// Apply pending migrations up to a version (default: latest)
+// In dry-run mode nothing is written, so each migration sees the store
+// as it is now rather than the output of the migrations before it
+const migrateUp = async (adapter = getAdapter(), { to, dryRun = false, migrations = loadMigrations(), log = console.log } = {}) => {
+  const status = await getMigrationStatus(adapter, migrations);
+  const target = to ?? status.latestVersion;
+
+  if (target < status.currentVersion) {
+    throw new Error(`Target version ${target} is below the current version ${status.currentVersion}; use rollback instead`);
+  }
+
+  const toApply = status.pending.filter(m => m.version <= target);
+  if (toApply.length === 0 && !status.recorded && !dryRun) {
+    await setSchemaVersion(adapter, status.currentVersion);
+  }
+
+  for (const migration of toApply) {
+    log(`⬆️  ${migration.version} ${migration.name}`);
+    await migration.up(await createContext(adapter, { dryRun, log }));
+    if (!dryRun) {
+      await setSchemaVersion(adapter, migration.version, {
+        version: migration.version,
+        name: migration.name,
+        direction: 'up',
+        appliedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  return { from: status.currentVersion, to: toApply.length > 0 ? target : status.currentVersion, migrations: toApply };
+};
+
+// Roll back applied migrations down to a version (default: one step)
+const migrateDown = async (adapter = getAdapter(), { to, dryRun = false, migrations = loadMigrations(), log = console.log } = {}) => {
+  const status = await getMigrationStatus(adapter, migrations);
+  const toRevert = status.applied.slice().reverse();
+  const target = to ?? (toRevert.length > 1 ? toRevert[1].version : 0);
+
+  if (target > status.currentVersion) {
+    throw new Error(`Target version ${target} is above the current version ${status.currentVersion}; use migrate instead`);
+  }
+
+  const reverted = toRevert.filter(m => m.version > target);
+  for (const migration of reverted) {
+    const previous = toRevert.find(m => m.version < migration.version);
+    log(`⬇️  ${migration.version} ${migration.name}`);
+    await migration.down(await createContext(adapter, { dryRun, log }));
+    if (!dryRun) {
+      await setSchemaVersion(adapter, previous ? previous.version : 0, {
+        version: migration.version,
+        name: migration.name,
+        direction: 'down',
+        appliedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  return { from: status.currentVersion, to: reverted.length > 0 ? target : status.currentVersion, migrations: reverted };
+};
+
+// Refuse to run against a store with pending migrations; stamps the
+// version of a new store so later data is not mistaken for legacy data
+const assertSchemaCurrent = async (adapter = getAdapter(), migrations = loadMigrations()) => {
+  const status = await getMigrationStatus(adapter, migrations);
+
+  if (status.pending.length > 0) {
+    const pending = status.pending.map(m => `${m.version}-${m.name}`).join(', ');
+    throw new Error(`Data store is at schema version ${status.currentVersion} with pending migrations (${pending}). Run "npm run migrate -- up" first.`);
+  }
+
+  if (!status.recorded) {
+    await setSchemaVersion(adapter, status.currentVersion);
+  }
+
+  return status;
+};
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+};
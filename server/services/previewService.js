@@ -0,0 +1,235 @@
+/**
+ * Preview Service
+ * Thumbnails and medium-size previews of images and the first page of PDFs
+ *
+ * New versions of previewable files start with previewStatus 'pending'
+ * and their previews are generated in the background, one version at a
+ * time, as WebP images under previews/<versionId>/ in the user's bucket.
+ * The keys are recorded on the version (version.previews) and the status
+ * becomes 'ready', 'failed' (content that could not be rendered) or
+ * 'unavailable' (archived, too large or quarantined). Previews belong to
+ * their version: a new version gets its own and deleting a version
+ * deletes them. PDFs are rendered with poppler's pdftoppm (PDFTOPPM_PATH).
+ * The queue lives in memory, so versions still pending when the server
+ * stopped are queued again when it starts.
+ */
+
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const config = require('../config/environment');
+const { getAdapter, listUserIds } = require('../adapters');
+const { readFiles, findFileById, setVersionPreviews } = require('../models/File');
+const { findUserById } = require('../models/User');
+const { getObjectStream, putObject, deleteFileFromS3 } = require('./awsService');
+const { UNREADABLE_CLASSES } = require('./scanService');
+const { withLock } = require('../utils/lock');
+
+const PREVIEW_PREFIX = 'previews/';
+const PREVIEW_CONTENT_TYPE = 'image/webp';
+
+// Bounding box (pixels) of each preview size
+const PREVIEW_SIZES = {
+  thumbnail: 256,
+  medium: 1024
+};
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/tiff', 'image/avif', 'image/svg+xml'];
+const PDF_TYPE = 'application/pdf';
+const PDF_RENDER_TIMEOUT_MS = 30000;
+
+// Versions whose previews are generated one after the other
+let queue = Promise.resolve();
+
+const isPreviewable = (fileType) => IMAGE_TYPES.includes(fileType) || fileType === PDF_TYPE;
+
+// previewStatus a new version of this type starts with
+const initialPreviewStatus = (fileType) => {
+  return config.PREVIEWS_ENABLED && isPreviewable(fileType) ? 'pending' : null;
+};
+
+const previewKey = (versionId, size) => `${PREVIEW_PREFIX}${versionId}/${size}.webp`;
+
+// Object keys of a version's previews
+const getPreviewKeys = (version) => Object.values((version && version.previews) || {});
+
+// Whole content of an object
+const readObject = async (bucketName, key) => {
+  const { Body } = await getObjectStream(bucketName, key);
+  const chunks = [];
+  for await (const chunk of Body) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Render the first page of a PDF as a PNG no larger than the biggest preview
+const renderPdfPage = async (pdf) => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'skycrate-preview-'));
+  try {
+    const input = path.join(dir, 'source.pdf');
+    await fsp.writeFile(input, pdf);
+    const scaleTo = String(Math.max(...Object.values(PREVIEW_SIZES)));
+    await new Promise((resolve, reject) => {
+      execFile(config.PDFTOPPM_PATH, ['-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', scaleTo, input, path.join(dir, 'page')],
+        { timeout: PDF_RENDER_TIMEOUT_MS },
+        (error) => error ? reject(new Error(`PDF rendering failed: ${error.message}`)) : resolve());
+    });
+    return await fsp.readFile(path.join(dir, 'page.png'));
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Every preview size of an image as WebP (never enlarged), as [size, data]
+const renderPreviews = async (source) => {
+  const rendered = [];
+  for (const [size, pixels] of Object.entries(PREVIEW_SIZES)) {
+    const data = await sharp(source, { failOn: 'error' })
+      .rotate()
+      .resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    rendered.push([size, data]);
+  }
+  return rendered;
+};
+
+// Delete a version's preview objects (failures are only logged, a stray
+// preview is harmless)
+const deletePreviews = async (user, version) => {
+  for (const key of getPreviewKeys(version)) {
+    await deleteFileFromS3(user.awsBucketName, key).catch(error => {
+      console.error(`⚠️ Could not delete preview ${key}:`, error.message);
+    });
+  }
+};
+
+// Generate the previews of one pending version, returns its new
+// previewStatus (null when there was nothing to do)
+const generateVersionPreviews = async (user, fileId, versionId) => {
+  return withLock(`preview:${user.id}:${versionId}`, async () => {
+    const file = await findFileById(user.id, fileId);
+    const version = file && file.versions.find(v => v.versionId === versionId);
+    if (!version || version.previewStatus !== 'pending') {
+      return null;
+    }
+
+    const fileType = version.detectedType || file.fileType;
+    if (!isPreviewable(fileType) ||
+      UNREADABLE_CLASSES.includes(version.storageClass) ||
+      version.fileSize > config.PREVIEW_MAX_SOURCE_BYTES ||
+      version.scanStatus === 'infected') {
+      await setVersionPreviews(user.id, fileId, versionId, { status: 'unavailable' });
+      return 'unavailable';
+    }
+
+    const previews = {};
+    try {
+      const content = await readObject(user.awsBucketName, version.s3Key);
+      const source = fileType === PDF_TYPE ? await renderPdfPage(content) : content;
+      for (const [size, data] of await renderPreviews(source)) {
+        const key = previewKey(versionId, size);
+        await putObject(user.awsBucketName, key, data, { contentType: PREVIEW_CONTENT_TYPE });
+        previews[size] = key;
+      }
+    } catch (error) {
+      console.error(`⚠️ Previews of ${file.originalName} v${version.versionNumber} failed:`, error.message);
+      await deletePreviews(user, { previews });
+      await setVersionPreviews(user.id, fileId, versionId, { status: 'failed' });
+      return 'failed';
+    }
+
+    try {
+      await setVersionPreviews(user.id, fileId, versionId, { status: 'ready', previews });
+    } catch (error) {
+      // The version was deleted (or trashed) in the meantime
+      await deletePreviews(user, { previews });
+      throw error;
+    }
+    console.log(`🖼️ Previews ready for ${file.originalName} v${version.versionNumber}`);
+    return 'ready';
+  });
+};
+
+// Generate a freshly recorded version's previews in the background
+const queuePreviews = (user, fileId, versionId) => {
+  if (!config.PREVIEWS_ENABLED) return;
+
+  queue = queue
+    .then(() => generateVersionPreviews(user, fileId, versionId))
+    .catch(error => {
+      console.error(`⚠️ Previews of file ${fileId} failed:`, error.message);
+    });
+};
+
+// Queue the previews of every version still pending, e.g. after a restart
+// lost the queue. With previews turned off they become 'unavailable'
+// instead of staying pending forever. Returns how many were found.
+const resumePendingPreviews = async () => {
+  let pending = 0;
+
+  for (const userId of await listUserIds(getAdapter())) {
+    const user = await findUserById(userId);
+    if (!user) continue;
+
+    for (const file of await readFiles(userId)) {
+      for (const version of file.versions.filter(v => v.previewStatus === 'pending')) {
+        pending++;
+        if (config.PREVIEWS_ENABLED) {
+          queuePreviews(user, file.id, version.versionId);
+        } else {
+          await setVersionPreviews(userId, file.id, version.versionId, { status: 'unavailable' });
+        }
+      }
+    }
+  }
+
+  if (pending > 0) {
+    console.log(`🖼️ Resumed ${pending} pending previews`);
+  }
+  return pending;
+};
+
+// Wait for the previews queued so far (used by tests)
+const waitForPreviews = () => queue;
+
+// Find the preview of a file's active version (or of versionId) in the
+// given size. Returns { file, version, key }; key is null until the
+// preview is ready.
+const getPreview = async (userId, fileId, { size = 'thumbnail', versionId } = {}) => {
+  if (!PREVIEW_SIZES[size]) {
+    throw new Error(`size must be one of: ${Object.keys(PREVIEW_SIZES).join(', ')}`);
+  }
+
+  const file = await findFileById(userId, fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  const version = versionId ?
+    file.versions.find(v => v.versionId === versionId) :
+    file.versions.find(v => v.isActive);
+  if (!version) {
+    throw new Error('Version not found');
+  }
+
+  return { file, version, key: (version.previews && version.previews[size]) || null };
+};
+
+module.exports = {
+  PREVIEW_PREFIX,
+  PREVIEW_SIZES,
+  PREVIEW_CONTENT_TYPE,
+  isPreviewable,
+  initialPreviewStatus,
+  getPreviewKeys,
+  deletePreviews,
+  generateVersionPreviews,
+  queuePreviews,
+  resumePendingPreviews,
+  waitForPreviews,
+  getPreview
+};
@@ -0,0 +1,141 @@
+/**
+ * Quota Service
+ * How much each user may store, and checks before anything is added
+ *
+ * Usage counts every version of every file, trashed ones included as they
+ * keep their objects until purged: bytes are the versions' sizes and files
+ * the number of versions, so content shared through deduplication still
+ * counts for each file that has it. Quotas
+ * come from the user's tier (user.tier, or DEFAULT_USER_TIER);
+ * STORAGE_QUOTA_POLICY (JSON, e.g. {"free": {"bytes": 1073741824,
+ * "files": 1000}}) replaces or adds tiers, and user.quota (set by admins)
+ * overrides either limit for one user. A limit of null means unlimited.
+ */
+
+const config = require('../config/environment');
+const { readFiles } = require('../models/File');
+const { readTrashedFiles } = require('../models/Trash');
+
+const QUOTA_EXCEEDED = 'Storage quota exceeded';
+
+const GB = 1024 * 1024 * 1024;
+
+const DEFAULT_QUOTA_POLICY = {
+  free: { bytes: 5 * GB, files: 10000 },
+  pro: { bytes: 1024 * GB, files: 1000000 }
+};
+
+// Share of a limit at which usage is reported as 'warning' or 'critical'
+const WARNING_RATIO = 0.8;
+const CRITICAL_RATIO = 0.95;
+
+let quotaPolicy = null;
+
+// Built-in tiers with STORAGE_QUOTA_POLICY applied, read once
+const getQuotaPolicy = () => {
+  if (!quotaPolicy) {
+    let overrides = {};
+    if (config.STORAGE_QUOTA_POLICY) {
+      try {
+        overrides = JSON.parse(config.STORAGE_QUOTA_POLICY);
+      } catch (error) {
+        throw new Error('STORAGE_QUOTA_POLICY is not valid JSON');
+      }
+    }
+    quotaPolicy = { ...DEFAULT_QUOTA_POLICY, ...overrides };
+  }
+  return quotaPolicy;
+};
+
+// A limit as stored: a non-negative integer, or null for unlimited
+const isValidLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+// The limits that apply to a user: { bytes, files }
+const getQuota = (user) => {
+  const policy = getQuotaPolicy();
+  const tierQuota = policy[user && user.tier] || policy[config.DEFAULT_USER_TIER] || { bytes: null, files: null };
+  const override = (user && user.quota) || {};
+  return {
+    bytes: override.bytes !== undefined ? override.bytes : tierQuota.bytes,
+    files: override.files !== undefined ? override.files : tierQuota.files
+  };
+};
+
+// What a user stores now, trash included: { bytes, files }
+const getUsage = async (userId) => {
+  const files = [...(await readFiles(userId)), ...(await readTrashedFiles(userId))];
+  return files.reduce((usage, file) => {
+    const versions = file.versions && file.versions.length > 0 ? file.versions : [file];
+    versions.forEach(version => {
+      usage.bytes += version.fileSize || 0;
+      usage.files += 1;
+    });
+    return usage;
+  }, { bytes: 0, files: 0 });
+};
+
+const remainingOf = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+// 'ok', 'warning', 'critical' or 'exceeded' for the fuller of both limits
+const getLevel = (quota, used) => {
+  const ratios = ['bytes', 'files']
+    .filter(key => quota[key] !== null)
+    .map(key => (quota[key] === 0 ? (used[key] > 0 ? Infinity : 1) : used[key] / quota[key]));
+  const ratio = Math.max(0, ...ratios);
+  if (ratio > 1) return 'exceeded';
+  if (ratio >= CRITICAL_RATIO) return 'critical';
+  if (ratio >= WARNING_RATIO) return 'warning';
+  return 'ok';
+};
+
+// Quota, usage and what is left for a user
+const getQuotaStatus = async (user) => {
+  const quota = getQuota(user);
+  const used = await getUsage(user.id);
+  return {
+    quota,
+    used,
+    remaining: {
+      bytes: remainingOf(quota.bytes, used.bytes),
+      files: remainingOf(quota.files, used.files)
+    },
+    level: getLevel(quota, used)
+  };
+};
+
+const formatSize = (bytes) => {
+  if (bytes >= GB) return `${(bytes / GB).toFixed(2)} GB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+// Throw QUOTA_EXCEEDED (with the limit that would be crossed) unless the
+// user has room for `bytes` more in `files` more versions. With nothing
+// to add it only fails for users already over their quota.
+const assertQuotaAvailable = async (user, { bytes = 0, files = 0 } = {}) => {
+  const quota = getQuota(user);
+  if (quota.bytes === null && quota.files === null) {
+    return;
+  }
+
+  const used = await getUsage(user.id);
+  if (quota.bytes !== null && used.bytes + bytes > quota.bytes) {
+    console.log(`🚫 Storage quota of user ${user.id} exceeded: ${used.bytes} + ${bytes} > ${quota.bytes} bytes`);
+    throw new Error(`${QUOTA_EXCEEDED}: ${formatSize(remainingOf(quota.bytes, used.bytes))} of ${formatSize(quota.bytes)} left, ${formatSize(bytes)} needed`);
+  }
+  if (quota.files !== null && used.files + files > quota.files) {
+    console.log(`🚫 File quota of user ${user.id} exceeded: ${used.files} + ${files} > ${quota.files} files`);
+    throw new Error(`${QUOTA_EXCEEDED}: ${quota.files} files (versions included) allowed, ${used.files} stored`);
+  }
+};
+
+const isQuotaError = (error) => error.message.startsWith(QUOTA_EXCEEDED);
+
+module.exports = {
+  QUOTA_EXCEEDED,
+  isValidLimit,
+  getQuota,
+  getUsage,
+  getQuotaStatus,
+  assertQuotaAvailable,
+  isQuotaError
+};
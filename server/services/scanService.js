@@ -0,0 +1,228 @@
+/**
+ * Scan Service
+ * Malware scanning of uploads with the configured scanner (see
+ * server/scanners)
+ *
+ * While a scanner is configured, every new version starts out with
+ * scanStatus 'pending' and is scanned right after it is recorded; scans
+ * that could not run (scanner unreachable, server restarted) are retried
+ * in the background. Clean versions become 'clean'. Infected ones become
+ * 'infected', their object moves under quarantine/ (which also breaks any
+ * presigned link to it) and the file's shares are revoked. A file's
+ * scanStatus is that of its active version: pending files can't be
+ * shared, infected ones can be neither shared nor downloaded.
+ *
+ * Deduplicated content (content/sha256/...) is shared by several
+ * versions: every version pointing at it, live or in the trash, is marked
+ * infected and gets its own copy under quarantine/, and the content
+ * object goes with the last reference it held. Objects in archive storage
+ * classes can't be read until they are restored and stay pending.
+ */
+
+const config = require('../config/environment');
+const { getAdapter, listUserIds } = require('../adapters');
+const { getScanner } = require('../scanners');
+const { readFiles, findFileById, setVersionScan } = require('../models/File');
+const { findUserById } = require('../models/User');
+const { removeSharedFile } = require('../models/SharedFile');
+const { readTrashedFiles, updateTrashedFiles } = require('../models/Trash');
+const { getObjectStream, copyObject, deleteFileFromS3 } = require('./awsService');
+const { isContentKey, releaseObject } = require('./dedupeService');
+const { withLock } = require('../utils/lock');
+
+const QUARANTINE_PREFIX = 'quarantine/';
+const UNREADABLE_CLASSES = ['GLACIER', 'DEEP_ARCHIVE'];
+
+// Scans started after uploads that have not finished yet
+const inFlight = new Set();
+
+const isScanningEnabled = () => !!getScanner();
+
+// scanStatus a new version starts with
+const initialScanStatus = () => isScanningEnabled() ? 'pending' : null;
+
+const isQuarantineKey = (key) => typeof key === 'string' && key.startsWith(QUARANTINE_PREFIX);
+
+// Throw unless the file (or version) may be downloaded
+const assertDownloadable = (item) => {
+  if (item.scanStatus === 'infected') {
+    throw new Error('File is quarantined');
+  }
+};
+
+// Throw unless the file may be shared
+const assertShareable = (file) => {
+  assertDownloadable(file);
+  if (file.scanStatus === 'pending') {
+    throw new Error('File is still being scanned');
+  }
+};
+
+// Move a version's infected object under quarantine/, returns the new key
+// or null when it is already there
+const quarantineObject = async (user, { s3Key, storageClass }) => {
+  if (isQuarantineKey(s3Key)) {
+    return null;
+  }
+  const quarantineKey = `${QUARANTINE_PREFIX}${s3Key}`;
+  await copyObject(user.awsBucketName, s3Key, quarantineKey, { storageClass });
+  await deleteFileFromS3(user.awsBucketName, s3Key);
+  return quarantineKey;
+};
+
+// Mark a live file's infected versions and revoke its shares when its
+// active version is now infected. s3Keys maps versionId -> quarantine key.
+const markInfected = async (user, fileId, s3Keys, { scanner, signature }) => {
+  let updated;
+  for (const [versionId, s3Key] of Object.entries(s3Keys)) {
+    updated = await setVersionScan(user.id, fileId, [versionId], { status: 'infected', scanner, signature, s3Key });
+  }
+  if (updated.scanStatus === 'infected') {
+    await removeSharedFile(user.id, fileId);
+  }
+};
+
+// Quarantine infected deduplicated content: each version using it, live
+// or trashed, gets its own copy under quarantine/ and releases its
+// reference, so no version keeps sharing the content object and it is
+// deleted with the last reference
+const quarantineContent = async (user, contentKey, result) => {
+  const usesContent = (version) => version.s3Key === contentKey;
+  const quarantineKeyFor = (version) => `${QUARANTINE_PREFIX}${contentKey}/${version.versionId}`;
+  const withContent = (files) => files.filter(file => (file.versions || []).some(usesContent));
+  const liveFiles = withContent(await readFiles(user.id));
+  const trashedFiles = withContent(await readTrashedFiles(user.id));
+
+  const versions = [...liveFiles, ...trashedFiles].flatMap(file => file.versions.filter(usesContent));
+  for (const version of versions) {
+    await copyObject(user.awsBucketName, contentKey, quarantineKeyFor(version), { storageClass: version.storageClass });
+  }
+
+  for (const file of liveFiles) {
+    const s3Keys = Object.fromEntries(file.versions.filter(usesContent).map(v => [v.versionId, quarantineKeyFor(v)]));
+    await markInfected(user, file.id, s3Keys, result);
+  }
+
+  const scanResult = { scanner: result.scanner, signature: result.signature, scannedAt: new Date().toISOString() };
+  await updateTrashedFiles(user.id, (file) => {
+    if (!file.versions || !file.versions.some(usesContent)) return null;
+    const quarantined = file.versions.map(v => usesContent(v) ?
+      { ...v, s3Key: quarantineKeyFor(v), scanStatus: 'infected', scanResult } :
+      v);
+    const active = quarantined.find(v => v.isActive);
+    return { ...file, versions: quarantined, s3Key: active ? active.s3Key : file.s3Key, scanStatus: active ? active.scanStatus : file.scanStatus };
+  });
+
+  for (let i = 0; i < versions.length; i++) {
+    await releaseObject(user, contentKey);
+  }
+};
+
+// Quarantine an infected version (with every version sharing its content
+// object) and revoke shares of files whose active version is now infected
+const quarantineVersion = async (user, file, version, result) => {
+  if (isContentKey(version.s3Key)) {
+    await quarantineContent(user, version.s3Key, result);
+    return;
+  }
+  const s3Key = await quarantineObject(user, version);
+  await markInfected(user, file.id, { [version.versionId]: s3Key }, result);
+};
+
+// Scan one pending version, returns its new scanStatus (null when there
+// was nothing to scan). Scanner errors are thrown and leave it pending.
+const scanVersion = async (user, fileId, versionId) => {
+  return withLock(`scan:${user.id}:${versionId}`, async () => {
+    const scanner = getScanner();
+    const file = await findFileById(user.id, fileId);
+    const version = file && file.versions.find(v => v.versionId === versionId);
+    if (!scanner || !version || version.scanStatus !== 'pending' || UNREADABLE_CLASSES.includes(version.storageClass)) {
+      return null;
+    }
+
+    const { Body } = await getObjectStream(user.awsBucketName, version.s3Key);
+    const result = await scanner.scanStream(Body);
+
+    if (!result.infected) {
+      await setVersionScan(user.id, fileId, [versionId], { status: 'clean', scanner: scanner.name });
+      console.log(`🛡️ ${file.originalName} v${version.versionNumber} scanned clean (${scanner.name})`);
+      return 'clean';
+    }
+
+    console.log(`☣️ ${file.originalName} v${version.versionNumber} is infected (${result.signature}), quarantining`);
+    await quarantineVersion(user, file, version, { scanner: scanner.name, signature: result.signature });
+    return 'infected';
+  });
+};
+
+// Scan a freshly recorded version in the background
+const queueScan = (user, fileId, versionId) => {
+  if (!isScanningEnabled()) return;
+
+  const scan = scanVersion(user, fileId, versionId)
+    .catch(error => {
+      console.error(`⚠️ Scan of file ${fileId} failed, will retry:`, error.message);
+    })
+    .finally(() => inFlight.delete(scan));
+  inFlight.add(scan);
+};
+
+// Wait for the scans queued so far (used by tests and shutdown)
+const waitForScans = () => Promise.all([...inFlight]);
+
+// Scan every version still pending, returns { scanned, failed }
+const scanPendingVersions = async () => {
+  const totals = { scanned: 0, failed: 0 };
+  if (!isScanningEnabled()) return totals;
+
+  for (const userId of await listUserIds(getAdapter())) {
+    const user = await findUserById(userId);
+    if (!user) continue;
+
+    for (const file of await readFiles(userId)) {
+      for (const version of file.versions.filter(v => v.scanStatus === 'pending')) {
+        try {
+          if (await scanVersion(user, file.id, version.versionId)) {
+            totals.scanned++;
+          }
+        } catch (error) {
+          totals.failed++;
+          console.error(`❌ Scan of ${file.originalName} v${version.versionNumber} failed:`, error.message);
+        }
+      }
+    }
+  }
+
+  if (totals.scanned > 0 || totals.failed > 0) {
+    console.log(`🛡️ Retried pending scans: ${totals.scanned} scanned, ${totals.failed} failed`);
+  }
+  return totals;
+};
+
+// Retry pending scans periodically (does not keep the process alive)
+const startScanRetries = () => {
+  if (!isScanningEnabled()) return null;
+
+  const interval = setInterval(() => {
+    scanPendingVersions().catch(error => {
+      console.error('Scan retry error:', error);
+    });
+  }, config.SCAN_RETRY_INTERVAL_MINUTES * 60 * 1000);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  QUARANTINE_PREFIX,
+  UNREADABLE_CLASSES,
+  isScanningEnabled,
+  initialScanStatus,
+  isQuarantineKey,
+  assertDownloadable,
+  assertShareable,
+  scanVersion,
+  queueScan,
+  waitForScans,
+  scanPendingVersions,
+  startScanRetries
+};
@@ -0,0 +1,286 @@
+/**
+ * Search Service
+ * Finds files anywhere in a user's tree by name, type, size, date,
+ * storage class, starred/shared state, tags, metadata and folder subtree
+ *
+ * Results are sorted on one field with the file id as tie-breaker, and
+ * paginated with an opaque cursor holding the last result's sort key, so
+ * pages stay consistent when files are added or removed in between.
+ */
+
+const { readFiles } = require('../models/File');
+const { readFolders } = require('../models/Folder');
+const { readSharedFiles } = require('../models/SharedFile');
+const { STORAGE_CLASSES } = require('./uploadService');
+const { parseTagFilter, hasAllTags } = require('./tagService');
+const { parseMetadataFilter, matchesMetadata } = require('./metadataService');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// MIME type families for the type filter; anything else is matched as a
+// MIME type ("image/png") or a wildcard ("image/*")
+const TYPE_FAMILIES = {
+  image: (mime) => mime.startsWith('image/'),
+  video: (mime) => mime.startsWith('video/'),
+  audio: (mime) => mime.startsWith('audio/'),
+  document: (mime) => mime === 'application/pdf' ||
+    mime.startsWith('text/') ||
+    mime.includes('msword') ||
+    mime.includes('wordprocessingml') ||
+    mime.includes('ms-excel') ||
+    mime.includes('spreadsheetml') ||
+    mime.includes('presentation'),
+  archive: (mime) => mime.includes('zip') || mime.includes('rar') || mime.includes('tar') || mime.includes('7z')
+};
+
+// Sort fields and how to read them from a file
+const SORT_FIELDS = {
+  name: (file) => file.originalName.toLowerCase(),
+  size: (file) => file.fileSize || 0,
+  uploadDate: (file) => file.uploadDate || '',
+  type: (file) => file.fileType || '',
+  storageClass: (file) => file.storageClass || 'STANDARD',
+  starred: (file) => (file.isStarred ? 1 : 0),
+  shared: (file) => (file.isShared ? 1 : 0)
+};
+
+// Whether a glob (* for any run of characters, ? for one) matches the
+// whole name. Only the last * is ever backtracked to, so this takes at
+// most name × glob steps; a regex can backtrack exponentially on
+// patterns like *a*a*a*b.
+const globMatches = (glob, name) => {
+  let g = 0;
+  let n = 0;
+  let star = -1;
+  let starMatch = 0;
+
+  while (n < name.length) {
+    if (glob[g] === '*') {
+      star = g++;
+      starMatch = n;
+    } else if (g < glob.length && (glob[g] === '?' || glob[g] === name[n])) {
+      g++;
+      n++;
+    } else if (star !== -1) {
+      // Let the last * take one more character and try again after it
+      g = star + 1;
+      n = ++starMatch;
+    } else {
+      return false;
+    }
+  }
+  while (glob[g] === '*') {
+    g++;
+  }
+  return g === glob.length;
+};
+
+// Case-insensitive matcher for a name query: a glob when it has * or ?
+// (matched against the whole name), otherwise a substring
+const buildNameMatcher = (query) => {
+  const needle = query.toLowerCase();
+  if (!/[*?]/.test(needle)) {
+    return (name) => name.toLowerCase().includes(needle);
+  }
+  return (name) => globMatches(needle, name.toLowerCase());
+};
+
+// Matcher for the type filter
+const buildTypeMatcher = (type) => {
+  const family = TYPE_FAMILIES[type.toLowerCase()];
+  if (family) {
+    return family;
+  }
+  if (!/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(type)) {
+    throw new Error('Invalid type filter');
+  }
+  const lower = type.toLowerCase();
+  return lower.endsWith('/*')
+    ? (mime) => mime.startsWith(lower.slice(0, -1))
+    : (mime) => mime === lower;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === undefined) return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new Error(`Invalid ${name} filter`);
+};
+
+const parseSize = (value, name) => {
+  if (value === undefined) return undefined;
+  const size = Number(value);
+  if (!Number.isFinite(size) || size < 0) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return size;
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}`);
+  }
+  return date.toISOString();
+};
+
+// Cursors are base64url JSON of the sort they belong to and the last
+// result's sort value and id
+const encodeCursor = (sort, order, file) => {
+  return Buffer.from(JSON.stringify({ sort, order, value: SORT_FIELDS[sort](file), id: file.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort, order) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort === sort && decoded.order === order && typeof decoded.id === 'string') {
+      return decoded;
+    }
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new Error('Invalid cursor');
+};
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Validate query parameters into search options
+const parseSearchParams = (params = {}) => {
+  const sort = params.sort || 'name';
+  if (!SORT_FIELDS[sort]) {
+    throw new Error(`Invalid sort field, use one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const order = params.order || (sort === 'name' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    throw new Error("Invalid order, use 'asc' or 'desc'");
+  }
+
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`Invalid limit, must be 1-${MAX_LIMIT}`);
+  }
+
+  const storageClasses = params.storageClass ? String(params.storageClass).split(',') : undefined;
+  if (storageClasses && storageClasses.some(c => !STORAGE_CLASSES.includes(c))) {
+    throw new Error('Invalid storage class');
+  }
+
+  const options = {
+    q: params.q ? String(params.q) : undefined,
+    type: params.type ? String(params.type) : undefined,
+    minSize: parseSize(params.minSize, 'minSize'),
+    maxSize: parseSize(params.maxSize, 'maxSize'),
+    uploadedAfter: parseDate(params.uploadedAfter, 'uploadedAfter'),
+    uploadedBefore: parseDate(params.uploadedBefore, 'uploadedBefore'),
+    storageClasses,
+    starred: parseBoolean(params.starred, 'starred'),
+    shared: parseBoolean(params.shared, 'shared'),
+    folderId: params.folderId || undefined,
+    tags: parseTagFilter(params.tag),
+    metadata: parseMetadataFilter(params.meta),
+    sort,
+    order,
+    limit
+  };
+  options.cursor = params.cursor ? decodeCursor(params.cursor, sort, order) : undefined;
+  return options;
+};
+
+// Ids of a folder and every folder below it
+const collectSubtree = (folders, rootId) => {
+  const ids = new Set([rootId]);
+  let added = true;
+  while (added) {
+    added = false;
+    for (const folder of folders) {
+      if (folder.parentFolderId && ids.has(folder.parentFolderId) && !ids.has(folder.id)) {
+        ids.add(folder.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+};
+
+// "Parent/Child" path of a folder, '' for the root
+const folderPathOf = (foldersById, folderId) => {
+  const names = [];
+  let current = folderId && foldersById.get(folderId);
+  while (current && names.length < foldersById.size) {
+    names.unshift(current.name);
+    current = current.parentFolderId && foldersById.get(current.parentFolderId);
+  }
+  return names.join('/');
+};
+
+// Search a user's files. params are the raw query parameters (see
+// parseSearchParams). Returns { files, total, nextCursor }.
+const searchFiles = async (userId, params) => {
+  const options = parseSearchParams(params);
+  const [files, folders, sharedFiles] = await Promise.all([
+    readFiles(userId),
+    readFolders(userId),
+    readSharedFiles(userId)
+  ]);
+
+  const foldersById = new Map(folders.map(folder => [folder.id, folder]));
+  if (options.folderId && !foldersById.has(options.folderId)) {
+    throw new Error('Folder not found');
+  }
+
+  const now = Date.now();
+  const sharedIds = new Set(sharedFiles
+    .filter(share => !share.expiryTimestamp || now <= share.expiryTimestamp)
+    .map(share => share.fileId));
+
+  const matchesName = options.q && buildNameMatcher(options.q);
+  const matchesType = options.type && buildTypeMatcher(options.type);
+  const scope = options.folderId && collectSubtree(folders, options.folderId);
+
+  const matches = files
+    .map(file => ({ ...file, isShared: sharedIds.has(file.id) }))
+    .filter(file => {
+      const size = file.fileSize || 0;
+      const uploadDate = new Date(file.uploadDate || 0).toISOString();
+      return (!matchesName || matchesName(file.originalName)) &&
+        (!matchesType || matchesType((file.fileType || '').toLowerCase())) &&
+        (options.minSize === undefined || size >= options.minSize) &&
+        (options.maxSize === undefined || size <= options.maxSize) &&
+        (!options.uploadedAfter || uploadDate >= options.uploadedAfter) &&
+        (!options.uploadedBefore || uploadDate <= options.uploadedBefore) &&
+        (!options.storageClasses || options.storageClasses.includes(file.storageClass || 'STANDARD')) &&
+        (options.starred === undefined || !!file.isStarred === options.starred) &&
+        (options.shared === undefined || file.isShared === options.shared) &&
+        (!scope || scope.has(file.parentFolderId)) &&
+        (!options.tags || hasAllTags(file, options.tags)) &&
+        (!options.metadata || matchesMetadata(file, options.metadata));
+    });
+
+  const readSortValue = SORT_FIELDS[options.sort];
+  const direction = options.order === 'asc' ? 1 : -1;
+  const compare = (aValue, aId, bValue, bId) => {
+    return direction * compareValues(aValue, bValue) || compareValues(aId, bId);
+  };
+  matches.sort((a, b) => compare(readSortValue(a), a.id, readSortValue(b), b.id));
+
+  // Resume after the cursor's position, wherever that file is now
+  const start = options.cursor
+    ? matches.findIndex(file => compare(readSortValue(file), file.id, options.cursor.value, options.cursor.id) > 0)
+    : 0;
+  const page = start === -1 ? [] : matches.slice(start, start + options.limit);
+  const hasMore = start !== -1 && start + options.limit < matches.length;
+
+  return {
+    files: page.map(file => ({ ...file, folderPath: folderPathOf(foldersById, file.parentFolderId) })),
+    total: matches.length,
+    nextCursor: hasMore ? encodeCursor(options.sort, options.order, page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  TYPE_FAMILIES,
+  SORT_FIELDS,
+  searchFiles
+};
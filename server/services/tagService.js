@@ -0,0 +1,159 @@
+/**
+ * Tag Service
+ * Free-form tags on files and folders, mirrored to S3 object tagging
+ *
+ * Tags are stored lowercased on the file or folder record. Every object of
+ * a tagged file carries one S3 tag per file tag (`<tag>=true`), so bucket
+ * lifecycle rules can target them. Content-addressed objects are shared by
+ * several files and are left untagged.
+ */
+
+const { readFiles, findFileById, updateFile } = require('../models/File');
+const { readFolders, findFolderById, updateFolder } = require('../models/Folder');
+const { putObjectTags } = require('./awsService');
+const { isContentKey } = require('./dedupeService');
+const { withLock, withUserLock } = require('../utils/lock');
+
+// S3 allows at most 10 tags per object, so that is the limit per item
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 64;
+
+// Characters S3 accepts in tag keys
+const TAG_PATTERN = /^[\p{L}\p{N} _.:/=+\-@]+$/u;
+
+const S3_TAG_VALUE = 'true';
+
+// Trim, lowercase and validate a list of tags, dropping duplicates
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    throw new Error('Invalid tags, expected an array of strings');
+  }
+  const normalized = tags.map(tag => {
+    const value = typeof tag === 'string' ? tag.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+    if (!value || value.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(value)) {
+      throw new Error(`Invalid tag: ${JSON.stringify(tag)}`);
+    }
+    return value;
+  });
+  return [...new Set(normalized)];
+};
+
+// Tags of a comma-separated `tag` query parameter
+const parseTagFilter = (value) => {
+  if (value === undefined || value === '') return undefined;
+  try {
+    return normalizeTags(String(value).split(','));
+  } catch (error) {
+    throw new Error('Invalid tag filter');
+  }
+};
+
+// Whether an item carries every one of tags
+const hasAllTags = (item, tags) => tags.every(tag => (item.tags || []).includes(tag));
+
+// Put a file's tags on each of its version objects. Returns the number of
+// objects that could not be tagged.
+const mirrorFileTags = async (user, fileId) => {
+  return withLock(`tags:${user.id}:${fileId}`, async () => {
+    const file = await findFileById(user.id, fileId);
+    if (!file) return 0;
+
+    const objectTags = Object.fromEntries((file.tags || []).map(tag => [tag, S3_TAG_VALUE]));
+    const keys = [...new Set((file.versions || [{ s3Key: file.s3Key }]).map(v => v.s3Key))]
+      .filter(key => !isContentKey(key));
+
+    let failed = 0;
+    for (const key of keys) {
+      try {
+        await putObjectTags(user.awsBucketName, key, objectTags);
+      } catch (error) {
+        console.error(`⚠️ Could not tag object ${key}:`, error.message);
+        failed++;
+      }
+    }
+    return failed;
+  });
+};
+
+// Put a file's tags on one newly stored object
+const tagNewObject = async (user, file, s3Key) => {
+  if (!(file.tags || []).length || isContentKey(s3Key)) return;
+  try {
+    await putObjectTags(user.awsBucketName, s3Key, Object.fromEntries(file.tags.map(tag => [tag, S3_TAG_VALUE])));
+  } catch (error) {
+    console.error(`⚠️ Could not tag object ${s3Key}:`, error.message);
+  }
+};
+
+// Add and remove tags on several files and folders. Each item is updated
+// on its own; returns { results, successCount, failureCount } with the new
+// tags of every item that was found.
+const updateTags = async (user, { fileIds = [], folderIds = [], add = [], remove = [] }) => {
+  if (!Array.isArray(fileIds) || !Array.isArray(folderIds) || fileIds.length + folderIds.length === 0) {
+    throw new Error('Invalid request, fileIds or folderIds is required');
+  }
+  const toAdd = normalizeTags(add);
+  const toRemove = normalizeTags(remove);
+  if (toAdd.length + toRemove.length === 0) {
+    throw new Error('Invalid request, add or remove is required');
+  }
+
+  const items = [
+    ...fileIds.map(id => ({ id, itemType: 'file', find: findFileById, update: updateFile })),
+    ...folderIds.map(id => ({ id, itemType: 'folder', find: findFolderById, update: updateFolder }))
+  ];
+
+  const results = [];
+  for (const { id, itemType, find, update } of items) {
+    try {
+      const tags = await withUserLock(user.id, async () => {
+        const item = await find(user.id, id);
+        if (!item) {
+          throw new Error(`${itemType === 'file' ? 'File' : 'Folder'} not found`);
+        }
+        const next = [...new Set([...(item.tags || []), ...toAdd])].filter(tag => !toRemove.includes(tag));
+        if (next.length > MAX_TAGS) {
+          throw new Error(`An item can have at most ${MAX_TAGS} tags`);
+        }
+        await update(user.id, id, { tags: next });
+        return next;
+      });
+
+      const result = { id, itemType, success: true, tags };
+      if (itemType === 'file') {
+        result.untaggedObjects = await mirrorFileTags(user, id);
+      }
+      results.push(result);
+    } catch (error) {
+      results.push({ id, itemType, success: false, error: error.message });
+    }
+  }
+
+  const successCount = results.filter(r => r.success).length;
+  return { results, successCount, failureCount: results.length - successCount };
+};
+
+// Every tag in use with how many files and folders carry it
+const listTags = async (userId) => {
+  const [files, folders] = await Promise.all([readFiles(userId), readFolders(userId)]);
+  const counts = new Map();
+  const count = (items, field) => items.forEach(item => (item.tags || []).forEach(tag => {
+    const entry = counts.get(tag) || { name: tag, files: 0, folders: 0 };
+    entry[field]++;
+    counts.set(tag, entry);
+  }));
+  count(files, 'files');
+  count(folders, 'folders');
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  MAX_TAGS,
+  normalizeTags,
+  parseTagFilter,
+  hasAllTags,
+  mirrorFileTags,
+  tagNewObject,
+  updateTags,
+  listTags
+};
@@ -0,0 +1,332 @@
+/**
+ * Trash Service
+ * Deleted files and folders go to a per-user trash with their folder
+ * location and every version. They can be restored until the retention
+ * period ends; then a background purge deletes their S3 objects.
+ */
+
+const { randomUUID } = require('crypto');
+const config = require('../config/environment');
+const { getAdapter, listUserIds } = require('../adapters');
+const { readFiles, findFileById, deleteFile, insertFile } = require('../models/File');
+const { readFolders, findFolderById, deleteFolder, insertFolder } = require('../models/Folder');
+const { findUserById } = require('../models/User');
+const {
+  readTrash,
+  addTrashItem,
+  findTrashItem,
+  findTrashItemByItemId,
+  updateTrashItem,
+  removeTrashItem
+} = require('../models/Trash');
+const { deleteFileFromS3 } = require('./awsService');
+const { isContentKey, releaseObject } = require('./dedupeService');
+const { getPreviewKeys } = require('./previewService');
+const { assertQuotaAvailable } = require('./quotaService');
+const { withLock, withUserLock } = require('../utils/lock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Restores and purges of one user's trash run one at a time
+const withTrashLock = (userId, fn) => withLock(`trash:${userId}`, fn);
+
+// Bytes a file occupies in S3 (every version)
+const storedBytes = (file) => {
+  return (file.versions || []).reduce((sum, version) => sum + (version.fileSize || 0), 0) || file.fileSize || 0;
+};
+
+// The subfolders and files a trashed folder took with it (none for
+// entries of files)
+const entryContents = (entry) => {
+  return { folders: [], files: [], ...entry.contents };
+};
+
+// The file records a trash entry holds
+const entryFiles = (entry) => {
+  return entry.itemType === 'file' ? [entry.item] : entryContents(entry).files;
+};
+
+// Build the trash entry for a file or folder record; a folder's entry
+// also holds everything that was inside it
+const buildTrashEntry = (itemType, item, contents) => {
+  const deletedAt = new Date();
+  const entry = {
+    id: randomUUID(),
+    itemType,
+    itemId: item.id,
+    name: itemType === 'file' ? item.originalName : item.name,
+    parentFolderId: item.parentFolderId || null,
+    size: 0,
+    deletedAt: deletedAt.toISOString(),
+    purgeAt: new Date(deletedAt.getTime() + config.TRASH_RETENTION_DAYS * DAY_MS).toISOString(),
+    item
+  };
+  if (contents) {
+    entry.contents = contents;
+  }
+  entry.size = entryFiles(entry).reduce((sum, file) => sum + storedBytes(file), 0);
+  return entry;
+};
+
+// Subfolders of a folder at any depth, each before its own subfolders
+const collectSubfolders = (folders, folderId) => {
+  return folders
+    .filter(folder => folder.parentFolderId === folderId)
+    .flatMap(folder => [folder, ...collectSubfolders(folders, folder.id)]);
+};
+
+// Move a file to the trash. The user's lock is held throughout, so no
+// version can be added between reading the file and deleting it.
+const trashFile = (user, fileId) => withUserLock(user.id, async () => {
+  const file = await findFileById(user.id, fileId);
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  // Entry first, so the file is never in neither place
+  const entry = await addTrashItem(user.id, buildTrashEntry('file', file));
+  await deleteFile(user.id, file.id);
+
+  console.log(`🗑️ Moved file ${file.originalName} to trash (purge after ${entry.purgeAt})`);
+  return entry;
+});
+
+// Move a folder to the trash with its subfolders and files, under the
+// user's lock like trashFile
+const trashFolder = (user, folderId) => withUserLock(user.id, async () => {
+  const folder = await findFolderById(user.id, folderId);
+  if (!folder) {
+    throw new Error('Folder not found');
+  }
+
+  const folders = collectSubfolders(await readFolders(user.id), folderId);
+  const folderIds = new Set([folderId, ...folders.map(f => f.id)]);
+  const files = (await readFiles(user.id)).filter(file => folderIds.has(file.parentFolderId));
+
+  // Entry first, so nothing is ever in neither place. Folders go last and
+  // deepest first, as deleteFolder refuses folders that aren't empty.
+  const entry = await addTrashItem(user.id, buildTrashEntry('folder', folder, { folders, files }));
+  for (const file of files) {
+    await deleteFile(user.id, file.id);
+  }
+  for (const subfolder of [...folders].reverse()) {
+    await deleteFolder(user.id, subfolder.id);
+  }
+  await deleteFolder(user.id, folderId);
+
+  console.log(`🗑️ Moved folder ${folder.name} to trash (purge after ${entry.purgeAt})`);
+  return entry;
+});
+
+// Trash entries, most recently deleted first
+const listTrash = async (userId) => {
+  const entries = await readTrash(userId);
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+// The trash entry of a folder: its own, or that of the trashed folder it
+// was inside
+const findTrashedFolder = async (userId, folderId) => {
+  const entry = await findTrashItemByItemId(userId, folderId);
+  if (entry) {
+    return entry.itemType === 'folder' ? entry : null;
+  }
+  const entries = await readTrash(userId);
+  return entries.find(e => entryContents(e).folders.some(folder => folder.id === folderId)) || null;
+};
+
+// Where a restored item goes: its old folder if that still exists or is
+// itself in the trash (then it is restored too), otherwise the root
+const resolveRestoreFolder = async (user, parentFolderId) => {
+  if (!parentFolderId) return null;
+  if (await findFolderById(user.id, parentFolderId)) return parentFolderId;
+
+  const trashedFolder = await findTrashedFolder(user.id, parentFolderId);
+  if (trashedFolder) {
+    await restoreEntry(user, trashedFolder);
+    return parentFolderId;
+  }
+  return null;
+};
+
+// Put a trash entry's records back; the caller holds the trash lock.
+// Trashed files already count towards the quota, so restoring adds
+// nothing, but accounts over their quota can't restore until they free
+// space. The check and the records share the user's lock.
+const restoreEntry = (user, entry) => withUserLock(user.id, async () => {
+  const files = entryFiles(entry);
+  await assertQuotaAvailable(user);
+  const parentFolderId = await resolveRestoreFolder(user, entry.parentFolderId);
+  const record = { ...entry.item, parentFolderId };
+
+  if (entry.itemType === 'file') {
+    await insertFile(user.id, record);
+  } else {
+    // Subfolders and files keep their place inside the folder
+    await insertFolder(user.id, record);
+    for (const folder of entryContents(entry).folders) {
+      await insertFolder(user.id, folder);
+    }
+    for (const file of files) {
+      await insertFile(user.id, file);
+    }
+  }
+  await removeTrashItem(user.id, entry.id);
+
+  console.log(`♻️ Restored ${entry.itemType} ${entry.name} to ${parentFolderId || 'root'}`);
+  return { itemType: entry.itemType, item: record, restoredTo: parentFolderId };
+});
+
+// Restore a trash entry to where it was deleted from
+const restoreTrashItem = async (user, trashId) => {
+  return withTrashLock(user.id, async () => {
+    const entry = await findTrashItem(user.id, trashId);
+    if (!entry) {
+      throw new Error('Trash item not found');
+    }
+    return restoreEntry(user, entry);
+  });
+};
+
+// Delete a trashed file's S3 objects and previews. Deduplicated versions
+// each release their reference instead; shared content stays in S3 while
+// other versions use it. `released` collects the versions whose
+// reference is gone.
+const purgeFileObjects = async (user, file, released) => {
+  const versions = file.versions || [];
+  const keys = new Set(versions.map(v => v.s3Key).concat(file.s3Key).filter(key => key && !isContentKey(key)));
+  versions.flatMap(getPreviewKeys).forEach(key => keys.add(key));
+  for (const key of keys) {
+    await deleteFileFromS3(user.awsBucketName, key);
+  }
+  for (const version of versions.filter(v => isContentKey(v.s3Key))) {
+    await releaseObject(user, version.s3Key);
+    released.add(`${file.id}:${version.versionId}`);
+  }
+};
+
+// A trashed file record without its released versions
+const forgetReleased = (file, released) => {
+  return { ...file, versions: (file.versions || []).filter(v => !released.has(`${file.id}:${v.versionId}`)) };
+};
+
+// Delete a trash entry for good, including the S3 objects and previews of
+// every file it holds. The entry is only removed once every object is
+// gone, so a failed purge is retried.
+const purgeEntry = async (user, entry) => {
+  const released = new Set();
+  try {
+    for (const file of entryFiles(entry)) {
+      await purgeFileObjects(user, file, released);
+    }
+  } catch (error) {
+    // A retried purge must not release the same reference twice, so the
+    // entry forgets versions whose reference is already gone
+    if (released.size > 0) {
+      const contents = entryContents(entry);
+      await updateTrashItem(user.id, entry.id, entry.itemType === 'file'
+        ? { ...entry, item: forgetReleased(entry.item, released) }
+        : { ...entry, contents: { ...contents, files: contents.files.map(file => forgetReleased(file, released)) } });
+    }
+    throw error;
+  }
+  await removeTrashItem(user.id, entry.id);
+};
+
+// Permanently delete one trash entry
+const deleteTrashItem = async (user, trashId) => {
+  return withTrashLock(user.id, async () => {
+    const entry = await findTrashItem(user.id, trashId);
+    if (!entry) {
+      throw new Error('Trash item not found');
+    }
+    await purgeEntry(user, entry);
+    console.log(`🔥 Permanently deleted ${entry.itemType} ${entry.name}`);
+    return entry;
+  });
+};
+
+// Permanently delete everything in a user's trash, returns counts
+const emptyTrash = async (user) => {
+  return withTrashLock(user.id, async () => {
+    const entries = await readTrash(user.id);
+    let purged = 0;
+    let failed = 0;
+
+    for (const entry of entries) {
+      try {
+        await purgeEntry(user, entry);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Failed to purge trash item ${entry.id}:`, error.message);
+        failed++;
+      }
+    }
+
+    console.log(`🔥 Emptied trash for user ${user.id}: ${purged} purged, ${failed} failed`);
+    return { purged, failed };
+  });
+};
+
+// Purge a user's entries past their retention period, returns how many
+// were purged; the caller holds the trash lock. Each entry is read again
+// before it goes, so only its current record is purged.
+const purgeExpiredEntries = async (user, now) => {
+  const isExpired = (entry) => new Date(entry.purgeAt) <= now;
+  const expired = (await readTrash(user.id)).filter(isExpired);
+  let purged = 0;
+
+  for (const { id } of expired) {
+    const entry = await findTrashItem(user.id, id);
+    if (!entry || !isExpired(entry)) continue;
+
+    try {
+      await purgeEntry(user, entry);
+      purged++;
+    } catch (error) {
+      console.error(`❌ Failed to purge trash item ${entry.id}:`, error.message);
+    }
+  }
+  return purged;
+};
+
+// Purge every entry past its retention period, returns how many were purged.
+// Entries are selected under the trash lock, so one restored or deleted
+// while the purge waited for it is left alone.
+const purgeExpiredTrash = async (now = new Date()) => {
+  let purged = 0;
+
+  for (const userId of await listUserIds(getAdapter())) {
+    const user = await findUserById(userId);
+    if (!user) continue;
+
+    purged += await withTrashLock(userId, () => purgeExpiredEntries(user, now));
+  }
+
+  if (purged > 0) {
+    console.log(`🧹 Purged ${purged} expired trash items`);
+  }
+  return purged;
+};
+
+// Run the purge periodically (does not keep the process alive)
+const startTrashPurge = () => {
+  const interval = setInterval(() => {
+    purgeExpiredTrash().catch(error => {
+      console.error('Trash purge error:', error);
+    });
+  }, config.TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  trashFile,
+  trashFolder,
+  listTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyTrash,
+  purgeExpiredTrash,
+  startTrashPurge
+};
@@ -0,0 +1,557 @@
+/**
+ * Upload Service
+ * Shared steps of every upload path: choosing where an object goes and
+ * recording it as a new file or a new version once it is stored
+ *
+ * Every upload records the SHA-256 of its content (hex, version.checksum)
+ * along with the ETag and checksum S3 reported. Uploads whose bytes never
+ * passed through this server and that S3 holds no full checksum of are
+ * hashed in the background once recorded, so they are not deduplicated
+ * and only compared when their conflict policy asks for it. Content
+ * identical to the file's active version does not become a new version.
+ * With DEDUPLICATION_ENABLED, content already stored for another file or
+ * version is referenced instead of stored again (see dedupeService).
+ *
+ * The content type is checked against the file's leading bytes before it
+ * is recorded (see contentTypeService); the type they identify is kept as
+ * detectedType. New versions are scanned for malware in the background
+ * when a scanner is configured (see scanService), and images and PDFs
+ * get thumbnails and previews (see previewService). Uploads that don't fit
+ * the user's storage quota are refused before they start when their size
+ * is announced, and removed again once stored otherwise (see quotaService).
+ * A name already taken in the folder is handled by the upload's conflict
+ * policy: a new version, a renamed copy, or an error (see conflictService).
+ */
+
+const { randomUUID } = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const {
+  readFiles,
+  findFiles,
+  findFileById,
+  addFile,
+  updateVersionMetadata,
+  setVersionChecksum
+} = require('../models/File');
+const {
+  checkBucketExists,
+  configureBucketCors,
+  generatePresignedShareUrl,
+  supportsPresignedUploads,
+  generatePresignedUploadUrl,
+  getFileMetadata,
+  fullObjectSha256,
+  hashObject,
+  readObjectHead,
+  deleteFileFromS3
+} = require('./awsService');
+const { getOptimalStorageClass } = require('./storageService');
+const { trackBillingActivity, calculateStorageCost, calculateRequestCost } = require('./billingService');
+const { storeDeduplicated, releaseObject } = require('./dedupeService');
+const { tagNewObject } = require('./tagService');
+const { parseUploadMetadata } = require('./metadataService');
+const { SNIFF_BYTES, canAnnounceType, checkUploadContent } = require('./contentTypeService');
+const { initialScanStatus, queueScan } = require('./scanService');
+const { initialPreviewStatus, queuePreviews } = require('./previewService');
+const { assertQuotaAvailable } = require('./quotaService');
+const {
+  DEFAULT_CONFLICT_POLICY,
+  FILE_EXISTS,
+  FILE_DIFFERS,
+  resolveConflictPolicy,
+  assertNoConflict,
+  findFreeName
+} = require('./conflictService');
+const { withLock, withUserLock } = require('../utils/lock');
+
+const BUCKET_NOT_FOUND = 'Your storage bucket was not found. Please contact support.';
+const DIRECT_UPLOADS_UNAVAILABLE = 'Direct uploads are not available, upload through the server instead';
+const DIRECT_UPLOAD_PURPOSE = 'direct-upload';
+const STORAGE_CLASSES = ['STANDARD', 'STANDARD_IA', 'ONEZONE_IA', 'GLACIER_IR', 'GLACIER', 'DEEP_ARCHIVE'];
+
+// Millisecond timestamps that never repeat within this process, so
+// parallel uploads of the same name still get distinct S3 keys
+let lastUploadTimestamp = 0;
+const uniqueTimestamp = () => {
+  lastUploadTimestamp = Math.max(Date.now(), lastUploadTimestamp + 1);
+  return lastUploadTimestamp;
+};
+
+// Pick the storage class for an upload
+const selectStorageClass = (requestedClass, mimetype, size, originalname) => {
+  if (requestedClass && STORAGE_CLASSES.includes(requestedClass)) {
+    console.log(`  - Storage class: ${requestedClass} (user selected)`);
+    return requestedClass;
+  }
+  if (config.SHOW_STORAGE_CLASS_OPTIONS) {
+    console.log(`  - Storage class: ${config.DEFAULT_STORAGE_CLASS} (default)`);
+    return config.DEFAULT_STORAGE_CLASS;
+  }
+  const optimalClass = getOptimalStorageClass(mimetype, size, originalname);
+  console.log(`  - Storage class: ${optimalClass} (auto-optimized)`);
+  return optimalClass;
+};
+
+// Helper function to build folder path
+const buildFolderPath = async (userId, parentFolderId) => {
+  if (!parentFolderId) return '';
+
+  try {
+    const { getFolderPath } = require('../models/Folder');
+    const folderPath = await getFolderPath(userId, parentFolderId);
+    return folderPath.map(folder => folder.name).join('/') + '/';
+  } catch (error) {
+    console.error('Error building folder path:', error);
+    return '';
+  }
+};
+
+// A fresh, unique S3 key for a file name in a folder
+const buildObjectKey = async (userId, parentFolderId, originalName) => {
+  const fileName = `${uniqueTimestamp()}-${originalName}`;
+  const folderPath = await buildFolderPath(userId, parentFolderId);
+  return { key: `uploads/${folderPath}${fileName}`, fileName };
+};
+
+// Decide bucket, key and storage class for a new upload
+const planUpload = async (user, { originalName, fileType, fileSize, parentFolderId = null, storageClass }) => {
+  const bucketExists = await checkBucketExists(user.awsBucketName);
+  if (!bucketExists && !config.DEV_MODE) {
+    throw new Error(BUCKET_NOT_FOUND);
+  }
+
+  console.log(`📤 Starting file upload for user ${user.id}:`);
+  console.log(`  - File: ${originalName}`);
+  console.log(`  - Type: ${fileType}`);
+
+  const { key, fileName } = await buildObjectKey(user.id, parentFolderId, originalName);
+
+  return {
+    bucketName: user.awsBucketName,
+    key,
+    fileName,
+    storageClass: selectStorageClass(storageClass, fileType, fileSize, originalName)
+  };
+};
+
+// Versions whose content is being read back to hash it
+const pendingChecksums = new Set();
+
+// Hash a recorded version's object in the background and store its
+// SHA-256 on the version
+const queueChecksum = (user, fileId, versionId, s3Key) => {
+  const job = hashObject(user.awsBucketName, s3Key)
+    .then(sha256 => setVersionChecksum(user.id, fileId, versionId, sha256))
+    .then(() => console.log(`🔢 Recorded the SHA-256 of ${s3Key}`))
+    .catch(error => {
+      console.error(`⚠️ Could not hash ${s3Key}:`, error.message);
+    })
+    .finally(() => pendingChecksums.delete(job));
+  pendingChecksums.add(job);
+};
+
+// Wait for the checksums queued so far (used by tests)
+const waitForChecksums = () => Promise.all([...pendingChecksums]);
+
+// Run fn while holding the lock of a file name in a folder; uploads and
+// renamed uploads of that name are recorded one at a time
+const withNameLock = (user, parentFolderId, name, fn) => {
+  return withLock(`upload:${user.id}:${parentFolderId || 'root'}:${name}`, fn);
+};
+
+// Run fn(freeName) for a free variant of originalName in the folder while
+// holding that name's lock. The name is checked again under its lock, so
+// no other upload can take it before fn saves the file.
+const withFreeName = async (user, parentFolderId, originalName, fn) => {
+  const freeName = await findFreeName(user.id, parentFolderId, originalName);
+  return withNameLock(user, parentFolderId, freeName, async () => {
+    const [taken] = await findFiles(user.id, { originalName: freeName, parentFolderId });
+    return taken ? withFreeName(user, parentFolderId, originalName, fn) : fn(freeName);
+  });
+};
+
+// Record a stored object as a new file, or a new version of the file with
+// the same name in the same folder. When the content (sha256) matches that
+// file's active version the object is deleted again and nothing is added.
+// conflictPolicy (already resolved) can store it under a free name instead,
+// or refuse it; skip-if-identical refuses content that differs, hashing
+// the object first when its sha256 is unknown. metadata (already on the object) becomes the new version's
+// metadata, or is added to the active version's when nothing changed.
+// Without a sha256 the object is hashed in the background once recorded.
+// Returns { savedFile, existingFile, unchanged, conflictPolicy,
+// renamedFrom }.
+const recordUpload = async (user, {
+  originalName,
+  fileName,
+  fileType,
+  fileSize,
+  s3Key,
+  storageClass,
+  parentFolderId = null,
+  versionComment,
+  sha256 = null,
+  etag = null,
+  s3Checksum = null,
+  metadata = {},
+  detectedType = null,
+  conflictPolicy = DEFAULT_CONFLICT_POLICY
+}) => {
+  console.log(`✅ File stored in S3:`);
+  console.log(`  - Bucket: ${user.awsBucketName}`);
+  console.log(`  - Key: ${s3Key}`);
+  console.log(`  - Size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
+  console.log(`  - SHA-256: ${sha256 || 'unknown'}`);
+
+  const estimatedMonthlyCost = calculateStorageCost(fileSize, storageClass);
+  console.log(`  - Estimated monthly cost: $${estimatedMonthlyCost.toFixed(4)}`);
+
+  // Uploads of the same name into the same folder are recorded one at a
+  // time, so each one sees the version created before it
+  return withNameLock(user, parentFolderId, originalName, async () => {
+    // Check if file with same name already exists (for versioning)
+    let [existingFile] = await findFiles(user.id, {
+      originalName,
+      parentFolderId
+    });
+    const activeVersion = existingFile && (existingFile.versions || []).find(v => v.isActive);
+    const refuse = async (message) => {
+      await deleteFileFromS3(user.awsBucketName, s3Key).catch(() => {});
+      throw new Error(message);
+    };
+
+    let renamedFrom = null;
+    if (existingFile && conflictPolicy === 'reject') {
+      console.log(`🚫 ${originalName} already exists, upload rejected`);
+      await refuse(FILE_EXISTS);
+    }
+    let activeChecksum = activeVersion ? activeVersion.checksum : null;
+    if (existingFile && activeVersion && conflictPolicy === 'skip-if-identical' && !(sha256 && activeChecksum)) {
+      // Only the content can decide, so read back whatever isn't hashed yet
+      try {
+        sha256 = sha256 || await hashObject(user.awsBucketName, s3Key);
+        activeChecksum = activeChecksum || await hashObject(user.awsBucketName, activeVersion.s3Key);
+      } catch (error) {
+        console.error(`⚠️ Could not hash ${s3Key} to compare it:`, error.message);
+        await refuse(error.message);
+      }
+    }
+    const identical = !!(sha256 && activeChecksum === sha256);
+    if (existingFile && conflictPolicy === 'skip-if-identical' && !identical) {
+      console.log(`🚫 ${originalName} already exists with different content, upload rejected`);
+      await refuse(FILE_DIFFERS);
+    }
+
+    // Record the upload under originalName, as a version of existingFile
+    // when there is one
+    const record = async () => {
+      // Track upload request billing
+      console.log(`💰 Tracking billing activity...`);
+      await trackBillingActivity(user.id, 'request_upload', {
+        fileName: originalName,
+        fileSize,
+        storageClass,
+        cost: calculateRequestCost('upload'),
+        isNewVersion: !!existingFile
+      });
+
+      if (existingFile && identical) {
+        console.log(`⏭️ Content matches version ${activeVersion.versionNumber}, no new version created`);
+        await deleteFileFromS3(user.awsBucketName, s3Key).catch(error => {
+          console.error(`⚠️ Could not remove duplicate object ${s3Key}:`, error.message);
+        });
+        if (Object.keys(metadata).length === 0) {
+          return { savedFile: existingFile, existingFile, unchanged: true, conflictPolicy, renamedFrom };
+        }
+        await updateVersionMetadata(user.id, existingFile.id, activeVersion.versionId, { metadata });
+        const savedFile = await findFileById(user.id, existingFile.id);
+        return { savedFile, existingFile, unchanged: true, conflictPolicy, renamedFrom };
+      }
+
+      // Content stored before (or now moved to its content key) is shared
+      const stored = await storeDeduplicated(user, { sha256, s3Key, fileSize, storageClass });
+      if (stored) {
+        ({ s3Key, storageClass } = stored);
+        etag = stored.etag;
+        s3Checksum = null;
+      }
+
+      const signedUrl = await generatePresignedShareUrl(user.awsBucketName, s3Key, 3600);
+
+      // Create file record with version support
+      const fileData = {
+        id: existingFile ? existingFile.id : randomUUID(),
+        userId: user.id,
+        originalName,
+        fileName,
+        fileType,
+        fileSize,
+        s3Key,
+        url: signedUrl,
+        storageClass,
+        estimatedMonthlyCost,
+        uploadDate: new Date().toISOString(),
+        parentFolderId,
+        isStarred: existingFile ? existingFile.isStarred : false,
+        comment: versionComment || (existingFile ? `Version ${existingFile.currentVersion + 1}` : 'Initial version'),
+        checksum: sha256,
+        etag,
+        s3Checksum,
+        metadata,
+        detectedType,
+        scanStatus: initialScanStatus(),
+        previewStatus: initialPreviewStatus(detectedType || fileType)
+      };
+
+      // The quota is checked again now that the size is known, under the
+      // user's lock together with the save, so parallel uploads into other
+      // names can't each fit on their own and overrun it together. What
+      // isn't recorded is removed (or its reference given back).
+      console.log(`💾 Saving file record to database...`);
+      let savedFile;
+      try {
+        savedFile = await withUserLock(user.id, async () => {
+          await assertQuotaAvailable(user, { bytes: fileSize, files: 1 });
+          return addFile(user.id, fileData);
+        });
+      } catch (error) {
+        if (stored) {
+          await releaseObject(user, s3Key).catch(() => {});
+        } else {
+          await deleteFileFromS3(user.awsBucketName, s3Key).catch(() => {});
+        }
+        throw error;
+      }
+      console.log(`✅ File record saved successfully with ID: ${savedFile.id}`);
+      await tagNewObject(user, savedFile, s3Key);
+      const { versionId } = savedFile.versions.find(v => v.isActive);
+      queueScan(user, savedFile.id, versionId);
+      queuePreviews(user, savedFile.id, versionId);
+      if (!sha256) {
+        queueChecksum(user, savedFile.id, versionId, s3Key);
+      }
+
+      return { savedFile, existingFile, unchanged: false, conflictPolicy, renamedFrom };
+    };
+
+    if (existingFile && conflictPolicy === 'rename') {
+      renamedFrom = originalName;
+      return withFreeName(user, parentFolderId, originalName, async (freeName) => {
+        originalName = freeName;
+        console.log(`✏️ ${renamedFrom} already exists, stored as ${originalName}`);
+        existingFile = null;
+        return record();
+      });
+    }
+    return record();
+  });
+};
+
+// Check an upload the client announces before sending any bytes against
+// the user's upload policy, returns the content type to store it with
+const validateAnnouncedUpload = (user, { fileName, fileSize, fileType, sha256 }) => {
+  if (!fileName || typeof fileName !== 'string') {
+    throw new Error('File name is required');
+  }
+  if (!Number.isInteger(fileSize) || fileSize <= 0) {
+    throw new Error('File size must be a positive number of bytes');
+  }
+  if (fileSize > config.MAX_FILE_SIZE_BYTES) {
+    throw new Error('File is too large');
+  }
+  if (sha256 !== undefined && sha256 !== null && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    throw new Error('Invalid SHA-256 checksum');
+  }
+
+  const contentType = fileType || 'application/octet-stream';
+  if (!canAnnounceType(user, contentType)) {
+    throw new Error('Unsupported file type');
+  }
+  return contentType;
+};
+
+// Buckets whose CORS rules were applied by this process
+const corsConfiguredBuckets = new Set();
+
+// Issue a presigned PUT so the browser can upload straight to the user's
+// bucket. The returned uploadToken carries the planned record and is
+// redeemed with completeDirectUpload once the object is in S3. A sha256
+// (hex) announced here is signed into the URL, so S3 verifies the bytes;
+// metadata is signed in as the object's user metadata. The conflict policy
+// is resolved now and kept in the token.
+const createDirectUpload = async (user, { fileName, fileSize, fileType, parentFolderId = null, storageClass, versionComment, sha256, metadata, conflictPolicy }) => {
+  if (!config.DIRECT_UPLOADS_ENABLED || !supportsPresignedUploads()) {
+    throw new Error(DIRECT_UPLOADS_UNAVAILABLE);
+  }
+
+  const contentType = validateAnnouncedUpload(user, { fileName, fileSize, fileType, sha256 });
+  const policy = await resolveConflictPolicy(user, parentFolderId, conflictPolicy);
+  await assertNoConflict(user, { originalName: fileName, parentFolderId }, policy);
+  await assertQuotaAvailable(user, { bytes: fileSize, files: 1 });
+  const checksum = sha256 ? sha256.toLowerCase() : null;
+  const userMetadata = parseUploadMetadata(metadata);
+  const target = await planUpload(user, {
+    originalName: fileName,
+    fileType: contentType,
+    fileSize,
+    parentFolderId,
+    storageClass
+  });
+
+  if (!corsConfiguredBuckets.has(target.bucketName)) {
+    await configureBucketCors(target.bucketName);
+    corsConfiguredBuckets.add(target.bucketName);
+  }
+
+  const expiresInSeconds = config.DIRECT_UPLOAD_URL_TTL_SECONDS;
+  const { url, headers } = await generatePresignedUploadUrl(target.bucketName, target.key, {
+    contentType,
+    contentLength: fileSize,
+    storageClass: target.storageClass,
+    sha256: checksum || undefined,
+    metadata: userMetadata,
+    expiresInSeconds
+  });
+
+  // Deliberately no userId claim, so the token never passes as a login
+  const uploadToken = jwt.sign({
+    purpose: DIRECT_UPLOAD_PURPOSE,
+    owner: user.id,
+    bucketName: target.bucketName,
+    s3Key: target.key,
+    fileName: target.fileName,
+    originalName: fileName,
+    fileType: contentType,
+    fileSize,
+    storageClass: target.storageClass,
+    parentFolderId,
+    versionComment: versionComment || null,
+    sha256: checksum,
+    metadata: userMetadata,
+    conflictPolicy: policy
+  }, config.JWT_SECRET, { expiresIn: '24h' });
+
+  return {
+    uploadUrl: url,
+    method: 'PUT',
+    headers,
+    expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString(),
+    uploadToken,
+    conflictPolicy: policy
+  };
+};
+
+// Read an upload token issued to this user
+const verifyUploadToken = (user, uploadToken) => {
+  let claims;
+  try {
+    claims = jwt.verify(uploadToken, config.JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid upload token');
+  }
+  if (claims.purpose !== DIRECT_UPLOAD_PURPOSE || claims.owner !== user.id) {
+    throw new Error('Invalid upload token');
+  }
+  return claims;
+};
+
+// Record a direct upload after checking the object S3 actually holds.
+// Returns { savedFile, existingFile } like recordUpload.
+const completeDirectUpload = async (user, uploadToken) => {
+  const upload = verifyUploadToken(user, uploadToken);
+
+  // A token completes once, even when the client retries in parallel
+  return withLock(`direct-upload:${upload.s3Key}`, async () => {
+    const files = await readFiles(user.id);
+    if (files.some(file => (file.versions || []).some(v => v.s3Key === upload.s3Key))) {
+      throw new Error('Upload already completed');
+    }
+
+    let metadata;
+    try {
+      metadata = await getFileMetadata(upload.bucketName, upload.s3Key);
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        throw new Error('Uploaded object not found');
+      }
+      throw error;
+    }
+
+    if (metadata.ContentLength !== upload.fileSize) {
+      // Not what was announced; don't keep it around unrecorded
+      await deleteFileFromS3(upload.bucketName, upload.s3Key).catch(() => {});
+      throw new Error('Uploaded object does not match the announced size');
+    }
+
+    // The bytes never passed through here, so the checksum is the one S3
+    // holds (it verified an announced one); without one recordUpload has
+    // the object hashed in the background
+    const sha256 = fullObjectSha256(metadata.ChecksumSHA256);
+
+    if (upload.sha256 && sha256 !== upload.sha256) {
+      await deleteFileFromS3(upload.bucketName, upload.s3Key).catch(() => {});
+      throw new Error('Uploaded object does not match the announced checksum');
+    }
+
+    let content;
+    try {
+      content = checkUploadContent(user, upload.fileType, await readObjectHead(upload.bucketName, upload.s3Key, SNIFF_BYTES));
+    } catch (error) {
+      await deleteFileFromS3(upload.bucketName, upload.s3Key).catch(() => {});
+      throw error;
+    }
+
+    return recordUpload(user, {
+      originalName: upload.originalName,
+      fileName: upload.fileName,
+      fileType: content.fileType,
+      fileSize: metadata.ContentLength,
+      s3Key: upload.s3Key,
+      storageClass: metadata.StorageClass || upload.storageClass,
+      parentFolderId: upload.parentFolderId,
+      versionComment: upload.versionComment,
+      sha256,
+      etag: metadata.ETag || null,
+      s3Checksum: metadata.ChecksumSHA256 || null,
+      metadata: upload.metadata || {},
+      detectedType: content.detectedType,
+      conflictPolicy: upload.conflictPolicy
+    });
+  });
+};
+
+// Response body for a finished upload
+const formatUploadResponse = ({ savedFile, existingFile, unchanged = false, conflictPolicy = DEFAULT_CONFLICT_POLICY, renamedFrom = null }) => ({
+  message: unchanged ?
+    `Content is identical to version ${savedFile.currentVersion}, no new version created` :
+    existingFile ?
+      `New version (v${savedFile.currentVersion}) created successfully` :
+      renamedFrom ?
+        `${renamedFrom} already exists, uploaded as ${savedFile.originalName}` :
+        'File uploaded successfully',
+  file: savedFile,
+  isNewVersion: !!existingFile && !unchanged,
+  unchanged,
+  conflictPolicy,
+  renamedFrom,
+  versionInfo: existingFile && !unchanged ? {
+    currentVersion: savedFile.currentVersion,
+    totalVersions: savedFile.totalVersions,
+    previousVersion: savedFile.currentVersion - 1
+  } : null
+});
+
+module.exports = {
+  BUCKET_NOT_FOUND,
+  DIRECT_UPLOADS_UNAVAILABLE,
+  STORAGE_CLASSES,
+  buildFolderPath,
+  buildObjectKey,
+  validateAnnouncedUpload,
+  planUpload,
+  recordUpload,
+  waitForChecksums,
+  createDirectUpload,
+  completeDirectUpload,
+  formatUploadResponse
+};
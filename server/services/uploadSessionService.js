@@ -0,0 +1,304 @@
+/**
+ * Upload Session Service
+ * Resumable uploads on top of S3 multipart uploads
+ *
+ * A session owns one S3 multipart upload. The client sends the file in
+ * chunks of session.chunkSize bytes, each at the offset the session has
+ * received so far; chunk n becomes multipart part n + 1. When every byte
+ * has arrived the parts are assembled and the object is recorded like any
+ * other upload. Sessions that stop receiving chunks expire and are
+ * cleaned up in the background, aborting their multipart upload.
+ *
+ * The SHA-256 of the file is built up chunk by chunk in memory; a session
+ * resumed after a restart has its object read back to hash it instead.
+ * The first chunk is checked against the declared type before it is
+ * stored (see contentTypeService). The conflict policy is resolved when
+ * the session starts (see conflictService).
+ */
+
+const { randomUUID, createHash } = require('crypto');
+const config = require('../config/environment');
+const { getAdapter, listUserIds } = require('../adapters');
+const {
+  readUploadSessions,
+  addUploadSession,
+  findUploadSession,
+  updateUploadSession,
+  removeUploadSession
+} = require('../models/UploadSession');
+const {
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  deleteFileFromS3
+} = require('./awsService');
+const { validateAnnouncedUpload, planUpload, recordUpload } = require('./uploadService');
+const { parseUploadMetadata } = require('./metadataService');
+const { SNIFF_BYTES, checkUploadContent } = require('./contentTypeService');
+const { assertQuotaAvailable } = require('./quotaService');
+const { DEFAULT_CONFLICT_POLICY, resolveConflictPolicy, assertNoConflict } = require('./conflictService');
+const { withLock } = require('../utils/lock');
+
+// S3 allows at most this many parts per multipart upload
+const MAX_PARTS = 10000;
+
+// Running SHA-256 per session id: { hash, offset } where offset is how
+// many bytes it covers
+const sessionHashes = new Map();
+
+// Feed a stored chunk into the session's running hash; a gap (the process
+// restarted mid-upload) drops it and completion hashes the object instead
+const updateSessionHash = (sessionId, offset, body) => {
+  let entry = sessionHashes.get(sessionId);
+  if (offset === 0) {
+    entry = { hash: createHash('sha256'), offset: 0 };
+    sessionHashes.set(sessionId, entry);
+  }
+  if (!entry || entry.offset !== offset) {
+    sessionHashes.delete(sessionId);
+    return;
+  }
+  entry.hash.update(body);
+  entry.offset += body.length;
+};
+
+const getExpiry = () => {
+  return new Date(Date.now() + config.UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+};
+
+const isExpired = (session) => new Date(session.expiresAt) <= new Date();
+
+// Fields a client needs to drive the upload
+const toPublicSession = (session) => ({
+  sessionId: session.id,
+  fileName: session.originalName,
+  fileSize: session.fileSize,
+  chunkSize: session.chunkSize,
+  offset: session.offset,
+  complete: session.offset === session.fileSize,
+  conflictPolicy: session.conflictPolicy || DEFAULT_CONFLICT_POLICY,
+  createdAt: session.createdAt,
+  expiresAt: session.expiresAt
+});
+
+// Chunks of one session are handled one at a time so a retried chunk can
+// never race the original for the same part
+const withSessionLock = (sessionId, fn) => withLock(`upload-session:${sessionId}`, fn);
+
+// Find a live session, expired sessions count as missing
+const getLiveSession = async (userId, sessionId) => {
+  const session = await findUploadSession(userId, sessionId);
+  if (!session || isExpired(session)) {
+    throw new Error('Upload session not found');
+  }
+  return session;
+};
+
+// Start a session and its multipart upload
+const createUploadSession = async (user, { fileName, fileSize, fileType, parentFolderId = null, storageClass, versionComment, metadata, conflictPolicy }) => {
+  const contentType = validateAnnouncedUpload(user, { fileName, fileSize, fileType });
+  const policy = await resolveConflictPolicy(user, parentFolderId, conflictPolicy);
+  await assertNoConflict(user, { originalName: fileName, parentFolderId }, policy);
+  await assertQuotaAvailable(user, { bytes: fileSize, files: 1 });
+  const userMetadata = parseUploadMetadata(metadata);
+
+  const chunkSize = config.UPLOAD_PART_SIZE_BYTES;
+  if (Math.ceil(fileSize / chunkSize) > MAX_PARTS) {
+    throw new Error('File is too large');
+  }
+
+  const target = await planUpload(user, {
+    originalName: fileName,
+    fileType: contentType,
+    fileSize,
+    parentFolderId,
+    storageClass
+  });
+  const uploadId = await createMultipartUpload(target.bucketName, target.key, {
+    storageClass: target.storageClass,
+    contentType,
+    metadata: userMetadata
+  });
+
+  const now = new Date().toISOString();
+  const session = await addUploadSession(user.id, {
+    id: randomUUID(),
+    userId: user.id,
+    uploadId,
+    bucketName: target.bucketName,
+    s3Key: target.key,
+    fileName: target.fileName,
+    originalName: fileName,
+    fileType: contentType,
+    fileSize,
+    storageClass: target.storageClass,
+    parentFolderId,
+    versionComment: versionComment || null,
+    metadata: userMetadata,
+    conflictPolicy: policy,
+    chunkSize,
+    offset: 0,
+    parts: [],
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: getExpiry()
+  });
+
+  console.log(`📦 Upload session ${session.id} started for ${fileName} (${fileSize} bytes, ${chunkSize}-byte chunks)`);
+  return toPublicSession(session);
+};
+
+// Current state of a session
+const getUploadSession = async (userId, sessionId) => {
+  return toPublicSession(await getLiveSession(userId, sessionId));
+};
+
+// Store the chunk starting at `offset`; it must start where the session
+// left off and be a full chunk unless it is the last one
+const putUploadChunk = async (user, sessionId, offset, body) => {
+  const userId = user.id;
+  return withSessionLock(sessionId, async () => {
+    const session = await getLiveSession(userId, sessionId);
+
+    if (offset !== session.offset) {
+      throw new Error('Offset mismatch');
+    }
+
+    const expectedLength = Math.min(session.chunkSize, session.fileSize - session.offset);
+    if (expectedLength === 0) {
+      throw new Error('Upload is already complete');
+    }
+    if (body.length !== expectedLength) {
+      throw new Error(`Chunk must be ${expectedLength} bytes`);
+    }
+
+    // The first chunk holds the bytes that identify the format
+    const content = offset === 0 ? checkUploadContent(user, session.fileType, body.subarray(0, SNIFF_BYTES)) : {};
+
+    const partNumber = session.offset / session.chunkSize + 1;
+    const part = await uploadPart(session.bucketName, session.s3Key, session.uploadId, partNumber, body);
+
+    const updatedSession = await updateUploadSession(userId, sessionId, {
+      ...content,
+      offset: session.offset + body.length,
+      parts: [...session.parts, part],
+      expiresAt: getExpiry()
+    });
+    updateSessionHash(sessionId, offset, body);
+    return toPublicSession(updatedSession);
+  });
+};
+
+// Assemble the object and record it as a file or new version
+const completeUploadSession = async (user, sessionId) => {
+  return withSessionLock(sessionId, async () => {
+    const session = await getLiveSession(user.id, sessionId);
+
+    if (session.offset !== session.fileSize) {
+      throw new Error('Upload is incomplete');
+    }
+
+    const { etag, checksumSHA256 } = await completeMultipartUpload(
+      session.bucketName, session.s3Key, session.uploadId, session.parts
+    );
+    await removeUploadSession(user.id, sessionId);
+
+    try {
+      const running = sessionHashes.get(sessionId);
+      sessionHashes.delete(sessionId);
+      // A session resumed after a restart lost its running hash; its
+      // checksum is composite, so recordUpload has the object hashed
+      const sha256 = running && running.offset === session.fileSize ? running.hash.digest('hex') : null;
+
+      return await recordUpload(user, {
+        originalName: session.originalName,
+        fileName: session.fileName,
+        fileType: session.fileType,
+        fileSize: session.fileSize,
+        s3Key: session.s3Key,
+        storageClass: session.storageClass,
+        parentFolderId: session.parentFolderId,
+        versionComment: session.versionComment,
+        sha256,
+        etag,
+        s3Checksum: checksumSHA256,
+        metadata: session.metadata || {},
+        detectedType: session.detectedType || null,
+        conflictPolicy: session.conflictPolicy
+      });
+    } catch (error) {
+      // The object is already in S3; don't leave it without a record
+      await deleteFileFromS3(session.bucketName, session.s3Key).catch(() => {});
+      throw error;
+    }
+  });
+};
+
+// Abort a session's multipart upload and forget it
+const discardSession = async (userId, session) => {
+  try {
+    await abortMultipartUpload(session.bucketName, session.s3Key, session.uploadId);
+  } catch (error) {
+    // Already aborted or completed upstream
+    if (error.name !== 'NoSuchUpload') {
+      throw error;
+    }
+  }
+  sessionHashes.delete(session.id);
+  await removeUploadSession(userId, session.id);
+};
+
+// Cancel a session
+const abortUploadSession = async (userId, sessionId) => {
+  return withSessionLock(sessionId, async () => {
+    const session = await findUploadSession(userId, sessionId);
+    if (!session) {
+      throw new Error('Upload session not found');
+    }
+    await discardSession(userId, session);
+  });
+};
+
+// Abort and remove every expired session, returns how many were removed
+const cleanupExpiredUploadSessions = async () => {
+  let removed = 0;
+
+  for (const userId of await listUserIds(getAdapter())) {
+    const sessions = await readUploadSessions(userId);
+    for (const session of sessions.filter(isExpired)) {
+      try {
+        await withSessionLock(session.id, () => discardSession(userId, session));
+        removed++;
+      } catch (error) {
+        console.error(`❌ Failed to clean up upload session ${session.id}:`, error.message);
+      }
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} abandoned upload sessions`);
+  }
+  return removed;
+};
+
+// Run the cleanup periodically (does not keep the process alive)
+const startUploadSessionCleanup = () => {
+  const interval = setInterval(() => {
+    cleanupExpiredUploadSessions().catch(error => {
+      console.error('Upload session cleanup error:', error);
+    });
+  }, config.UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  putUploadChunk,
+  completeUploadSession,
+  abortUploadSession,
+  cleanupExpiredUploadSessions,
+  startUploadSessionCleanup
+};
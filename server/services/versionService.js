@@ -10,11 +10,17 @@ const {
   getVersionById,
   updateVersionMetadata,
   readFiles,
-  writeFiles 
+  findFileById,
+  saveFile
 } = require('../models/File');
-const { deleteFileFromS3, uploadFileToS3 } = require('./awsService');
+const { uploadFileToS3 } = require('./awsService');
+const { releaseObject } = require('./dedupeService');
+const { deletePreviews } = require('./previewService');
 const { getStorageClassCost } = require('./storageService');
 const { trackBillingActivity } = require('./billingService');
+const { findUserById } = require('../models/User');
+const { assertQuotaAvailable } = require('./quotaService');
+const { lockedByUser, withUserLock } = require('../utils/lock');
 
 // Version retention policies
 const VERSION_RETENTION_POLICIES = {
@@ -109,14 +115,12 @@ const optimizeVersionStorage = async (userId, fileId, options = {}) => {
     skipActiveVersion = true 
   } = options;
   
-  const files = await readFiles(userId);
-  const fileIndex = files.findIndex(f => f.id === fileId);
+  const file = await findFileById(userId, fileId);
   
-  if (fileIndex === -1) {
+  if (!file) {
     throw new Error('File not found');
   }
   
-  const file = files[fileIndex];
   const now = new Date();
   const optimizedVersions = [];
   
@@ -152,8 +156,7 @@ const optimizeVersionStorage = async (userId, fileId, options = {}) => {
   }
   
   if (optimizedVersions.length > 0) {
-    files[fileIndex] = file;
-    await writeFiles(userId, files);
+    await saveFile(userId, file);
   }
   
   return {
@@ -166,6 +169,7 @@ const optimizeVersionStorage = async (userId, fileId, options = {}) => {
 // Clean up old versions based on retention policy
 const cleanupOldVersions = async (userId, userTier = 'FREE') => {
   const policy = VERSION_RETENTION_POLICIES[userTier];
+  const user = await findUserById(userId);
   const files = await readFiles(userId);
   const cleanupResults = [];
   
@@ -210,8 +214,9 @@ const cleanupOldVersions = async (userId, userTier = 'FREE') => {
       try {
         await deleteVersion(userId, file.id, versionToDelete.versionId);
         
-        // Delete from S3
-        await deleteFileFromS3(file.awsBucketName || `user-${userId}`, versionToDelete.s3Key);
+        // Delete from S3 (shared content only with its last reference)
+        await releaseObject(user, versionToDelete.s3Key);
+        await deletePreviews(user, versionToDelete);
         
         cleanupResults.push({
           fileId: file.id,
@@ -278,10 +283,20 @@ const getVersionStatistics = async (userId) => {
   };
 };
 
+// Make an older version the active one again. Its content becomes current,
+// so it has to fit the quota like an upload of it would; the check and the
+// restore share the user's lock.
+const restoreVersionWithinQuota = (user, fileId, versionId) => withUserLock(user.id, async () => {
+  const version = await getVersionById(user.id, fileId, versionId);
+  await assertQuotaAvailable(user, { bytes: version.fileSize || 0 });
+  return restoreVersion(user.id, fileId, versionId);
+});
+
 module.exports = {
   getVersionHistoryWithCosts,
+  restoreVersionWithinQuota,
   calculateVersionCost,
-  optimizeVersionStorage,
+  optimizeVersionStorage: lockedByUser(optimizeVersionStorage),
   cleanupOldVersions,
   getVersionStatistics,
   VERSION_RETENTION_POLICIES
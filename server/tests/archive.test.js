@@ -0,0 +1,107 @@
+/**
+ * ZIP archive download tests
+ * Folder hierarchy, deduplicated selections and the manifest of files
+ * that could not be included
+ */
+
+const yauzl = require('yauzl');
+const { setupServerTests } = require('./testUtils');
+const { findFileById, setVersionScan } = require('../models/File');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder } = ctx;
+
+const upload = async (name, content, fields = {}) => (await ctx.upload(name, content, { fields })).body.file;
+
+// Entries of a ZIP as { name: content } (directories map to null)
+const readZip = (buffer) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+    if (error) return reject(error);
+    const entries = {};
+    zip.on('entry', entry => {
+      if (entry.fileName.endsWith('/')) {
+        entries[entry.fileName] = null;
+        return zip.readEntry();
+      }
+      zip.openReadStream(entry, (streamError, stream) => {
+        if (streamError) return reject(streamError);
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          entries[entry.fileName] = Buffer.concat(chunks).toString('utf8');
+          zip.readEntry();
+        });
+      });
+    });
+    zip.on('end', () => resolve(entries));
+    zip.on('error', reject);
+    zip.readEntry();
+  });
+});
+
+const archive = (selection) => api('POST', '/api/files/archive', { json: selection });
+
+describe('POST /api/files/archive', () => {
+  test('should zip folders with their hierarchy and selected files', async () => {
+    const projects = await createFolder('Projects');
+    const year = await createFolder('2024', projects.id);
+    await createFolder('Empty', projects.id);
+    await upload('plan.pdf', '%PDF-1.4 plan', { parentFolderId: projects.id });
+    await upload('q1.pdf', '%PDF-1.4 first quarter', { parentFolderId: year.id });
+    const loose = await upload('loose.pdf', '%PDF-1.4 loose');
+
+    const response = await archive({ folderIds: [projects.id], fileIds: [loose.id] });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="skycrate-\d{4}-\d{2}-\d{2}\.zip"/);
+    expect(await readZip(response.body)).toEqual({
+      'Projects/': null,
+      'Projects/2024/': null,
+      'Projects/Empty/': null,
+      'Projects/2024/q1.pdf': '%PDF-1.4 first quarter',
+      'Projects/plan.pdf': '%PDF-1.4 plan',
+      'loose.pdf': '%PDF-1.4 loose'
+    });
+  });
+
+  test('should name single-folder archives after the folder and add files once', async () => {
+    const reports = await createFolder('Reports');
+    const file = await upload('annual.pdf', '%PDF-1.4 annual', { parentFolderId: reports.id });
+
+    const folderOnly = await archive({ folderIds: [reports.id] });
+    expect(folderOnly.headers['content-disposition']).toMatch(/^attachment; filename="Reports\.zip"/);
+
+    const both = await archive({ folderIds: [reports.id], fileIds: [file.id] });
+    expect(Object.keys(await readZip(both.body))).toEqual(['Reports/', 'Reports/annual.pdf']);
+  });
+
+  test('should list archived and quarantined files in a manifest instead of failing', async () => {
+    const ready = await upload('ready.pdf', '%PDF-1.4 ready');
+    const cold = await upload('cold.pdf', '%PDF-1.4 cold', { storageClass: 'DEEP_ARCHIVE' });
+    const infected = await upload('infected.pdf', '%PDF-1.4 infected');
+    const { versions } = await findFileById(ctx.user.id, infected.id);
+    await setVersionScan(ctx.user.id, infected.id, [versions[0].versionId], { status: 'infected', scanner: 'stub', signature: 'Test' });
+
+    const response = await archive({ fileIds: [ready.id, cold.id, infected.id] });
+
+    expect(response.status).toBe(200);
+    const entries = await readZip(response.body);
+    expect(Object.keys(entries).sort()).toEqual(['ready.pdf', 'skycrate-manifest.json']);
+    expect(JSON.parse(entries['skycrate-manifest.json'])).toMatchObject({
+      included: 1,
+      skipped: [
+        { path: 'cold.pdf', reason: 'archived', storageClass: 'DEEP_ARCHIVE' },
+        { path: 'infected.pdf', reason: 'quarantined' }
+      ]
+    });
+  });
+
+  test('should reject empty selections and unknown items', async () => {
+    expect((await archive({})).status).toBe(400);
+    expect((await archive({ fileIds: 'abc' })).status).toBe(400);
+    expect((await archive({ fileIds: ['missing'] })).status).toBe(404);
+    expect((await archive({ folderIds: ['missing'] })).status).toBe(404);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Backup and restore tests
+ * Archives must round-trip the store and corrupt archives must be rejected
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { randomUUID } = require('crypto');
+const { useFreshStore, removeTestData, createTestUser } = require('./testUtils');
+const { createBackup, readBackup, restoreBackup } = require('../services/backupService');
+const { assertSchemaCurrent } = require('../services/migrationService');
+const { addFile, readFiles } = require('../models/File');
+const { addFolder, readFolders } = require('../models/Folder');
+const { findUserById, deleteUser } = require('../models/User');
+
+const fileData = (userId, originalName) => ({
+  id: randomUUID(),
+  userId,
+  originalName,
+  fileName: `1-${originalName}`,
+  fileType: 'text/plain',
+  fileSize: 10,
+  s3Key: `uploads/1-${originalName}`,
+  storageClass: 'STANDARD',
+  uploadDate: new Date().toISOString(),
+  parentFolderId: null
+});
+
+const readArchive = (filePath) => JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8'));
+
+const writeArchive = (filePath, archive) => fs.writeFileSync(filePath, zlib.gzipSync(JSON.stringify(archive)));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+describe.each(['json', 'sqlite'])('%s store', (storeType) => {
+  let adapter;
+  let backupDir;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    adapter = useFreshStore(storeType);
+    await adapter.initialize();
+    await assertSchemaCurrent(adapter);
+    backupDir = fs.mkdtempSync(path.join(process.env.DATA_DIR, 'backups-'));
+
+    ({ user: alice } = await createTestUser());
+    ({ user: bob } = await createTestUser());
+    await addFile(alice.id, fileData(alice.id, 'alice.txt'));
+    await addFolder(alice.id, { name: 'Photos' });
+    await addFile(bob.id, fileData(bob.id, 'bob.txt'));
+  });
+
+  test('should write a timestamped archive that validates', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+
+    expect(path.basename(backup.path)).toMatch(/^skycrate-backup-\d{4}-\d{2}-\d{2}T.*\.json\.gz$/);
+    expect(backup.users).toBe(2);
+
+    const archive = await readBackup(backup.path);
+    expect(archive.schemaVersion).toBeGreaterThan(0);
+    expect(archive.entries.find(e => e.collection === 'files' && e.scope === alice.id).count).toBe(1);
+  });
+
+  test('should restore the whole store and keep a pre-restore backup', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+
+    await addFile(alice.id, fileData(alice.id, 'later.txt'));
+    const { user: carol } = await createTestUser();
+
+    const result = await restoreBackup(adapter, backup.path, { dir: backupDir });
+
+    expect(await readFiles(alice.id)).toHaveLength(1);
+    expect(await findUserById(carol.id)).toBeNull();
+    expect(result.removedUsers).toEqual([carol.id]);
+    expect(path.basename(result.safetyBackup)).toMatch(/-pre-restore\.json\.gz$/);
+    await expect(readBackup(result.safetyBackup)).resolves.toBeTruthy();
+  });
+
+  test('should restore a single user without touching others', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+
+    await deleteUser(alice.id);
+    await adapter.removeScope(alice.id);
+    await addFile(bob.id, fileData(bob.id, 'bob-later.txt'));
+
+    await restoreBackup(adapter, backup.path, { userId: alice.id, dir: backupDir });
+
+    expect(await findUserById(alice.id)).toMatchObject({ id: alice.id });
+    expect(await readFiles(alice.id)).toHaveLength(1);
+    expect(await readFolders(alice.id)).toHaveLength(1);
+    expect(await readFiles(bob.id)).toHaveLength(2);
+  });
+
+  test('should not write anything in dry-run mode', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+    await addFile(alice.id, fileData(alice.id, 'later.txt'));
+
+    const result = await restoreBackup(adapter, backup.path, { dryRun: true, dir: backupDir });
+
+    expect(result.safetyBackup).toBeNull();
+    expect(await readFiles(alice.id)).toHaveLength(2);
+  });
+
+  test('should reject an archive whose records were altered', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+    const archive = readArchive(backup.path);
+    archive.entries.find(e => e.collection === 'files' && e.scope === alice.id).records[0].fileSize = 999;
+    writeArchive(backup.path, archive);
+
+    await expect(restoreBackup(adapter, backup.path, { dir: backupDir })).rejects.toThrow(/checksum mismatch/);
+    expect((await readFiles(alice.id))[0].fileSize).toBe(10);
+  });
+
+  test('should reject records that do not match the schema', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+    const archive = readArchive(backup.path);
+    const entry = archive.entries.find(e => e.collection === 'users');
+    delete entry.records[0].email;
+
+    // Recompute checksums so only the schema check can catch it
+    const { createHash } = require('crypto');
+    const sha256 = value => createHash('sha256').update(value).digest('hex');
+    entry.checksum = sha256(JSON.stringify(entry.records));
+    archive.checksum = sha256(archive.entries.map(e => `${e.collection}:${e.scope ?? ''}:${e.checksum}`).join('\n'));
+    writeArchive(backup.path, archive);
+
+    await expect(readBackup(backup.path)).rejects.toThrow(/users\[0\]: missing email/);
+  });
+
+  test('should reject a truncated archive', async () => {
+    const backup = await createBackup(adapter, { dir: backupDir });
+    const contents = fs.readFileSync(backup.path);
+    fs.writeFileSync(backup.path, contents.subarray(0, contents.length / 2));
+
+    await expect(readBackup(backup.path)).rejects.toThrow(/unreadable/);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Content checksum tests
+ * SHA-256 recorded at upload, identical re-uploads and verifiable downloads
+ */
+
+const { createHash } = require('crypto');
+const { signed, setupServerTests } = require('./testUtils');
+const { findFileById } = require('../models/File');
+const { createLocalS3Client } = require('../services/localS3');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api } = ctx;
+
+const storageRoot = process.env.LOCAL_STORAGE_PATH;
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+const bucketObjects = () => ctx.listObjects('uploads/');
+
+const upload = (name, content) => ctx.upload(name, content, { type: 'image/png' });
+
+describe('checksums at upload', () => {
+  test('should record the SHA-256, ETag and S3 checksum of a version', async () => {
+    const content = signed('pixels');
+
+    const response = await upload('photo.png', content);
+
+    const file = await findFileById(ctx.user.id, response.body.file.id);
+    expect(file.checksum).toBe(sha256(content));
+    expect(file.versions[0]).toMatchObject({
+      checksum: sha256(content),
+      etag: `"${createHash('md5').update(content).digest('hex')}"`,
+      s3Checksum: createHash('sha256').update(content).digest('base64')
+    });
+  });
+
+  test('should not create a version for identical content', async () => {
+    await upload('logo.png', signed('same bytes'));
+
+    const response = await upload('logo.png', signed('same bytes'));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ isNewVersion: false, unchanged: true });
+    expect(response.body.file.totalVersions).toBe(1);
+    expect(bucketObjects()).toHaveLength(1);
+  });
+
+  test('should add the metadata of an identical upload to the active version', async () => {
+    await ctx.upload('logo.png', signed('same bytes'), { type: 'image/png', fields: { metadata: JSON.stringify({ owner: 'design' }) } });
+
+    const response = await ctx.upload('logo.png', signed('same bytes'), {
+      type: 'image/png',
+      fields: { metadata: JSON.stringify({ campaign: 'spring' }) }
+    });
+
+    expect(response.body.unchanged).toBe(true);
+    expect(response.body.file.versions[0].metadata).toEqual({ owner: 'design', campaign: 'spring' });
+  });
+
+  test('should compare against the active version only', async () => {
+    const [v1, v2] = [signed('v1'), signed('v2')];
+    await upload('chart.png', v1);
+    const second = (await upload('chart.png', v2)).body.file;
+    await api('PUT', `/api/versions/${second.id}/versions/${second.versions[0].versionId}/restore`);
+    expect((await findFileById(ctx.user.id, second.id)).checksum).toBe(sha256(v1));
+
+    const response = await upload('chart.png', v2);
+
+    expect(response.body.isNewVersion).toBe(true);
+    expect(response.body.file.totalVersions).toBe(3);
+    expect(response.body.file.checksum).toBe(sha256(v2));
+  });
+});
+
+describe('checksums at download', () => {
+  test('should include the SHA-256 in download links', async () => {
+    const content = signed('scan');
+    const file = (await upload('scan.png', content)).body.file;
+
+    const response = await api('GET', `/api/files/${file.id}/download`);
+
+    expect(response.body.sha256).toBe(sha256(content));
+  });
+
+  test('should send a Repr-Digest with streamed downloads, also for ranges', async () => {
+    const content = signed('full content');
+    const file = (await upload('scan.png', content)).body.file;
+    const digest = `sha-256=:${createHash('sha256').update(content).digest('base64')}:`;
+
+    const full = await api('GET', `/api/files/${file.id}/download?mode=stream`);
+    const partial = await api('GET', `/api/files/${file.id}/download?mode=stream`, { headers: { Range: 'bytes=0-3' } });
+
+    expect(full.headers['repr-digest']).toBe(digest);
+    expect(partial.status).toBe(206);
+    expect(partial.headers['repr-digest']).toBe(digest);
+  });
+});
+
+describe('local S3 stand-in', () => {
+  test('should reject a body that does not match its checksum', async () => {
+    const client = createLocalS3Client({ rootDir: storageRoot });
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+
+    await expect(client.send(new PutObjectCommand({
+      Bucket: ctx.user.awsBucketName,
+      Key: 'uploads/tampered.png',
+      Body: Buffer.from('actual'),
+      ChecksumSHA256: createHash('sha256').update('expected').digest('base64')
+    }))).rejects.toMatchObject({ name: 'BadDigest' });
+    expect(bucketObjects()).toHaveLength(0);
+  });
+});
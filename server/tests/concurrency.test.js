@@ -0,0 +1,192 @@
+/**
+ * Concurrency tests for the data store
+ * Parallel uploads and model updates must never lose a file or a version
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  useFreshStore,
+  removeTestData,
+  createTestUser,
+  startServer,
+  request,
+  signed
+} = require('./testUtils');
+const { withLock } = require('../utils/lock');
+const { writeFileAtomic } = require('../utils/fileSystem');
+const { addFile, readFiles, updateVersionMetadata, findFileById } = require('../models/File');
+const { addFolder, readFolders } = require('../models/Folder');
+const app = require('../app');
+
+const PARALLEL_UPLOADS = 12;
+
+const fileData = (userId, originalName, index) => ({
+  id: `file-${index}`,
+  userId,
+  originalName,
+  fileName: `${index}-${originalName}`,
+  fileType: 'text/plain',
+  fileSize: 100 + index,
+  s3Key: `uploads/${index}-${originalName}`,
+  storageClass: 'STANDARD',
+  uploadDate: new Date().toISOString(),
+  parentFolderId: null
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+describe('withLock', () => {
+  test('should run callers for the same key one at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await Promise.all(Array.from({ length: 5 }, () => withLock('same-key', async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    })));
+
+    expect(maxRunning).toBe(1);
+  });
+
+  test('should be re-entrant within the same call chain', async () => {
+    const result = await withLock('outer', () => withLock('outer', async () => 'nested'));
+    expect(result).toBe('nested');
+  });
+
+  test('should release the lock when the callback throws', async () => {
+    await expect(withLock('failing', async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    await expect(withLock('failing', async () => 'recovered')).resolves.toBe('recovered');
+  });
+});
+
+describe('writeFileAtomic', () => {
+  test('should leave a complete file and no temp files behind', async () => {
+    const dir = fs.mkdtempSync(path.join(process.env.DATA_DIR, 'atomic-'));
+    const target = path.join(dir, 'files.json');
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+      writeFileAtomic(target, JSON.stringify({ writer: i, padding: 'x'.repeat(10000) }))
+    ));
+
+    expect(() => JSON.parse(fs.readFileSync(target, 'utf8'))).not.toThrow();
+    expect(fs.readdirSync(dir)).toEqual(['files.json']);
+  });
+});
+
+describe.each(['json', 'sqlite'])('%s store', (storeType) => {
+  let user;
+
+  beforeEach(async () => {
+    useFreshStore(storeType);
+    ({ user } = await createTestUser());
+  });
+
+  test('should keep every version when the same file is added in parallel', async () => {
+    await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, (_, i) =>
+      addFile(user.id, fileData(user.id, 'report.pdf', i))
+    ));
+
+    const files = await readFiles(user.id);
+    expect(files).toHaveLength(1);
+
+    const [file] = files;
+    expect(file.totalVersions).toBe(PARALLEL_UPLOADS);
+    expect(file.versions.map(v => v.versionNumber).sort((a, b) => a - b))
+      .toEqual(Array.from({ length: PARALLEL_UPLOADS }, (_, i) => i + 1));
+    expect(new Set(file.versions.map(v => v.s3Key)).size).toBe(PARALLEL_UPLOADS);
+    expect(file.versions.filter(v => v.isActive)).toHaveLength(1);
+  });
+
+  test('should keep every file when different files are added in parallel', async () => {
+    await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, (_, i) =>
+      addFile(user.id, fileData(user.id, `photo-${i}.png`, i))
+    ));
+
+    const files = await readFiles(user.id);
+    expect(files).toHaveLength(PARALLEL_UPLOADS);
+  });
+
+  test('should apply every parallel version metadata update', async () => {
+    const file = await addFile(user.id, fileData(user.id, 'notes.txt', 0));
+    const { versionId } = file.versions[0];
+
+    await Promise.all(Array.from({ length: 8 }, (_, i) =>
+      updateVersionMetadata(user.id, file.id, versionId, { metadata: { [`key${i}`]: i } })
+    ));
+
+    const stored = await findFileById(user.id, file.id);
+    expect(Object.keys(stored.versions[0].metadata)).toHaveLength(8);
+  });
+
+  test('should keep every folder created in parallel by different users', async () => {
+    const { user: otherUser } = await createTestUser();
+
+    await Promise.all(Array.from({ length: 6 }, (_, i) => [
+      addFolder(user.id, { name: `Folder ${i}` }),
+      addFolder(otherUser.id, { name: `Folder ${i}` })
+    ]).flat());
+
+    expect(await readFolders(user.id)).toHaveLength(6);
+    expect(await readFolders(otherUser.id)).toHaveLength(6);
+  });
+});
+
+describe('POST /api/files/upload', () => {
+  let server;
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    server = await startServer(app);
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    useFreshStore('json');
+    ({ user, token } = await createTestUser());
+  });
+
+  const upload = (name, content) => request(server.baseUrl, 'POST', '/api/files/upload', {
+    token,
+    multipart: { file: { name, type: 'image/png', content: signed(content) } }
+  });
+
+  test('should record one version per parallel upload of the same file', async () => {
+    const responses = await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, (_, i) =>
+      upload('diagram.png', `content ${i}`)
+    ));
+
+    expect(responses.map(r => r.status)).toEqual(Array(PARALLEL_UPLOADS).fill(200));
+    expect(responses.filter(r => !r.body.isNewVersion)).toHaveLength(1);
+
+    const files = await readFiles(user.id);
+    expect(files).toHaveLength(1);
+    expect(files[0].totalVersions).toBe(PARALLEL_UPLOADS);
+    expect(new Set(files[0].versions.map(v => v.s3Key)).size).toBe(PARALLEL_UPLOADS);
+  });
+
+  test('should keep every file from parallel uploads of different files', async () => {
+    const responses = await Promise.all(Array.from({ length: PARALLEL_UPLOADS }, (_, i) =>
+      upload(`image-${i}.png`, `content ${i}`)
+    ));
+
+    expect(responses.every(r => r.status === 200)).toBe(true);
+    expect(await readFiles(user.id)).toHaveLength(PARALLEL_UPLOADS);
+  });
+});
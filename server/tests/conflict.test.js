@@ -0,0 +1,130 @@
+/**
+ * Upload conflict policy tests
+ * Same-name uploads as versions, renamed copies, errors or skips, and
+ * where the policy comes from
+ */
+
+const { setupServerTests } = require('./testUtils');
+const { readFiles } = require('../models/File');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder } = ctx;
+
+const upload = (name, content, fields = {}) => ctx.upload(name, content, { fields });
+
+const fileNames = async () => (await readFiles(ctx.user.id)).map(f => f.originalName).sort();
+
+const bucketObjects = () => ctx.listObjects('uploads/');
+
+describe('POST /api/files/upload with conflictPolicy', () => {
+  test('should add a new version by default', async () => {
+    await upload('report.pdf', '%PDF-1.4 first');
+    const second = await upload('report.pdf', '%PDF-1.4 second');
+
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ isNewVersion: true, conflictPolicy: 'version', renamedFrom: null });
+    expect(await fileNames()).toEqual(['report.pdf']);
+  });
+
+  test('should keep both files under a free name with rename', async () => {
+    await upload('report.pdf', '%PDF-1.4 first');
+    await upload('report (1).pdf', '%PDF-1.4 taken');
+
+    const renamed = await upload('report.pdf', '%PDF-1.4 first', { conflictPolicy: 'rename' });
+
+    expect(renamed.status).toBe(200);
+    expect(renamed.body).toMatchObject({
+      message: 'report.pdf already exists, uploaded as report (2).pdf',
+      isNewVersion: false,
+      conflictPolicy: 'rename',
+      renamedFrom: 'report.pdf',
+      file: { originalName: 'report (2).pdf', currentVersion: 1 }
+    });
+    expect(await fileNames()).toEqual(['report (1).pdf', 'report (2).pdf', 'report.pdf']);
+  });
+
+  test('should not give a renamed upload a name another upload is saving', async () => {
+    await upload('report.pdf', '%PDF-1.4 first');
+
+    const responses = await Promise.all([
+      upload('report.pdf', '%PDF-1.4 renamed', { conflictPolicy: 'rename' }),
+      upload('report (1).pdf', '%PDF-1.4 named', { conflictPolicy: 'reject' })
+    ]);
+
+    // Whichever saves first gets "report (1).pdf"; nothing becomes a version
+    const saved = responses.filter(r => r.status === 200);
+    expect(saved.every(r => !r.body.isNewVersion)).toBe(true);
+    expect(await fileNames()).toHaveLength(1 + saved.length);
+  });
+
+  test('should refuse taken names with reject and leave nothing behind', async () => {
+    await upload('report.pdf', '%PDF-1.4 first');
+
+    const rejected = await upload('report.pdf', '%PDF-1.4 second', { conflictPolicy: 'reject' });
+
+    expect(rejected.status).toBe(409);
+    expect(rejected.body.error).toBe('A file with this name already exists in this location');
+    expect(bucketObjects()).toHaveLength(1);
+    expect((await upload('other.pdf', '%PDF-1.4 other', { conflictPolicy: 'reject' })).status).toBe(200);
+    expect((await upload('report.pdf', '%PDF-1.4 x', { conflictPolicy: 'sometimes' })).status).toBe(400);
+  });
+
+  test('should skip identical content and refuse different content with skip-if-identical', async () => {
+    await upload('report.pdf', '%PDF-1.4 first');
+
+    const skipped = await upload('report.pdf', '%PDF-1.4 first', { conflictPolicy: 'skip-if-identical' });
+    expect(skipped.body).toMatchObject({ unchanged: true, conflictPolicy: 'skip-if-identical' });
+
+    const refused = await upload('report.pdf', '%PDF-1.4 changed', { conflictPolicy: 'skip-if-identical' });
+    expect(refused.status).toBe(409);
+    expect(refused.body.error).toBe('A file with this name and different content already exists in this location');
+    expect(await fileNames()).toEqual(['report.pdf']);
+    expect(bucketObjects()).toHaveLength(1);
+  });
+});
+
+describe('conflict policy defaults', () => {
+  test('should prefer the request, then the nearest folder, then the user default', async () => {
+    const setDefault = await api('PUT', '/api/files/conflict-policy', { json: { conflictPolicy: 'rename' } });
+    expect(setDefault.body.conflictPolicy).toBe('rename');
+    expect((await api('GET', '/api/files/conflict-policy')).body).toEqual({
+      conflictPolicy: 'rename',
+      policies: ['version', 'rename', 'reject', 'skip-if-identical']
+    });
+    expect((await api('PUT', '/api/files/conflict-policy', { json: { conflictPolicy: 'maybe' } })).status).toBe(400);
+
+    const projects = await createFolder('Projects');
+    const drafts = await createFolder('Drafts', projects.id);
+    const override = await api('PUT', `/api/folders/${projects.id}/conflict-policy`, { json: { conflictPolicy: 'reject' } });
+    expect(override.body.folder.conflictPolicy).toBe('reject');
+
+    // Root files follow the user default
+    await upload('a.pdf', '%PDF-1.4 a');
+    expect((await upload('a.pdf', '%PDF-1.4 b')).body.conflictPolicy).toBe('rename');
+
+    // Subfolders inherit the folder override, the request wins over both
+    await upload('plan.pdf', '%PDF-1.4 a', { parentFolderId: drafts.id });
+    expect((await upload('plan.pdf', '%PDF-1.4 b', { parentFolderId: drafts.id })).status).toBe(409);
+    const versioned = await upload('plan.pdf', '%PDF-1.4 b', { parentFolderId: drafts.id, conflictPolicy: 'version' });
+    expect(versioned.body).toMatchObject({ isNewVersion: true, conflictPolicy: 'version' });
+
+    await api('PUT', `/api/folders/${projects.id}/conflict-policy`, { json: { conflictPolicy: null } });
+    expect((await upload('plan.pdf', '%PDF-1.4 c', { parentFolderId: drafts.id })).body.conflictPolicy).toBe('rename');
+  });
+
+  test('should refuse resumable uploads of taken names before any bytes are sent', async () => {
+    await upload('report.pdf', '%PDF-1.4 first');
+
+    const session = await api('POST', '/api/uploads', {
+      json: { fileName: 'report.pdf', fileSize: 100, fileType: 'application/pdf', conflictPolicy: 'reject' }
+    });
+    expect(session.status).toBe(409);
+
+    const renamed = await api('POST', '/api/uploads', {
+      json: { fileName: 'report.pdf', fileSize: 100, fileType: 'application/pdf', conflictPolicy: 'rename' }
+    });
+    expect(renamed.status).toBe(201);
+    expect(renamed.body.conflictPolicy).toBe('rename');
+  });
+});
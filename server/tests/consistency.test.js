@@ -0,0 +1,192 @@
+/**
+ * Consistency checker tests
+ * Records and bucket contents are reconciled against a mocked S3 listing
+ */
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { randomUUID } = require('crypto');
+const {
+  useFreshStore,
+  removeTestData,
+  createTestUser,
+  startServer,
+  request
+} = require('./testUtils');
+
+jest.mock('../services/awsService', () => ({
+  ...jest.requireActual('../services/awsService'),
+  listBucketObjects: jest.fn(),
+  getFileMetadata: jest.fn()
+}));
+
+const { listBucketObjects, getFileMetadata } = require('../services/awsService');
+const { ISSUE_TYPES, checkUser } = require('../services/consistencyService');
+const { addFile, readFiles, findFileById } = require('../models/File');
+const { readFolders } = require('../models/Folder');
+const app = require('../app');
+
+let bucket;
+
+// Serve listings and HeadObject calls from an in-memory bucket
+const useBucket = (objects) => {
+  bucket = new Map(objects.map(obj => [obj.key, { storageClass: 'STANDARD', lastModified: new Date(), ...obj }]));
+  listBucketObjects.mockImplementation(async () => [...bucket.values()]);
+  getFileMetadata.mockImplementation(async (bucketName, key) => {
+    const obj = bucket.get(key);
+    if (!obj) {
+      throw Object.assign(new Error('NotFound'), { name: 'NotFound' });
+    }
+    return { ContentLength: obj.size, StorageClass: obj.storageClass === 'STANDARD' ? undefined : obj.storageClass, ContentType: 'text/plain' };
+  });
+};
+
+const fileData = (userId, originalName, s3Key, fileSize = 10) => ({
+  id: randomUUID(),
+  userId,
+  originalName,
+  fileName: originalName,
+  fileType: 'text/plain',
+  fileSize,
+  s3Key,
+  storageClass: 'STANDARD',
+  uploadDate: new Date().toISOString(),
+  parentFolderId: null
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+describe('checkUser', () => {
+  let user;
+
+  beforeEach(async () => {
+    useFreshStore('json');
+    ({ user } = await createTestUser());
+  });
+
+  test('should report nothing when records and bucket agree', async () => {
+    await addFile(user.id, fileData(user.id, 'a.txt', 'uploads/a.txt'));
+    useBucket([{ key: 'uploads/a.txt', size: 10 }]);
+
+    const result = await checkUser(user);
+    expect(result.issues).toEqual([]);
+    expect(result.versionsChecked).toBe(1);
+  });
+
+  test('should report missing, orphaned, resized and reclassified objects', async () => {
+    await addFile(user.id, fileData(user.id, 'missing.txt', 'uploads/missing.txt'));
+    await addFile(user.id, fileData(user.id, 'resized.txt', 'uploads/resized.txt', 10));
+    await addFile(user.id, fileData(user.id, 'archived.txt', 'uploads/archived.txt'));
+    useBucket([
+      { key: 'uploads/resized.txt', size: 99 },
+      { key: 'uploads/archived.txt', size: 10, storageClass: 'GLACIER' },
+      { key: 'uploads/1700000000000-stray.txt', size: 5 }
+    ]);
+
+    const result = await checkUser(user);
+    const byType = type => result.issues.filter(i => i.type === type).map(i => i.s3Key);
+
+    expect(byType(ISSUE_TYPES.MISSING_OBJECT)).toEqual(['uploads/missing.txt']);
+    expect(byType(ISSUE_TYPES.SIZE_MISMATCH)).toEqual(['uploads/resized.txt']);
+    expect(byType(ISSUE_TYPES.STORAGE_CLASS_DRIFT)).toEqual(['uploads/archived.txt']);
+    expect(byType(ISSUE_TYPES.ORPHANED_OBJECT)).toEqual(['uploads/1700000000000-stray.txt']);
+    expect(result.repairs).toEqual({ adopted: [], markedBroken: [] });
+  });
+
+  test('should adopt orphans into the Recovered folder', async () => {
+    useBucket([
+      { key: 'uploads/1700000000000-stray.txt', size: 5 },
+      { key: 'uploads/Docs/stray.txt', size: 7 }
+    ]);
+
+    const result = await checkUser(user, { adoptOrphans: true });
+    expect(result.repairs.adopted.map(a => a.originalName).sort()).toEqual(['stray (2).txt', 'stray.txt']);
+
+    const [folder] = await readFolders(user.id);
+    expect(folder.name).toBe('Recovered');
+    const files = await readFiles(user.id);
+    expect(files.every(f => f.parentFolderId === folder.id)).toBe(true);
+
+    // A second run finds nothing left to adopt
+    const rerun = await checkUser(user, { adoptOrphans: true });
+    expect(rerun.issues).toEqual([]);
+    expect(await readFolders(user.id)).toHaveLength(1);
+  });
+
+  test('should mark broken versions and clear the mark once fixed', async () => {
+    const file = await addFile(user.id, fileData(user.id, 'gone.txt', 'uploads/gone.txt'));
+    useBucket([]);
+
+    const result = await checkUser(user, { markBroken: true });
+    expect(result.repairs.markedBroken).toEqual([
+      { fileId: file.id, versionId: file.versions[0].versionId, issue: ISSUE_TYPES.MISSING_OBJECT }
+    ]);
+
+    let stored = await findFileById(user.id, file.id);
+    expect(stored.integrityStatus).toBe('broken');
+    expect(stored.versions[0].integrity).toMatchObject({ status: 'broken', issue: ISSUE_TYPES.MISSING_OBJECT });
+
+    useBucket([{ key: 'uploads/gone.txt', size: 10 }]);
+    await checkUser(user, { markBroken: true });
+
+    stored = await findFileById(user.id, file.id);
+    expect(stored.integrityStatus).toBe('ok');
+    expect(stored.versions[0].integrity).toBeUndefined();
+  });
+});
+
+describe('/api/admin/fsck', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer(app);
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    useFreshStore('json');
+    useBucket([{ key: 'uploads/1700000000000-stray.txt', size: 5 }]);
+  });
+
+  test('should reject non-admin accounts', async () => {
+    const { user, token } = await createTestUser();
+    const response = await request(server.baseUrl, 'GET', `/api/admin/fsck/${user.id}`, { token });
+    expect(response.status).toBe(403);
+  });
+
+  test('should report and repair for admins', async () => {
+    const { token } = await createTestUser({ email: 'Admin@example.com' });
+    const { user } = await createTestUser();
+
+    const report = await request(server.baseUrl, 'GET', `/api/admin/fsck/${user.id}`, { token });
+    expect(report.status).toBe(200);
+    expect(report.body.summary).toEqual({ [ISSUE_TYPES.ORPHANED_OBJECT]: 1 });
+
+    const noRepair = await request(server.baseUrl, 'POST', `/api/admin/fsck/${user.id}/repair`, { token, json: {} });
+    expect(noRepair.status).toBe(400);
+
+    const repair = await request(server.baseUrl, 'POST', `/api/admin/fsck/${user.id}/repair`, {
+      token,
+      json: { adoptOrphans: true }
+    });
+    expect(repair.status).toBe(200);
+    expect(repair.body.repairs.adopted).toHaveLength(1);
+    expect(await readFiles(user.id)).toHaveLength(1);
+  });
+
+  test('should return 404 for unknown users', async () => {
+    const { token } = await createTestUser({ email: 'admin@example.com' });
+    const response = await request(server.baseUrl, 'GET', `/api/admin/fsck/${randomUUID()}`, { token });
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Content type tests
+ * Sniffing uploads' leading bytes and the per-tier upload policy
+ */
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { randomBytes } = require('crypto');
+const { createTestUser, setupServerTests } = require('./testUtils');
+const { readFiles } = require('../models/File');
+const { findUserById } = require('../models/User');
+const { detectContentType, resolveContentType, isAllowedType } = require('../services/contentTypeService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api } = ctx;
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+const ELF = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01]), Buffer.alloc(64)]);
+const ZIP = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from('word/document.xml')]);
+const PDF = Buffer.from('%PDF-1.7 report');
+
+// Random bytes that can't start with a signature
+const noise = (size) => randomBytes(size).fill(0, 0, 1);
+
+const upload = (name, type, content, token = ctx.token) => ctx.upload(name, content, { type, token });
+
+const bucketObjects = () => ctx.listObjects('uploads/');
+
+describe('detectContentType', () => {
+  test('should recognise formats by their signature', () => {
+    expect(detectContentType(PNG)).toBe('image/png');
+    expect(detectContentType(PDF)).toBe('application/pdf');
+    expect(detectContentType(ZIP)).toBe('application/zip');
+    expect(detectContentType(ELF)).toBe('application/x-executable');
+    expect(detectContentType(Buffer.from('#!/bin/sh\necho hi'))).toBe('text/x-shellscript');
+    expect(detectContentType(Buffer.from('\x00\x00\x00\x18ftypheic', 'latin1'))).toBe('image/heic');
+    expect(detectContentType(Buffer.from('plain, text'))).toBeNull();
+  });
+
+  test('should keep compatible declared types and fill in generic ones', () => {
+    const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    expect(resolveContentType(docx, ZIP)).toEqual({ fileType: docx, detectedType: 'application/zip' });
+    expect(resolveContentType('application/octet-stream', PDF)).toEqual({ fileType: 'application/pdf', detectedType: 'application/pdf' });
+    expect(resolveContentType('text/csv', Buffer.from('a,b'))).toEqual({ fileType: 'text/csv', detectedType: null });
+    expect(() => resolveContentType('image/png', ELF)).toThrow('File content does not match its declared type');
+  });
+
+  test('should reject unrecognised content declared as a type with a signature', () => {
+    expect(() => resolveContentType('image/png', noise(64))).toThrow('File content does not match its declared type');
+    expect(() => resolveContentType('application/pdf', Buffer.from('just some text'))).toThrow('File content does not match its declared type');
+    expect(() => resolveContentType('application/msword', Buffer.from('text'))).toThrow('File content does not match its declared type');
+    expect(resolveContentType('text/plain', Buffer.from('notes'))).toEqual({ fileType: 'text/plain', detectedType: null });
+    expect(resolveContentType('application/x-sh', Buffer.from('echo hi'))).toEqual({ fileType: 'application/x-sh', detectedType: null });
+    expect(resolveContentType('audio/mpeg', Buffer.from([0xff, 0xf2, 0, 0]))).toEqual({ fileType: 'audio/mpeg', detectedType: null });
+  });
+});
+
+describe('multipart uploads', () => {
+  test('should store the detected type', async () => {
+    const response = await upload('photo.png', 'image/png', PNG);
+
+    expect(response.status).toBe(200);
+    expect(response.body.file).toMatchObject({ fileType: 'image/png', detectedType: 'image/png' });
+    expect(response.body.file.versions[0].detectedType).toBe('image/png');
+  });
+
+  test('should reject a renamed executable before storing it', async () => {
+    const response = await upload('photo.png', 'image/png', ELF);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('File content does not match its declared type');
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+    expect(bucketObjects()).toEqual([]);
+  });
+
+  test('should reject random bytes declared as image/png and text declared as application/pdf', async () => {
+    const random = await upload('photo.png', 'image/png', noise(1024));
+    const text = await upload('report.pdf', 'application/pdf', 'Quarterly report, plain text');
+
+    expect(random.status).toBe(400);
+    expect(random.body.error).toBe('File content does not match its declared type');
+    expect(text.status).toBe(400);
+    expect(text.body.error).toBe('File content does not match its declared type');
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+    expect(bucketObjects()).toEqual([]);
+  });
+
+  test('should type generic uploads by their content, within the policy', async () => {
+    const pdf = await upload('report', 'application/octet-stream', PDF);
+    const executable = await upload('tool', 'application/octet-stream', ELF);
+
+    expect(pdf.body.file.fileType).toBe('application/pdf');
+    expect(executable.status).toBe(400);
+    expect(executable.body.error).toBe('Unsupported file type');
+  });
+});
+
+describe('upload policy tiers', () => {
+  test('should allow more types on the pro tier but never executables', async () => {
+    const { user: proUser, token: proToken } = await createTestUser({ tier: 'pro' });
+
+    expect((await upload('notes.txt', 'text/plain', 'notes')).status).toBe(400);
+    expect((await upload('notes.txt', 'text/plain', 'notes', proToken)).status).toBe(200);
+    expect((await upload('run.sh', 'text/plain', '#!/bin/sh\nrm -rf /', proToken)).status).toBe(400);
+    expect(isAllowedType(proUser, 'application/x-7z-compressed')).toBe(true);
+    expect(isAllowedType(ctx.user, 'application/x-7z-compressed')).toBe(false);
+  });
+
+  test('should check announced resumable uploads and their first chunk', async () => {
+    const announced = await api('POST', '/api/uploads', { json: { fileName: 'a.txt', fileSize: 5, fileType: 'text/plain' } });
+    expect(announced.status).toBe(400);
+
+    const session = (await api('POST', '/api/uploads', {
+      json: { fileName: 'photo.png', fileSize: ELF.length, fileType: 'image/png' }
+    })).body;
+    const chunk = await api('PUT', `/api/uploads/${session.sessionId}?offset=0`, { body: ELF });
+
+    expect(chunk.status).toBe(400);
+    expect(chunk.body.error).toBe('File content does not match its declared type');
+    expect((await api('GET', `/api/uploads/${session.sessionId}`)).body.offset).toBe(0);
+  });
+
+  test('should record the detected type of resumable uploads', async () => {
+    const session = (await api('POST', '/api/uploads', {
+      json: { fileName: 'report.pdf', fileSize: PDF.length, fileType: 'application/pdf' }
+    })).body;
+    await api('PUT', `/api/uploads/${session.sessionId}?offset=0`, { body: PDF });
+
+    const completed = await api('POST', `/api/uploads/${session.sessionId}/complete`);
+
+    expect(completed.body.file.detectedType).toBe('application/pdf');
+  });
+
+  test('should let admins change a user\'s tier', async () => {
+    const { token: adminToken } = await createTestUser({ email: 'admin@example.com' });
+    const setTier = (tier, userId = ctx.user.id, token = adminToken) => api('PUT', `/api/admin/users/${userId}/tier`, {
+      token,
+      json: { tier }
+    });
+
+    expect((await setTier('pro', ctx.user.id, ctx.token)).status).toBe(403);
+    expect((await setTier('platinum')).status).toBe(400);
+    expect((await setTier('pro', 'missing')).status).toBe(404);
+    expect((await setTier('pro')).body).toEqual({ userId: ctx.user.id, tier: 'pro' });
+    expect((await findUserById(ctx.user.id)).tier).toBe('pro');
+    expect((await upload('notes.txt', 'text/plain', 'notes')).status).toBe(200);
+  });
+});
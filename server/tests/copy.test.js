@@ -0,0 +1,126 @@
+/**
+ * File copy tests
+ * Objects are copied inside the DEV_MODE local stand-in
+ */
+
+const fs = require('fs');
+const { signed, setupServerTests } = require('./testUtils');
+const { readFiles, findFileById } = require('../models/File');
+const { readBilling } = require('../models/Billing');
+const { getObjectTags, putObjectTags } = require('../services/awsService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder, objectPath } = ctx;
+
+const readObject = (key) => fs.readFileSync(objectPath(key));
+
+const upload = async (name, content) => (await ctx.upload(name, signed(content), { type: 'image/png' })).body.file;
+
+const copy = (fileId, body = {}) => api('POST', `/api/files/${fileId}/copy`, { json: body });
+
+describe('POST /api/files/:fileId/copy', () => {
+  test('should duplicate the active version next to the original', async () => {
+    await upload('template.png', 'old');
+    const file = await upload('template.png', 'current');
+
+    const response = await copy(file.id);
+
+    expect(response.status).toBe(201);
+    const duplicate = response.body.file;
+    expect(duplicate.id).not.toBe(file.id);
+    expect(duplicate.originalName).toBe('template (copy).png');
+    expect(duplicate.totalVersions).toBe(1);
+    expect(duplicate.versions[0]).toMatchObject({ versionNumber: 1, isActive: true });
+    expect(readObject(duplicate.s3Key)).toEqual(signed('current'));
+    expect(duplicate.s3Key).not.toBe(file.s3Key);
+
+    // The source keeps its objects and history
+    const source = await findFileById(ctx.user.id, file.id);
+    expect(source.versions.map(v => readObject(v.s3Key))).toEqual([signed('old'), signed('current')]);
+  });
+
+  test('should pick the next free copy name', async () => {
+    const file = await upload('notes.png', 'a');
+    await copy(file.id);
+
+    const response = await copy(file.id);
+
+    expect(response.body.file.originalName).toBe('notes (copy 2).png');
+    expect(await readFiles(ctx.user.id)).toHaveLength(3);
+  });
+
+  test('should copy the full history into a folder with a new storage class', async () => {
+    const folder = await createFolder('Templates');
+    await upload('plan.png', 'v1');
+    const file = await upload('plan.png', 'v2');
+    await api('PUT', `/api/versions/${file.id}/versions/${file.versions[0].versionId}/restore`);
+
+    const response = await copy(file.id, {
+      parentFolderId: folder.id,
+      versions: 'all',
+      storageClass: 'STANDARD_IA'
+    });
+
+    expect(response.status).toBe(201);
+    const duplicate = response.body.file;
+    expect(duplicate.originalName).toBe('plan.png');
+    expect(duplicate.parentFolderId).toBe(folder.id);
+    expect(duplicate.versions.map(v => readObject(v.s3Key))).toEqual([signed('v1'), signed('v2')]);
+    expect(duplicate.versions.every(v => v.storageClass === 'STANDARD_IA')).toBe(true);
+    expect(duplicate.versions.find(v => v.isActive).versionNumber).toBe(duplicate.currentVersion);
+    expect(duplicate.s3Key).toBe(duplicate.versions.find(v => v.isActive).s3Key);
+    expect(duplicate.versions.every(v => v.s3Key.startsWith('uploads/Templates/'))).toBe(true);
+  });
+
+  test('should bill the copy requests and the added storage', async () => {
+    await upload('report.png', 'first');
+    const file = await upload('report.png', 'second!');
+
+    await copy(file.id, { versions: 'all' });
+
+    const billing = await readBilling(ctx.user.id);
+    const copyRequest = billing.find(a => a.type === 'request_copy');
+    const storage = billing.find(a => a.type === 'storage');
+    expect(copyRequest.details.requestCount).toBe(2);
+    expect(copyRequest.cost).toBeGreaterThan(0);
+    expect(storage.details.bytes).toBe(signed('first').length + signed('second!').length);
+  });
+
+  test('should keep the file\'s tags on the copied objects and its metadata', async () => {
+    await upload('report.png', 'v1');
+    const file = await upload('report.png', 'v2');
+    await api('PATCH', '/api/tags', { json: { fileIds: [file.id], add: ['legal'] } });
+    await api('PATCH', `/api/files/${file.id}/metadata`, { json: { metadata: { owner: 'ops' } } });
+    // Objects whose tagging failed: the copy gets the file's tags anyway
+    for (const version of file.versions) {
+      await putObjectTags(ctx.user.awsBucketName, version.s3Key, {});
+    }
+
+    const duplicate = (await copy(file.id, { versions: 'all' })).body.file;
+
+    expect(duplicate).toMatchObject({ tags: ['legal'], metadata: { owner: 'ops' } });
+    for (const version of duplicate.versions) {
+      expect(await getObjectTags(ctx.user.awsBucketName, version.s3Key)).toEqual({ legal: 'true' });
+    }
+  });
+
+  test('should reject a name that is taken in the target folder', async () => {
+    await upload('taken.png', 'x');
+    const file = await upload('source.png', 'y');
+
+    const response = await copy(file.id, { name: 'taken.png' });
+
+    expect(response.status).toBe(409);
+    expect(await readFiles(ctx.user.id)).toHaveLength(2);
+  });
+
+  test('should validate the request', async () => {
+    const file = await upload('photo.png', 'z');
+
+    expect((await copy(file.id, { versions: 'some' })).status).toBe(400);
+    expect((await copy(file.id, { storageClass: 'FAST' })).status).toBe(400);
+    expect((await copy(file.id, { parentFolderId: 'missing' })).status).toBe(404);
+    expect((await copy('missing')).status).toBe(404);
+  });
+});
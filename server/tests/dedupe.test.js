@@ -0,0 +1,168 @@
+/**
+ * Deduplication tests
+ * Content-addressed objects and their reference counts on the DEV_MODE
+ * local stand-in
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { signed, setupServerTests } = require('./testUtils');
+const config = require('../config/environment');
+const { findFileById, updateFile } = require('../models/File');
+const { findContentObject } = require('../models/ContentObject');
+const { readBilling } = require('../models/Billing');
+const { cleanupOldVersions } = require('../services/versionService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder, objectPath } = ctx;
+
+afterAll(() => {
+  config.DEDUPLICATION_ENABLED = false;
+});
+
+beforeEach(async () => {
+  config.DEDUPLICATION_ENABLED = true;
+});
+
+// SHA-256 of what upload() stores for `text`
+const sha256 = (text) => createHash('sha256').update(signed(text)).digest('hex');
+const contentKey = (data) => `content/sha256/${sha256(data)}`;
+const objectExists = (key) => fs.existsSync(objectPath(key));
+const uploadedObjects = () => {
+  const dir = objectPath('uploads');
+  return fs.existsSync(dir) ? fs.readdirSync(dir, { recursive: true }).filter(name => path.extname(name)) : [];
+};
+const refCount = async (data) => ((await findContentObject(ctx.user.id, sha256(data))) || { refCount: 0 }).refCount;
+
+const upload = async (name, content, parentFolderId) => {
+  const fields = parentFolderId ? { parentFolderId } : {};
+  return (await ctx.upload(name, signed(content), { type: 'image/png', fields })).body.file;
+};
+
+describe('uploads', () => {
+  test('should store identical content once across folders', async () => {
+    const folder = await createFolder('Assets');
+    const a = await upload('logo.png', 'brand');
+    const b = await upload('logo.png', 'brand', folder.id);
+
+    expect(a.s3Key).toBe(contentKey('brand'));
+    expect(b.s3Key).toBe(contentKey('brand'));
+    expect(objectExists(contentKey('brand'))).toBe(true);
+    expect(uploadedObjects()).toEqual([]);
+    expect(await refCount('brand')).toBe(2);
+  });
+
+  test('should keep the requested storage class instead of sharing content stored in another', async () => {
+    const fields = (storageClass) => ({ type: 'image/png', fields: { storageClass } });
+    const standard = (await ctx.upload('a.png', signed('brand'), fields('STANDARD'))).body.file;
+    const archived = (await ctx.upload('b.png', signed('brand'), fields('GLACIER'))).body.file;
+
+    expect(standard).toMatchObject({ s3Key: contentKey('brand'), storageClass: 'STANDARD' });
+    expect(archived.s3Key).toMatch(/^uploads\//);
+    expect(archived.storageClass).toBe('GLACIER');
+    expect(objectExists(archived.s3Key)).toBe(true);
+    expect(await refCount('brand')).toBe(1);
+  });
+
+  test('should keep per-file keys when deduplication is off', async () => {
+    config.DEDUPLICATION_ENABLED = false;
+
+    const file = await upload('plain.png', 'data');
+
+    expect(file.s3Key).toMatch(/^uploads\//);
+    expect(await findContentObject(ctx.user.id, sha256('data'))).toBeNull();
+  });
+});
+
+describe('releasing references', () => {
+  test('should keep shared content when a version is deleted', async () => {
+    await upload('a.png', 'shared');
+    const a = await upload('a.png', 'newer');
+    await upload('b.png', 'shared');
+
+    const response = await api('DELETE', `/api/versions/${a.id}/versions/${a.versions[0].versionId}`);
+
+    expect(response.status).toBe(200);
+    expect(objectExists(contentKey('shared'))).toBe(true);
+    expect(await refCount('shared')).toBe(1);
+  });
+
+  test('should delete the object when the last reference is purged from the trash', async () => {
+    const a = await upload('a.png', 'twice');
+    const b = await upload('b.png', 'twice');
+    await api('DELETE', `/api/files/${a.id}`);
+    await api('DELETE', `/api/files/${b.id}`);
+
+    const trash = (await api('GET', '/api/trash')).body.items;
+    await api('DELETE', `/api/trash/${trash[0].id}`);
+    expect(objectExists(contentKey('twice'))).toBe(true);
+
+    await api('DELETE', `/api/trash/${trash[1].id}`);
+    expect(objectExists(contentKey('twice'))).toBe(false);
+    expect(await findContentObject(ctx.user.id, sha256('twice'))).toBeNull();
+  });
+
+  test('should respect references when old versions are cleaned up', async () => {
+    await upload('doc.png', 'original');
+    const doc = await upload('doc.png', 'edited');
+    await upload('other.png', 'original');
+    const old = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+    await updateFile(ctx.user.id, doc.id, {
+      versions: doc.versions.map(v => (v.isActive ? v : { ...v, uploadDate: old }))
+    });
+
+    const result = await cleanupOldVersions(ctx.user.id, 'FREE');
+
+    expect(result.cleanedCount).toBe(1);
+    expect((await findFileById(ctx.user.id, doc.id)).versions).toHaveLength(1);
+    expect(objectExists(contentKey('original'))).toBe(true);
+    expect(await refCount('original')).toBe(1);
+  });
+});
+
+describe('copies and moves', () => {
+  test('should share content with a copy instead of copying it', async () => {
+    const file = await upload('deck.png', 'slides');
+
+    const response = await api('POST', `/api/files/${file.id}/copy`, { json: {} });
+
+    expect(response.status).toBe(201);
+    expect(response.body.file.s3Key).toBe(contentKey('slides'));
+    expect(await refCount('slides')).toBe(2);
+    expect((await readBilling(ctx.user.id)).some(a => a.type === 'request_copy')).toBe(false);
+  });
+
+  test('should leave content-addressed objects in place on a move', async () => {
+    const folder = await createFolder('Archive');
+    const file = await upload('scan.png', 'page');
+
+    const response = await api('PATCH', `/api/files/${file.id}`, { json: { parentFolderId: folder.id } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.file.s3Key).toBe(contentKey('page'));
+    expect(objectExists(contentKey('page'))).toBe(true);
+    expect(await refCount('page')).toBe(1);
+  });
+});
+
+describe('GET /api/storage/stats', () => {
+  test('should report logical and physical bytes and the savings', async () => {
+    // 1000 and 500 bytes with the PNG signature
+    await upload('a.png', 'x'.repeat(992));
+    await upload('b.png', 'x'.repeat(992));
+    await upload('c.png', 'y'.repeat(492));
+
+    const response = await api('GET', '/api/storage/stats');
+
+    expect(response.body.deduplication).toMatchObject({
+      enabled: true,
+      contentObjects: 2,
+      logicalBytes: 2500,
+      physicalBytes: 1500,
+      savedBytes: 1000
+    });
+    expect(response.body.deduplication.savedMonthlyCost).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Direct upload tests
+ * Presigned URLs are mocked; the "browser upload" writes to the DEV_MODE
+ * local stand-in, which the completion endpoint then inspects
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { createHash } = require('crypto');
+const { createTestUser, setupServerTests } = require('./testUtils');
+
+jest.mock('../services/awsService', () => ({
+  ...jest.requireActual('../services/awsService'),
+  supportsPresignedUploads: jest.fn(),
+  generatePresignedUploadUrl: jest.fn(),
+  configureBucketCors: jest.fn()
+}));
+
+const {
+  supportsPresignedUploads,
+  generatePresignedUploadUrl,
+  configureBucketCors,
+  uploadStreamToS3,
+  putObject
+} = require('../services/awsService');
+const { waitForChecksums } = require('../services/uploadService');
+const { readFiles } = require('../models/File');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api } = ctx;
+
+const content = Buffer.from('%PDF-1.4 quarterly report');
+
+beforeEach(async () => {
+  supportsPresignedUploads.mockReturnValue(true);
+  configureBucketCors.mockResolvedValue();
+  generatePresignedUploadUrl.mockImplementation(async (bucketName, key, { contentType }) => ({
+    url: `https://${bucketName}.s3.amazonaws.com/${key}?X-Amz-Signature=test`,
+    headers: { 'Content-Type': contentType }
+  }));
+});
+
+const prepare = (overrides = {}) => api('POST', '/api/files/direct-uploads', {
+  json: { fileName: 'report.pdf', fileSize: content.length, fileType: 'application/pdf', ...overrides }
+});
+
+// What the browser does with the presigned URL
+const uploadAsBrowser = (s3Key, body = content) => {
+  return uploadStreamToS3(ctx.user.awsBucketName, s3Key, Readable.from([body]), { contentType: 'application/pdf' });
+};
+
+const complete = (uploadToken, options = {}) => api('POST', '/api/files/direct-uploads/complete', {
+  json: { uploadToken },
+  ...options
+});
+
+const plannedKey = () => generatePresignedUploadUrl.mock.calls[generatePresignedUploadUrl.mock.calls.length - 1][1];
+
+describe('POST /api/files/direct-uploads', () => {
+  test('should return a presigned upload for the planned key', async () => {
+    const response = await prepare();
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ method: 'PUT', headers: { 'Content-Type': 'application/pdf' } });
+    expect(response.body.uploadToken).toEqual(expect.any(String));
+    expect(plannedKey()).toMatch(/^uploads\/\d+-report\.pdf$/);
+    expect(generatePresignedUploadUrl).toHaveBeenCalledWith(ctx.user.awsBucketName, plannedKey(), expect.objectContaining({
+      contentType: 'application/pdf',
+      contentLength: content.length
+    }));
+    expect(configureBucketCors).toHaveBeenCalledWith(ctx.user.awsBucketName);
+  });
+
+  test('should tell the client to fall back when direct uploads are unavailable', async () => {
+    supportsPresignedUploads.mockReturnValue(false);
+
+    const response = await prepare();
+
+    expect(response.status).toBe(501);
+    expect(response.body.fallback).toBe('/api/files/upload');
+  });
+
+  test('should validate the announced file', async () => {
+    expect((await prepare({ fileSize: 0 })).status).toBe(400);
+    expect((await prepare({ fileType: 'text/x-shellscript' })).status).toBe(400);
+    expect((await prepare({ fileSize: 100 * 1024 * 1024 * 1024 })).status).toBe(413);
+    expect((await prepare({ sha256: 'not-a-checksum' })).status).toBe(400);
+  });
+});
+
+describe('POST /api/files/direct-uploads/complete', () => {
+  test('should record the uploaded object once', async () => {
+    const { body: target } = await prepare();
+    await uploadAsBrowser(plannedKey());
+
+    const response = await complete(target.uploadToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.isNewVersion).toBe(false);
+    const [file] = await readFiles(ctx.user.id);
+    expect(file).toMatchObject({ originalName: 'report.pdf', fileSize: content.length, s3Key: plannedKey(), detectedType: 'application/pdf' });
+
+    expect((await complete(target.uploadToken)).status).toBe(409);
+    expect((await readFiles(ctx.user.id))[0].totalVersions).toBe(1);
+  });
+
+  test('should add a version when the name already exists', async () => {
+    for (let i = 0; i < 2; i++) {
+      const { body: target } = await prepare();
+      await uploadAsBrowser(plannedKey(), Buffer.from(content).fill(i, content.length - 1));
+      const response = await complete(target.uploadToken);
+      expect(response.body.isNewVersion).toBe(i === 1);
+    }
+
+    expect((await readFiles(ctx.user.id))[0].totalVersions).toBe(2);
+  });
+
+  test('should refuse to record an object that was never uploaded', async () => {
+    const { body: target } = await prepare();
+
+    const response = await complete(target.uploadToken);
+
+    expect(response.status).toBe(404);
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+  });
+
+  test('should reject and remove an object of the wrong size', async () => {
+    const { body: target } = await prepare();
+    const key = plannedKey();
+    await uploadAsBrowser(key, Buffer.concat([content, Buffer.from('extra')]));
+
+    const response = await complete(target.uploadToken);
+
+    expect(response.status).toBe(422);
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+    expect(fs.existsSync(ctx.objectPath(key))).toBe(false);
+  });
+
+  test('should sign an announced checksum and record it', async () => {
+    const sha256 = createHash('sha256').update(content).digest('hex');
+    const { body: target } = await prepare({ sha256 });
+    await uploadAsBrowser(plannedKey());
+
+    const response = await complete(target.uploadToken);
+
+    expect(generatePresignedUploadUrl).toHaveBeenCalledWith(ctx.user.awsBucketName, plannedKey(), expect.objectContaining({ sha256 }));
+    expect(response.status).toBe(200);
+    expect(response.body.file.versions[0].checksum).toBe(sha256);
+  });
+
+  test('should hash an object S3 holds no checksum of after recording it', async () => {
+    const { body: target } = await prepare();
+    await putObject(ctx.user.awsBucketName, plannedKey(), content, { contentType: 'application/pdf' });
+
+    const response = await complete(target.uploadToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.file.versions[0].checksum).toBeNull();
+    await waitForChecksums();
+    const [file] = await readFiles(ctx.user.id);
+    expect(file.checksum).toBe(createHash('sha256').update(content).digest('hex'));
+    expect(file.versions[0].checksum).toBe(file.checksum);
+  });
+
+  test('should compare unhashed objects by content with skip-if-identical', async () => {
+    const send = async (body) => {
+      const { body: target } = await prepare({ conflictPolicy: 'skip-if-identical' });
+      const key = plannedKey();
+      await putObject(ctx.user.awsBucketName, key, body, { contentType: 'application/pdf' });
+      return { key, response: await complete(target.uploadToken) };
+    };
+
+    expect((await send(content)).response.status).toBe(200);
+
+    // Compared before the first upload's background hash is stored
+    const same = await send(content);
+    expect(same.response.body).toMatchObject({ unchanged: true, conflictPolicy: 'skip-if-identical' });
+    expect(fs.existsSync(ctx.objectPath(same.key))).toBe(false);
+
+    const changed = await send(Buffer.from(content).fill(1, content.length - 1));
+    expect(changed.response.status).toBe(409);
+    expect(fs.existsSync(ctx.objectPath(changed.key))).toBe(false);
+    await waitForChecksums();
+    expect((await readFiles(ctx.user.id)).map(f => f.totalVersions)).toEqual([1]);
+  });
+
+  test('should reject and remove an object that does not match the announced checksum', async () => {
+    const { body: target } = await prepare({ sha256: createHash('sha256').update('something else').digest('hex') });
+    const key = plannedKey();
+    await uploadAsBrowser(key);
+
+    const response = await complete(target.uploadToken);
+
+    expect(response.status).toBe(422);
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+    expect(fs.existsSync(ctx.objectPath(key))).toBe(false);
+  });
+
+  test('should reject and remove an object whose content is not the announced type', async () => {
+    const executable = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46]), Buffer.alloc(content.length - 4)]);
+    const { body: target } = await prepare();
+    const key = plannedKey();
+    await uploadAsBrowser(key, executable);
+
+    const response = await complete(target.uploadToken);
+
+    expect(response.status).toBe(422);
+    expect(response.body.error).toBe('File content does not match its declared type');
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+    expect(fs.existsSync(ctx.objectPath(key))).toBe(false);
+  });
+
+  test("should not accept another user's upload token", async () => {
+    const { body: target } = await prepare();
+    await uploadAsBrowser(plannedKey());
+    const { token: otherToken } = await createTestUser();
+
+    const response = await complete(target.uploadToken, { token: otherToken });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should not accept an upload token as an access token', async () => {
+    const { body: target } = await prepare();
+
+    const response = await api('GET', '/api/files', { token: target.uploadToken });
+
+    expect(response.status).toBe(401);
+  });
+});
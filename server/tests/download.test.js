@@ -0,0 +1,159 @@
+/**
+ * Download tests
+ * Links and proxied downloads of files stored in the DEV_MODE stand-in
+ */
+
+const { request, signed, setupServerTests } = require('./testUtils');
+const { parseRange, buildContentDisposition } = require('../services/downloadService');
+const { readBilling } = require('../models/Billing');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, upload } = ctx;
+
+const content = signed(Array.from({ length: 200 }, (_, i) => `line ${i}\n`).join(''), 'video/mp4');
+
+let file;
+
+beforeEach(async () => {
+  file = (await upload('clip.mp4', content, { type: 'video/mp4' })).body.file;
+});
+
+const stream = (headers = {}) => api('GET', `/api/files/${file.id}/download?mode=stream`, { headers });
+
+// Billing is recorded when the response stream closes
+const waitForBilling = async (type, count = 1) => {
+  for (let i = 0; i < 50; i++) {
+    const activities = (await readBilling(ctx.user.id)).filter(a => a.type === type);
+    if (activities.length >= count) {
+      return activities;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`No ${type} billing activity recorded`);
+};
+
+describe('parseRange', () => {
+  test('should parse the range forms browsers send', () => {
+    expect(parseRange(undefined, 100)).toBeNull();
+    expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+    expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+    expect(parseRange('bytes=100-', 100)).toEqual({ unsatisfiable: true });
+    expect(parseRange('bytes=0-1,5-9', 100)).toBeNull();
+  });
+});
+
+describe('buildContentDisposition', () => {
+  test('should encode non-ASCII names with an ASCII fallback', () => {
+    expect(buildContentDisposition('inline', 'clip ü.mp4'))
+      .toBe(`inline; filename="clip _.mp4"; filename*=UTF-8''clip%20%C3%BC.mp4`);
+  });
+});
+
+describe('GET /api/files/:fileId/download', () => {
+  test('should return fresh links that stream without an Authorization header', async () => {
+    const response = await api('GET', `/api/files/${file.id}/download`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ fileName: 'clip.mp4', fileSize: content.length });
+
+    const streamPath = response.body.streamUrl.slice(ctx.server.baseUrl.length);
+    const streamed = await request(ctx.server.baseUrl, 'GET', streamPath);
+    expect(streamed.status).toBe(200);
+    expect(streamed.body.equals(content)).toBe(true);
+    expect(streamed.headers['content-disposition']).toMatch(/^inline;/);
+
+    const downloadPath = response.body.downloadUrl.slice(ctx.server.baseUrl.length);
+    const downloaded = await request(ctx.server.baseUrl, 'GET', downloadPath);
+    expect(downloaded.headers['content-disposition']).toMatch(/^attachment;/);
+  });
+
+  test('should stream the whole file with its ETag and type', async () => {
+    const response = await stream();
+
+    expect(response.status).toBe(200);
+    expect(response.body.equals(content)).toBe(true);
+    expect(response.headers['content-type']).toBe('video/mp4');
+    expect(response.headers['accept-ranges']).toBe('bytes');
+    expect(response.headers.etag).toMatch(/^".+"$/);
+  });
+
+  test('should serve byte ranges for seeking', async () => {
+    const response = await stream({ Range: 'bytes=100-199' });
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe(`bytes 100-199/${content.length}`);
+    expect(response.body.equals(content.subarray(100, 200))).toBe(true);
+  });
+
+  test('should answer unsatisfiable ranges with 416', async () => {
+    const response = await stream({ Range: `bytes=${content.length}-` });
+
+    expect(response.status).toBe(416);
+    expect(response.headers['content-range']).toBe(`bytes */${content.length}`);
+  });
+
+  test('should answer 304 when the ETag matches', async () => {
+    const { headers } = await stream();
+
+    const response = await stream({ 'If-None-Match': headers.etag });
+
+    expect(response.status).toBe(304);
+  });
+
+  test('should ignore the range when If-Range is stale', async () => {
+    const response = await stream({ Range: 'bytes=0-9', 'If-Range': '"outdated"' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.length).toBe(content.length);
+  });
+
+  test('should bill the request and the bytes sent', async () => {
+    await stream({ Range: 'bytes=0-99' });
+
+    const [transfer] = await waitForBilling('transfer_out');
+    expect(transfer.details).toMatchObject({ fileId: file.id, bytes: 100 });
+    expect(await waitForBilling('request_download')).toHaveLength(1);
+  });
+
+  test('should not accept a download token for another file', async () => {
+    const other = await upload('other.mp4', signed('x', 'video/mp4'), { type: 'video/mp4' });
+    const { body: links } = await api('GET', `/api/files/${other.body.file.id}/download`);
+    const downloadToken = new URL(links.streamUrl).searchParams.get('token');
+
+    const response = await request(ctx.server.baseUrl, 'GET', `/api/files/${file.id}/download?mode=stream&token=${downloadToken}`);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should count only failed token checks against the stream rate limit', async () => {
+    const bogus = () => request(ctx.server.baseUrl, 'GET', `/api/files/${file.id}/download?mode=stream&token=bogus`);
+
+    const first = await bogus();
+    expect((await stream()).status).toBe(200);
+    const second = await bogus();
+
+    expect(first.status).toBe(403);
+    expect(first.headers['ratelimit-limit']).toBe('50');
+    expect(Number(second.headers['ratelimit-remaining'])).toBe(Number(first.headers['ratelimit-remaining']) - 1);
+  });
+
+  test('should keep download tokens out of the request log', async () => {
+    const { body: links } = await api('GET', `/api/files/${file.id}/download`);
+    const downloadToken = new URL(links.streamUrl).searchParams.get('token');
+
+    await request(ctx.server.baseUrl, 'GET', links.streamUrl.slice(ctx.server.baseUrl.length));
+
+    const logged = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+    expect(logged).toContain(`/api/files/${file.id}/download?mode=stream&disposition=inline&token=[redacted]`);
+    expect(logged).not.toContain(downloadToken);
+  });
+
+  test('should require authentication and an existing file', async () => {
+    expect((await request(ctx.server.baseUrl, 'GET', `/api/files/${file.id}/download`)).status).toBe(401);
+    expect((await api('GET', '/api/files/missing/download')).status).toBe(404);
+    expect((await api('GET', `/api/files/${file.id}/download?mode=zip`)).status).toBe(400);
+  });
+});
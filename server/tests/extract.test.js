@@ -0,0 +1,210 @@
+/**
+ * ZIP extraction tests
+ * Uploads unpacked into a folder tree, unsafe and unsupported entries
+ * skipped, and archive limits
+ */
+
+const { setupServerTests } = require('./testUtils');
+
+jest.mock('../services/awsService', () => ({
+  ...jest.requireActual('../services/awsService'),
+  uploadStreamToS3: jest.fn()
+}));
+
+const awsService = require('../services/awsService');
+const config = require('../config/environment');
+const { readFiles } = require('../models/File');
+const { readFolders } = require('../models/Folder');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { createFolder, listObjects } = ctx;
+
+beforeEach(async () => {
+  config.EXTRACT_MAX_ENTRIES = 10000;
+  awsService.uploadStreamToS3.mockImplementation(jest.requireActual('../services/awsService').uploadStreamToS3);
+});
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// A ZIP of stored entries [{ name, content, mode }], written by hand so
+// entry names are kept exactly as given (archivers clean up "../")
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, content = '', mode = 0o100644 } of entries) {
+    const fileName = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(0x21, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    locals.push(local, fileName, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE((3 << 8) | 20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, fileName);
+
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+const extract = (name, content, fields = {}) => ctx.upload(name, content, {
+  type: 'application/zip',
+  fields: { extract: 'true', ...fields }
+});
+
+describe('POST /api/files/upload with extract=true', () => {
+  test('should unpack the archive into a new folder tree', async () => {
+    const parent = await createFolder('Inbox');
+    const zip = buildZip([
+      { name: 'Docs/', mode: 0o040755 },
+      { name: 'Docs/report.pdf', content: '%PDF-1.4 report' },
+      { name: 'Docs/Drafts/plan.pdf', content: '%PDF-1.4 plan' },
+      { name: 'Empty/', mode: 0o040755 },
+      { name: 'photo.png', content: PNG }
+    ]);
+
+    const response = await extract('Project Files.zip', zip, { parentFolderId: parent.id, storageClass: 'STANDARD_IA' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.folder).toMatchObject({ name: 'Project Files', parentFolderId: parent.id });
+    expect(response.body.created.folders.map(f => f.path)).toEqual(['Docs', 'Docs/Drafts', 'Empty']);
+    expect(response.body.created.files.map(f => f.path)).toEqual(['Docs/report.pdf', 'Docs/Drafts/plan.pdf', 'photo.png']);
+    expect(response.body.skipped).toEqual([]);
+
+    const files = await readFiles(ctx.user.id);
+    expect(files).toHaveLength(3);
+    expect(files.every(f => f.storageClass === 'STANDARD_IA')).toBe(true);
+    expect(files.find(f => f.originalName === 'photo.png').fileType).toBe('image/png');
+    const drafts = (await readFolders(ctx.user.id)).find(f => f.name === 'Drafts');
+    expect(files.find(f => f.originalName === 'plan.pdf').parentFolderId).toBe(drafts.id);
+
+    // Only the extracted files are kept, not the archive
+    expect(listObjects().filter(key => key.endsWith('.zip'))).toEqual([]);
+    expect(listObjects()).toHaveLength(3);
+  });
+
+  test('should skip entries that escape the folder, symlinks and disallowed files', async () => {
+    const zip = buildZip([
+      { name: '../evil.pdf', content: '%PDF-1.4 evil' },
+      { name: 'nested/../../evil.pdf', content: '%PDF-1.4 evil' },
+      { name: '/etc/passwd.pdf', content: '%PDF-1.4 root' },
+      { name: 'C:\\Windows\\evil.pdf', content: '%PDF-1.4 windows' },
+      { name: 'link.pdf', content: '/etc/passwd', mode: 0o120777 },
+      { name: '__MACOSX/._ok.pdf', content: 'resource fork' },
+      { name: 'notes.txt', content: 'plain text' },
+      { name: 'fake.pdf', content: PNG },
+      { name: 'ok.pdf', content: '%PDF-1.4 ok' }
+    ]);
+
+    const response = await extract('mixed.zip', zip);
+
+    expect(response.status).toBe(200);
+    expect(response.body.created.files.map(f => f.path)).toEqual(['ok.pdf']);
+    expect(response.body.skipped).toEqual([
+      { path: '../evil.pdf', reason: 'unsafe path' },
+      { path: 'nested/../../evil.pdf', reason: 'unsafe path' },
+      { path: '/etc/passwd.pdf', reason: 'unsafe path' },
+      { path: 'C:/Windows/evil.pdf', reason: 'unsafe path' },
+      { path: 'link.pdf', reason: 'symlink' },
+      { path: '__MACOSX/._ok.pdf', reason: 'system file' },
+      { path: 'notes.txt', reason: 'unsupported type' },
+      { path: 'fake.pdf', reason: 'type mismatch' }
+    ]);
+    expect((await readFiles(ctx.user.id)).map(f => f.originalName)).toEqual(['ok.pdf']);
+  });
+
+  test('should keep what was extracted and report entries that failed', async () => {
+    const { uploadStreamToS3 } = jest.requireActual('../services/awsService');
+    awsService.uploadStreamToS3.mockImplementation((bucketName, key, ...rest) => {
+      return key.includes('unlucky') ? Promise.reject(new Error('S3 unavailable')) : uploadStreamToS3(bucketName, key, ...rest);
+    });
+    const zip = buildZip([
+      { name: 'first.pdf', content: '%PDF-1.4 first' },
+      { name: 'unlucky.pdf', content: '%PDF-1.4 unlucky' },
+      { name: 'last.pdf', content: '%PDF-1.4 last' }
+    ]);
+
+    const response = await extract('batch.zip', zip);
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Extracted 2 file(s) into batch, 1 failed');
+    expect(response.body.created.files.map(f => f.path)).toEqual(['first.pdf', 'last.pdf']);
+    expect(response.body.failed).toEqual([{ path: 'unlucky.pdf', error: 'Failed to extract' }]);
+    expect((await readFiles(ctx.user.id)).map(f => f.originalName).sort()).toEqual(['first.pdf', 'last.pdf']);
+  });
+
+  test('should pick a free folder name for repeated extractions', async () => {
+    const zip = buildZip([{ name: 'a.pdf', content: '%PDF-1.4 a' }]);
+
+    await extract('backup.zip', zip);
+    const second = await extract('backup.zip', zip);
+
+    expect(second.body.folder.name).toBe('backup (2)');
+    expect(second.body.created.files).toHaveLength(1);
+  });
+
+  test('should reject other files, broken archives and archives over the limits', async () => {
+    const notZip = await ctx.upload('report.pdf', '%PDF-1.4', { fields: { extract: 'true' } });
+    expect(notZip.status).toBe(400);
+    expect(notZip.body.error).toBe('Only ZIP archives can be extracted');
+
+    const broken = await extract('broken.zip', Buffer.concat([Buffer.from('PK\x03\x04'), Buffer.alloc(64)]));
+    expect(broken.status).toBe(400);
+
+    config.EXTRACT_MAX_ENTRIES = 1;
+    const tooMany = await extract('many.zip', buildZip([
+      { name: 'a.pdf', content: '%PDF-1.4 a' },
+      { name: 'b.pdf', content: '%PDF-1.4 b' }
+    ]));
+    expect(tooMany.status).toBe(413);
+
+    expect(await readFolders(ctx.user.id)).toEqual([]);
+    expect(listObjects()).toEqual([]);
+  });
+});
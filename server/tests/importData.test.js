@@ -0,0 +1,111 @@
+/**
+ * Data import tests
+ * The JSON data directory must arrive in the SQLite store unchanged, and
+ * re-running the import must replace rather than duplicate it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { useFreshStore, removeTestData, createTestUser } = require('./testUtils');
+const { createAdapter, setAdapter } = require('../adapters');
+const { COLLECTIONS } = require('../adapters/collections');
+const { importData } = require('../import-data');
+const { addFolder } = require('../models/Folder');
+const { addFile, readFiles } = require('../models/File');
+const { addSharedFile } = require('../models/SharedFile');
+const { addBillingActivity } = require('../models/Billing');
+
+const fileData = (userId, originalName, parentFolderId = null) => ({
+  id: randomUUID(),
+  userId,
+  originalName,
+  fileName: `1-${originalName}`,
+  fileType: 'text/plain',
+  fileSize: 10,
+  s3Key: `uploads/1-${originalName}`,
+  storageClass: 'STANDARD',
+  uploadDate: new Date().toISOString(),
+  parentFolderId
+});
+
+// Every record of every collection, scope by scope
+const dumpStore = async (adapter, userIds) => {
+  const dump = {};
+  for (const collection of Object.keys(COLLECTIONS)) {
+    const scopes = COLLECTIONS[collection].perUser || COLLECTIONS[collection].scopeField ? userIds : [null];
+    for (const scope of scopes) {
+      dump[`${collection}:${scope}`] = await adapter.list(collection, scope);
+    }
+  }
+  return dump;
+};
+
+let source;
+let target;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  source = useFreshStore('json');
+  target = createAdapter('sqlite', { filename: path.join(fs.mkdtempSync(path.join(process.env.DATA_DIR, 'import-')), 'skycrate.sqlite') });
+});
+
+afterEach(async () => {
+  await target.close();
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+// Two users with folders, files, shares and billing in the JSON store
+const seedSource = async () => {
+  const { user: alice } = await createTestUser({ username: 'alice' });
+  const { user: bob } = await createTestUser({ username: 'bob' });
+
+  const docs = await addFolder(alice.id, { name: 'Docs', parentFolderId: null });
+  const report = await addFile(alice.id, fileData(alice.id, 'report.txt', docs.id));
+  await addFile(alice.id, fileData(alice.id, 'notes.txt'));
+  await addSharedFile(alice.id, { id: randomUUID(), fileId: report.id, shareToken: 'token', createdAt: new Date().toISOString() });
+  await addBillingActivity(alice.id, { id: randomUUID(), type: 'upload', fileId: report.id, timestamp: new Date().toISOString() });
+  await addFile(bob.id, fileData(bob.id, 'report.txt'));
+
+  return [alice.id, bob.id];
+};
+
+test('should copy every collection into SQLite unchanged', async () => {
+  const userIds = await seedSource();
+
+  const result = await importData(source, target);
+
+  expect(result.users).toBe(2);
+  expect(result.counts).toMatchObject({ users: 2, folders: 1, files: 3, sharedFiles: 1 });
+  expect(await dumpStore(target, userIds)).toEqual(await dumpStore(source, userIds));
+
+  // The models work against the imported store
+  setAdapter(target);
+  expect((await readFiles(userIds[0])).map(f => f.originalName).sort()).toEqual(['notes.txt', 'report.txt']);
+});
+
+test('should replace earlier imports when run again', async () => {
+  const [aliceId, bobId] = await seedSource();
+  await importData(source, target);
+
+  await addFile(aliceId, fileData(aliceId, 'later.txt'));
+  await source.remove('files', bobId, (await source.list('files', bobId))[0].id);
+  await addFile(bobId, fileData(bobId, 'replacement.txt'));
+  await importData(source, target);
+
+  expect(await dumpStore(target, [aliceId, bobId])).toEqual(await dumpStore(source, [aliceId, bobId]));
+  expect((await target.list('files', bobId)).map(f => f.originalName)).toEqual(['replacement.txt']);
+});
+
+test('should only count records on a dry run', async () => {
+  await seedSource();
+
+  const result = await importData(source, target, { dryRun: true });
+
+  expect(result.counts.files).toBe(3);
+  expect(await target.list('users', null)).toEqual([]);
+  expect(await target.listScopes()).toEqual([]);
+});
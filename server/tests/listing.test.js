@@ -0,0 +1,166 @@
+/**
+ * Folder listing tests
+ * Paginated listings, ETag revalidation and changes since a token
+ */
+
+const { signed, createTestUser, setupServerTests } = require('./testUtils');
+const { insertFolder, updateFolder } = require('../models/Folder');
+const { listFolder } = require('../services/listingService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder } = ctx;
+
+const upload = async (name, content, parentFolderId) => {
+  const fields = parentFolderId ? { parentFolderId } : {};
+  return (await ctx.upload(name, signed(content), { type: 'image/png', fields })).body.file;
+};
+
+const list = (params, headers) => api('GET', `/api/files?${new URLSearchParams(params)}`, { headers });
+const names = (items) => items.map(item => (item.isFolder ? item.name : item.originalName));
+
+describe('paginated listings', () => {
+  test('should keep returning the whole folder as an array without paging parameters', async () => {
+    await createFolder('Docs');
+    await upload('a.png', 'a');
+
+    const response = await api('GET', '/api/files');
+
+    expect(Array.isArray(response.body)).toBe(true);
+    expect(names(response.body)).toEqual(['Docs', 'a.png']);
+  });
+
+  test('should page through folders first, then files in sort order', async () => {
+    await upload('b.png', 'bb');
+    await upload('a.png', 'aaa');
+    await upload('c.png', 'c');
+    await createFolder('Zebra');
+    await createFolder('alpha');
+
+    const first = await list({ limit: 3 });
+    const second = await list({ limit: 3, cursor: first.body.nextCursor });
+
+    expect(names(first.body.items)).toEqual(['alpha', 'Zebra', 'a.png']);
+    expect(names(second.body.items)).toEqual(['b.png', 'c.png']);
+    expect(second.body.nextCursor).toBeNull();
+    expect(first.body.total).toBe(5);
+
+    const bySize = await list({ sort: 'size', order: 'asc' });
+    expect(names(bySize.body.items)).toEqual(['alpha', 'Zebra', 'c.png', 'b.png', 'a.png']);
+  });
+
+  test('should not skip or repeat items when files are added between pages', async () => {
+    for (const name of ['a.png', 'c.png', 'e.png']) {
+      await upload(name, name);
+    }
+    const first = await list({ limit: 2 });
+    await upload('b.png', 'b');
+    await upload('d.png', 'd');
+
+    const second = await list({ limit: 10, cursor: first.body.nextCursor });
+
+    expect(names(first.body.items)).toEqual(['a.png', 'c.png']);
+    expect(names(second.body.items)).toEqual(['d.png', 'e.png']);
+  });
+
+  test('should list a subfolder and reject unknown folders and bad parameters', async () => {
+    const folder = await createFolder('Inner');
+    await upload('inside.png', 'x', folder.id);
+    await upload('outside.png', 'y');
+
+    expect(names((await list({ folderId: folder.id, limit: 10 })).body.items)).toEqual(['inside.png']);
+    expect((await list({ folderId: 'missing', limit: 10 })).status).toBe(404);
+    expect((await list({ limit: 0 })).status).toBe(400);
+    expect((await list({ sort: 'colour' })).status).toBe(400);
+    expect((await list({ limit: 10, cursor: 'garbage' })).status).toBe(400);
+  });
+});
+
+describe('ETags', () => {
+  test('should answer 304 while the folder is unchanged', async () => {
+    await upload('a.png', 'a');
+    const first = await list({ limit: 10 });
+
+    const unchanged = await list({ limit: 10 }, { 'If-None-Match': first.headers.etag });
+    await upload('b.png', 'b');
+    const changed = await list({ limit: 10 }, { 'If-None-Match': first.headers.etag });
+
+    expect(first.headers.etag).toBeDefined();
+    expect(unchanged.status).toBe(304);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(first.headers.etag);
+  });
+
+  test('should change when an item in the folder changes', async () => {
+    const file = await upload('a.png', 'a');
+    const first = await list({ limit: 10 });
+
+    await api('PATCH', `/api/files/${file.id}/star`);
+    const response = await list({ limit: 10 }, { 'If-None-Match': first.headers.etag });
+
+    expect(response.status).toBe(200);
+    expect(response.body.items[0].isStarred).toBe(true);
+  });
+});
+
+describe('changes since a token', () => {
+  test('should return only added, changed and removed items', async () => {
+    const kept = await upload('kept.png', 'k');
+    const starred = await upload('starred.png', 's');
+    const removed = await upload('removed.png', 'r');
+    const { changeToken } = (await list({ limit: 10 })).body;
+
+    await api('PATCH', `/api/files/${starred.id}/star`);
+    await api('DELETE', `/api/files/${removed.id}`);
+    const added = await upload('added.png', 'a');
+
+    const response = await list({ since: changeToken });
+
+    expect(response.status).toBe(200);
+    expect(response.body.changed.map(item => item.id).sort()).toEqual([added.id, starred.id].sort());
+    expect(response.body.removed).toEqual([removed.id]);
+    expect(response.body.changed.some(item => item.id === kept.id)).toBe(false);
+
+    const again = await list({ since: response.body.changeToken });
+    expect(again.body).toMatchObject({ changed: [], removed: [] });
+  });
+
+  test('should treat a file moved away as removed from the folder', async () => {
+    const folder = await createFolder('Archive');
+    const file = await upload('old.png', 'o');
+    const { changeToken } = (await list({ limit: 10 })).body;
+
+    await api('PATCH', `/api/files/${file.id}`, { json: { parentFolderId: folder.id } });
+    const response = await list({ since: changeToken });
+
+    expect(response.body.removed).toEqual([file.id]);
+    expect(response.body.changed).toEqual([]);
+  });
+
+  test('should reject tokens for another folder and unknown states', async () => {
+    const folder = await createFolder('Other');
+    const { changeToken } = (await list({ limit: 10 })).body;
+    const unknown = Buffer.from(JSON.stringify({ folderId: null, digest: 'gone' })).toString('base64url');
+
+    expect((await list({ folderId: folder.id, since: changeToken })).status).toBe(400);
+    expect((await list({ since: unknown })).status).toBe(410);
+  });
+
+  test("should keep a user's tokens however much other users list", async () => {
+    const file = await upload('mine.png', 'm');
+    const { changeToken } = (await list({ limit: 10 })).body;
+
+    const { user: other } = await createTestUser();
+    const folder = await insertFolder(other.id, { id: 'busy', userId: other.id, isFolder: true, name: 'Busy', parentFolderId: null, createdDate: new Date().toISOString() });
+    for (let i = 0; i < 250; i++) {
+      await updateFolder(other.id, folder.id, { name: `Busy ${i}` });
+      await listFolder(other.id, {});
+    }
+    await api('PATCH', `/api/files/${file.id}/star`);
+
+    const response = await list({ since: changeToken });
+
+    expect(response.status).toBe(200);
+    expect(response.body.changed.map(item => item.id)).toEqual([file.id]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Metadata tests
+ * User-defined key/value metadata on files and versions, on S3 objects
+ * and in search
+ */
+
+const { signed, setupServerTests } = require('./testUtils');
+const { findFileById } = require('../models/File');
+const { getFileMetadata } = require('../services/awsService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api } = ctx;
+
+const upload = (name, content, metadata) => ctx.upload(name, signed(content, 'application/zip'), {
+  type: 'application/zip',
+  fields: metadata === undefined ? {} : { metadata: typeof metadata === 'string' ? metadata : JSON.stringify(metadata) }
+});
+
+describe('metadata on upload', () => {
+  test('should put upload metadata on the version and the S3 object', async () => {
+    const response = await upload('build.zip', 'artifact', { Ticket: 'OPS-42', 'source-path': 'dist/build.zip' });
+
+    expect(response.status).toBe(200);
+    const file = await findFileById(ctx.user.id, response.body.file.id);
+    expect(file.metadata).toEqual({});
+    expect(file.versions[0].metadata).toEqual({ ticket: 'OPS-42', 'source-path': 'dist/build.zip' });
+
+    const head = await getFileMetadata(ctx.user.awsBucketName, file.s3Key);
+    expect(head.Metadata).toEqual({ ticket: 'OPS-42', 'source-path': 'dist/build.zip' });
+  });
+
+  test('should keep each version\'s own metadata', async () => {
+    await upload('build.zip', 'v1', { ticket: 'OPS-1' });
+    const second = (await upload('build.zip', 'v2', { ticket: 'OPS-2' })).body.file;
+
+    const history = await api('GET', `/api/versions/${second.id}/versions`);
+
+    expect(history.body.versions.map(v => v.metadata.ticket)).toEqual(['OPS-2', 'OPS-1']);
+    expect(history.body.metadata).toEqual({});
+  });
+
+  test('should reject invalid upload metadata before storing anything', async () => {
+    expect((await upload('a.zip', 'a', 'not json')).status).toBe(400);
+    expect((await upload('a.zip', 'a', { 'bad key': 'x' })).status).toBe(400);
+    expect((await upload('a.zip', 'a', { note: 'café' })).status).toBe(400);
+    expect((await upload('a.zip', 'a', { big: 'x'.repeat(2048) })).status).toBe(400);
+    expect((await api('GET', '/api/files')).body).toEqual([]);
+  });
+
+  test('should write metadata of resumable uploads', async () => {
+    const content = signed('chunked artifact', 'application/zip');
+    const created = await api('POST', '/api/uploads', {
+      json: { fileName: 'app.zip', fileSize: content.length, fileType: 'application/zip', metadata: { ticket: 'OPS-7' } }
+    });
+    await api('PUT', `/api/uploads/${created.body.sessionId}?offset=0`, { body: content });
+
+    const completed = await api('POST', `/api/uploads/${created.body.sessionId}/complete`);
+
+    const file = await findFileById(ctx.user.id, completed.body.file.id);
+    expect(file.versions[0].metadata).toEqual({ ticket: 'OPS-7' });
+    expect((await getFileMetadata(ctx.user.awsBucketName, file.s3Key)).Metadata).toEqual({ ticket: 'OPS-7' });
+
+    const invalid = await api('POST', '/api/uploads', {
+      json: { fileName: 'app.zip', fileSize: 10, fileType: 'application/zip', metadata: { ticket: 7 } }
+    });
+    expect(invalid.status).toBe(400);
+  });
+});
+
+describe('editing metadata', () => {
+  test('should set and remove file metadata keys', async () => {
+    const file = (await upload('report.zip', 'r')).body.file;
+
+    const set = await api('PATCH', `/api/files/${file.id}/metadata`, { json: { metadata: { Owner: 'ops', team: 'infra' } } });
+    const removed = await api('PATCH', `/api/files/${file.id}/metadata`, { json: { metadata: { team: null } } });
+
+    expect(set.body.metadata).toEqual({ owner: 'ops', team: 'infra' });
+    expect(removed.body.metadata).toEqual({ owner: 'ops' });
+    expect((await api('GET', `/api/files/${file.id}/metadata`)).body).toMatchObject({
+      metadata: { owner: 'ops' },
+      versions: [{ versionNumber: 1, metadata: {} }]
+    });
+  });
+
+  test('should merge version metadata and keep the comment', async () => {
+    const file = (await upload('report.zip', 'r', { ticket: 'OPS-1' })).body.file;
+    const versionId = file.versions[0].versionId;
+
+    const response = await api('PATCH', `/api/versions/${file.id}/versions/${versionId}`, {
+      json: { metadata: { reviewed: 'yes', ticket: null } }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.version.metadata).toEqual({ reviewed: 'yes' });
+    expect(response.body.version.comment).toBe('Initial version');
+  });
+
+  test('should reject invalid metadata and unknown files', async () => {
+    const file = (await upload('report.zip', 'r')).body.file;
+
+    expect((await api('PATCH', `/api/files/${file.id}/metadata`, { json: { metadata: ['x'] } })).status).toBe(400);
+    expect((await api('PATCH', `/api/files/${file.id}/metadata`, { json: { metadata: { n: 1 } } })).status).toBe(400);
+    expect((await api('PATCH', `/api/versions/${file.id}/versions/${file.versions[0].versionId}`, {
+      json: { metadata: { '-bad': 'x' } }
+    })).status).toBe(400);
+    expect((await api('PATCH', '/api/files/missing/metadata', { json: { metadata: { a: 'b' } } })).status).toBe(404);
+  });
+
+  test('should accept keys named like Object.prototype properties', async () => {
+    const file = (await upload('report.zip', 'r', { constructor: 'ci', tostring: 'x' })).body.file;
+    const versionId = file.versions[0].versionId;
+
+    const set = await api('PATCH', `/api/files/${file.id}/metadata`, { json: { metadata: { constructor: 'ops' } } });
+    const version = await api('PATCH', `/api/versions/${file.id}/versions/${versionId}`, {
+      json: { metadata: { constructor: null, hasownproperty: 'yes' } }
+    });
+
+    expect(set.status).toBe(200);
+    expect(set.body.metadata).toEqual({ constructor: 'ops' });
+    expect(version.body.version.metadata).toEqual({ tostring: 'x', hasownproperty: 'yes' });
+  });
+});
+
+describe('searching metadata', () => {
+  test('should find files by file or version metadata', async () => {
+    const a = (await upload('a.zip', 'a', { ticket: 'OPS-42' })).body.file;
+    const b = (await upload('b.zip', 'b')).body.file;
+    await upload('c.zip', 'c', { ticket: 'OPS-7' });
+    await api('PATCH', `/api/files/${b.id}/metadata`, { json: { metadata: { ticket: 'ops-42', source: 'ci' } } });
+
+    const byTicket = await api('GET', '/api/files/search?meta[ticket]=OPS-42');
+    const withSource = await api('GET', '/api/files/search?meta[source]=*');
+
+    expect(byTicket.body.files.map(f => f.id)).toEqual([a.id, b.id]);
+    expect(withSource.body.files.map(f => f.id)).toEqual([b.id]);
+    expect((await api('GET', '/api/files/search?meta=ticket')).status).toBe(400);
+  });
+
+  test('should not match keys inherited from Object.prototype', async () => {
+    const file = (await upload('a.zip', 'a', { constructor: 'CI' })).body.file;
+    await upload('b.zip', 'b');
+
+    const byValue = await api('GET', '/api/files/search?meta[constructor]=ci');
+    const byKey = await api('GET', '/api/files/search?meta[tostring]=*');
+
+    expect(byValue.status).toBe(200);
+    expect(byValue.body.files.map(f => f.id)).toEqual([file.id]);
+    expect(byKey.status).toBe(200);
+    expect(byKey.body.files).toEqual([]);
+  });
+});
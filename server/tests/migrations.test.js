@@ -0,0 +1,137 @@
+/**
+ * Schema migration tests
+ * Numbered migrations move a data store between versions and record it
+ */
+
+const { randomUUID } = require('crypto');
+const { useFreshStore, removeTestData, createTestUser } = require('./testUtils');
+const {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+} = require('../services/migrationService');
+
+const legacyFile = (userId, originalName) => ({
+  id: randomUUID(),
+  userId,
+  originalName,
+  fileName: `1-${originalName}`,
+  fileType: 'text/plain',
+  fileSize: 42,
+  s3Key: `uploads/1-${originalName}`,
+  storageClass: 'STANDARD_IA',
+  uploadDate: new Date().toISOString(),
+  parentFolderId: null
+});
+
+const silent = () => {};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+test('should load migrations in version order', () => {
+  const migrations = loadMigrations();
+  expect(migrations.length).toBeGreaterThan(0);
+  expect(migrations[0]).toMatchObject({ version: 1, name: 'versioned-files' });
+  expect(migrations.map(m => m.version)).toEqual([...migrations.map(m => m.version)].sort((a, b) => a - b));
+});
+
+describe.each(['json', 'sqlite'])('%s store', (storeType) => {
+  let adapter;
+  let user;
+
+  beforeEach(async () => {
+    adapter = useFreshStore(storeType);
+    await adapter.initialize();
+  });
+
+  const seedLegacyFiles = async () => {
+    ({ user } = await createTestUser());
+    await adapter.replaceAll('files', user.id, [
+      legacyFile(user.id, 'a.txt'),
+      legacyFile(user.id, 'b.txt')
+    ]);
+  };
+
+  test('should start a new store at the latest version', async () => {
+    const status = await assertSchemaCurrent(adapter);
+    expect(status.pending).toHaveLength(0);
+
+    // Data created afterwards must not be treated as legacy data
+    await seedLegacyFiles();
+    const after = await getMigrationStatus(adapter);
+    expect(after.recorded).toBe(true);
+    expect(after.currentVersion).toBe(after.latestVersion);
+  });
+
+  test('should refuse to start with pending migrations', async () => {
+    await seedLegacyFiles();
+    await expect(assertSchemaCurrent(adapter)).rejects.toThrow(/pending migrations .*Run "npm run migrate -- up" first/);
+  });
+
+  test('should convert legacy files to the versioned format', async () => {
+    await seedLegacyFiles();
+
+    const result = await migrateUp(adapter, { log: silent });
+    expect(result.from).toBe(0);
+    expect(result.migrations.map(m => m.version)).toContain(1);
+
+    const files = await adapter.list('files', user.id);
+    expect(files).toHaveLength(2);
+    files.forEach(file => {
+      expect(file.currentVersion).toBe(1);
+      expect(file.versions).toHaveLength(1);
+      expect(file.versions[0]).toMatchObject({ s3Key: file.s3Key, storageClass: 'STANDARD_IA', isActive: true });
+    });
+
+    const status = await getMigrationStatus(adapter);
+    expect(status.pending).toHaveLength(0);
+    expect(status.history.map(h => h.direction)).toContain('up');
+    await expect(assertSchemaCurrent(adapter)).resolves.toBeTruthy();
+  });
+
+  test('should not write anything in dry-run mode', async () => {
+    await seedLegacyFiles();
+    const messages = [];
+
+    await migrateUp(adapter, { dryRun: true, log: message => messages.push(message) });
+
+    expect(messages.some(m => m.includes('[dry run] Converted 2 legacy files'))).toBe(true);
+    expect((await adapter.list('files', user.id)).every(file => !file.versions)).toBe(true);
+    expect((await getMigrationStatus(adapter)).currentVersion).toBe(0);
+  });
+
+  test('should roll back to the legacy format', async () => {
+    await seedLegacyFiles();
+    await migrateUp(adapter, { log: silent });
+
+    const result = await migrateDown(adapter, { to: 0, log: silent });
+    expect(result.to).toBe(0);
+
+    const files = await adapter.list('files', user.id);
+    files.forEach(file => {
+      expect(file.versions).toBeUndefined();
+      expect(file.s3Key).toMatch(/^uploads\//);
+    });
+    expect((await getMigrationStatus(adapter)).pending.map(m => m.version)).toContain(1);
+  });
+
+  test('should refuse to roll back files with version history', async () => {
+    await seedLegacyFiles();
+    await migrateUp(adapter, { log: silent });
+
+    const [file] = await adapter.list('files', user.id);
+    file.versions.push({ ...file.versions[0], versionId: randomUUID(), versionNumber: 2 });
+    await adapter.update('files', user.id, file.id, file);
+
+    await expect(migrateDown(adapter, { to: 0, log: silent })).rejects.toThrow(/more than one version/);
+    expect((await getMigrationStatus(adapter)).pending).toHaveLength(0);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Move and rename tests
+ * Objects are relocated in the DEV_MODE local stand-in
+ */
+
+const fs = require('fs');
+const { signed, setupServerTests } = require('./testUtils');
+const { readFiles, findFileById } = require('../models/File');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder, objectPath } = ctx;
+
+const readObject = (key) => fs.readFileSync(objectPath(key));
+
+const upload = async (name, content, parentFolderId) => {
+  const fields = parentFolderId ? { parentFolderId } : {};
+  return (await ctx.upload(name, signed(content), { type: 'image/png', fields })).body.file;
+};
+
+const move = (fileId, body) => api('PATCH', `/api/files/${fileId}`, { json: body });
+
+describe('PATCH /api/files/:fileId', () => {
+  test('should rename a file and every version object', async () => {
+    await upload('draft.png', 'one');
+    const file = await upload('draft.png', 'two');
+    const oldKeys = file.versions.map(v => v.s3Key);
+
+    const response = await move(file.id, { name: 'final.png' });
+
+    expect(response.status).toBe(200);
+    const moved = await findFileById(ctx.user.id, file.id);
+    expect(moved.originalName).toBe('final.png');
+    expect(moved.versions.map(v => readObject(v.s3Key))).toEqual([signed('one'), signed('two')]);
+    expect(moved.versions.every(v => /^uploads\/\d+-final\.png$/.test(v.s3Key))).toBe(true);
+    expect(moved.s3Key).toBe(moved.versions.find(v => v.isActive).s3Key);
+    expect(oldKeys.some(key => fs.existsSync(objectPath(key)))).toBe(false);
+  });
+
+  test('should move a file into a folder and back to the root', async () => {
+    const folder = await createFolder('Photos');
+    const file = await upload('cat.png', 'meow');
+
+    const response = await move(file.id, { parentFolderId: folder.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.file.parentFolderId).toBe(folder.id);
+    expect(response.body.file.s3Key).toMatch(/^uploads\/Photos\/\d+-cat\.png$/);
+    expect(readObject(response.body.file.s3Key)).toEqual(signed('meow'));
+
+    const back = await move(file.id, { parentFolderId: null });
+    expect(back.body.file.parentFolderId).toBeNull();
+    expect(back.body.file.s3Key).toMatch(/^uploads\/\d+-cat\.png$/);
+  });
+
+  test('should reject a name conflict without touching anything', async () => {
+    const target = await upload('logo.png', 'target');
+    const file = await upload('logo-old.png', 'source');
+
+    const response = await move(file.id, { name: 'logo.png' });
+
+    expect(response.status).toBe(409);
+    const files = await readFiles(ctx.user.id);
+    expect(files).toHaveLength(2);
+    expect(readObject(file.s3Key)).toEqual(signed('source'));
+    expect(readObject(target.s3Key)).toEqual(signed('target'));
+    expect(fs.readdirSync(objectPath('uploads'))).toHaveLength(2);
+  });
+
+  test('should merge into a file of the same name when asked', async () => {
+    const target = await upload('logo.png', 'target');
+    await upload('logo-new.png', 'new 1');
+    const file = await upload('logo-new.png', 'new 2');
+
+    const response = await move(file.id, { name: 'logo.png', onConflict: 'merge' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.mergedInto).toBe(target.id);
+    const files = await readFiles(ctx.user.id);
+    expect(files).toHaveLength(1);
+
+    const [merged] = files;
+    expect(merged.versions.map(v => v.versionNumber)).toEqual([1, 2, 3]);
+    expect(merged.versions.map(v => readObject(v.s3Key))).toEqual([signed('target'), signed('new 1'), signed('new 2')]);
+    expect(merged.currentVersion).toBe(3);
+    expect(merged.versions.filter(v => v.isActive).map(v => v.versionNumber)).toEqual([3]);
+  });
+
+  test('should validate the request', async () => {
+    const file = await upload('a.png', 'a');
+
+    expect((await move(file.id, {})).status).toBe(400);
+    expect((await move(file.id, { name: '../b.png' })).status).toBe(400);
+    expect((await move(file.id, { name: 'b.png', onConflict: 'overwrite' })).status).toBe(400);
+    expect((await move(file.id, { parentFolderId: 'missing' })).status).toBe(404);
+    expect((await move('missing', { name: 'b.png' })).status).toBe(404);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Preview tests
+ * Thumbnails and previews generated after uploads, served per version and
+ * deleted with their version
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { setupServerTests } = require('./testUtils');
+const config = require('../config/environment');
+const { findFileById, setVersionPreviews } = require('../models/File');
+const { resumePendingPreviews, waitForPreviews } = require('../services/previewService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, objectPath } = ctx;
+
+afterAll(() => {
+  config.PREVIEWS_ENABLED = false;
+  config.PDFTOPPM_PATH = 'pdftoppm';
+});
+
+beforeEach(async () => {
+  config.PREVIEWS_ENABLED = true;
+});
+
+const png = (width, height, background = '#3366ff') => sharp({
+  create: { width, height, channels: 3, background }
+}).png().toBuffer();
+
+const upload = async (name, type, content) => {
+  const response = await ctx.upload(name, content, { type });
+  await waitForPreviews();
+  return findFileById(ctx.user.id, response.body.file.id);
+};
+
+const objectExists = (key) => fs.existsSync(objectPath(key));
+
+describe('preview generation', () => {
+  test('should generate a thumbnail and a medium preview for images', async () => {
+    const file = await upload('banner.png', 'image/png', await png(2000, 500));
+    const [version] = file.versions;
+
+    expect(file.previewStatus).toBe('ready');
+    expect(version.previews).toEqual({
+      thumbnail: `previews/${version.versionId}/thumbnail.webp`,
+      medium: `previews/${version.versionId}/medium.webp`
+    });
+    expect(objectExists(version.previews.thumbnail)).toBe(true);
+
+    const thumbnail = await api('GET', `/api/files/${file.id}/preview`);
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect(await sharp(thumbnail.body).metadata()).toMatchObject({ format: 'webp', width: 256, height: 64 });
+
+    const medium = await api('GET', `/api/files/${file.id}/preview?size=medium`);
+    expect(await sharp(medium.body).metadata()).toMatchObject({ width: 1024, height: 256 });
+
+    const cached = await api('GET', `/api/files/${file.id}/preview`, { headers: { 'If-None-Match': thumbnail.headers.etag } });
+    expect(cached.status).toBe(304);
+  });
+
+  test('should not enlarge small images', async () => {
+    const file = await upload('icon.png', 'image/png', await png(40, 30));
+
+    const medium = await api('GET', `/api/files/${file.id}/preview?size=medium`);
+    expect(await sharp(medium.body).metadata()).toMatchObject({ width: 40, height: 30 });
+  });
+
+  test('should regenerate previews for new versions and delete them with the version', async () => {
+    await upload('photo.png', 'image/png', await png(300, 300, '#ff0000'));
+    const file = await upload('photo.png', 'image/png', await png(600, 300, '#00ff00'));
+    const [first, second] = file.versions;
+
+    expect(second.previews.thumbnail).not.toBe(first.previews.thumbnail);
+    const active = await api('GET', `/api/files/${file.id}/preview`);
+    expect(await sharp(active.body).metadata()).toMatchObject({ width: 256, height: 128 });
+    const older = await api('GET', `/api/files/${file.id}/preview?versionId=${first.versionId}`);
+    expect(await sharp(older.body).metadata()).toMatchObject({ width: 256, height: 256 });
+
+    expect((await api('DELETE', `/api/versions/${file.id}/versions/${first.versionId}`)).status).toBe(200);
+    expect(objectExists(first.previews.thumbnail)).toBe(false);
+    expect(objectExists(first.previews.medium)).toBe(false);
+    expect(objectExists(second.previews.thumbnail)).toBe(true);
+  });
+
+  test('should render the first page of PDFs with pdftoppm', async () => {
+    // Stand-in for pdftoppm that writes a fixed page to <output root>.png
+    const page = path.join(process.env.DATA_DIR, 'page.png');
+    fs.writeFileSync(page, await png(850, 1100, '#ffffff'));
+    config.PDFTOPPM_PATH = path.join(process.env.DATA_DIR, 'fake-pdftoppm');
+    fs.writeFileSync(config.PDFTOPPM_PATH, `#!/bin/sh\nfor last; do :; done\ncp "${page}" "$last.png"\n`, { mode: 0o755 });
+
+    const file = await upload('brochure.pdf', 'application/pdf', '%PDF-1.4 brochure');
+
+    expect(file.previewStatus).toBe('ready');
+    const thumbnail = await api('GET', `/api/files/${file.id}/preview`);
+    expect(await sharp(thumbnail.body).metadata()).toMatchObject({ width: 198, height: 256 });
+  });
+
+  test('should mark unrenderable content failed and skip other types', async () => {
+    config.PDFTOPPM_PATH = path.join(process.env.DATA_DIR, 'missing-pdftoppm');
+
+    const broken = await upload('broken.pdf', 'application/pdf', '%PDF-1.4 no renderer');
+    expect(broken.previewStatus).toBe('failed');
+    const response = await api('GET', `/api/files/${broken.id}/preview`);
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ error: 'Preview not available', previewStatus: 'failed' });
+
+    const memo = await upload('memo.mp3', 'audio/mpeg', 'ID3 voice memo');
+    expect(memo.previewStatus).toBeNull();
+    expect((await api('GET', `/api/files/${memo.id}/preview?size=huge`)).status).toBe(400);
+  });
+
+  test('should queue previews left pending by a restart again', async () => {
+    const photo = await upload('photo.png', 'image/png', await png(300, 200));
+    const poster = await upload('poster.png', 'image/png', await png(300, 200));
+    // A restart lost the queue before the photo's previews were generated
+    await setVersionPreviews(ctx.user.id, photo.id, photo.versions[0].versionId, { status: 'pending' });
+
+    expect(await resumePendingPreviews()).toBe(1);
+    await waitForPreviews();
+    expect((await findFileById(ctx.user.id, photo.id)).previewStatus).toBe('ready');
+
+    // With previews turned off nothing would ever generate them
+    await setVersionPreviews(ctx.user.id, poster.id, poster.versions[0].versionId, { status: 'pending' });
+    config.PREVIEWS_ENABLED = false;
+    expect(await resumePendingPreviews()).toBe(1);
+    expect((await findFileById(ctx.user.id, poster.id)).previewStatus).toBe('unavailable');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Storage quota tests
+ * Usage across versions, enforcement on every path that adds files and
+ * the quota endpoints
+ */
+
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const { once } = require('events');
+const archiver = require('archiver');
+const { createTestUser, setupServerTests } = require('./testUtils');
+const { findFileById } = require('../models/File');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, upload } = ctx;
+
+// A PDF of exactly `size` bytes
+const pdf = (size, fill = 'x') => `%PDF-1.4 ${fill.repeat(size - 9)}`;
+
+const bucketObjects = () => ctx.listObjects('uploads/');
+
+const zipOf = async (entries) => {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  entries.forEach(([name, content]) => archive.append(content, { name }));
+  archive.finalize();
+  await once(archive, 'end');
+  return Buffer.concat(chunks);
+};
+
+const useQuota = async (quota) => {
+  Object.assign(ctx, await createTestUser(quota ? { quota } : {}));
+};
+
+describe('GET /api/storage/quota', () => {
+  test('should count every version against the tier quota', async () => {
+    await useQuota(null);
+    await upload('report.pdf', pdf(100, 'a'));
+    await upload('report.pdf', pdf(200, 'b'));
+    await upload('notes.pdf', pdf(50));
+
+    const response = await api('GET', '/api/storage/quota');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      quota: { bytes: 5 * 1024 * 1024 * 1024, files: 10000 },
+      used: { bytes: 350, files: 3 },
+      remaining: { bytes: 5 * 1024 * 1024 * 1024 - 350, files: 9997 },
+      level: 'ok'
+    });
+  });
+
+  test('should warn at 80% and 95% of the fuller limit', async () => {
+    await useQuota({ bytes: 100000, files: 10 });
+    for (let i = 0; i < 8; i++) {
+      await upload(`file-${i}.pdf`, pdf(20, String(i)));
+    }
+    expect((await api('GET', '/api/storage/quota')).body.level).toBe('warning');
+
+    await upload('file-8.pdf', pdf(20, '8'));
+    await upload('file-9.pdf', pdf(20, '9'));
+    expect((await api('GET', '/api/storage/quota')).body).toMatchObject({
+      remaining: { files: 0 },
+      level: 'critical'
+    });
+  });
+});
+
+describe('quota enforcement', () => {
+  test('should refuse uploads over the byte or file limit with 413', async () => {
+    await useQuota({ bytes: 2000, files: 2 });
+    expect((await upload('first.pdf', pdf(1000))).status).toBe(200);
+
+    const tooBig = await upload('second.pdf', pdf(1000, 'y'));
+    expect(tooBig.status).toBe(413);
+    expect(tooBig.body.error).toMatch(/^Storage quota exceeded/);
+    expect(bucketObjects()).toHaveLength(1);
+
+    // New versions count as files too
+    expect((await upload('first.pdf', pdf(100, 'z'))).status).toBe(200);
+    const tooMany = await upload('third.pdf', pdf(10));
+    expect(tooMany.status).toBe(413);
+    expect(tooMany.body.error).toMatch(/2 files \(versions included\) allowed/);
+  });
+
+  test('should not let parallel uploads overrun the quota together', async () => {
+    await useQuota({ bytes: 100000, files: 2 });
+    await upload('first.pdf', pdf(100));
+
+    const responses = await Promise.all(['a.pdf', 'b.pdf', 'c.pdf'].map(name => upload(name, pdf(100, name[0]))));
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 413, 413]);
+    expect(bucketObjects()).toHaveLength(2);
+  });
+
+  test('should refuse copies, trash restores and extractions that do not fit', async () => {
+    await useQuota({ bytes: 100000, files: 2 });
+    const original = (await upload('plan.pdf', pdf(100))).body.file;
+
+    expect((await api('POST', `/api/files/${original.id}/copy`, { json: { versions: 'all' } })).status).toBe(201);
+    expect((await api('POST', `/api/files/${original.id}/copy`, { json: {} })).status).toBe(413);
+
+    // Trashed files keep counting, so trashing frees no room but restoring
+    // takes none
+    const trashed = await api('DELETE', `/api/files/${original.id}`);
+    expect(trashed.status).toBe(200);
+    expect((await api('GET', '/api/storage/quota')).body.used).toEqual({ bytes: 200, files: 2 });
+    expect((await upload('other.pdf', pdf(50))).status).toBe(413);
+    const [entry] = (await api('GET', '/api/trash')).body.items;
+    expect((await api('POST', `/api/trash/${entry.id}/restore`)).status).toBe(200);
+    expect(await findFileById(ctx.user.id, original.id)).not.toBeNull();
+
+    const extract = await ctx.upload('docs.zip', await zipOf([['a.pdf', pdf(10)], ['b.pdf', pdf(20)]]), {
+      type: 'application/zip',
+      fields: { extract: 'true' }
+    });
+    expect(extract.status).toBe(413);
+    expect((await api('GET', '/api/folders')).body).toEqual([]);
+  });
+
+  test('should not let parallel copies share the last of the quota', async () => {
+    await useQuota({ bytes: 100000, files: 2 });
+    const original = (await upload('plan.pdf', pdf(100))).body.file;
+
+    const responses = await Promise.all(['a.pdf', 'b.pdf'].map(name =>
+      api('POST', `/api/files/${original.id}/copy`, { json: { name } })));
+
+    expect(responses.map(r => r.status).sort()).toEqual([201, 413]);
+    expect(bucketObjects()).toHaveLength(2);
+  });
+
+  test('should need room for the restored version', async () => {
+    const { token: adminToken } = await createTestUser({ email: 'admin@example.com' });
+    await useQuota(null);
+    await upload('report.pdf', pdf(100, 'a'));
+    const file = (await upload('report.pdf', pdf(100, 'b'))).body.file;
+    const first = file.versions[0].versionId;
+    const restore = () => api('PUT', `/api/versions/${file.id}/versions/${first}/restore`);
+    const setQuota = (json, token = adminToken) => api('PUT', `/api/admin/users/${ctx.user.id}/quota`, { token, json });
+
+    expect((await setQuota({ bytes: -1 })).status).toBe(400);
+    expect((await setQuota({ files: 1 }, ctx.token)).status).toBe(403);
+
+    const lowered = await setQuota({ files: 1 });
+    expect(lowered.status).toBe(200);
+    expect(lowered.body).toMatchObject({ quota: { files: 1 }, used: { files: 2 }, level: 'exceeded' });
+    expect((await restore()).status).toBe(413);
+
+    // Restoring needs room for the version's 100 bytes
+    expect((await setQuota({ bytes: 250, files: null })).status).toBe(200);
+    expect((await restore()).status).toBe(413);
+
+    await setQuota({ quota: null });
+    expect((await restore()).status).toBe(200);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Malware scanning tests
+ * Scans after upload with the stub scanner, quarantine and the ClamAV
+ * adapter against a fake clamd
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { Readable } = require('stream');
+const { setupServerTests } = require('./testUtils');
+const config = require('../config/environment');
+const { findFileById } = require('../models/File');
+const { readTrash } = require('../models/Trash');
+const { readContentObjects } = require('../models/ContentObject');
+const { setScanner } = require('../scanners');
+const { createStubScanner, EICAR } = require('../scanners/stubScanner');
+const { createClamavScanner } = require('../scanners/clamavScanner');
+const { waitForScans, scanPendingVersions } = require('../services/scanService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, objectPath } = ctx;
+
+beforeEach(async () => {
+  setScanner(createStubScanner());
+});
+
+afterEach(() => {
+  setScanner(null);
+});
+
+const upload = async (name, content) => (await ctx.upload(name, content)).body.file;
+
+const objectExists = (key) => fs.existsSync(objectPath(key));
+
+const share = (fileId) => api('POST', '/api/shared-files', { json: { fileId } });
+
+describe('scanning uploads', () => {
+  test('should mark new files pending, then clean', async () => {
+    const uploaded = await upload('report.pdf', '%PDF-1.4 quarterly numbers');
+    expect(uploaded.scanStatus).toBe('pending');
+
+    await waitForScans();
+
+    const file = await findFileById(ctx.user.id, uploaded.id);
+    expect(file.scanStatus).toBe('clean');
+    expect(file.versions[0].scanResult).toMatchObject({ scanner: 'stub', signature: null });
+    expect((await share(file.id)).status).toBe(200);
+  });
+
+  test('should quarantine infected files and block downloads, shares and copies', async () => {
+    const uploaded = await upload('invoice.pdf', `%PDF-1.4 ${EICAR}`);
+    await waitForScans();
+
+    const file = await findFileById(ctx.user.id, uploaded.id);
+    expect(file).toMatchObject({ scanStatus: 'infected', s3Key: `quarantine/${uploaded.s3Key}` });
+    expect(file.versions[0].scanResult.signature).toBe('Eicar-Test-Signature');
+    expect(objectExists(uploaded.s3Key)).toBe(false);
+    expect(objectExists(file.s3Key)).toBe(true);
+
+    expect((await api('GET', `/api/files/${file.id}/download`)).status).toBe(403);
+    expect((await api('GET', `/api/files/${file.id}/download?mode=stream`)).status).toBe(403);
+    expect((await api('GET', `/api/versions/${file.id}/versions/${file.versions[0].versionId}/download`)).status).toBe(403);
+    expect((await share(file.id)).status).toBe(403);
+    expect((await api('POST', `/api/files/${file.id}/copy`, { json: {} })).status).toBe(403);
+  });
+
+  test('should give every version of infected shared content its own quarantined copy', async () => {
+    config.DEDUPLICATION_ENABLED = true;
+    const stub = createStubScanner();
+    let release;
+    const scanned = new Promise(resolve => { release = resolve; });
+    setScanner({ name: 'stub', scanStream: async (stream) => { await scanned; return stub.scanStream(stream); } });
+
+    try {
+      const live = await upload('invoice.pdf', `%PDF-1.4 ${EICAR}`);
+      const trashed = await upload('copy.pdf', `%PDF-1.4 ${EICAR}`);
+      expect(trashed.s3Key).toBe(live.s3Key);
+      const trashId = (await api('DELETE', `/api/files/${trashed.id}`)).body.trashItem.id;
+      release();
+      await waitForScans();
+
+      const file = await findFileById(ctx.user.id, live.id);
+      expect(file).toMatchObject({ scanStatus: 'infected', s3Key: `quarantine/${live.s3Key}/${live.versions[0].versionId}` });
+      const [entry] = await readTrash(ctx.user.id);
+      expect(entry.item.versions[0]).toMatchObject({ scanStatus: 'infected', s3Key: `quarantine/${live.s3Key}/${trashed.versions[0].versionId}` });
+      expect(objectExists(live.s3Key)).toBe(false);
+      expect(await readContentObjects(ctx.user.id)).toEqual([]);
+
+      await api('DELETE', `/api/trash/${trashId}`);
+      expect(objectExists(entry.item.versions[0].s3Key)).toBe(false);
+      expect(objectExists(file.s3Key)).toBe(true);
+    } finally {
+      config.DEDUPLICATION_ENABLED = false;
+    }
+  });
+
+  test('should revoke shares when a new version turns out infected', async () => {
+    const first = await upload('invoice.pdf', '%PDF-1.4 clean');
+    await waitForScans();
+    expect((await share(first.id)).status).toBe(200);
+
+    await upload('invoice.pdf', `%PDF-1.4 ${EICAR}`);
+    await waitForScans();
+
+    const file = await findFileById(ctx.user.id, first.id);
+    expect(file.versions.map(v => v.scanStatus)).toEqual(['clean', 'infected']);
+    expect(file.scanStatus).toBe('infected');
+    expect((await api('GET', '/api/shared-files')).body).toEqual([]);
+  });
+
+  test('should keep files pending while the scanner fails and retry them', async () => {
+    setScanner({ name: 'broken', scanStream: async () => { throw new Error('scanner offline'); } });
+    const uploaded = await upload('report.pdf', '%PDF-1.4 numbers');
+    await waitForScans();
+
+    expect((await findFileById(ctx.user.id, uploaded.id)).scanStatus).toBe('pending');
+    const blocked = await share(uploaded.id);
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.scanStatus).toBe('pending');
+
+    setScanner(createStubScanner());
+    expect(await scanPendingVersions()).toEqual({ scanned: 1, failed: 0 });
+    expect((await findFileById(ctx.user.id, uploaded.id)).scanStatus).toBe('clean');
+  });
+
+  test('should not scan when no scanner is configured', async () => {
+    setScanner(null);
+
+    const uploaded = await upload('report.pdf', '%PDF-1.4 numbers');
+
+    expect(uploaded.scanStatus).toBeNull();
+    expect((await share(uploaded.id)).status).toBe(200);
+  });
+});
+
+describe('ClamAV scanner', () => {
+  // A clamd that records the INSTREAM chunks and answers with `reply`
+  const startFakeClamd = (reply) => new Promise((resolve) => {
+    const received = { command: null, chunks: [] };
+    const clamd = net.createServer(socket => {
+      let buffer = Buffer.alloc(0);
+      socket.on('data', data => {
+        buffer = Buffer.concat([buffer, data]);
+        if (!received.command) {
+          const end = buffer.indexOf(0);
+          if (end === -1) return;
+          received.command = buffer.subarray(0, end).toString();
+          buffer = buffer.subarray(end + 1);
+        }
+        while (buffer.length >= 4) {
+          const length = buffer.readUInt32BE(0);
+          if (length === 0) {
+            socket.end(`${reply}\0`);
+            return;
+          }
+          if (buffer.length < 4 + length) return;
+          received.chunks.push(buffer.subarray(4, 4 + length).toString());
+          buffer = buffer.subarray(4 + length);
+        }
+      });
+    });
+    clamd.listen(0, '127.0.0.1', () => resolve({ clamd, port: clamd.address().port, received }));
+  });
+
+  test('should stream content with INSTREAM and parse the verdict', async () => {
+    const { clamd, port, received } = await startFakeClamd('stream: Win.Test.EICAR_HDB-1 FOUND');
+    const scanner = createClamavScanner({ host: '127.0.0.1', port, timeoutMs: 5000 });
+
+    const result = await scanner.scanStream(Readable.from([Buffer.from('first'), Buffer.from('second')]));
+    clamd.close();
+
+    expect(received.command).toBe('zINSTREAM');
+    expect(received.chunks).toEqual(['first', 'second']);
+    expect(result).toEqual({ infected: true, signature: 'Win.Test.EICAR_HDB-1' });
+  });
+
+  test('should report clean content and fail when clamd is unreachable', async () => {
+    const { clamd, port } = await startFakeClamd('stream: OK');
+    const clean = await createClamavScanner({ host: '127.0.0.1', port }).scanStream(Readable.from([Buffer.from('ok')]));
+    clamd.close();
+
+    expect(clean).toEqual({ infected: false, signature: null });
+    await expect(createClamavScanner({ host: '127.0.0.1', port }).scanStream(Readable.from([Buffer.from('x')])))
+      .rejects.toThrow('ClamAV unavailable');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * File search tests
+ * Filters, sorting and cursor pagination of GET /api/files/search
+ */
+
+const { randomUUID } = require('crypto');
+const { signed, setupServerTests } = require('./testUtils');
+const { updateFile } = require('../models/File');
+const { addSharedFile } = require('../models/SharedFile');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder } = ctx;
+
+const upload = async (name, type, content, parentFolderId) => {
+  const fields = parentFolderId ? { parentFolderId } : {};
+  return (await ctx.upload(name, signed(content, type), { type, fields })).body.file;
+};
+
+const search = (params) => api('GET', `/api/files/search?${new URLSearchParams(params)}`);
+const names = (response) => response.body.files.map(f => f.originalName);
+
+describe('GET /api/files/search', () => {
+  test('should find files in every folder by name, with their folder path', async () => {
+    const projects = await createFolder('Projects');
+    const reports = await createFolder('Reports', projects.id);
+    await upload('budget-2024.pdf', 'application/pdf', 'a', reports.id);
+    await upload('Budget notes.png', 'image/png', 'b');
+    await upload('holiday.png', 'image/png', 'c');
+
+    const response = await search({ q: 'budget' });
+
+    expect(response.status).toBe(200);
+    expect(names(response)).toEqual(['Budget notes.png', 'budget-2024.pdf']);
+    expect(response.body.files[1].folderPath).toBe('Projects/Reports');
+    expect(response.body.total).toBe(2);
+  });
+
+  test('should match globs against the whole name', async () => {
+    await upload('scan-01.png', 'image/png', 'a');
+    await upload('scan-02.pdf', 'application/pdf', 'b');
+    await upload('old-scan-03.png', 'image/png', 'c');
+
+    expect(names(await search({ q: 'scan-*.png' }))).toEqual(['scan-01.png']);
+    expect(names(await search({ q: 'scan-0?.*' }))).toEqual(['scan-01.png', 'scan-02.pdf']);
+  });
+
+  test('should match pathological globs in linear time', async () => {
+    await upload(`${'a'.repeat(56)}.png`, 'image/png', 'a');
+    await upload('a-b.png', 'image/png', 'b');
+
+    const started = Date.now();
+    expect(names(await search({ q: `${'*a'.repeat(12)}*b` }))).toEqual([]);
+    expect(names(await search({ q: '*a*b*' }))).toEqual(['a-b.png']);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should filter by type family, size, storage class, starred and shared', async () => {
+    const photo = await upload('photo.png', 'image/png', 'x'.repeat(100));
+    const clip = await upload('clip.mp4', 'video/mp4', 'x'.repeat(1000));
+    const doc = await upload('doc.pdf', 'application/pdf', 'x'.repeat(10));
+    await updateFile(ctx.user.id, photo.id, { isStarred: true, storageClass: 'STANDARD_IA' });
+    await addSharedFile(ctx.user.id, { id: randomUUID(), fileId: doc.id, expiryTimestamp: Date.now() + 60000 });
+    await addSharedFile(ctx.user.id, { id: randomUUID(), fileId: clip.id, expiryTimestamp: Date.now() - 1000 });
+
+    expect(names(await search({ type: 'image' }))).toEqual(['photo.png']);
+    expect(names(await search({ type: 'video/*' }))).toEqual(['clip.mp4']);
+    expect(names(await search({ type: 'document' }))).toEqual(['doc.pdf']);
+    expect(names(await search({ minSize: 50, maxSize: 500 }))).toEqual(['photo.png']);
+    expect(names(await search({ storageClass: 'STANDARD_IA' }))).toEqual(['photo.png']);
+    expect(names(await search({ starred: 'true' }))).toEqual(['photo.png']);
+    expect(names(await search({ shared: 'true' }))).toEqual(['doc.pdf']);
+    expect(names(await search({ shared: 'false', sort: 'size', order: 'asc' }))).toEqual(['photo.png', 'clip.mp4']);
+  });
+
+  test('should filter by upload date range', async () => {
+    const old = await upload('old.png', 'image/png', 'a');
+    await upload('new.png', 'image/png', 'b');
+    await updateFile(ctx.user.id, old.id, { uploadDate: '2020-01-15T00:00:00.000Z' });
+
+    expect(names(await search({ uploadedBefore: '2021-01-01' }))).toEqual(['old.png']);
+    expect(names(await search({ uploadedAfter: '2021-01-01' }))).toEqual(['new.png']);
+  });
+
+  test('should limit results to a folder subtree', async () => {
+    const work = await createFolder('Work');
+    const nested = await createFolder('Nested', work.id);
+    await upload('a.png', 'image/png', 'a', work.id);
+    await upload('b.png', 'image/png', 'b', nested.id);
+    await upload('c.png', 'image/png', 'c');
+
+    expect(names(await search({ folderId: work.id }))).toEqual(['a.png', 'b.png']);
+    expect(names(await search({ folderId: nested.id }))).toEqual(['b.png']);
+    expect((await search({ folderId: 'missing' })).status).toBe(404);
+  });
+
+  test('should page through sorted results with a cursor', async () => {
+    for (const [name, size] of [['a.png', 3], ['b.png', 1], ['c.png', 2], ['d.png', 2], ['e.png', 5]]) {
+      await upload(name, 'image/png', 'x'.repeat(size));
+    }
+
+    const first = await search({ sort: 'size', order: 'desc', limit: 2 });
+    const second = await search({ sort: 'size', order: 'desc', limit: 2, cursor: first.body.nextCursor });
+    const third = await search({ sort: 'size', order: 'desc', limit: 2, cursor: second.body.nextCursor });
+
+    expect(names(first)).toEqual(['e.png', 'a.png']);
+    // Two bytes after the PNG signature
+    expect(second.body.files.map(f => f.fileSize)).toEqual([10, 10]);
+    expect(names(third)).toEqual(['b.png']);
+    expect(third.body.nextCursor).toBeNull();
+    expect(first.body.total).toBe(5);
+  });
+
+  test('should reject invalid parameters', async () => {
+    expect((await search({ sort: 'colour' })).status).toBe(400);
+    expect((await search({ order: 'sideways' })).status).toBe(400);
+    expect((await search({ limit: 0 })).status).toBe(400);
+    expect((await search({ minSize: 'big' })).status).toBe(400);
+    expect((await search({ uploadedAfter: 'yesterday' })).status).toBe(400);
+    expect((await search({ storageClass: 'FAST' })).status).toBe(400);
+    expect((await search({ cursor: 'garbage' })).status).toBe(400);
+    const page = await search({ limit: 1 });
+    expect((await search({ sort: 'size', cursor: page.body.nextCursor || 'x' })).status).toBe(400);
+  });
+});
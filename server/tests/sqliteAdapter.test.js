@@ -0,0 +1,139 @@
+/**
+ * SQLite adapter tests
+ * Records are stored per collection and scope, in insertion order, and
+ * multi-record writes are all-or-nothing
+ */
+
+const path = require('path');
+const { useFreshStore, removeTestData } = require('./testUtils');
+const { createAdapter } = require('../adapters');
+
+const file = (id, fields = {}) => ({ id, originalName: `${id}.txt`, parentFolderId: null, ...fields });
+
+const ids = (records) => records.map(record => record.id);
+
+let adapter;
+
+beforeEach(async () => {
+  adapter = useFreshStore('sqlite');
+  await adapter.initialize();
+});
+
+afterEach(async () => {
+  await adapter.close();
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+describe('records', () => {
+  test('should insert, read, update and remove records', async () => {
+    await adapter.insert('files', 'u1', file('a'));
+    await adapter.insert('files', 'u1', file('b'));
+    await adapter.insert('files', 'u1', file('c'), { prepend: true });
+
+    expect(ids(await adapter.list('files', 'u1'))).toEqual(['c', 'a', 'b']);
+    expect(await adapter.findById('files', 'u1', 'a')).toEqual(file('a'));
+    expect(await adapter.findById('files', 'u1', 'missing')).toBeNull();
+
+    const renamed = file('a', { originalName: 'renamed.txt' });
+    expect(await adapter.update('files', 'u1', 'a', renamed)).toEqual(renamed);
+    expect(await adapter.findById('files', 'u1', 'a')).toEqual(renamed);
+    expect(await adapter.update('files', 'u1', 'missing', file('missing'))).toBeNull();
+
+    expect(await adapter.remove('files', 'u1', 'a')).toBe(true);
+    expect(await adapter.remove('files', 'u1', 'a')).toBe(false);
+    expect(await adapter.removeMany('files', 'u1', ['b', 'c', 'missing'])).toBe(2);
+    expect(await adapter.list('files', 'u1')).toEqual([]);
+  });
+
+  test('should match queries field by field, with missing fields equal to null', async () => {
+    await adapter.insert('files', 'u1', file('a', { parentFolderId: 'f1', isStarred: true }));
+    await adapter.insert('files', 'u1', file('b', { parentFolderId: 'f1' }));
+    const noParent = file('c');
+    delete noParent.parentFolderId;
+    await adapter.insert('files', 'u1', noParent);
+
+    expect(ids(await adapter.find('files', 'u1', { parentFolderId: 'f1' }))).toEqual(['a', 'b']);
+    expect(ids(await adapter.find('files', 'u1', { parentFolderId: null }))).toEqual(['c']);
+    expect(ids(await adapter.find('files', 'u1', { parentFolderId: 'f1', isStarred: true }))).toEqual(['a']);
+    expect((await adapter.findOne('files', 'u1', { originalName: 'b.txt' })).id).toBe('b');
+    expect(await adapter.findOne('files', 'u1', { originalName: 'none.txt' })).toBeNull();
+  });
+
+  test('should refuse unknown collections, keyless records and unsafe queries', async () => {
+    await expect(adapter.list('nope', 'u1')).rejects.toThrow('Unknown collection: nope');
+    await expect(adapter.insert('files', 'u1', { originalName: 'a.txt' })).rejects.toThrow('missing its id');
+    await expect(adapter.find('files', 'u1', { "id') OR 1=1 --": 'x' })).rejects.toThrow('Invalid query field');
+    await expect(adapter.find('files', 'u1', { tags: ['a'] })).rejects.toThrow('Only scalar values');
+  });
+
+  test('should keep records after the database is reopened', async () => {
+    const filename = path.join(process.env.DATA_DIR, `reopen-${Date.now()}`, 'skycrate.sqlite');
+    const first = createAdapter('sqlite', { filename });
+    await first.insert('users', null, { id: 'u1', email: 'a@example.com' });
+    await first.insert('files', 'u1', file('a'));
+    await first.close();
+
+    const reopened = createAdapter('sqlite', { filename });
+    expect(await reopened.findById('users', null, 'u1')).toEqual({ id: 'u1', email: 'a@example.com' });
+    expect(ids(await reopened.list('files', 'u1'))).toEqual(['a']);
+    await reopened.close();
+  });
+});
+
+describe('scopes', () => {
+  test('should keep each user\'s records apart', async () => {
+    await adapter.insert('files', 'u1', file('a'));
+    await adapter.insert('files', 'u2', file('a', { originalName: 'other.txt' }));
+
+    expect((await adapter.findById('files', 'u1', 'a')).originalName).toBe('a.txt');
+    expect((await adapter.findById('files', 'u2', 'a')).originalName).toBe('other.txt');
+    expect(await adapter.update('files', 'u2', 'a', file('a', { originalName: 'x.txt' }))).not.toBeNull();
+    expect((await adapter.findById('files', 'u1', 'a')).originalName).toBe('a.txt');
+
+    await adapter.removeMany('files', 'u2', ['a']);
+    expect(ids(await adapter.list('files', 'u1'))).toEqual(['a']);
+  });
+
+  test('should list and remove a user\'s data but not the user', async () => {
+    await adapter.insert('users', null, { id: 'u1' });
+    await adapter.insert('users', null, { id: 'u2' });
+    await adapter.insert('folders', 'u1', { id: 'f1', userId: 'u1' });
+    await adapter.insert('files', 'u1', file('a'));
+    await adapter.insert('trash', 'u2', { id: 't1' });
+
+    expect((await adapter.listScopes()).sort()).toEqual(['u1', 'u2']);
+
+    await adapter.removeScope('u1');
+
+    expect(await adapter.list('files', 'u1')).toEqual([]);
+    expect(await adapter.list('folders', 'u1')).toEqual([]);
+    expect(ids(await adapter.list('users', null))).toEqual(['u1', 'u2']);
+    expect(await adapter.listScopes()).toEqual(['u2']);
+  });
+});
+
+describe('transactions', () => {
+  test('should replace a whole scope at once and keep the old records when a record is invalid', async () => {
+    await adapter.replaceAll('files', 'u1', [file('a'), file('b')]);
+    await adapter.insert('files', 'u2', file('z'));
+
+    await adapter.replaceAll('files', 'u1', [file('c'), file('a')]);
+    expect(ids(await adapter.list('files', 'u1'))).toEqual(['c', 'a']);
+
+    await expect(adapter.replaceAll('files', 'u1', [file('d'), { originalName: 'no-id.txt' }]))
+      .rejects.toThrow('missing its id');
+    expect(ids(await adapter.list('files', 'u1'))).toEqual(['c', 'a']);
+    expect(ids(await adapter.list('files', 'u2'))).toEqual(['z']);
+  });
+
+  test('should remove nothing when removing a batch fails part way', async () => {
+    await adapter.replaceAll('files', 'u1', [file('a'), file('b')]);
+
+    await expect(adapter.removeMany('files', 'u1', ['a', { toString: () => { throw new Error('bad id'); } }]))
+      .rejects.toThrow('bad id');
+    expect(ids(await adapter.list('files', 'u1'))).toEqual(['a', 'b']);
+  });
+});
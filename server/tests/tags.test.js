@@ -0,0 +1,122 @@
+/**
+ * Tag tests
+ * Tagging files and folders in bulk, filtering by tag and the S3 mirror
+ */
+
+const { signed, setupServerTests } = require('./testUtils');
+const { findFileById } = require('../models/File');
+const { getObjectTags } = require('../services/awsService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder } = ctx;
+
+const upload = async (name, content, parentFolderId) => {
+  const fields = parentFolderId ? { parentFolderId } : {};
+  return (await ctx.upload(name, signed(content), { type: 'image/png', fields })).body.file;
+};
+
+const tag = (json) => api('PATCH', '/api/tags', { json });
+
+describe('PATCH /api/tags', () => {
+  test('should add and remove tags on files and folders in bulk', async () => {
+    const a = await upload('a.png', 'a');
+    const b = await upload('b.png', 'b');
+    const folder = await createFolder('Clients');
+
+    const added = await tag({ fileIds: [a.id, b.id], folderIds: [folder.id], add: ['Invoices', ' 2024 ', 'invoices'] });
+    const removed = await tag({ fileIds: [b.id], remove: ['2024'] });
+
+    expect(added.status).toBe(200);
+    expect(added.body).toMatchObject({ successCount: 3, failureCount: 0 });
+    expect(added.body.results[0].tags).toEqual(['invoices', '2024']);
+    expect(removed.body.results[0].tags).toEqual(['invoices']);
+    expect((await findFileById(ctx.user.id, a.id)).tags).toEqual(['invoices', '2024']);
+    expect((await api('GET', '/api/folders')).body.find(f => f.id === folder.id).tags).toEqual(['invoices', '2024']);
+  });
+
+  test('should report missing items without failing the others', async () => {
+    const file = await upload('a.png', 'a');
+
+    const response = await tag({ fileIds: [file.id, 'missing'], add: ['keep'] });
+
+    expect(response.body).toMatchObject({ successCount: 1, failureCount: 1 });
+    expect(response.body.results[1]).toMatchObject({ id: 'missing', success: false, error: 'File not found' });
+  });
+
+  test('should reject invalid tags and requests', async () => {
+    const file = await upload('a.png', 'a');
+
+    expect((await tag({ fileIds: [file.id], add: ['no#hash'] })).status).toBe(400);
+    expect((await tag({ fileIds: [file.id], add: ['x'.repeat(65)] })).status).toBe(400);
+    expect((await tag({ fileIds: [file.id] })).status).toBe(400);
+    expect((await tag({ add: ['ok'] })).status).toBe(400);
+
+    const tooMany = await tag({ fileIds: [file.id], add: Array.from({ length: 11 }, (_, i) => `t${i}`) });
+    expect(tooMany.body.results[0]).toMatchObject({ success: false, error: 'An item can have at most 10 tags' });
+  });
+});
+
+describe('S3 object tagging', () => {
+  test('should mirror tags to every version object', async () => {
+    await upload('doc.png', 'v1');
+    const file = await upload('doc.png', 'v2');
+
+    await tag({ fileIds: [file.id], add: ['archive', 'legal'] });
+
+    for (const version of file.versions) {
+      expect(await getObjectTags(ctx.user.awsBucketName, version.s3Key)).toEqual({ archive: 'true', legal: 'true' });
+    }
+
+    await tag({ fileIds: [file.id], remove: ['legal'] });
+    expect(await getObjectTags(ctx.user.awsBucketName, file.s3Key)).toEqual({ archive: 'true' });
+  });
+
+  test('should tag new versions of a tagged file and keep tags on moves', async () => {
+    const file = await upload('doc.png', 'v1');
+    await tag({ fileIds: [file.id], add: ['archive'] });
+
+    const updated = await upload('doc.png', 'v2');
+    expect(await getObjectTags(ctx.user.awsBucketName, updated.s3Key)).toEqual({ archive: 'true' });
+
+    const folder = await createFolder('Moved');
+    const moved = (await api('PATCH', `/api/files/${file.id}`, { json: { parentFolderId: folder.id } })).body.file;
+    expect(moved.tags).toEqual(['archive']);
+    expect(await getObjectTags(ctx.user.awsBucketName, moved.s3Key)).toEqual({ archive: 'true' });
+  });
+});
+
+describe('filtering by tag', () => {
+  test('should filter listings and search by all given tags', async () => {
+    const folder = await createFolder('Tagged');
+    await createFolder('Plain');
+    const a = await upload('a.png', 'a');
+    const b = await upload('b.png', 'b');
+    await upload('c.png', 'c');
+    await tag({ fileIds: [a.id, b.id], folderIds: [folder.id], add: ['work'] });
+    await tag({ fileIds: [b.id], add: ['urgent'] });
+
+    const listing = await api('GET', '/api/files?tag=work');
+    expect(listing.body.items.map(i => i.id)).toEqual([folder.id, a.id, b.id]);
+
+    const search = await api('GET', '/api/files/search?tag=work,urgent');
+    expect(search.body.files.map(f => f.id)).toEqual([b.id]);
+
+    expect((await api('GET', '/api/files/search?tag=bad%23tag')).status).toBe(400);
+  });
+
+  test('should list tags in use with counts', async () => {
+    const folder = await createFolder('Work');
+    const a = await upload('a.png', 'a');
+    const b = await upload('b.png', 'b');
+    await tag({ fileIds: [a.id, b.id], folderIds: [folder.id], add: ['work'] });
+    await tag({ fileIds: [a.id], add: ['alpha'] });
+
+    const response = await api('GET', '/api/tags');
+
+    expect(response.body.tags).toEqual([
+      { name: 'alpha', files: 1, folders: 0 },
+      { name: 'work', files: 2, folders: 1 }
+    ]);
+  });
+});
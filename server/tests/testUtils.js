@@ -0,0 +1,219 @@
+/**
+ * Server Test Utilities
+ * Isolated DEV_MODE environment (objects go to a temp local stand-in),
+ * fresh data stores, a tiny HTTP client and the setup shared by suites
+ * that test the running app (setupServerTests)
+ *
+ * Require this before any server module so the configuration picks up
+ * the test environment.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { randomUUID } = require('crypto');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'skycrate-test-secret';
+process.env.DEV_MODE = 'true';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'skycrate-test-'));
+process.env.LOCAL_STORAGE_PATH = path.join(process.env.DATA_DIR, 'storage');
+// Preview tests turn previews back on
+process.env.PREVIEWS_ENABLED = 'false';
+
+const jwt = require('jsonwebtoken');
+const { createAdapter, setAdapter } = require('../adapters');
+
+// Point the models at a brand new, empty store
+const useFreshStore = (type = 'json') => {
+  const dataDir = fs.mkdtempSync(path.join(process.env.DATA_DIR, `${type}-`));
+  const adapter = createAdapter(type, {
+    dataDir,
+    filename: path.join(dataDir, 'skycrate.sqlite')
+  });
+  setAdapter(adapter);
+  return adapter;
+};
+
+// Remove everything the tests wrote
+const removeTestData = () => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+};
+
+// Create a user record and a token for it
+const createTestUser = async (overrides = {}) => {
+  const { createUser } = require('../models/User');
+  const { initializeUserStorage } = require('../config/database');
+
+  const user = await createUser({
+    id: randomUUID(),
+    email: `user-${randomUUID()}@example.com`,
+    username: 'tester',
+    awsBucketName: `dev-bucket-${randomUUID()}`,
+    createdAt: new Date().toISOString(),
+    ...overrides
+  });
+  await initializeUserStorage(user.id);
+
+  const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  return { user, token };
+};
+
+// Start the app on a random local port
+const startServer = (app) => {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+// Build a multipart/form-data body with one file and optional text fields
+const buildMultipart = ({ fields = {}, file }) => {
+  const boundary = `----skycrate${randomUUID()}`;
+  const parts = [];
+
+  Object.entries(fields).forEach(([name, value]) => {
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+    ));
+  });
+
+  if (file) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${file.field || 'file'}"; filename="${file.name}"\r\n` +
+      `Content-Type: ${file.type || 'application/octet-stream'}\r\n\r\n`
+    ));
+    parts.push(Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content));
+    parts.push(Buffer.from('\r\n'));
+  }
+
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+};
+
+// Minimal HTTP client: resolves { status, headers, body } (JSON parsed when possible)
+const request = (baseUrl, method, urlPath, { token, json, multipart, body, headers = {} } = {}) => {
+  return new Promise((resolve, reject) => {
+    const requestHeaders = { ...headers };
+    let payload = null;
+
+    if (token) {
+      requestHeaders.Authorization = `Bearer ${token}`;
+    }
+    if (json !== undefined) {
+      payload = Buffer.from(JSON.stringify(json));
+      requestHeaders['Content-Type'] = 'application/json';
+    } else if (multipart) {
+      const { body, contentType } = buildMultipart(multipart);
+      payload = body;
+      requestHeaders['Content-Type'] = contentType;
+    } else if (body !== undefined) {
+      payload = Buffer.from(body);
+      requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/octet-stream';
+    }
+    if (payload) {
+      requestHeaders['Content-Length'] = payload.length;
+    }
+
+    const req = http.request(`${baseUrl}${urlPath}`, { method, headers: requestHeaders }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        let body = raw;
+        if ((res.headers['content-type'] || '').includes('application/json')) {
+          body = JSON.parse(raw.toString('utf8'));
+        }
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    req.on('error', reject);
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+};
+
+// Leading bytes the upload type check recognises, for test content
+const SIGNATURES = {
+  'image/png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'video/mp4': Buffer.from('\0\0\0\x18ftypisom', 'latin1'),
+  'application/pdf': Buffer.from('%PDF-'),
+  'application/zip': Buffer.from([0x50, 0x4b, 0x03, 0x04])
+};
+
+// Content of a type that needs a signature: the signature, then `text`
+const signed = (text, type = 'image/png') => Buffer.concat([SIGNATURES[type], Buffer.from(text)]);
+
+// Every object key stored under a directory of the local S3 stand-in
+const listKeys = (dir, prefix) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory() ?
+    listKeys(path.join(dir, entry.name), `${prefix}${entry.name}/`) :
+    [`${prefix}${entry.name}`]);
+};
+
+// Register the hooks of a suite that talks to the app: the server starts
+// once per file, every test gets a fresh store and user (userOverrides as
+// for createTestUser) with console output silenced. Returns a context
+// whose server, user and token the hooks fill in, and helpers that act
+// as the current user.
+const setupServerTests = (app, { store = 'json', userOverrides = {} } = {}) => {
+  const ctx = { server: null, user: null, token: null };
+
+  beforeAll(async () => {
+    ctx.server = await startServer(app);
+  });
+
+  afterAll(async () => {
+    await ctx.server.close();
+    removeTestData();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    useFreshStore(store);
+    Object.assign(ctx, await createTestUser(userOverrides));
+  });
+
+  // Request as the current user unless options.token says otherwise
+  ctx.api = (method, urlPath, options = {}) => request(ctx.server.baseUrl, method, urlPath, { token: ctx.token, ...options });
+
+  // POST /api/files/upload with text fields sent before the file
+  ctx.upload = (name, content, { type = 'application/pdf', fields = {}, token = ctx.token } = {}) => {
+    return ctx.api('POST', '/api/files/upload', { token, multipart: { fields, file: { name, type, content } } });
+  };
+
+  ctx.createFolder = async (folderName, parentFolderId = null) => {
+    const response = await ctx.api('POST', '/api/folders', { json: { folderName, parentFolderId } });
+    return response.body.folder;
+  };
+
+  // Where the local stand-in keeps an object of the user's bucket
+  ctx.objectPath = (key) => path.join(process.env.LOCAL_STORAGE_PATH, 'objects', ctx.user.awsBucketName, key);
+
+  // Keys of the user's objects, optionally only those under a prefix
+  // ending in '/'
+  ctx.listObjects = (prefix = '') => listKeys(ctx.objectPath(prefix), prefix);
+
+  return ctx;
+};
+
+module.exports = {
+  useFreshStore,
+  removeTestData,
+  createTestUser,
+  startServer,
+  buildMultipart,
+  request,
+  signed,
+  setupServerTests
+};
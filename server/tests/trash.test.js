@@ -0,0 +1,278 @@
+/**
+ * Trash tests
+ * Soft delete, restore, permanent delete and the retention purge
+ */
+
+const fs = require('fs');
+const { signed, setupServerTests } = require('./testUtils');
+const { readFiles, findFileById, createNewVersion } = require('../models/File');
+const { findFolderById } = require('../models/Folder');
+const { readTrash } = require('../models/Trash');
+const { getAdapter } = require('../adapters');
+const { getCurrentUsage } = require('../services/billingService');
+const { purgeExpiredTrash } = require('../services/trashService');
+const { withLock } = require('../utils/lock');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api, createFolder, objectPath } = ctx;
+
+const objectExists = (key) => fs.existsSync(objectPath(key));
+
+const upload = async (name, content, parentFolderId) => {
+  const fields = parentFolderId ? { parentFolderId } : {};
+  return (await ctx.upload(name, signed(content), { type: 'image/png', fields })).body.file;
+};
+
+describe('deleting files and folders', () => {
+  test('should move a file and all its versions to the trash', async () => {
+    const folder = await createFolder('Reports');
+    await upload('q1.png', 'draft', folder.id);
+    const file = await upload('q1.png', 'final', folder.id);
+
+    const response = await api('DELETE', `/api/files/${file.id}`);
+
+    expect(response.status).toBe(200);
+    expect(await findFileById(ctx.user.id, file.id)).toBeNull();
+    expect(file.versions.every(v => objectExists(v.s3Key))).toBe(true);
+
+    const trash = await api('GET', '/api/trash');
+    expect(trash.body.items).toHaveLength(1);
+    expect(trash.body.items[0]).toMatchObject({
+      itemType: 'file',
+      itemId: file.id,
+      name: 'q1.png',
+      parentFolderId: folder.id,
+      size: signed('draft').length + signed('final').length
+    });
+    expect(trash.body.items[0].item.versions).toHaveLength(2);
+    expect(trash.body.retentionDays).toBe(30);
+  });
+
+  test('should not lose a version added while the file is being trashed', async () => {
+    const file = await upload('q1.png', 'draft');
+
+    // The trash waits behind the version for the user's lock
+    let release;
+    const holding = withLock(`user:${ctx.user.id}`, () => new Promise(resolve => { release = resolve; }));
+    const versioning = createNewVersion(ctx.user.id, file.id, {
+      s3Key: `uploads/late-${file.id}`,
+      fileSize: 4,
+      storageClass: 'STANDARD',
+      uploadDate: new Date().toISOString()
+    });
+    const trashing = api('DELETE', `/api/files/${file.id}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    release();
+    await holding;
+
+    await versioning;
+    expect((await trashing).status).toBe(200);
+    const [entry] = await readTrash(ctx.user.id);
+    expect(entry.item.versions.map(v => v.s3Key)).toContain(`uploads/late-${file.id}`);
+  });
+
+  test('should move every file of a bulk delete to the trash', async () => {
+    const a = await upload('a.png', 'a');
+    const b = await upload('b.png', 'b');
+
+    const response = await api('DELETE', '/api/files/bulk', { json: { fileIds: [a.id, b.id, 'missing'] } });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ successCount: 2, failureCount: 1 });
+    expect(await readFiles(ctx.user.id)).toHaveLength(0);
+    expect(await readTrash(ctx.user.id)).toHaveLength(2);
+  });
+
+  test('should move an empty folder to the trash', async () => {
+    const folder = await createFolder('Old');
+
+    const response = await api('DELETE', `/api/folders/${folder.id}`);
+
+    expect(response.status).toBe(200);
+    expect(await findFolderById(ctx.user.id, folder.id)).toBeNull();
+    expect((await readTrash(ctx.user.id))[0]).toMatchObject({ itemType: 'folder', itemId: folder.id });
+  });
+
+  test('should move a folder to the trash with its subfolders and files', async () => {
+    const folder = await createFolder('Projects');
+    const sub = await createFolder('Drafts', folder.id);
+    const top = await upload('top.png', 'top', folder.id);
+    const inner = await upload('inner.png', 'inner', sub.id);
+
+    const response = await api('DELETE', `/api/folders/${folder.id}`);
+
+    expect(response.status).toBe(200);
+    expect(await findFolderById(ctx.user.id, sub.id)).toBeNull();
+    expect(await readFiles(ctx.user.id)).toHaveLength(0);
+    const [entry] = await readTrash(ctx.user.id);
+    expect(entry).toMatchObject({ itemType: 'folder', itemId: folder.id, size: signed('top').length + signed('inner').length });
+    expect(entry.contents.folders.map(f => f.id)).toEqual([sub.id]);
+    expect(entry.contents.files.map(f => f.id).sort()).toEqual([top.id, inner.id].sort());
+    expect((await getCurrentUsage(ctx.user.id)).trash.fileCount).toBe(2);
+  });
+
+  test('should keep counting trashed files in usage', async () => {
+    // 1000 bytes with the PNG signature
+    const file = await upload('big.png', 'x'.repeat(992));
+    await api('DELETE', `/api/files/${file.id}`);
+
+    const usage = await getCurrentUsage(ctx.user.id);
+
+    expect(usage.totalStorage).toBe(1000);
+    expect(usage.totalFiles).toBe(0);
+    expect(usage.trash).toEqual({ fileCount: 1, totalSize: 1000 });
+  });
+});
+
+describe('POST /api/trash/:trashId/restore', () => {
+  test('should restore a file with its versions to its folder', async () => {
+    const folder = await createFolder('Docs');
+    await upload('plan.png', 'v1', folder.id);
+    const file = await upload('plan.png', 'v2', folder.id);
+    const trashId = (await api('DELETE', `/api/files/${file.id}`)).body.trashItem.id;
+
+    const response = await api('POST', `/api/trash/${trashId}/restore`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.restoredTo).toBe(folder.id);
+    const restored = await findFileById(ctx.user.id, file.id);
+    expect(restored.parentFolderId).toBe(folder.id);
+    expect(restored.versions).toHaveLength(2);
+    expect(await readTrash(ctx.user.id)).toHaveLength(0);
+  });
+
+  test('should restore a trashed parent folder along with the file', async () => {
+    const folder = await createFolder('Nested');
+    const file = await upload('inner.png', 'data', folder.id);
+    await api('DELETE', `/api/files/${file.id}`);
+    await api('DELETE', `/api/folders/${folder.id}`);
+    const fileEntry = (await readTrash(ctx.user.id)).find(e => e.itemType === 'file');
+
+    const response = await api('POST', `/api/trash/${fileEntry.id}/restore`);
+
+    expect(response.status).toBe(200);
+    expect(await findFolderById(ctx.user.id, folder.id)).not.toBeNull();
+    expect((await findFileById(ctx.user.id, file.id)).parentFolderId).toBe(folder.id);
+    expect(await readTrash(ctx.user.id)).toHaveLength(0);
+  });
+
+  test('should restore a folder with its subfolders and files', async () => {
+    const folder = await createFolder('Projects');
+    const sub = await createFolder('Drafts', folder.id);
+    const inner = await upload('inner.png', 'inner', sub.id);
+    const trashId = (await api('DELETE', `/api/folders/${folder.id}`)).body.trashItem.id;
+
+    const response = await api('POST', `/api/trash/${trashId}/restore`);
+
+    expect(response.status).toBe(200);
+    expect((await findFolderById(ctx.user.id, sub.id)).parentFolderId).toBe(folder.id);
+    expect((await findFileById(ctx.user.id, inner.id)).parentFolderId).toBe(sub.id);
+    expect(await readTrash(ctx.user.id)).toHaveLength(0);
+  });
+
+  test('should restore the trashed folder a file was deleted from inside of', async () => {
+    const folder = await createFolder('Projects');
+    const sub = await createFolder('Drafts', folder.id);
+    const file = await upload('inner.png', 'inner', sub.id);
+    await api('DELETE', `/api/files/${file.id}`);
+    await api('DELETE', `/api/folders/${folder.id}`);
+    const fileEntry = (await readTrash(ctx.user.id)).find(e => e.itemType === 'file');
+
+    const response = await api('POST', `/api/trash/${fileEntry.id}/restore`);
+
+    expect(response.body.restoredTo).toBe(sub.id);
+    expect(await findFolderById(ctx.user.id, folder.id)).not.toBeNull();
+    expect(await readTrash(ctx.user.id)).toHaveLength(0);
+  });
+
+  test('should refuse to restore over a file with the same name', async () => {
+    const file = await upload('same.png', 'old');
+    const trashId = (await api('DELETE', `/api/files/${file.id}`)).body.trashItem.id;
+    await upload('same.png', 'new');
+
+    const response = await api('POST', `/api/trash/${trashId}/restore`);
+
+    expect(response.status).toBe(409);
+    expect(await readTrash(ctx.user.id)).toHaveLength(1);
+  });
+
+  test('should return 404 for an unknown trash item', async () => {
+    expect((await api('POST', '/api/trash/missing/restore')).status).toBe(404);
+  });
+});
+
+describe('permanent deletion', () => {
+  test('should delete one item and all its objects', async () => {
+    await upload('gone.png', 'one');
+    const file = await upload('gone.png', 'two');
+    const trashId = (await api('DELETE', `/api/files/${file.id}`)).body.trashItem.id;
+
+    const response = await api('DELETE', `/api/trash/${trashId}`);
+
+    expect(response.status).toBe(200);
+    expect(file.versions.some(v => objectExists(v.s3Key))).toBe(false);
+    expect(await readTrash(ctx.user.id)).toHaveLength(0);
+  });
+
+  test('should delete the objects of every file in a trashed folder', async () => {
+    const folder = await createFolder('Projects');
+    const sub = await createFolder('Drafts', folder.id);
+    const top = await upload('top.png', 'top', folder.id);
+    const inner = await upload('inner.png', 'inner', sub.id);
+    const trashId = (await api('DELETE', `/api/folders/${folder.id}`)).body.trashItem.id;
+
+    const response = await api('DELETE', `/api/trash/${trashId}`);
+
+    expect(response.status).toBe(200);
+    expect(objectExists(top.s3Key) || objectExists(inner.s3Key)).toBe(false);
+    expect(await readTrash(ctx.user.id)).toHaveLength(0);
+  });
+
+  test('should empty the trash', async () => {
+    const a = await upload('a.png', 'a');
+    const b = await upload('b.png', 'b');
+    await api('DELETE', '/api/files/bulk', { json: { fileIds: [a.id, b.id] } });
+
+    const response = await api('DELETE', '/api/trash');
+
+    expect(response.body).toMatchObject({ purged: 2, failed: 0 });
+    expect(objectExists(a.s3Key) || objectExists(b.s3Key)).toBe(false);
+  });
+
+  test('should purge only items past their retention period', async () => {
+    const old = await upload('old.png', 'old');
+    const recent = await upload('recent.png', 'recent');
+    await api('DELETE', `/api/files/${old.id}`);
+    await api('DELETE', `/api/files/${recent.id}`);
+
+    const oldEntry = (await readTrash(ctx.user.id)).find(e => e.itemId === old.id);
+    await getAdapter().update('trash', ctx.user.id, oldEntry.id, { ...oldEntry, purgeAt: new Date(Date.now() - 1000).toISOString() });
+
+    const purged = await purgeExpiredTrash();
+
+    expect(purged).toBe(1);
+    expect(objectExists(old.s3Key)).toBe(false);
+    expect(objectExists(recent.s3Key)).toBe(true);
+    expect((await readTrash(ctx.user.id)).map(e => e.itemId)).toEqual([recent.id]);
+  });
+
+  test('should leave alone an entry restored while the purge waited for the lock', async () => {
+    const file = await upload('kept.png', 'kept');
+    await api('DELETE', `/api/files/${file.id}`);
+    const [entry] = await readTrash(ctx.user.id);
+    await getAdapter().update('trash', ctx.user.id, entry.id, { ...entry, purgeAt: new Date(Date.now() - 1000).toISOString() });
+
+    // A restore holding the lock takes the entry out of the trash
+    let release;
+    const restoring = withLock(`trash:${ctx.user.id}`, () => new Promise(resolve => { release = resolve; }));
+    const purging = purgeExpiredTrash();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await getAdapter().remove('trash', ctx.user.id, entry.id);
+    release();
+    await restoring;
+
+    expect(await purging).toBe(0);
+    expect(objectExists(file.s3Key)).toBe(true);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Streaming upload tests
+ * Uploads stream to the DEV_MODE local stand-in through the multipart path
+ */
+
+process.env.MAX_FILE_SIZE_BYTES = `${20 * 1024 * 1024}`;
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { randomBytes } = require('crypto');
+const {
+  useFreshStore,
+  removeTestData,
+  createTestUser,
+  startServer,
+  request,
+  signed
+} = require('./testUtils');
+const { uploadStreamToS3 } = require('../services/awsService');
+const { readFiles } = require('../models/File');
+const { readBilling } = require('../models/Billing');
+const app = require('../app');
+
+const BUCKET = 'stream-test-bucket';
+const storageRoot = process.env.LOCAL_STORAGE_PATH;
+
+const objectPath = (bucket, key) => path.join(storageRoot, 'objects', bucket, key);
+
+const pendingMultipartUploads = () => {
+  const dir = path.join(storageRoot, 'multipart');
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+// Readable stream of `count` chunks of `chunkSize` random bytes
+const randomStream = (count, chunkSize, { failAfter } = {}) => {
+  const chunks = Array.from({ length: count }, () => randomBytes(chunkSize));
+  const stream = Readable.from((async function* () {
+    for (let i = 0; i < chunks.length; i++) {
+      if (failAfter !== undefined && i === failAfter) {
+        throw new Error('client disconnected');
+      }
+      yield chunks[i];
+    }
+  })());
+  return { stream, content: Buffer.concat(chunks) };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  removeTestData();
+});
+
+describe('uploadStreamToS3', () => {
+  test('should upload a large stream in parallel parts', async () => {
+    const { stream, content } = randomStream(20, 100 * 1024);
+
+    const result = await uploadStreamToS3(BUCKET, 'uploads/big.bin', stream, {
+      partSize: 256 * 1024,
+      concurrency: 3
+    });
+
+    expect(result.size).toBe(content.length);
+    expect(result.parts).toBe(8);
+    expect(result.etag).toMatch(/-8"$/);
+    expect(fs.readFileSync(objectPath(BUCKET, 'uploads/big.bin')).equals(content)).toBe(true);
+    expect(pendingMultipartUploads()).toEqual([]);
+  });
+
+  test('should use a single request for streams smaller than one part', async () => {
+    const { stream, content } = randomStream(2, 1024);
+
+    const result = await uploadStreamToS3(BUCKET, 'uploads/small.bin', stream, { partSize: 256 * 1024 });
+
+    expect(result).toMatchObject({ size: content.length, parts: 1 });
+    expect(fs.readFileSync(objectPath(BUCKET, 'uploads/small.bin')).equals(content)).toBe(true);
+  });
+
+  test('should abort the multipart upload when the stream fails', async () => {
+    const { stream } = randomStream(20, 100 * 1024, { failAfter: 10 });
+
+    await expect(uploadStreamToS3(BUCKET, 'uploads/broken.bin', stream, { partSize: 256 * 1024 }))
+      .rejects.toThrow('client disconnected');
+
+    expect(fs.existsSync(objectPath(BUCKET, 'uploads/broken.bin'))).toBe(false);
+    expect(pendingMultipartUploads()).toEqual([]);
+  });
+
+  test('should refuse keys outside the bucket', async () => {
+    const { stream } = randomStream(1, 10);
+    await expect(uploadStreamToS3(BUCKET, '../escape.bin', stream)).rejects.toThrow('Invalid object key');
+  });
+});
+
+describe('POST /api/files/upload', () => {
+  let server;
+  let user;
+  let token;
+
+  beforeAll(async () => {
+    server = await startServer(app);
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    useFreshStore('json');
+    ({ user, token } = await createTestUser());
+  });
+
+  const upload = (name, content, fields) => request(server.baseUrl, 'POST', '/api/files/upload', {
+    token,
+    multipart: { fields, file: { name, type: 'video/mp4', content } }
+  });
+
+  test('should stream a multi-part file to storage and record it', async () => {
+    const content = signed(randomBytes(12 * 1024 * 1024), 'video/mp4');
+
+    const response = await upload('movie.mp4', content, { storageClass: 'STANDARD_IA' });
+
+    expect(response.status).toBe(200);
+    const { file } = response.body;
+    expect(file).toMatchObject({ fileSize: content.length, storageClass: 'STANDARD_IA' });
+    expect(file.s3Key).toMatch(/^uploads\/\d+-movie\.mp4$/);
+    expect(fs.readFileSync(objectPath(user.awsBucketName, file.s3Key)).equals(content)).toBe(true);
+
+    const billing = await readBilling(user.id);
+    expect(billing.map(b => b.type)).toContain('request_upload');
+  });
+
+  test('should reject files over the size limit and leave nothing behind', async () => {
+    const content = signed(randomBytes(21 * 1024 * 1024), 'video/mp4');
+
+    const response = await upload('huge.mp4', content);
+
+    expect(response.status).toBe(413);
+    expect(await readFiles(user.id)).toEqual([]);
+    expect(fs.existsSync(path.join(storageRoot, 'objects', user.awsBucketName))).toBe(false);
+    expect(pendingMultipartUploads()).toEqual([]);
+  });
+
+  test('should reject unsupported file types', async () => {
+    const response = await request(server.baseUrl, 'POST', '/api/files/upload', {
+      token,
+      multipart: { file: { name: 'script.sh', type: 'application/x-sh', content: 'echo hi' } }
+    });
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Resumable upload session tests
+ * Chunked uploads through /api/uploads on the DEV_MODE local stand-in
+ */
+
+process.env.UPLOAD_PART_SIZE_BYTES = `${5 * 1024 * 1024}`;
+
+const fs = require('fs');
+const path = require('path');
+const { randomBytes, createHash } = require('crypto');
+const { createTestUser, signed, setupServerTests } = require('./testUtils');
+const { readFiles } = require('../models/File');
+const { readUploadSessions, updateUploadSession } = require('../models/UploadSession');
+const { cleanupExpiredUploadSessions } = require('../services/uploadSessionService');
+const app = require('../app');
+
+const ctx = setupServerTests(app);
+const { api } = ctx;
+
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const storageRoot = process.env.LOCAL_STORAGE_PATH;
+
+const pendingMultipartUploads = () => {
+  const dir = path.join(storageRoot, 'multipart');
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+// Two chunks: one full, one short
+const content = signed(randomBytes(CHUNK_SIZE + 1000), 'video/mp4');
+
+const startSession = (overrides = {}) => api('POST', '/api/uploads', {
+  json: { fileName: 'movie.mp4', fileSize: content.length, fileType: 'video/mp4', ...overrides }
+});
+
+const putChunk = (sessionId, offset, data = content) => api('PUT', `/api/uploads/${sessionId}?offset=${offset}`, {
+  body: data.subarray(offset, Math.min(offset + CHUNK_SIZE, data.length))
+});
+
+describe('upload sessions', () => {
+  test('should upload a file in chunks and record it', async () => {
+    const pendingBefore = pendingMultipartUploads();
+    const created = await startSession();
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ offset: 0, chunkSize: CHUNK_SIZE, complete: false });
+    const { sessionId } = created.body;
+
+    const first = await putChunk(sessionId, 0);
+    expect(first.status).toBe(200);
+    expect(first.body.offset).toBe(CHUNK_SIZE);
+
+    const progress = await api('GET', `/api/uploads/${sessionId}`);
+    expect(progress.body.offset).toBe(CHUNK_SIZE);
+
+    const last = await putChunk(sessionId, CHUNK_SIZE);
+    expect(last.body).toMatchObject({ offset: content.length, complete: true });
+
+    const completed = await api('POST', `/api/uploads/${sessionId}/complete`);
+    expect(completed.status).toBe(200);
+    expect(completed.body.file.originalName).toBe('movie.mp4');
+
+    const [file] = await readFiles(ctx.user.id);
+    expect(file.fileSize).toBe(content.length);
+    const stored = fs.readFileSync(ctx.objectPath(file.s3Key));
+    expect(stored.equals(content)).toBe(true);
+    expect(await readUploadSessions(ctx.user.id)).toEqual([]);
+    expect(pendingMultipartUploads()).toEqual(pendingBefore);
+  });
+
+  test('should reject a chunk at the wrong offset with the resume offset', async () => {
+    const { body: session } = await startSession();
+    await putChunk(session.sessionId, 0);
+
+    // A retry of the chunk that already arrived
+    const response = await putChunk(session.sessionId, 0);
+
+    expect(response.status).toBe(409);
+    expect(response.body.offset).toBe(CHUNK_SIZE);
+  });
+
+  test('should reject a short chunk that is not the last one', async () => {
+    const { body: session } = await startSession();
+
+    const response = await api('PUT', `/api/uploads/${session.sessionId}?offset=0`, {
+      body: content.subarray(0, 1024)
+    });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should refuse to complete before every byte arrived', async () => {
+    const { body: session } = await startSession();
+    await putChunk(session.sessionId, 0);
+
+    const response = await api('POST', `/api/uploads/${session.sessionId}/complete`);
+
+    expect(response.status).toBe(409);
+    expect(await readFiles(ctx.user.id)).toEqual([]);
+  });
+
+  test('should add a new version when the name already exists', async () => {
+    for (let i = 0; i < 2; i++) {
+      const data = signed(randomBytes(CHUNK_SIZE + 1000), 'video/mp4');
+      const { body: session } = await startSession();
+      await putChunk(session.sessionId, 0, data);
+      await putChunk(session.sessionId, CHUNK_SIZE, data);
+      const completed = await api('POST', `/api/uploads/${session.sessionId}/complete`);
+      expect(completed.body.isNewVersion).toBe(i === 1);
+    }
+
+    const [file] = await readFiles(ctx.user.id);
+    expect(file.totalVersions).toBe(2);
+  });
+
+  test('should record the SHA-256 of the assembled file', async () => {
+    const { body: session } = await startSession();
+    await putChunk(session.sessionId, 0);
+    await putChunk(session.sessionId, CHUNK_SIZE);
+
+    const completed = await api('POST', `/api/uploads/${session.sessionId}/complete`);
+
+    const [version] = completed.body.file.versions;
+    expect(version.checksum).toBe(createHash('sha256').update(content).digest('hex'));
+    expect(version.s3Checksum).toMatch(/-2$/);
+  });
+
+  test('should validate the session request', async () => {
+    expect((await startSession({ fileSize: 0 })).status).toBe(400);
+    expect((await startSession({ fileType: 'text/x-shellscript' })).status).toBe(400);
+    expect((await startSession({ fileSize: 100 * 1024 * 1024 * 1024 })).status).toBe(413);
+  });
+
+  test("should not expose another user's session", async () => {
+    const { body: session } = await startSession();
+    const { token: otherToken } = await createTestUser();
+
+    const response = await api('GET', `/api/uploads/${session.sessionId}`, { token: otherToken });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should count chunks against their own rate limit, with or without a token', async () => {
+    const chunk = await api('PUT', '/api/uploads/missing?offset=0', { token: null, body: Buffer.from('x') });
+    const status = await api('GET', '/api/uploads/missing', { token: null });
+
+    expect(chunk.status).toBe(401);
+    expect(chunk.headers['ratelimit-limit']).toBe('2000');
+    expect(status.headers['ratelimit-limit']).toBe('200');
+  });
+
+  test('should abort a cancelled session', async () => {
+    const pendingBefore = pendingMultipartUploads();
+    const { body: session } = await startSession();
+    await putChunk(session.sessionId, 0);
+
+    const response = await api('DELETE', `/api/uploads/${session.sessionId}`);
+
+    expect(response.status).toBe(200);
+    expect(await readUploadSessions(ctx.user.id)).toEqual([]);
+    expect(pendingMultipartUploads()).toEqual(pendingBefore);
+  });
+});
+
+describe('cleanupExpiredUploadSessions', () => {
+  test('should abort expired sessions and keep live ones', async () => {
+    const pendingBefore = pendingMultipartUploads().length;
+    const { body: expired } = await startSession({ fileName: 'old.mp4' });
+    const { body: live } = await startSession({ fileName: 'new.mp4' });
+    await updateUploadSession(ctx.user.id, expired.sessionId, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const removed = await cleanupExpiredUploadSessions();
+
+    expect(removed).toBe(1);
+    const sessions = await readUploadSessions(ctx.user.id);
+    expect(sessions.map(s => s.id)).toEqual([live.sessionId]);
+    expect(pendingMultipartUploads()).toHaveLength(pendingBefore + 1);
+
+    await api('DELETE', `/api/uploads/${live.sessionId}`);
+  });
+});
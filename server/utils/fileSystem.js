@@ -0,0 +1,36 @@
+/**
+ * File System Helpers
+ * Crash-safe file writes for the JSON data store
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+// Write to a temp file in the same directory, flush it, then rename over
+// the target. A crash mid-write leaves the previous file intact.
+const writeFileAtomic = async (filePath, contents) => {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${randomUUID()}.tmp`
+  );
+
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+module.exports = {
+  writeFileAtomic
+};
@@ -0,0 +1,49 @@
+/**
+ * In-Process Locks
+ * Serializes async read-modify-write cycles on the same key
+ *
+ * Locks are re-entrant within one async call chain, so a locked model
+ * function can call another locked model function for the same user
+ * (e.g. addFile -> createNewVersion) without deadlocking.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const heldLocks = new AsyncLocalStorage();
+const lockQueues = new Map();
+
+// Run fn while holding the lock for key
+const withLock = async (key, fn) => {
+  const held = heldLocks.getStore();
+  if (held && held.has(key)) {
+    return fn();
+  }
+
+  const previous = lockQueues.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  lockQueues.set(key, tail);
+
+  await previous;
+  try {
+    return await heldLocks.run(new Set([...(held || []), key]), fn);
+  } finally {
+    release();
+    if (lockQueues.get(key) === tail) {
+      lockQueues.delete(key);
+    }
+  }
+};
+
+// Serialize all metadata changes for one user
+const withUserLock = (userId, fn) => withLock(`user:${userId}`, fn);
+
+// Wrap a (userId, ...args) function so each call holds the user's lock
+const lockedByUser = (fn) => (userId, ...args) => withUserLock(userId, () => fn(userId, ...args));
+
+module.exports = {
+  withLock,
+  withUserLock,
+  lockedByUser
+};
@@ -0,0 +1,96 @@
+/**
+ * S3 Multer Storage
+ * Multer storage engine that streams each uploaded file to S3
+ *
+ * getTarget(req, file, head) decides where a file goes and returns
+ * { bucketName, key, storageClass, contentType?, metadata?, ...extra },
+ * where metadata is written as the object's user metadata. head holds the
+ * file's first `headBytes` bytes (fewer for smaller files), read before
+ * anything is stored. Text fields sent before the file part are already
+ * on req.body when it runs. Everything it returns
+ * ends up on req.file together with size, etag, sha256 (hex, of the whole
+ * file) and checksumSHA256 (the checksum S3 stored for the object).
+ */
+
+const { PassThrough } = require('stream');
+const { uploadStreamToS3, deleteFileFromS3 } = require('../services/awsService');
+
+// Read the first `length` bytes of a stream. Resolves with them and a
+// stream that yields the whole content again, head included.
+const peekStream = (stream, length) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  const finish = (ended) => {
+    stream.off('data', onData);
+    stream.off('end', onEnd);
+    stream.off('error', reject);
+    stream.pause();
+
+    const head = Buffer.concat(chunks);
+    const body = new PassThrough();
+    if (ended) {
+      body.end(head);
+    } else {
+      stream.on('error', error => body.destroy(error));
+      body.write(head);
+      stream.pipe(body);
+    }
+    resolve({ head: head.subarray(0, length), body });
+  };
+  const onData = (chunk) => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= length) finish(false);
+  };
+  const onEnd = () => finish(true);
+
+  stream.on('data', onData);
+  stream.once('end', onEnd);
+  stream.once('error', reject);
+});
+
+const createS3Storage = ({ getTarget, headBytes = 0 }) => ({
+  _handleFile(req, file, cb) {
+    // Multer truncates the stream when the file size limit is hit;
+    // abort instead of completing a partial object
+    const controller = new AbortController();
+    file.stream.on('limit', () => controller.abort());
+
+    peekStream(file.stream, headBytes)
+      .then(async ({ head, body }) => {
+        const target = await getTarget(req, file, head);
+        const result = await uploadStreamToS3(target.bucketName, target.key, body, {
+          storageClass: target.storageClass,
+          contentType: target.contentType || file.mimetype,
+          metadata: target.metadata,
+          signal: controller.signal
+        });
+        cb(null, {
+          ...target,
+          size: result.size,
+          etag: result.etag,
+          sha256: result.sha256,
+          checksumSHA256: result.checksumSHA256
+        });
+      })
+      .catch((error) => {
+        // Let multer finish reading the request body
+        file.stream.unpipe();
+        file.stream.resume();
+        cb(error);
+      });
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.key) {
+      return cb(null);
+    }
+    deleteFileFromS3(file.bucketName, file.key).then(() => cb(null), cb);
+  }
+});
+
+module.exports = {
+  peekStream,
+  createS3Storage
+};
@@ -28,20 +28,154 @@ import {
   FiSun,
   FiMoon,
   FiDollarSign,
-  FiFile
+  FiFile,
+  FiMove,
+  FiCopy,
+  FiRotateCcw,
+  FiTag,
+  FiShield,
+  FiAlertTriangle,
+  FiLoader
 } from 'react-icons/fi';
 import { useTheme } from '../contexts/ThemeContext';
 import { useSharedFiles } from '../contexts/SharedFilesContext';
 import { useNotifications } from '../contexts/NotificationContext';
-import { fileAPI, folderAPI, authAPI } from '../services/api';
+import { fileAPI, folderAPI, authAPI, trashAPI, tagAPI } from '../services/api';
 import StorageClassModal from './StorageClassModal';
 import ShareModal from './ShareModal';
 import DashboardBilling from './DashboardBilling';
 import VersionHistory from './VersionHistory';
+import MoveFileModal from './MoveFileModal';
+import TagEditorModal from './TagEditorModal';
 import NotificationTest from './NotificationTest';
 import './Dashboard.css';
 import '../styles/animations.css';
 
+// Items per page of a folder listing
+const LISTING_PAGE_SIZE = 100;
+
+// The listing's default order: folders first, then by name
+const listingPosition = (item) => [item.isFolder ? 0 : 1, (item.isFolder ? item.name : item.originalName).toLowerCase(), item.id];
+const compareListingItems = (a, b) => {
+  const pa = listingPosition(a);
+  const pb = listingPosition(b);
+  const index = pa.findIndex((value, i) => value !== pb[i]);
+  return index === -1 ? 0 : pa[index] < pb[index] ? -1 : 1;
+};
+
+// Apply { changed, removed } from an incremental listing to loaded items
+const applyListingChanges = (items, { changed, removed }) => {
+  const changedIds = new Set(changed.map(item => item.id));
+  return items
+    .filter(item => !changedIds.has(item.id) && !removed.includes(item.id))
+    .concat(changed)
+    .sort(compareListingItems);
+};
+
+// Malware scan states shown next to file names
+const SCAN_BADGES = {
+  pending: { icon: FiLoader, label: 'Scanning', title: 'Being scanned for malware; sharing is available once it is done' },
+  clean: { icon: FiShield, label: 'Clean', title: 'Scanned, no malware found' },
+  infected: { icon: FiAlertTriangle, label: 'Quarantined', title: 'Malware found; downloads and sharing are blocked' }
+};
+
+const ScanBadge = ({ status }) => {
+  const badge = SCAN_BADGES[status];
+  if (!badge) return null;
+  const Icon = badge.icon;
+  return (
+    <span className={`scan-badge scan-${status}`} title={badge.title}>
+      <Icon /> {badge.label}
+    </span>
+  );
+};
+
+// How often the listing is refreshed while files are being scanned or
+// their previews generated
+const SCAN_POLL_INTERVAL_MS = 5000;
+
+// How long a folder is refreshed while files stay pending; after that the
+// listing only updates on the next reload or navigation
+const SCAN_POLL_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Thumbnail of a file once its previews are ready, its type icon until
+// then (quarantined files keep the icon)
+const FileThumbnail = ({ file, icon }) => {
+  const [src, setSrc] = useState(null);
+  const showPreview = file.previewStatus === 'ready' && file.scanStatus !== 'infected';
+
+  useEffect(() => {
+    if (!showPreview) {
+      setSrc(null);
+      return undefined;
+    }
+    let cancelled = false;
+    let objectUrl = null;
+    fileAPI.getPreview(file.id)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(() => setSrc(null));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file.id, file.currentVersion, showPreview]);
+
+  return src ? <img className="file-thumbnail" src={src} alt="" loading="lazy" /> : icon;
+};
+
+// Warnings shown under the storage bar from 80% (warning) and 95%
+// (critical) of the fuller quota limit
+const QUOTA_WARNINGS = {
+  warning: 'Your storage is almost full',
+  critical: 'Your storage is nearly full, free up space to keep uploading',
+  exceeded: 'Storage quota exceeded, uploads are blocked'
+};
+
+// Storage used against the quota, refetched whenever refreshKey changes
+const StorageQuotaBar = ({ refreshKey, formatSize }) => {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fileAPI.getStorageQuota()
+      .then(result => { if (!cancelled) setStatus(result); })
+      .catch(error => console.error('Error fetching storage quota:', error));
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  if (!status) return null;
+  const { quota, used, level } = status;
+  const percent = quota.bytes ? Math.min(100, (used.bytes / quota.bytes) * 100) : 0;
+
+  return (
+    <div className={`quota-bar quota-${level}`}>
+      <div className="quota-bar-label">
+        <span>Storage</span>
+        <span>
+          {formatSize(used.bytes)}{quota.bytes !== null && ` of ${formatSize(quota.bytes)}`}
+        </span>
+      </div>
+      {quota.bytes !== null && (
+        <div className="quota-bar-track">
+          <div className="quota-bar-fill" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+      {quota.files !== null && (
+        <div className="quota-bar-files">{used.files} of {quota.files} files (versions included)</div>
+      )}
+      {QUOTA_WARNINGS[level] && (
+        <div className="quota-bar-warning">
+          <FiAlertTriangle /> {QUOTA_WARNINGS[level]}
+        </div>
+      )}
+    </div>
+  );
+};
+
 const Dashboard = () => {
   const [files, setFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
@@ -59,6 +193,15 @@ const Dashboard = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // { files, total, nextCursor } while searching
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
+  const [itemsForTags, setItemsForTags] = useState(null);
+  const listingRef = useRef({ folderId: null, changeToken: null });
+  const loadMoreRef = useRef(null);
+  const loadingMoreRef = useRef(false);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [loading, setLoading] = useState(true);
   const [user, setUser] = useState(null);
@@ -68,19 +211,23 @@ const Dashboard = () => {
   const [folderPath, setFolderPath] = useState([]);
   const [showCreateFolder, setShowCreateFolder] = useState(false);
   const [newFolderName, setNewFolderName] = useState('');
-  const [currentView, setCurrentView] = useState('files'); // 'files' or 'starred'
+  const [currentView, setCurrentView] = useState('files'); // 'files', 'starred', 'trash', ...
   const [showStorageClassModal, setShowStorageClassModal] = useState(false);
   const [pendingFiles, setPendingFiles] = useState([]);
+  const [extractZips, setExtractZips] = useState(false);
   const [showDeleteAccountModal, setShowDeleteAccountModal] = useState(false);
   const [deletingAccount, setDeletingAccount] = useState(false);
   const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [selectedFileForShare, setSelectedFileForShare] = useState(null);
   const [isVersionHistoryOpen, setIsVersionHistoryOpen] = useState(false);
   const [selectedFileForVersions, setSelectedFileForVersions] = useState(null);
+  const [fileToMove, setFileToMove] = useState(null);
+  const [trash, setTrash] = useState({ items: [], totalSize: 0, retentionDays: 30 });
+  const [trashLoading, setTrashLoading] = useState(false);
   const navigate = useNavigate();
   const { toggleTheme, isDark } = useTheme();
   const { sharedFiles, addSharedFile, updateSharedFileUrl, removeSharedFile, isLoading: sharedFilesLoading, clearSharedFilesCache } = useSharedFiles();
-  const { showSuccess, showError, showWarning, showProgress, updateNotification, removeNotification } = useNotifications();
+  const { showSuccess, showError, showWarning, showInfo, showProgress, updateNotification, removeNotification } = useNotifications();
 
   useEffect(() => {
     const token = localStorage.getItem('token');
@@ -93,6 +240,7 @@ const Dashboard = () => {
 
     setUser(JSON.parse(userData));
     fetchFiles();
+    fetchTags();
 
     // Initialize animations
     const timer = setTimeout(() => {
@@ -103,6 +251,44 @@ const Dashboard = () => {
     return () => clearTimeout(timer);
   }, [navigate]);
 
+  // Search every folder on the server (by name and/or the tag picked in the
+  // sidebar), debounced while typing. Re-runs when the listing changes so
+  // results reflect renames, moves and deletions.
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if ((!query && !activeTag) || !['files', 'starred'].includes(currentView)) {
+      setSearchResults(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearchLoading(true);
+      try {
+        const results = await fileAPI.searchFiles(searchParams(query));
+        if (!cancelled) setSearchResults(results);
+      } catch (error) {
+        console.error('Search error:', error);
+        if (!cancelled) setSearchResults({ files: [], total: 0, nextCursor: null });
+      } finally {
+        if (!cancelled) setSearchLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchQuery, activeTag, currentView, files]);
+
+  useEffect(() => {
+    if (currentView === 'trash') {
+      fetchTrash();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentView]);
+
   const initializeAnimations = () => {
     // Initialize Intersection Observer for scroll animations
     const observerOptions = {
@@ -144,11 +330,27 @@ const Dashboard = () => {
     };
   };
 
+  // Load the first page of a folder. Refreshing the folder already shown
+  // fetches only what changed since it was listed.
   const fetchFiles = async (folderId = null) => {
+    const listing = listingRef.current;
+    if (listing.changeToken && listing.folderId === folderId) {
+      try {
+        const changes = await fileAPI.listFiles(folderId, { since: listing.changeToken });
+        listingRef.current = { folderId, changeToken: changes.changeToken };
+        setFiles(prev => applyListingChanges(prev, changes));
+        return;
+      } catch (error) {
+        // An expired token falls back to listing the folder again
+      }
+    }
+
     try {
       setLoading(true);
-      const filesData = await fileAPI.getFiles(folderId);
-      setFiles(filesData);
+      const page = await fileAPI.listFiles(folderId, { limit: LISTING_PAGE_SIZE });
+      listingRef.current = { folderId, changeToken: page.changeToken };
+      setFiles(page.items);
+      setNextCursor(page.nextCursor);
       
       // Trigger file grid animations after files are loaded
       setTimeout(() => {
@@ -166,6 +368,118 @@ const Dashboard = () => {
     }
   };
 
+  // Append the next page of the current folder, skipping items an
+  // incremental refresh already added
+  const loadMoreFiles = async () => {
+    if (!nextCursor || loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
+    try {
+      const page = await fileAPI.listFiles(listingRef.current.folderId, { limit: LISTING_PAGE_SIZE, cursor: nextCursor });
+      setFiles(prev => {
+        const loadedIds = new Set(prev.map(item => item.id));
+        return [...prev, ...page.items.filter(item => !loadedIds.has(item.id))];
+      });
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more files:', error);
+    } finally {
+      loadingMoreRef.current = false;
+    }
+  };
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || typeof IntersectionObserver === 'undefined') {
+      return undefined;
+    }
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMoreFiles();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [nextCursor, searchResults, currentView]);
+
+  // Refresh the listing while uploads are still being scanned or previewed
+  const hasPendingWork = files.some(file => file.scanStatus === 'pending' || file.previewStatus === 'pending');
+  const pendingSinceRef = useRef(null);
+  useEffect(() => {
+    if (!hasPendingWork) {
+      pendingSinceRef.current = null;
+      return undefined;
+    }
+    if (!pendingSinceRef.current || pendingSinceRef.current.folderId !== currentFolderId) {
+      pendingSinceRef.current = { folderId: currentFolderId, since: Date.now() };
+    }
+    if (Date.now() - pendingSinceRef.current.since > SCAN_POLL_TIMEOUT_MS) {
+      return undefined;
+    }
+    const timer = setTimeout(() => fetchFiles(currentFolderId), SCAN_POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasPendingWork, files, currentFolderId]);
+
+  const fetchTrash = async () => {
+    try {
+      setTrashLoading(true);
+      setTrash(await trashAPI.getTrash());
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      showError('Trash unavailable', 'Could not load the trash. Please try again.');
+    } finally {
+      setTrashLoading(false);
+    }
+  };
+
+  const restoreTrashItem = async (entry) => {
+    try {
+      await trashAPI.restoreItem(entry.id);
+      showSuccess('Restored', `"${entry.name}" is back where it was.`);
+      fetchTrash();
+      fetchFiles(currentFolderId);
+    } catch (error) {
+      console.error('Restore error:', error);
+      showError('Restore failed', error.response?.data?.error || `Could not restore "${entry.name}"`);
+    }
+  };
+
+  const deleteTrashItemForever = async (entry) => {
+    if (!window.confirm(`Permanently delete "${entry.name}"? This cannot be undone.`)) return;
+
+    try {
+      await trashAPI.deleteItem(entry.id);
+      setTrash(prev => ({
+        ...prev,
+        items: prev.items.filter(item => item.id !== entry.id),
+        totalSize: prev.totalSize - (entry.size || 0)
+      }));
+      showSuccess('Deleted permanently', `"${entry.name}" has been deleted.`);
+    } catch (error) {
+      console.error('Permanent delete error:', error);
+      showError('Delete failed', error.response?.data?.error || `Could not delete "${entry.name}"`);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm(`Permanently delete all ${trash.items.length} item(s) in the trash? This cannot be undone.`)) return;
+
+    try {
+      const result = await trashAPI.emptyTrash();
+      if (result.failed > 0) {
+        showWarning('Trash partly emptied', `${result.purged} item(s) deleted, ${result.failed} failed.`);
+      } else {
+        showSuccess('Trash emptied', `${result.purged} item(s) deleted permanently.`);
+      }
+      fetchTrash();
+    } catch (error) {
+      console.error('Empty trash error:', error);
+      showError('Empty trash failed', 'Please try again.');
+    }
+  };
+
   const onDrop = async (acceptedFiles) => {
     if (acceptedFiles.length === 1) {
       // Single file - show storage class selection modal
@@ -202,7 +516,44 @@ const Dashboard = () => {
     fetchFiles(currentFolderId);
   };
 
-  const uploadFiles = async (filesToUpload, storageClass = null) => {
+  const fetchTags = async () => {
+    try {
+      setTags((await tagAPI.getTags()).tags);
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  const handleTagsSaved = (result) => {
+    setItemsForTags(null);
+    showSuccess('Tags updated', `Updated tags on ${result.successCount} item${result.successCount === 1 ? '' : 's'}.`);
+    fetchTags();
+    fetchFiles(currentFolderId);
+  };
+
+  const selectTag = (tag) => {
+    setActiveTag(prev => (prev === tag ? null : tag));
+    if (!['files', 'starred'].includes(currentView)) {
+      setCurrentView('files');
+    }
+  };
+
+  const handleFileMoved = (result) => {
+    setFileToMove(null);
+    showSuccess(
+      result.mergedInto ? 'Versions merged' : 'File moved',
+      result.mergedInto
+        ? `Added as new versions of ${result.file.originalName}`
+        : `${result.file.originalName} was moved`
+    );
+    fetchFiles(currentFolderId);
+  };
+
+  const isZipFile = (file) => file.type === 'application/zip' ||
+    file.type === 'application/x-zip-compressed' ||
+    file.name.toLowerCase().endsWith('.zip');
+
+  const uploadFiles = async (filesToUpload, storageClass = null, conflictPolicy = null) => {
     setUploading(true);
     
     try {
@@ -211,12 +562,36 @@ const Dashboard = () => {
           // Progress tracking to be implemented
         };
 
-        const response = await fileAPI.uploadFile(file, onUploadProgress, currentFolderId, storageClass);
+        if (extractZips && isZipFile(file)) {
+          const result = await fileAPI.extractArchive(file, currentFolderId, storageClass);
+          showSuccess('Archive extracted', result.message);
+          if (result.skipped.length > 0) {
+            showInfo('Some entries were skipped', result.skipped.map(entry => `${entry.path} (${entry.reason})`).join(', '));
+          }
+          if (result.failed.length > 0) {
+            showWarning('Some entries failed', `${result.failed.map(entry => entry.path).join(', ')} could not be extracted.`);
+          }
+          fetchFiles(currentFolderId);
+          continue;
+        }
+
+        const response = await fileAPI.uploadFile(file, onUploadProgress, currentFolderId, storageClass, conflictPolicy);
+        if (response.unchanged) {
+          showInfo('Already up to date', `${file.name} is identical to the current version`);
+          continue;
+        }
+        if (response.renamedFrom) {
+          showInfo('Kept both files', response.message);
+        }
         setFiles(prev => [response.file, ...prev]);
       }
     } catch (error) {
       console.error('Upload error:', error);
-      showError('Upload failed', 'Please try again.');
+      if (error.response?.status === 409 || error.response?.status === 413) {
+        showError('Upload failed', error.response.data.error);
+      } else {
+        showError('Upload failed', 'Please try again.');
+      }
     } finally {
       setUploading(false);
     }
@@ -224,9 +599,9 @@ const Dashboard = () => {
 
   const handleStorageClassSelect = async (storageSelection) => {
     setShowStorageClassModal(false);
-    // Extract storage class from the new selection format
-    const storageClass = storageSelection.storageClass;
-    await uploadFiles(pendingFiles, storageClass);
+    // Storage class and conflict policy apply to every file of the batch
+    const { storageClass, conflictPolicy } = storageSelection;
+    await uploadFiles(pendingFiles, storageClass, conflictPolicy);
     setPendingFiles([]);
   };
 
@@ -303,8 +678,8 @@ const Dashboard = () => {
       // Show success notification
       removeNotification(notificationId);
       showSuccess(
-        'Deleted successfully',
-        `"${itemName}" has been deleted.`
+        'Moved to Trash',
+        `"${itemName}" can be restored from the Trash.`
       );
       
       // Refresh file list to ensure consistency
@@ -314,17 +689,10 @@ const Dashboard = () => {
       console.error('Delete error:', error);
       removeNotification(notificationId);
       
-      if (error.response?.status === 400 && error.response?.data?.error?.includes('contents')) {
-        showError(
-          'Cannot delete folder',
-          'Cannot delete folder with contents. Please empty the folder first.'
-        );
-      } else {
-        showError(
-          'Delete failed',
-          `Failed to delete "${itemName}". Please try again.`
-        );
-      }
+      showError(
+        'Delete failed',
+        `Failed to delete "${itemName}". Please try again.`
+      );
     }
   };
 
@@ -334,6 +702,10 @@ const Dashboard = () => {
       setFiles(prev => prev.map(f => 
         f.id === fileId ? { ...f, isStarred: response.isStarred } : f
       ));
+      setSearchResults(prev => prev && {
+        ...prev,
+        files: prev.files.map(f => (f.id === fileId ? { ...f, isStarred: response.isStarred } : f))
+      });
     } catch (error) {
       console.error('Star error:', error);
       showError('Update failed', 'Failed to update file star status.');
@@ -349,6 +721,28 @@ const Dashboard = () => {
   };
 
   // Bulk actions
+  const downloadAsZip = async () => {
+    const selected = selectedFiles.map(id => files.find(item => item.id === id)).filter(Boolean);
+    try {
+      showInfo('Preparing ZIP', `Packing ${selected.length} item(s)...`);
+      const { blob, fileName } = await fileAPI.downloadArchive({
+        fileIds: selected.filter(item => !item.isFolder).map(item => item.id),
+        folderIds: selected.filter(item => item.isFolder).map(item => item.id)
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('ZIP download error:', error);
+      showError('Download failed', 'Could not create the ZIP archive. Please try again.');
+    }
+  };
+
   const bulkDownload = () => {
     selectedFiles.forEach((id) => {
       const f = files.find((x) => x.id === id);
@@ -365,7 +759,7 @@ const Dashboard = () => {
     if (folderCount > 0) {
       showWarning(
         'Download limitation', 
-        `${folderCount} folder(s) cannot be downloaded. Only files were downloaded.`
+        `${folderCount} folder(s) were skipped. Use "Download as ZIP" to include folders.`
       );
     }
   };
@@ -447,13 +841,13 @@ const Dashboard = () => {
         
         showWarning(
           'Partial deletion completed',
-          `${response.successCount} item(s) deleted successfully. ${response.failureCount} item(s) failed: ${errorMessages}${moreErrors}`,
+          `${response.successCount} item(s) moved to Trash. ${response.failureCount} item(s) failed: ${errorMessages}${moreErrors}`,
           { duration: 10000 }
         );
       } else {
         showSuccess(
           'Deletion completed',
-          `Successfully deleted ${response.successCount} item(s).`
+          `Moved ${response.successCount} item(s) to Trash.`
         );
       }
       
@@ -531,13 +925,31 @@ const Dashboard = () => {
     }
   };
 
-  const downloadFile = (file) => {
-    const link = document.createElement('a');
-    link.href = file.url;
-    link.download = file.originalName;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  const downloadFile = async (file) => {
+    try {
+      // Links saved at upload time expire, so ask for a fresh one
+      const downloadUrl = await fileAPI.getDownloadUrl(file.id);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = file.originalName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    } catch (error) {
+      console.error('Download error:', error);
+      showError('Download failed', error.response?.data?.error || `Could not download ${file.originalName}`);
+    }
+  };
+
+  const duplicateFile = async (file) => {
+    try {
+      const { file: copy } = await fileAPI.copyFile(file.id);
+      showSuccess('File duplicated', `Created ${copy.originalName}`);
+      fetchFiles(currentFolderId);
+    } catch (error) {
+      console.error('Duplicate error:', error);
+      showError('Duplicate failed', error.response?.data?.error || `Could not duplicate ${file.originalName}`);
+    }
   };
 
   const createFolder = async () => {
@@ -586,7 +998,39 @@ const Dashboard = () => {
     return getFileIcon(item.fileType);
   };
 
+  const searchParams = (query) => ({
+    ...(query ? { q: query } : {}),
+    ...(activeTag ? { tag: activeTag } : {}),
+    ...(currentView === 'starred' ? { starred: true } : {})
+  });
+
+  const loadMoreSearchResults = async () => {
+    if (!searchResults?.nextCursor) return;
+    setSearchLoading(true);
+    try {
+      const more = await fileAPI.searchFiles({ ...searchParams(searchQuery.trim()), cursor: searchResults.nextCursor });
+      setSearchResults(prev => ({ ...more, files: [...prev.files, ...more.files] }));
+    } catch (error) {
+      console.error('Search error:', error);
+      showError('Search failed', 'Failed to load more results.');
+    } finally {
+      setSearchLoading(false);
+    }
+  };
+
   const filteredFiles = useMemo(() => {
+    // Searching covers files in every folder; folders still match by name
+    // within the current one
+    if (searchResults) {
+      const query = searchQuery.trim().toLowerCase();
+      const folders = currentView === 'files'
+        ? files.filter(item => item.isFolder &&
+            item.name.toLowerCase().includes(query) &&
+            (!activeTag || (item.tags || []).includes(activeTag)))
+        : [];
+      return [...folders, ...searchResults.files];
+    }
+
     let filtered = files;
     
     // Filter by current view (starred or all files)
@@ -603,7 +1047,7 @@ const Dashboard = () => {
     }
     
     return filtered;
-  }, [files, searchQuery, currentView]);
+  }, [files, searchQuery, currentView, searchResults, activeTag]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
@@ -666,6 +1110,13 @@ const Dashboard = () => {
             <FiStar />
             <span>Starred</span>
           </div>
+          <div
+            className={`nav-item ${currentView === 'trash' ? 'active' : ''}`}
+            onClick={() => setCurrentView('trash')}
+          >
+            <FiTrash2 />
+            <span>Trash</span>
+          </div>
           <div
             className={`nav-item ${currentView === 'shared' ? 'active' : ''}`}
             onClick={() => setCurrentView('shared')}
@@ -704,7 +1155,26 @@ const Dashboard = () => {
           </div>
         </nav>
 
+        {tags.length > 0 && (
+          <div className="sidebar-tags">
+            <div className="sidebar-tags-title">Tags</div>
+            {tags.map(tag => (
+              <button
+                key={tag.name}
+                className={`sidebar-tag ${activeTag === tag.name ? 'active' : ''}`}
+                onClick={() => selectTag(tag.name)}
+                title={`${tag.files} files, ${tag.folders} folders`}
+              >
+                <FiTag />
+                <span>{tag.name}</span>
+                <span className="sidebar-tag-count">{tag.files + tag.folders}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
         <div className="sidebar-footer">
+          <StorageQuotaBar refreshKey={files} formatSize={formatFileSize} />
           <div className="user-info">
             <div className="user-avatar">
               <FiUser />
@@ -742,7 +1212,7 @@ const Dashboard = () => {
               <FiSearch />
               <input
                 type="text"
-                placeholder="Search files..."
+                placeholder="Search all files..."
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
               />
@@ -795,6 +1265,84 @@ const Dashboard = () => {
                 <NotificationTest />
               </div>
             </div>
+          ) : currentView === 'trash' ? (
+            <div className="trash-view">
+              <div className="files-header">
+                <div className="files-title">
+                  <h2>Trash</h2>
+                  <span className="file-count">
+                    ({trash.items.length} items, {formatFileSize(trash.totalSize)})
+                  </span>
+                </div>
+                <div className="files-controls">
+                  <button
+                    className="btn btn-secondary"
+                    onClick={emptyTrash}
+                    disabled={trash.items.length === 0}
+                  >
+                    <FiTrash2 />
+                    Empty Trash
+                  </button>
+                </div>
+              </div>
+              <p className="trash-notice">
+                Items are deleted permanently {trash.retentionDays} days after they are moved here.
+                They still count towards your storage until then.
+              </p>
+
+              {trashLoading ? (
+                <div className="loading-container">
+                  <div className="loading-spinner"></div>
+                  <p>Loading trash...</p>
+                </div>
+              ) : trash.items.length === 0 ? (
+                <div className="empty-state">
+                  <FiTrash2 className="empty-icon" />
+                  <h3>Trash is empty</h3>
+                  <p>Deleted files and folders will appear here</p>
+                </div>
+              ) : (
+                <div className={`files-grid ${viewMode}`}>
+                  {trash.items.map((entry) => (
+                    <div key={entry.id} className="file-item trash-item">
+                      <div className="file-icon">
+                        {entry.itemType === 'folder' ? <FiFolder /> : getFileIcon(entry.item.fileType || '')}
+                      </div>
+                      <div className="file-info">
+                        <div className="file-name">{entry.name}</div>
+                        <div className="file-meta">
+                          <div className="file-details">
+                            <span className="file-type">{entry.itemType === 'folder' ? 'Folder' : entry.item.fileType}</span>
+                            {entry.itemType === 'file' && (
+                              <span className="file-size">{formatFileSize(entry.size)}</span>
+                            )}
+                            <span className="file-date">Deleted {formatDate(entry.deletedAt)}</span>
+                          </div>
+                          <div className="file-actions">
+                            <button
+                              className="action-btn"
+                              onClick={() => restoreTrashItem(entry)}
+                              title="Restore"
+                            >
+                              <FiRotateCcw />
+                            </button>
+                            <button
+                              className="action-btn"
+                              aria-label={`Delete ${entry.name} permanently`}
+                              onClick={() => deleteTrashItemForever(entry)}
+                              title="Delete permanently"
+                            >
+                              <FiTrash2 />
+                            </button>
+                          </div>
+                        </div>
+                        <div className="purge-info">Deleted permanently on {formatDate(entry.purgeAt)}</div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
           ) : currentView === 'shared' ? (
             <div className="shared-files-view">
               <div className="files-header">
@@ -968,7 +1516,7 @@ const Dashboard = () => {
                               </div>
 
                               <div className="file-icon">
-                                {getFileIcon(file.fileType)}
+                                <FileThumbnail file={file} icon={getFileIcon(file.fileType)} />
                               </div>
 
                               <div className="file-info">
@@ -979,6 +1527,7 @@ const Dashboard = () => {
                                       v{file.currentVersion}
                                     </span>
                                   )}
+                                  <ScanBadge status={file.scanStatus} />
                                 </div>
                                 <div className="file-meta">
                                   <div className="file-details">
@@ -990,6 +1539,7 @@ const Dashboard = () => {
                                     <button
                                       className="action-btn"
                                       onClick={() => handleShareClick(file)}
+                                      disabled={file.scanStatus === 'pending' || file.scanStatus === 'infected'}
                                       title="Share file"
                                     >
                                       <FiShare2 />
@@ -1003,9 +1553,24 @@ const Dashboard = () => {
                                         <FiClock />
                                       </button>
                                     )}
+                                    <button
+                                      className="action-btn"
+                                      onClick={() => setFileToMove(file)}
+                                      title="Move or rename"
+                                    >
+                                      <FiMove />
+                                    </button>
+                                    <button
+                                      className="action-btn"
+                                      onClick={() => duplicateFile(file)}
+                                      title="Duplicate file"
+                                    >
+                                      <FiCopy />
+                                    </button>
                                     <button
                                       className="action-btn"
                                       onClick={() => downloadFile(file)}
+                                      disabled={file.scanStatus === 'infected'}
                                       title="Download file"
                                     >
                                       <FiDownload />
@@ -1085,6 +1650,14 @@ const Dashboard = () => {
                   </div>
                 )}
               </div>
+              <label className="upload-option">
+                <input
+                  type="checkbox"
+                  checked={extractZips}
+                  onChange={(e) => setExtractZips(e.target.checked)}
+                />
+                Extract ZIP archives into folders
+              </label>
             </div>
           )}
 
@@ -1092,8 +1665,20 @@ const Dashboard = () => {
           <div className="files-section">
             <div className="files-header">
               <div className="files-title">
-                <h2>{currentView === 'starred' ? 'Starred Files' : 'My Files'}</h2>
-                <span className="file-count">({filteredFiles.length} items)</span>
+                <h2>
+                  {searchResults ? 'Search Results' : currentView === 'starred' ? 'Starred Files' : 'My Files'}
+                </h2>
+                {activeTag && (
+                  <span className="tag-chip active-tag-filter">
+                    <FiTag /> {activeTag}
+                    <button onClick={() => setActiveTag(null)} aria-label="Clear tag filter">
+                      <FiX />
+                    </button>
+                  </span>
+                )}
+                <span className="file-count">
+                  ({searchResults ? `${searchResults.total} files` : `${filteredFiles.length}${nextCursor ? '+' : ''} items`})
+                </span>
               </div>
               <div className="files-actions">
                 {selectedFiles.length > 0 && (
@@ -1102,10 +1687,21 @@ const Dashboard = () => {
                       <FiDownload />
                       Download ({selectedFiles.length})
                     </button>
+                    <button className="btn btn-secondary btn-sm" onClick={downloadAsZip}>
+                      <FiArchive />
+                      Download as ZIP
+                    </button>
                     <button className="btn btn-secondary btn-sm" onClick={bulkShare}>
                       <FiShare2 />
                       Share ({selectedFiles.length})
                     </button>
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setItemsForTags(filteredFiles.filter(item => selectedFiles.includes(item.id)))}
+                    >
+                      <FiTag />
+                      Tag ({selectedFiles.length})
+                    </button>
                     <button className="btn btn-danger btn-sm" onClick={bulkDelete}>
                       <FiTrash2 />
                       Delete ({selectedFiles.length})
@@ -1115,7 +1711,17 @@ const Dashboard = () => {
               </div>
             </div>
 
-            {currentView === 'starred' && filteredFiles.length === 0 ? (
+            {searchResults && filteredFiles.length === 0 ? (
+              <div className="empty-state">
+                <FiSearch className="empty-icon" />
+                <h3>No files found</h3>
+                <p>
+                  {searchQuery.trim()
+                    ? `No file in any folder matches "${searchQuery.trim()}"`
+                    : `No file is tagged "${activeTag}"`}
+                </p>
+              </div>
+            ) : currentView === 'starred' && filteredFiles.length === 0 ? (
               <div className="empty-state">
                 <FiStar className="empty-icon" />
                 <h3>No starred files</h3>
@@ -1153,7 +1759,7 @@ const Dashboard = () => {
                       </div>
                       
                       <div className="file-icon">
-                        {getItemIcon(item)}
+                        {item.isFolder ? getItemIcon(item) : <FileThumbnail file={item} icon={getItemIcon(item)} />}
                       </div>
                       
                       <div className="file-info">
@@ -1164,21 +1770,53 @@ const Dashboard = () => {
                               v{item.currentVersion}
                             </span>
                           )}
+                          {!item.isFolder && <ScanBadge status={item.scanStatus} />}
+                          {(item.tags || []).map(tag => (
+                            <button
+                              key={tag}
+                              className={`tag-chip ${activeTag === tag ? 'active' : ''}`}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                selectTag(tag);
+                              }}
+                              title={`Show everything tagged "${tag}"`}
+                            >
+                              {tag}
+                            </button>
+                          ))}
                         </div>
                         <div className="file-meta">
                           {item.isFolder ? (
-                            <span className="file-type">Folder</span>
+                            <div className="file-details">
+                              <span className="file-type">Folder</span>
+                              <button
+                                className="action-btn"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setItemsForTags([item]);
+                                }}
+                                title="Edit tags"
+                              >
+                                <FiTag />
+                              </button>
+                            </div>
                           ) : (
                             <>
                               <div className="file-details">
                                 <span className="file-type">{item.fileType}</span>
                                 <span className="file-size">{formatFileSize(item.fileSize)}</span>
                                 <span className="file-date">{formatDate(item.uploadDate)}</span>
+                                {item.folderPath !== undefined && (
+                                  <span className="file-location" title="Folder">
+                                    {item.folderPath || 'My Files'}
+                                  </span>
+                                )}
                               </div>
                               <div className="file-actions" onClick={(e) => e.stopPropagation()}>
                                 <button
                                   className="action-btn"
                                   onClick={() => handleShareClick(item)}
+                                  disabled={item.scanStatus === 'pending' || item.scanStatus === 'infected'}
                                   title="Share file"
                                 >
                                   <FiShare2 />
@@ -1190,9 +1828,31 @@ const Dashboard = () => {
                                 >
                                   <FiClock />
                                 </button>
+                                <button
+                                  className="action-btn"
+                                  onClick={() => setFileToMove(item)}
+                                  title="Move or rename"
+                                >
+                                  <FiMove />
+                                </button>
+                                <button
+                                  className="action-btn"
+                                  onClick={() => duplicateFile(item)}
+                                  title="Duplicate file"
+                                >
+                                  <FiCopy />
+                                </button>
+                                <button
+                                  className="action-btn"
+                                  onClick={() => setItemsForTags([item])}
+                                  title="Edit tags"
+                                >
+                                  <FiTag />
+                                </button>
                                 <button
                                   className="action-btn"
                                   onClick={() => downloadFile(item)}
+                                  disabled={item.scanStatus === 'infected'}
                                   title="Download file"
                                 >
                                   <FiDownload />
@@ -1227,6 +1887,20 @@ const Dashboard = () => {
                 })}
               </div>
             )}
+
+            {!searchResults && nextCursor && (
+              <div ref={loadMoreRef} className="load-more">
+                <div className="upload-spinner" aria-label="Loading more files"></div>
+              </div>
+            )}
+
+            {searchResults?.nextCursor && (
+              <div className="load-more">
+                <button className="btn btn-secondary" onClick={loadMoreSearchResults} disabled={searchLoading}>
+                  {searchLoading ? 'Loading...' : `Load more (${searchResults.total - searchResults.files.length} remaining)`}
+                </button>
+              </div>
+            )}
           </div>
           </>
           )}
@@ -1318,6 +1992,22 @@ const Dashboard = () => {
         />
       )}
 
+      {/* Move / Rename Modal */}
+      <MoveFileModal
+        isOpen={!!fileToMove}
+        file={fileToMove}
+        onClose={() => setFileToMove(null)}
+        onMoved={handleFileMoved}
+      />
+
+      <TagEditorModal
+        isOpen={!!itemsForTags}
+        items={itemsForTags}
+        knownTags={tags}
+        onClose={() => setItemsForTags(null)}
+        onSaved={handleTagsSaved}
+      />
+
       {/* Delete Account Confirmation Modal */}
       {showDeleteAccountModal && (
         <div className="modal-overlay" onClick={() => setShowDeleteAccountModal(false)}>
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { FiX, FiFolder, FiHome, FiChevronRight, FiCornerLeftUp } from 'react-icons/fi';
+import { fileAPI, folderAPI } from '../services/api';
+import './MoveFileModal.css';
+
+// "Move to…" dialog: browse to a folder, optionally rename, then move
+const MoveFileModal = ({ isOpen, file, onClose, onMoved }) => {
+  const [path, setPath] = useState([]); // folders from the root down to the one shown
+  const [folders, setFolders] = useState([]);
+  const [name, setName] = useState('');
+  const [mergeOnConflict, setMergeOnConflict] = useState(false);
+  const [loadingFolders, setLoadingFolders] = useState(false);
+  const [moving, setMoving] = useState(false);
+  const [error, setError] = useState('');
+
+  const currentFolderId = path.length ? path[path.length - 1].id : null;
+
+  useEffect(() => {
+    if (isOpen && file) {
+      setPath([]);
+      setName(file.originalName);
+      setMergeOnConflict(false);
+      setError('');
+    }
+  }, [isOpen, file]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setLoadingFolders(true);
+    folderAPI.getFolders(currentFolderId)
+      .then(data => { if (!cancelled) setFolders(data); })
+      .catch(() => { if (!cancelled) setError('Could not load folders'); })
+      .finally(() => { if (!cancelled) setLoadingFolders(false); });
+
+    return () => { cancelled = true; };
+  }, [isOpen, currentFolderId]);
+
+  if (!isOpen || !file) return null;
+
+  const trimmedName = name.trim();
+  const unchanged = trimmedName === file.originalName && currentFolderId === (file.parentFolderId || null);
+
+  const handleMove = async () => {
+    setMoving(true);
+    setError('');
+    try {
+      const result = await fileAPI.moveFile(file.id, {
+        name: trimmedName,
+        parentFolderId: currentFolderId,
+        onConflict: mergeOnConflict ? 'merge' : 'reject'
+      });
+      onMoved(result);
+    } catch (err) {
+      if (err.response?.status === 409 && !mergeOnConflict) {
+        setError(`${err.response.data.error}. Choose another name, or merge to add this file as new versions.`);
+      } else {
+        setError(err.response?.data?.error || 'Failed to move file');
+      }
+    } finally {
+      setMoving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal move-file-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Move “{file.originalName}”</h3>
+          <button className="modal-close" onClick={onClose}>
+            <FiX />
+          </button>
+        </div>
+        <div className="modal-body">
+          <div className="move-breadcrumb">
+            <button className="move-crumb" onClick={() => setPath([])}>
+              <FiHome /> My Files
+            </button>
+            {path.map((folder, index) => (
+              <React.Fragment key={folder.id}>
+                <FiChevronRight className="move-crumb-separator" />
+                <button className="move-crumb" onClick={() => setPath(path.slice(0, index + 1))}>
+                  {folder.name}
+                </button>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <ul className="move-folder-list">
+            {path.length > 0 && (
+              <li>
+                <button className="move-folder" onClick={() => setPath(path.slice(0, -1))}>
+                  <FiCornerLeftUp /> Up one level
+                </button>
+              </li>
+            )}
+            {loadingFolders ? (
+              <li className="move-folder-empty">Loading folders...</li>
+            ) : folders.length === 0 ? (
+              <li className="move-folder-empty">No subfolders</li>
+            ) : (
+              folders.map(folder => (
+                <li key={folder.id}>
+                  <button className="move-folder" onClick={() => setPath([...path, folder])}>
+                    <FiFolder /> {folder.name}
+                  </button>
+                </li>
+              ))
+            )}
+          </ul>
+
+          <div className="form-group">
+            <label htmlFor="moveFileName">File name</label>
+            <input
+              id="moveFileName"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyPress={(e) => e.key === 'Enter' && trimmedName && !unchanged && handleMove()}
+            />
+          </div>
+
+          <label className="move-merge-option">
+            <input
+              type="checkbox"
+              checked={mergeOnConflict}
+              onChange={(e) => setMergeOnConflict(e.target.checked)}
+            />
+            If a file with this name exists there, add this file to it as new versions
+          </label>
+
+          {error && <div className="move-error">{error}</div>}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleMove}
+            disabled={moving || !trimmedName || unchanged}
+          >
+            {moving ? 'Moving...' : 'Move here'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MoveFileModal;
@@ -19,7 +19,8 @@ import {
   FiGrid,
   FiList,
   FiMenu,
-  FiZap
+  FiZap,
+  FiLayers
 } from 'react-icons/fi';
 import { fileAPI } from '../services/api';
 import { useSharedFiles } from '../contexts/SharedFilesContext';
@@ -476,6 +477,24 @@ const Storage = () => {
             </div>
           </div>
 
+          {(storageStats.deduplication?.enabled || storageStats.deduplication?.savedBytes > 0) && (
+            <div className="overview-card deduplication">
+              <div className="card-icon">
+                <FiLayers />
+              </div>
+              <div className="card-content">
+                <h3>Deduplication</h3>
+                <div className="card-value">{formatFileSize(storageStats.deduplication.physicalBytes)}</div>
+                <div className="card-subtitle">
+                  Stored for {formatFileSize(storageStats.deduplication.logicalBytes)} of files
+                </div>
+                <div className="card-subtitle">
+                  Saves {formatFileSize(storageStats.deduplication.savedBytes)} (${storageStats.deduplication.savedMonthlyCost.toFixed(2)}/month)
+                </div>
+              </div>
+            </div>
+          )}
+
           <div className="overview-card storage-classes">
             <div className="card-icon">
               <FiPieChart />
@@ -27,6 +27,7 @@ const StorageClassModal = ({
   const [selectedStorageSize, setSelectedStorageSize] = useState(null);
   const [loadingRecommendations, setLoadingRecommendations] = useState(false);
   const [activeTab, setActiveTab] = useState('recommended'); // 'recommended' or 'all'
+  const [conflictPolicy, setConflictPolicy] = useState(''); // '' uses the folder or account default
 
   // User-friendly storage classes with tiered pricing
   const STORAGE_PRICING = {
@@ -131,6 +132,15 @@ const StorageClassModal = ({
     }
   };
 
+  // What to do when a file with the same name is already in the folder
+  const CONFLICT_POLICY_OPTIONS = [
+    { value: '', label: 'Default', description: 'Use the folder or account setting' },
+    { value: 'version', label: 'New version', description: 'Add it as a new version of the existing file' },
+    { value: 'rename', label: 'Keep both', description: 'Upload it as "name (1)"' },
+    { value: 'skip-if-identical', label: 'Skip if identical', description: 'Skip identical content, refuse different content' },
+    { value: 'reject', label: 'Don\'t upload', description: 'Report an error instead' }
+  ];
+
   // Storage size options in GB
   const STORAGE_SIZE_OPTIONS = [
     { value: 1, label: '1 GB', description: 'Small files, documents' },
@@ -189,6 +199,7 @@ const StorageClassModal = ({
 
   useEffect(() => {
     if (isOpen && file) {
+      setConflictPolicy('');
       fetchRecommendations();
     }
   }, [isOpen, file]); // eslint-disable-line react-hooks/exhaustive-deps
@@ -198,7 +209,8 @@ const StorageClassModal = ({
       onSelect({
         storageClass: selectedStorageClass,
         storageSize: selectedStorageSize,
-        estimatedMonthlyCost: calculateMonthlyCost(selectedStorageClass, selectedStorageSize)
+        estimatedMonthlyCost: calculateMonthlyCost(selectedStorageClass, selectedStorageSize),
+        conflictPolicy: conflictPolicy || null
       });
     }
   };
@@ -291,6 +303,34 @@ const StorageClassModal = ({
             </div>
           </div>
 
+          {/* Name Conflict Handling (applies to the whole batch) */}
+          <div className="storage-size-section">
+            <h4>If a file with this name already exists</h4>
+            <div className="storage-size-options">
+              {CONFLICT_POLICY_OPTIONS.map((option) => (
+                <div
+                  key={option.value || 'default'}
+                  className={`storage-size-option ${
+                    conflictPolicy === option.value ? 'selected' : ''
+                  }`}
+                  onClick={() => setConflictPolicy(option.value)}
+                >
+                  <div className="size-option-header">
+                    <input
+                      type="radio"
+                      name="conflictPolicy"
+                      value={option.value}
+                      checked={conflictPolicy === option.value}
+                      onChange={() => setConflictPolicy(option.value)}
+                    />
+                    <span className="size-label">{option.label}</span>
+                    <span className="size-description">{option.description}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
           {loadingRecommendations ? (
             <div className="loading-recommendations">
               <div className="loading-spinner"></div>
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { FiX, FiTag } from 'react-icons/fi';
+import { tagAPI } from '../services/api';
+import './TagEditorModal.css';
+
+// Same rules as the server: lowercase, at most 10 per item
+const MAX_TAGS = 10;
+const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Tag editor for one or more files and folders. Shows the tags they all
+// share; removing one removes it from every item, adding one adds it to all.
+const TagEditorModal = ({ isOpen, items, knownTags = [], onClose, onSaved }) => {
+  const [tags, setTags] = useState([]);
+  const [initialTags, setInitialTags] = useState([]);
+  const [input, setInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen && items && items.length) {
+      const common = (items[0].tags || []).filter(tag => items.every(item => (item.tags || []).includes(tag)));
+      setTags(common);
+      setInitialTags(common);
+      setInput('');
+      setError('');
+    }
+  }, [isOpen, items]);
+
+  if (!isOpen || !items || items.length === 0) return null;
+
+  const addTag = (value) => {
+    const tag = normalizeTag(value);
+    if (!tag) return;
+    if (tag.length > 64 || !/^[\p{L}\p{N} _.:/=+\-@]+$/u.test(tag)) {
+      setError('Tags may use letters, numbers, spaces and _ . : / = + - @ (up to 64 characters)');
+      return;
+    }
+    if (!tags.includes(tag)) {
+      if (tags.length >= MAX_TAGS) {
+        setError(`An item can have at most ${MAX_TAGS} tags`);
+        return;
+      }
+      setTags([...tags, tag]);
+    }
+    setInput('');
+    setError('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === 'Backspace' && !input && tags.length) {
+      setTags(tags.slice(0, -1));
+    }
+  };
+
+  const add = tags.filter(tag => !initialTags.includes(tag));
+  const remove = initialTags.filter(tag => !tags.includes(tag));
+  const suggestions = knownTags
+    .map(tag => tag.name)
+    .filter(name => !tags.includes(name) && name.includes(normalizeTag(input)))
+    .slice(0, 8);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const result = await tagAPI.updateTags({
+        fileIds: items.filter(item => !item.isFolder).map(item => item.id),
+        folderIds: items.filter(item => item.isFolder).map(item => item.id),
+        add,
+        remove
+      });
+      if (result.failureCount > 0) {
+        setError(result.results.find(r => !r.success).error);
+      } else {
+        onSaved(result);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update tags');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const title = items.length === 1
+    ? `Tags for “${items[0].isFolder ? items[0].name : items[0].originalName}”`
+    : `Tags for ${items.length} items`;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal tag-editor-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>{title}</h3>
+          <button className="modal-close" onClick={onClose}>
+            <FiX />
+          </button>
+        </div>
+        <div className="modal-body">
+          <div className="tag-editor-input">
+            {tags.map(tag => (
+              <span key={tag} className="tag-chip">
+                {tag}
+                <button onClick={() => setTags(tags.filter(t => t !== tag))} aria-label={`Remove tag ${tag}`}>
+                  <FiX />
+                </button>
+              </span>
+            ))}
+            <input
+              type="text"
+              value={input}
+              placeholder={tags.length ? '' : 'Add a tag...'}
+              aria-label="Add a tag"
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={handleKeyDown}
+              onBlur={() => input && addTag(input)}
+              autoFocus
+            />
+          </div>
+
+          {suggestions.length > 0 && (
+            <div className="tag-suggestions">
+              {suggestions.map(name => (
+                <button key={name} className="tag-suggestion" onClick={() => addTag(name)}>
+                  <FiTag /> {name}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {items.length > 1 && (
+            <p className="tag-editor-hint">Only tags every selected item has are shown; tags you add go on all of them.</p>
+          )}
+
+          {error && <div className="tag-editor-error">{error}</div>}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleSave}
+            disabled={saving || (add.length === 0 && remove.length === 0)}
+          >
+            {saving ? 'Saving...' : 'Save tags'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TagEditorModal;
@@ -428,6 +428,17 @@ const VersionHistory = ({ fileId, fileName, onClose, onVersionRestore }) => {
                     </div>
                   )}
                 </div>
+
+                {version.metadata && Object.keys(version.metadata).length > 0 && (
+                  <dl className="version-metadata">
+                    {Object.entries(version.metadata).map(([key, value]) => (
+                      <div key={key} className="version-metadata-entry">
+                        <dt>{key}</dt>
+                        <dd>{value}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
               </div>
             </div>
           ))}
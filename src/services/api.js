@@ -90,6 +90,117 @@ export const authAPI = {
   },
 };
 
+// Files at least this large go through a resumable upload session;
+// smaller ones go straight to S3 when possible
+const RESUMABLE_UPLOAD_THRESHOLD = 32 * 1024 * 1024;
+const CHUNK_RETRIES = 5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Hex SHA-256 of a file, null where the browser can't compute it. Reads
+// the whole file into memory, so only direct uploads (below
+// RESUMABLE_UPLOAD_THRESHOLD) are hashed up front; S3 verifies the bytes.
+const sha256File = async (file) => {
+  if (file.size >= RESUMABLE_UPLOAD_THRESHOLD || !window.crypto?.subtle) {
+    return null;
+  }
+  const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// How much of an upload session the server has stored; `fallback` when it
+// can't be reached either, so the next attempt finds out again
+const storedOffset = (sessionId, fallback) => api.get(`/uploads/${sessionId}`)
+  .then(({ data }) => data.offset)
+  .catch(() => fallback);
+
+// Upload a large file in chunks; a failed chunk is retried from the offset
+// the server reports, so a dropped connection only costs one chunk
+const uploadResumable = async (file, onUploadProgress, parentFolderId, storageClass, conflictPolicy) => {
+  const { data: session } = await api.post('/uploads', {
+    fileName: file.name,
+    fileSize: file.size,
+    fileType: file.type || 'application/octet-stream',
+    parentFolderId,
+    storageClass,
+    conflictPolicy
+  });
+
+  let offset = session.offset;
+  let failures = 0;
+
+  while (offset < file.size) {
+    const chunk = file.slice(offset, Math.min(offset + session.chunkSize, file.size));
+    const chunkStart = offset;
+    try {
+      const { data } = await api.put(`/uploads/${session.sessionId}`, chunk, {
+        params: { offset },
+        headers: { 'Content-Type': 'application/octet-stream' },
+        onUploadProgress: (event) => onUploadProgress?.({
+          loaded: chunkStart + event.loaded,
+          total: file.size
+        })
+      });
+      offset = data.offset;
+      failures = 0;
+    } catch (error) {
+      if (++failures > CHUNK_RETRIES || error.response?.status === 404) {
+        throw error;
+      }
+      await wait(1000 * failures);
+      // Resume from what the server actually stored
+      offset = await storedOffset(session.sessionId, offset);
+    }
+  }
+
+  const response = await api.post(`/uploads/${session.sessionId}/complete`);
+  return response.data;
+};
+
+// Cleared once the server says direct uploads are off (e.g. DEV_MODE)
+let directUploadsAvailable = true;
+
+// Upload straight from the browser to S3 with a presigned URL, then have
+// the server record it. Resolves null when the file has to go through the
+// server instead.
+const uploadDirect = async (file, onUploadProgress, parentFolderId, storageClass, conflictPolicy) => {
+  let target;
+  try {
+    ({ data: target } = await api.post('/files/direct-uploads', {
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type || 'application/octet-stream',
+      parentFolderId,
+      storageClass,
+      conflictPolicy,
+      sha256: await sha256File(file)
+    }));
+  } catch (error) {
+    if (error.response?.status === 501) {
+      directUploadsAvailable = false;
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    // Plain axios: the presigned URL is the credential, no API token
+    await axios.put(target.uploadUrl, file, {
+      headers: target.headers,
+      onUploadProgress
+    });
+  } catch (error) {
+    // No response usually means the bucket refused CORS; use the proxy
+    if (!error.response) {
+      return null;
+    }
+    throw error;
+  }
+
+  const response = await api.post('/files/direct-uploads/complete', { uploadToken: target.uploadToken });
+  return response.data;
+};
+
 // File management API
 export const fileAPI = {
   // Get storage class recommendations
@@ -102,16 +213,33 @@ export const fileAPI = {
     return response.data;
   },
 
-  // Upload file with optional storage class
-  uploadFile: async (file, onUploadProgress, parentFolderId = null, storageClass = null) => {
+  // Upload file with optional storage class and conflict policy (version,
+  // rename, reject or skip-if-identical; null uses the folder's or user's)
+  uploadFile: async (file, onUploadProgress, parentFolderId = null, storageClass = null, conflictPolicy = null) => {
+    if (file.size >= RESUMABLE_UPLOAD_THRESHOLD) {
+      return uploadResumable(file, onUploadProgress, parentFolderId, storageClass, conflictPolicy);
+    }
+
+    if (directUploadsAvailable) {
+      const result = await uploadDirect(file, onUploadProgress, parentFolderId, storageClass, conflictPolicy);
+      if (result) {
+        return result;
+      }
+    }
+
+    // Fields go before the file: the server streams the file to S3 as it
+    // arrives and needs them to pick the destination
     const formData = new FormData();
-    formData.append('file', file);
     if (parentFolderId) {
       formData.append('parentFolderId', parentFolderId);
     }
     if (storageClass) {
       formData.append('storageClass', storageClass);
     }
+    if (conflictPolicy) {
+      formData.append('conflictPolicy', conflictPolicy);
+    }
+    formData.append('file', file);
 
     const response = await api.post('/files/upload', formData, {
       headers: {
@@ -122,6 +250,27 @@ export const fileAPI = {
     return response.data;
   },
 
+  // Upload a ZIP and unpack it into a new folder in parentFolderId:
+  // { folder, created: { folders, files }, skipped: [{ path, reason }] }
+  extractArchive: async (file, parentFolderId = null, storageClass = null) => {
+    const formData = new FormData();
+    formData.append('extract', 'true');
+    if (parentFolderId) {
+      formData.append('parentFolderId', parentFolderId);
+    }
+    if (storageClass) {
+      formData.append('storageClass', storageClass);
+    }
+    formData.append('file', file);
+
+    const response = await api.post('/files/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
   // Get user files
   getFiles: async (folderId = null) => {
     const params = folderId ? { folderId } : {};
@@ -129,12 +278,46 @@ export const fileAPI = {
     return response.data;
   },
 
+  // Get one page of a folder: { items, nextCursor, total, changeToken }.
+  // With since (a changeToken) only what changed: { changed, removed, changeToken }
+  listFiles: async (folderId = null, { limit, cursor, since } = {}) => {
+    const params = { ...(folderId ? { folderId } : {}), limit, cursor, since };
+    const response = await api.get('/files', { params });
+    return response.data;
+  },
+
+  // Search files in every folder. params: q, type, minSize, maxSize,
+  // uploadedAfter, uploadedBefore, storageClass, starred, shared, folderId,
+  // sort, order, limit and cursor (nextCursor of the previous page)
+  searchFiles: async (params = {}) => {
+    const response = await api.get('/files/search', { params });
+    return response.data;
+  },
+
   // Get storage statistics
   getStorageStats: async () => {
     const response = await api.get('/storage/stats');
     return response.data;
   },
 
+  // Get the storage quota: { quota, used, remaining, level }
+  getStorageQuota: async () => {
+    const response = await api.get('/storage/quota');
+    return response.data;
+  },
+
+  // Default conflict policy for uploads: { conflictPolicy, policies }
+  getConflictPolicy: async () => {
+    const response = await api.get('/files/conflict-policy');
+    return response.data;
+  },
+
+  // Set the default conflict policy (null resets it to 'version')
+  setConflictPolicy: async (conflictPolicy) => {
+    const response = await api.put('/files/conflict-policy', { conflictPolicy });
+    return response.data;
+  },
+
   // Delete file
   deleteFile: async (fileId) => {
     const response = await api.delete(`/files/${fileId}`);
@@ -223,6 +406,44 @@ export const fileAPI = {
     return response.data;
   },
 
+  // Rename and/or move a file (parentFolderId null = root)
+  moveFile: async (fileId, { name, parentFolderId, onConflict = 'reject' }) => {
+    const response = await api.patch(`/files/${fileId}`, { name, parentFolderId, onConflict });
+    return response.data;
+  },
+
+  // Copy a file server-side (versions: 'active' | 'all')
+  copyFile: async (fileId, { name, parentFolderId, versions = 'active', storageClass } = {}) => {
+    const response = await api.post(`/files/${fileId}/copy`, { name, parentFolderId, versions, storageClass });
+    return response.data;
+  },
+
+  // Get a file's metadata and that of each version
+  getMetadata: async (fileId) => {
+    const response = await api.get(`/files/${fileId}/metadata`);
+    return response.data;
+  },
+
+  // Set metadata keys on a file (a null value removes the key)
+  updateMetadata: async (fileId, metadata) => {
+    const response = await api.patch(`/files/${fileId}/metadata`, { metadata });
+    return response.data;
+  },
+
+  // Get a preview image of a file as a Blob (size: 'thumbnail' | 'medium')
+  getPreview: async (fileId, { size = 'thumbnail', versionId } = {}) => {
+    const response = await api.get(`/files/${fileId}/preview`, { params: { size, versionId }, responseType: 'blob' });
+    return response.data;
+  },
+
+  // Download files and folders as one ZIP, resolves { blob, fileName }
+  downloadArchive: async ({ fileIds = [], folderIds = [] }) => {
+    const response = await api.post('/files/archive', { fileIds, folderIds }, { responseType: 'blob' });
+    const disposition = response.headers['content-disposition'] || '';
+    const match = /filename\*=UTF-8''([^;]+)/.exec(disposition);
+    return { blob: response.data, fileName: match ? decodeURIComponent(match[1]) : 'skycrate.zip' };
+  },
+
   // Get download URL for file
   getDownloadUrl: async (fileId) => {
     const response = await api.get(`/files/${fileId}/download`);
@@ -238,9 +459,10 @@ export const folderAPI = {
     return response.data;
   },
 
-  // Get folders
-  getFolders: async () => {
-    const response = await api.get('/folders');
+  // Get folders (root level, or the subfolders of parentFolderId)
+  getFolders: async (parentFolderId = null) => {
+    const params = parentFolderId ? { parentFolderId } : {};
+    const response = await api.get('/folders', { params });
     return response.data;
   },
 
@@ -249,6 +471,54 @@ export const folderAPI = {
     const response = await api.delete(`/folders/${folderId}`);
     return response.data;
   },
+
+  // Set the conflict policy for uploads into a folder (null inherits again)
+  setConflictPolicy: async (folderId, conflictPolicy) => {
+    const response = await api.put(`/folders/${folderId}/conflict-policy`, { conflictPolicy });
+    return response.data;
+  },
+};
+
+// Trash API
+export const trashAPI = {
+  // Get trashed files and folders
+  getTrash: async () => {
+    const response = await api.get('/trash');
+    return response.data;
+  },
+
+  // Restore a trashed item to where it was deleted from
+  restoreItem: async (trashId) => {
+    const response = await api.post(`/trash/${trashId}/restore`);
+    return response.data;
+  },
+
+  // Permanently delete a trashed item
+  deleteItem: async (trashId) => {
+    const response = await api.delete(`/trash/${trashId}`);
+    return response.data;
+  },
+
+  // Permanently delete everything in the trash
+  emptyTrash: async () => {
+    const response = await api.delete('/trash');
+    return response.data;
+  },
+};
+
+// Tags API
+export const tagAPI = {
+  // Tags in use: { tags: [{ name, files, folders }] }
+  getTags: async () => {
+    const response = await api.get('/tags');
+    return response.data;
+  },
+
+  // Add and/or remove tags on several files and folders
+  updateTags: async ({ fileIds = [], folderIds = [], add = [], remove = [] }) => {
+    const response = await api.patch('/tags', { fileIds, folderIds, add, remove });
+    return response.data;
+  },
 };
 
 // Shared Files API